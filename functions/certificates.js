@@ -0,0 +1,157 @@
+const crypto = require('node:crypto');
+const { finalTestRef, PASS_SCORE } = require('./finalTests.js');
+const { bearerToken } = require('./handler.js');
+
+// Certificate issuing behind /api/certificates. The client rules never let users write the public
+// certificate records that /verify trusts, so they are only written here, after the learner's module
+// (or every module of their course) is checked to have a passing final test. Only the results the
+// backend recorded itself count (finalTests.js); the module's own status and score are the learner's to edit.
+//   POST { kind: 'module', id: moduleId, learnerName }   issues a module certificate
+//   POST { kind: 'course', id: courseId, learnerName }   issues a course certificate
+//   POST { kind: 'transfer', guestToken }                 moves a guest's certificates to the caller's account
+// Issuing replies { certificate } with the record, which is also stored on the module or course document;
+// issuing again returns the certificate already stored there. Transfers reply { transferred }.
+
+const MAX_NAME_CHARS = 120;
+const ID_PATTERN = /^[\w-]{1,128}$/;
+const ID_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I, so IDs can be read back over the phone
+
+// e.g. QLA-7K3M-Q9TX-2FHB
+const generateCertificateId = () => {
+    const chars = Array.from(crypto.randomBytes(12), b => ID_ALPHABET[b % ID_ALPHABET.length]).join('');
+    return `QLA-${chars.slice(0, 4)}-${chars.slice(4, 8)}-${chars.slice(8, 12)}`;
+};
+
+// Errors carrying an HTTP status are replied to the caller as they are
+const refusal = (status, message) => Object.assign(new Error(message), { status });
+
+const createCertificateIssuer = (db, appId, { now = () => new Date(), newId = generateCertificateId } = {}) => {
+    const app = db.collection('artifacts').doc(appId);
+    const userDoc = (uid) => app.collection('users').doc(uid);
+    const certificates = app.collection('public').doc('data').collection('certificates');
+
+    const passedTest = async (tx, uid, moduleId) => {
+        const snapshot = await tx.get(finalTestRef(db, uid, moduleId));
+        const test = snapshot.exists ? snapshot.data() : null;
+        return test?.submittedAt && test.passed && test.score >= PASS_SCORE ? test : null;
+    };
+
+    const publish = (tx, ownerRef, uid, record) => {
+        tx.set(certificates.doc(record.certificateId), { ...record, ownerId: uid, revoked: false, revokedAt: null, expiresAt: null });
+        tx.update(ownerRef, { certificate: record, lastUpdated: record.issuedAt });
+        return record;
+    };
+
+    return {
+        // Re-owns the public records when a guest's modules are copied into an existing account (the
+        // copies keep their certificate IDs), so the account can revoke them
+        transfer: async (fromUid, toUid) => {
+            const snapshot = await certificates.where('ownerId', '==', fromUid).get();
+            if (snapshot.empty) return 0;
+            const batch = db.batch();
+            snapshot.docs.forEach(d => batch.update(d.ref, { ownerId: toUid }));
+            await batch.commit();
+            return snapshot.size;
+        },
+
+        issueModule: (uid, moduleId, learnerName) => db.runTransaction(async (tx) => {
+            const ref = userDoc(uid).collection('modules').doc(moduleId);
+            const snapshot = await tx.get(ref);
+            if (!snapshot.exists) throw refusal(404, 'The module was not found.');
+            const module = snapshot.data();
+            if (module.certificate) return module.certificate;
+            const test = await passedTest(tx, uid, moduleId);
+            if (!test) throw refusal(403, `A certificate needs a final test passed with a score of at least ${PASS_SCORE}%.`);
+            return publish(tx, ref, uid, {
+                certificateId: newId(),
+                learnerName,
+                moduleName: test.topic,
+                moduleId,
+                score: test.score,
+                issuedAt: now().toISOString(),
+            });
+        }),
+
+        // Mirrors courseProgress in src/courses/courses.ts: every step needs a completed module, here one whose
+        // passed final test was on the step's own title, since the learner can edit the course's steps
+        issueCourse: (uid, courseId, learnerName) => db.runTransaction(async (tx) => {
+            const ref = userDoc(uid).collection('courses').doc(courseId);
+            const snapshot = await tx.get(ref);
+            if (!snapshot.exists) throw refusal(404, 'The course was not found.');
+            const course = snapshot.data();
+            if (course.certificate) return course.certificate;
+
+            const modules = (await tx.get(userDoc(uid).collection('modules').where('courseId', '==', courseId))).docs;
+            const steps = course.steps || [];
+            const finished = [];
+            for (const step of steps) {
+                const module = modules.find(d => d.data().courseStepId === step.stepId);
+                const test = module ? await passedTest(tx, uid, module.id) : null;
+                if (test && test.topic === String(step.title || '').trim()) finished.push(test);
+            }
+            if (steps.length === 0 || finished.length !== steps.length) {
+                throw refusal(403, 'A course certificate needs every module of the course to be completed.');
+            }
+            return publish(tx, ref, uid, {
+                certificateId: newId(),
+                learnerName,
+                moduleName: course.title,
+                moduleId: courseId,
+                score: finished.reduce((sum, test) => sum + test.score, 0) / finished.length,
+                issuedAt: now().toISOString(),
+                kind: 'course',
+            });
+        }),
+    };
+};
+
+const createCertificateHandler = ({ verifyIdToken, issuer }) => async (req, res) => {
+    const fail = (status, message) => res.status(status).json({ error: { message } });
+
+    if (req.method !== 'POST') return fail(405, 'Use POST.');
+
+    const token = bearerToken(req);
+    if (!token) return fail(401, 'Sign in to issue a certificate.');
+    let user;
+    try {
+        user = await verifyIdToken(token);
+    } catch (e) {
+        return fail(401, 'Your sign-in could not be verified. Please sign in again.');
+    }
+
+    const { kind, id, learnerName, guestToken } = req.body || {};
+    if (kind === 'transfer') {
+        // The guest's own ID token, taken before signing in, proves the caller controlled that guest account
+        let guest;
+        try {
+            guest = typeof guestToken === 'string' ? await verifyIdToken(guestToken) : null;
+        } catch (e) {
+            guest = null;
+        }
+        if (!guest || guest.firebase?.sign_in_provider !== 'anonymous' || guest.uid === user.uid) {
+            return fail(403, 'Certificates can only be moved from a guest session you signed in from.');
+        }
+        try {
+            return res.status(200).json({ transferred: await issuer.transfer(guest.uid, user.uid) });
+        } catch (e) {
+            console.error('Error transferring certificates:', e);
+            return fail(500, 'Could not move the certificates.');
+        }
+    }
+
+    if (kind !== 'module' && kind !== 'course') return fail(400, 'The certificate kind must be module, course or transfer.');
+    if (typeof id !== 'string' || !ID_PATTERN.test(id)) return fail(400, `The ${kind} ID is not valid.`);
+    const name = typeof learnerName === 'string' ? learnerName.trim() : '';
+    if (!name || name.length > MAX_NAME_CHARS) return fail(400, `Enter a name of up to ${MAX_NAME_CHARS} characters for the certificate.`);
+
+    try {
+        const certificate = kind === 'module' ? await issuer.issueModule(user.uid, id, name) : await issuer.issueCourse(user.uid, id, name);
+        return res.status(200).json({ certificate });
+    } catch (e) {
+        if (e.status) return fail(e.status, e.message);
+        console.error('Error issuing certificate:', e);
+        return fail(500, 'Could not issue the certificate.');
+    }
+};
+
+module.exports = { createCertificateHandler, createCertificateIssuer, generateCertificateId };
@@ -0,0 +1,160 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('node:events');
+const { createCertificateHandler, createCertificateIssuer } = require('./certificates.js');
+const { fakeDb } = require('./testing/fakeDb.js');
+
+const USER = 'artifacts/app/users/user-1';
+const CERTIFICATES = 'artifacts/app/public/data/certificates';
+const TESTS = 'finalTests/user-1/modules';
+
+const passed = (topic, score) => ({ topic, score, passed: score >= 80, submittedAt: '2026-03-04T14:00:00.000Z' });
+
+const issuerFor = (docs) => {
+    const db = fakeDb(docs);
+    let next = 0;
+    const issuer = createCertificateIssuer(db, 'app', { now: () => new Date('2026-03-04T15:00:00Z'), newId: () => `QLA-TEST-000${++next}` });
+    return { db, issuer };
+};
+
+const fakeResponse = () => {
+    const res = Object.assign(new EventEmitter(), { statusCode: 0, body: null });
+    res.status = (code) => { res.statusCode = code; return res; };
+    res.json = (body) => { res.body = body; return res; };
+    return res;
+};
+
+const post = (body, token = 'good-token') => ({ method: 'POST', headers: token ? { authorization: `Bearer ${token}` } : {}, body });
+
+test('issues a module certificate once the backend has recorded a passing final test', async () => {
+    const { db, issuer } = issuerFor({
+        [`${USER}/modules/m1`]: { name: 'Renamed since', status: 'completed', finalTestScore: 92.5 },
+        [`${TESTS}/m1`]: passed('Qubits', 92.5),
+    });
+
+    const certificate = await issuer.issueModule('user-1', 'm1', 'Ada Lovelace');
+    const again = await issuer.issueModule('user-1', 'm1', 'Someone Else');
+
+    assert.deepStrictEqual(certificate, {
+        certificateId: 'QLA-TEST-0001', learnerName: 'Ada Lovelace', moduleName: 'Qubits', moduleId: 'm1', score: 92.5, issuedAt: '2026-03-04T15:00:00.000Z',
+    });
+    assert.deepStrictEqual(again, certificate);
+    assert.deepStrictEqual(db.docs[`${CERTIFICATES}/QLA-TEST-0001`], { ...certificate, ownerId: 'user-1', revoked: false, revokedAt: null, expiresAt: null });
+    assert.deepStrictEqual(db.docs[`${USER}/modules/m1`].certificate, certificate);
+});
+
+test('refuses modules that are missing, untested, unsubmitted or below the pass mark', async () => {
+    const { db, issuer } = issuerFor({
+        [`${USER}/modules/started`]: { name: 'A', status: 'assignment_pending', finalTestScore: 0 },
+        [`${USER}/modules/failed`]: { name: 'B', status: 'completed', finalTestScore: 79 },
+        [`${TESTS}/failed`]: passed('B', 79),
+        [`${USER}/modules/pending`]: { name: 'C', status: 'completed', finalTestScore: 100 },
+        [`${TESTS}/pending`]: { ...passed('C', 100), submittedAt: null },
+        // Written by the learner: only the backend's record counts
+        [`${USER}/modules/forged`]: { name: 'D', status: 'completed', finalTestScore: 100 },
+    });
+
+    await assert.rejects(issuer.issueModule('user-1', 'missing', 'Ada'), { status: 404 });
+    for (const moduleId of ['started', 'failed', 'pending', 'forged']) {
+        await assert.rejects(issuer.issueModule('user-1', moduleId, 'Ada'), { status: 403 });
+    }
+    assert.ok(!Object.keys(db.docs).some(path => path.startsWith(CERTIFICATES)));
+});
+
+test('issues a course certificate with the average score once every step\'s final test is passed', async () => {
+    const steps = [{ stepId: 's1', title: 'Qubits' }, { stepId: 's2', title: 'Gates' }];
+    const docs = {
+        [`${USER}/courses/c1`]: { title: 'Quantum Computing', steps },
+        [`${USER}/modules/m1`]: { courseId: 'c1', courseStepId: 's1', status: 'completed', finalTestScore: 80 },
+        [`${TESTS}/m1`]: passed('Qubits', 80),
+        [`${USER}/modules/m2`]: { courseId: 'c1', courseStepId: 's2', status: 'completed', finalTestScore: 100 },
+        [`${TESTS}/m2`]: passed('Gates', 40),
+    };
+    const { db, issuer } = issuerFor(docs);
+
+    await assert.rejects(issuer.issueCourse('user-1', 'c1', 'Ada'), { status: 403 });
+
+    // A test passed on another topic doesn't count for the step
+    docs[`${TESTS}/m2`] = passed('Something easier', 90);
+    await assert.rejects(issuer.issueCourse('user-1', 'c1', 'Ada'), { status: 403 });
+
+    docs[`${TESTS}/m2`] = passed('Gates', 90);
+    const certificate = await issuer.issueCourse('user-1', 'c1', 'Ada');
+
+    assert.strictEqual(certificate.kind, 'course');
+    assert.strictEqual(certificate.moduleName, 'Quantum Computing');
+    assert.strictEqual(certificate.score, 85);
+    assert.strictEqual(db.docs[`${CERTIFICATES}/${certificate.certificateId}`].ownerId, 'user-1');
+    assert.deepStrictEqual(db.docs[`${USER}/courses/c1`].certificate, certificate);
+});
+
+test('moves a guest\'s certificates to the account they signed in to', async () => {
+    const { db, issuer } = issuerFor({
+        [`${CERTIFICATES}/QLA-A`]: { certificateId: 'QLA-A', ownerId: 'guest-1' },
+        [`${CERTIFICATES}/QLA-B`]: { certificateId: 'QLA-B', ownerId: 'someone-else' },
+    });
+
+    assert.strictEqual(await issuer.transfer('guest-1', 'user-1'), 1);
+    assert.strictEqual(db.docs[`${CERTIFICATES}/QLA-A`].ownerId, 'user-1');
+    assert.strictEqual(db.docs[`${CERTIFICATES}/QLA-B`].ownerId, 'someone-else');
+    assert.strictEqual(await issuer.transfer('guest-1', 'user-1'), 0);
+});
+
+test('a transfer needs a valid ID token of a different guest account', async () => {
+    const transfers = [];
+    const accounts = {
+        'good-token': { uid: 'user-1', firebase: { sign_in_provider: 'password' } },
+        'guest-token': { uid: 'guest-1', firebase: { sign_in_provider: 'anonymous' } },
+        'other-account': { uid: 'user-2', firebase: { sign_in_provider: 'google.com' } },
+    };
+    const handler = createCertificateHandler({
+        verifyIdToken: async (token) => {
+            if (!accounts[token]) throw new Error('bad token');
+            return accounts[token];
+        },
+        issuer: { transfer: async (...args) => { transfers.push(args); return 2; } },
+    });
+    const replies = [];
+    for (const guestToken of [undefined, 'forged', 'other-account', 'good-token', 'guest-token']) {
+        const res = fakeResponse();
+        await handler(post({ kind: 'transfer', guestToken }), res);
+        replies.push(res);
+    }
+
+    assert.deepStrictEqual(replies.map(r => r.statusCode), [403, 403, 403, 403, 200]);
+    assert.deepStrictEqual(replies[4].body, { transferred: 2 });
+    assert.deepStrictEqual(transfers, [['guest-1', 'user-1']]);
+});
+
+test('the handler checks the caller and the request before issuing', async () => {
+    const issued = [];
+    const handler = createCertificateHandler({
+        verifyIdToken: async (token) => {
+            if (token !== 'good-token') throw new Error('bad token');
+            return { uid: 'user-1' };
+        },
+        issuer: {
+            issueModule: async (...args) => { issued.push(args); return { certificateId: 'QLA-TEST-0001' }; },
+            issueCourse: async () => { throw Object.assign(new Error('Not finished.'), { status: 403 }); },
+        },
+    });
+    const replies = [];
+    for (const [body, token] of [
+        [{ kind: 'module', id: 'm1', learnerName: 'Ada' }, null],
+        [{ kind: 'module', id: 'm1', learnerName: 'Ada' }, 'forged'],
+        [{ kind: 'badge', id: 'm1', learnerName: 'Ada' }],
+        [{ kind: 'module', id: '../m1', learnerName: 'Ada' }],
+        [{ kind: 'module', id: 'm1', learnerName: '   ' }],
+        [{ kind: 'course', id: 'c1', learnerName: 'Ada' }],
+        [{ kind: 'module', id: 'm1', learnerName: '  Ada  ' }],
+    ]) {
+        const res = fakeResponse();
+        await handler(post(body, token === undefined ? 'good-token' : token), res);
+        replies.push(res);
+    }
+
+    assert.deepStrictEqual(replies.map(r => r.statusCode), [401, 401, 400, 400, 400, 403, 200]);
+    assert.strictEqual(replies[5].body.error.message, 'Not finished.');
+    assert.deepStrictEqual(replies[6].body, { certificate: { certificateId: 'QLA-TEST-0001' } });
+    assert.deepStrictEqual(issued, [['user-1', 'm1', 'Ada']]);
+});
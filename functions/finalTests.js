@@ -0,0 +1,159 @@
+const { bearerToken, estimateCost, isGuest, nextMidnightUtc, quotaMessage, reserveLimitsFor, userLimitsFor } = require('./handler.js');
+const { forLearner, fromLearner, generateQuestions, normalizeMix, scoreAnyQuestion } = require('./questions.js');
+
+// Final tests behind /api/final-test. The backend writes and marks them, so a passing score can be trusted:
+// certificates are only issued against the records kept here (see certificates.js).
+//   finalTests/{uid}/modules/{moduleId}   the test in progress or last submitted, with its answers; only the
+//                                         Admin SDK reads or writes it
+//   POST { action: 'start', moduleId, mix }       writes a new test, replacing the last one, and replies
+//                                                 { questions } without their answers
+//   POST { action: 'submit', moduleId, answers }  marks it, records the attempt and the module's final test
+//                                                 result as the app does, and replies { attempt }
+// Both count as one request against the daily quotas (see quota.js); every model call is metered.
+
+const PASS_SCORE = 80; // Same threshold the app uses for the final test
+const ID_PATTERN = /^[\w-]{1,128}$/;
+const MAX_TOPIC_CHARS = 200;
+const MAX_OBJECTIVES = 12;
+const DEFAULT_MIX = { multiple_choice: 5 };
+
+const refusal = (status, message) => Object.assign(new Error(message), { status });
+
+const finalTestRef = (db, uid, moduleId) => db.collection('finalTests').doc(uid).collection('modules').doc(moduleId);
+
+const createFinalTests = (db, appId, { now = () => new Date(), random = Math.random } = {}) => {
+    const app = db.collection('artifacts').doc(appId);
+    const moduleRef = (uid, moduleId) => app.collection('users').doc(uid).collection('modules').doc(moduleId);
+    const classRef = (classId) => app.collection('public').doc('data').collection('classes').doc(classId);
+
+    // Class modules are tested on the bank their instructor published, as long as the learner is in the class
+    const classBank = async (uid, module) => {
+        if (typeof module.classId !== 'string' || typeof module.classTopicId !== 'string') return null;
+        if (!ID_PATTERN.test(module.classId) || !ID_PATTERN.test(module.classTopicId)) return null;
+        const member = await classRef(module.classId).collection('members').doc(uid).get();
+        if (!member.exists) return null;
+        const release = await classRef(module.classId).collection('releases').doc(module.classTopicId).get();
+        const bank = release.exists ? release.data().questionBanks?.finalTest : null;
+        return Array.isArray(bank) && bank.length ? bank : null;
+    };
+
+    const objectivesOf = (module) => {
+        const objectives = module.objectives?.length ? module.objectives : module.assignmentContent?.learning_objectives || [];
+        return objectives.filter(o => typeof o === 'string').slice(0, MAX_OBJECTIVES).map(o => o.slice(0, MAX_TOPIC_CHARS));
+    };
+
+    return {
+        start: async (uid, moduleId, mix, generate) => {
+            const snapshot = await moduleRef(uid, moduleId).get();
+            if (!snapshot.exists) throw refusal(404, 'The module was not found.');
+            const module = snapshot.data();
+            const topic = String(module.name || '').trim().slice(0, MAX_TOPIC_CHARS);
+            if (!topic) throw refusal(400, 'The module has no name to test.');
+
+            const questions = await classBank(uid, module)
+                || await generateQuestions(generate, { topic, objectives: objectivesOf(module), mix: normalizeMix(mix) || DEFAULT_MIX }, random);
+            await finalTestRef(db, uid, moduleId).set({
+                moduleId, topic, questions, startedAt: now().toISOString(), submittedAt: null, attemptId: null, score: null, passed: false,
+            });
+            return questions.map(forLearner);
+        },
+
+        submit: async (uid, moduleId, answers, generate) => {
+            const ref = finalTestRef(db, uid, moduleId);
+            const snapshot = await ref.get();
+            const test = snapshot.exists ? snapshot.data() : null;
+            if (!test) throw refusal(404, 'Start the final test before submitting it.');
+            if (test.submittedAt) throw refusal(409, 'This final test was already submitted. Start a new one to try again.');
+
+            const userAnswers = {};
+            const results = [];
+            for (const [index, question] of test.questions.entries()) {
+                const userAnswer = fromLearner(question, answers?.[index]);
+                if (userAnswer !== null) userAnswers[index] = userAnswer;
+                const { credit, correct, feedback } = await scoreAnyQuestion(generate, question, userAnswer);
+                results.push({ userAnswer, credit, correct, ...(feedback ? { feedback } : {}) });
+            }
+            const submittedAt = now();
+            const score = test.questions.length ? (results.reduce((sum, r) => sum + r.credit, 0) / test.questions.length) * 100 : 0;
+            // Same shape as Attempt in src/attempts/attempts.ts
+            const attempt = {
+                attemptId: `finalTest-${submittedAt.getTime()}`,
+                type: 'finalTest',
+                questions: test.questions,
+                userAnswers,
+                results,
+                correctCount: results.filter(r => r.correct).length,
+                score,
+                submittedAt: submittedAt.toISOString(),
+            };
+            const passed = score >= PASS_SCORE;
+
+            const batch = db.batch();
+            batch.set(ref, { submittedAt: attempt.submittedAt, attemptId: attempt.attemptId, score, passed }, { merge: true });
+            batch.set(moduleRef(uid, moduleId).collection('attempts').doc(attempt.attemptId), attempt);
+            batch.set(moduleRef(uid, moduleId), {
+                finalTestScore: score,
+                finalTestAttemptId: attempt.attemptId,
+                certificateIssued: passed,
+                status: passed ? 'completed' : 'needs_revisit',
+                lastUpdated: attempt.submittedAt,
+            }, { merge: true });
+            await batch.commit();
+            return attempt;
+        },
+    };
+};
+
+// verifyIdToken, meter, generate, limits and prices are the same as for createLlmHandler (handler.js)
+const createFinalTestHandler = ({ verifyIdToken, meter, generate, finalTests, limits, prices, now = () => new Date() }) => async (req, res) => {
+    const fail = (status, message, details = {}) => res.status(status).json({ error: { message, ...details } });
+
+    if (req.method !== 'POST') return fail(405, 'Use POST.');
+
+    const token = bearerToken(req);
+    if (!token) return fail(401, 'Sign in to take the final test.');
+    let user;
+    try {
+        user = await verifyIdToken(token);
+    } catch (e) {
+        return fail(401, 'Your sign-in could not be verified. Please sign in again.');
+    }
+
+    const { action, moduleId, mix, answers } = req.body || {};
+    if (action !== 'start' && action !== 'submit') return fail(400, 'The action must be start or submit.');
+    if (typeof moduleId !== 'string' || !ID_PATTERN.test(moduleId)) return fail(400, 'The module ID is not valid.');
+    if (action === 'submit' && (typeof answers !== 'object' || answers === null)) return fail(400, 'The answers are missing.');
+
+    let quota;
+    try {
+        quota = await meter.reserve(user.uid, reserveLimitsFor(user, limits), isGuest(user));
+    } catch (e) {
+        console.error('Error updating quota:', e);
+        return fail(500, 'Could not check your generation allowance.');
+    }
+    if (!quota.allowed) {
+        return fail(429, quotaMessage(quota.limit, userLimitsFor(user, limits)), { code: 'quota_exceeded', resetsAt: nextMidnightUtc(now()) });
+    }
+
+    const metered = async (request) => {
+        let result = null;
+        try {
+            result = await generate(request);
+            return result;
+        } finally {
+            const usage = result?.usage || { inputTokens: 0, outputTokens: 0 };
+            await meter.record(user.uid, moduleId, { ...usage, costUsd: estimateCost(usage, prices) }).catch(e => console.error('Error recording usage:', e));
+        }
+    };
+
+    try {
+        if (action === 'start') return res.status(200).json({ questions: await finalTests.start(user.uid, moduleId, mix, metered) });
+        return res.status(200).json({ attempt: await finalTests.submit(user.uid, moduleId, answers, metered) });
+    } catch (e) {
+        if (e.status) return fail(e.status, e.message);
+        console.error(`Error in final test ${action}:`, e);
+        return fail(502, action === 'start' ? 'Could not write the final test. Please try again.' : 'Could not mark the final test. Please try submitting again.');
+    }
+};
+
+module.exports = { createFinalTests, createFinalTestHandler, finalTestRef, PASS_SCORE };
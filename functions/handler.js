@@ -0,0 +1,140 @@
+// HTTP handler behind /api/llm. Kept free of firebase-admin so it can be tested with plain fakes:
+// verifyIdToken(token) -> decoded ID token, meter -> see usage.js (today, reserve, record),
+// generate({ prompt, schema }) -> { text, usage, model }, generateStream({ prompt, schema, signal, onText }) -> { usage, model },
+// model -> the model name the relays are configured with.
+//   POST { prompt, schema?, moduleId? }  relays a generation and meters it against the user's daily quota and
+//                                        the app-wide ones (see quota.js)
+//   POST { ..., stream: true }           the same, replied as Server-Sent Events: { text } for each piece of
+//                                        the reply, then { usage, model } or { error: { message } }
+//   GET                                  the user's usage today, their limits and the configured model
+// Errors are replied as { error: { message } }, the same shape Gemini uses, so the client reads them the same way.
+
+const MAX_PROMPT_CHARS = 200000;
+const MODULE_ID_PATTERN = /^[\w-]{1,128}$/;
+
+const bearerToken = (req) => {
+    const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    return match ? match[1] : null;
+};
+
+const isGuest = (user) => user.firebase?.sign_in_provider === 'anonymous';
+
+// The caller's own daily limits, and what meter.reserve checks: those plus the app-wide ones
+const userLimitsFor = (user, limits) => ({ requests: isGuest(user) ? limits.guestRequests : limits.requests, tokens: limits.tokens });
+const reserveLimitsFor = (user, limits) => ({ ...userLimitsFor(user, limits), appRequests: limits.appRequests, allGuestRequests: limits.allGuestRequests });
+
+const quotaMessage = (limit, userLimits) => {
+    const messages = {
+        requests: `You have used all ${userLimits.requests} AI generations for today.`,
+        tokens: `You have used today's allowance of ${userLimits.tokens.toLocaleString('en-US')} AI tokens.`,
+        app: 'The academy has used all of its AI generations for today.',
+        guests: 'Guest sessions have used all of their AI generations for today. Sign in to keep generating.',
+    };
+    return `${messages[limit]} It resets at midnight UTC.`;
+};
+
+const nextMidnightUtc = (now) => new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1)).toISOString();
+
+// Prices are US dollars per million tokens
+const estimateCost = ({ inputTokens = 0, outputTokens = 0 }, prices) =>
+    (inputTokens * prices.inputPerMillion + outputTokens * prices.outputPerMillion) / 1000000;
+
+// Relays a streamed generation. When the client goes away (e.g. it cancelled) the upstream request is aborted.
+const relayStream = async (res, generateStream, request, recordUsage) => {
+    const upstream = new AbortController();
+    let closed = false;
+    res.on('close', () => {
+        closed = true;
+        upstream.abort();
+    });
+    const send = (event) => {
+        if (!closed) res.write(`data: ${JSON.stringify(event)}\n\n`);
+    };
+    res.status(200);
+    res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+
+    let outcome = null;
+    let failure = null;
+    try {
+        outcome = await generateStream({ ...request, signal: upstream.signal, onText: (text) => send({ text }) });
+    } catch (e) {
+        if (!closed) console.error('Error relaying generation:', e);
+        failure = e;
+    }
+
+    await recordUsage(outcome?.usage);
+    send(failure ? { error: { message: failure.message } } : outcome);
+    return res.end();
+};
+
+const createLlmHandler = ({ verifyIdToken, meter, generate, generateStream, model, limits, prices, now = () => new Date() }) => async (req, res) => {
+    const fail = (status, message, details = {}) => res.status(status).json({ error: { message, ...details } });
+
+    if (req.method !== 'POST' && req.method !== 'GET') return fail(405, 'Use GET or POST.');
+
+    const token = bearerToken(req);
+    if (!token) return fail(401, 'Sign in to generate content.');
+    let user;
+    try {
+        user = await verifyIdToken(token);
+    } catch (e) {
+        return fail(401, 'Your sign-in could not be verified. Please sign in again.');
+    }
+    const userLimits = userLimitsFor(user, limits);
+    const resetsAt = nextMidnightUtc(now());
+
+    if (req.method === 'GET') {
+        try {
+            return res.status(200).json({ used: await meter.today(user.uid), limits: userLimits, resetsAt, model });
+        } catch (e) {
+            console.error('Error loading usage:', e);
+            return fail(500, 'Could not load your usage.');
+        }
+    }
+
+    const { prompt, schema, moduleId, stream } = req.body || {};
+    if (typeof prompt !== 'string' || !prompt.trim()) return fail(400, 'The request has no prompt.');
+    if (prompt.length > MAX_PROMPT_CHARS) return fail(413, `The prompt is longer than ${MAX_PROMPT_CHARS} characters.`);
+    if (schema !== undefined && (typeof schema !== 'object' || schema === null || Array.isArray(schema))) {
+        return fail(400, 'The response schema must be an object.');
+    }
+    if (moduleId !== undefined && (typeof moduleId !== 'string' || !MODULE_ID_PATTERN.test(moduleId))) {
+        return fail(400, 'The module ID is not valid.');
+    }
+
+    // Counted before the model is called, so failed generations still use up the allowance
+    let quota;
+    try {
+        quota = await meter.reserve(user.uid, reserveLimitsFor(user, limits), isGuest(user));
+    } catch (e) {
+        console.error('Error updating quota:', e);
+        return fail(500, 'Could not check your generation allowance.');
+    }
+    if (!quota.allowed) return fail(429, quotaMessage(quota.limit, userLimits), { code: 'quota_exceeded', resetsAt });
+
+    // Recorded before replying: functions may be paused as soon as the response is sent
+    const recordUsage = async (usage) => {
+        const counted = usage || { inputTokens: 0, outputTokens: 0 };
+        try {
+            await meter.record(user.uid, moduleId, { ...counted, costUsd: estimateCost(counted, prices) });
+        } catch (e) {
+            console.error('Error recording usage:', e);
+        }
+    };
+
+    if (stream === true && generateStream) return relayStream(res, generateStream, { prompt, schema }, recordUsage);
+
+    let result = null;
+    let failure = null;
+    try {
+        result = await generate({ prompt, schema });
+    } catch (e) {
+        console.error('Error relaying generation:', e);
+        failure = e;
+    }
+
+    await recordUsage(result?.usage);
+    return failure ? fail(502, failure.message) : res.status(200).json(result);
+};
+
+module.exports = { createLlmHandler, bearerToken, estimateCost, isGuest, nextMidnightUtc, quotaMessage, reserveLimitsFor, userLimitsFor, MAX_PROMPT_CHARS };
@@ -0,0 +1,219 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createLlmHandler } = require('./handler.js');
+const { EventEmitter } = require('node:events');
+const { createGeminiRelay, createGeminiStreamRelay } = require('./relay.js');
+
+const fakeResponse = () => {
+    const res = Object.assign(new EventEmitter(), { statusCode: 0, body: null, headers: {}, written: '', ended: false });
+    res.status = (code) => { res.statusCode = code; return res; };
+    res.json = (body) => { res.body = body; return res; };
+    res.set = (headers) => { Object.assign(res.headers, headers); return res; };
+    res.write = (chunk) => { res.written += chunk; return true; };
+    res.end = () => { res.ended = true; res.emit('close'); return res; };
+    return res;
+};
+
+const events = (res) => res.written.split('\n\n').filter(Boolean).map(block => JSON.parse(block.replace(/^data: /, '')));
+
+const post = (body, token = 'good-token') => ({
+    method: 'POST',
+    headers: token ? { authorization: `Bearer ${token}` } : {},
+    body,
+});
+
+const setup = (overrides = {}) => {
+    const calls = { reserve: [], record: [], generate: [] };
+    const handler = createLlmHandler({
+        verifyIdToken: async (token) => {
+            if (token !== 'good-token') throw new Error('bad token');
+            return { uid: 'user-1', firebase: { sign_in_provider: 'password' } };
+        },
+        meter: {
+            today: async () => ({ requests: 4, inputTokens: 100, outputTokens: 50, costUsd: 0.001 }),
+            reserve: async (...args) => { calls.reserve.push(args); return { allowed: true, used: { requests: 1, inputTokens: 0, outputTokens: 0 } }; },
+            record: async (...args) => { calls.record.push(args); },
+        },
+        generate: async (request) => { calls.generate.push(request); return { text: 'hello', usage: { inputTokens: 3000000, outputTokens: 1000000 } }; },
+        model: 'gemini-test',
+        limits: { requests: 10, guestRequests: 2, tokens: 1000, appRequests: 500, allGuestRequests: 100 },
+        prices: { inputPerMillion: 0.1, outputPerMillion: 0.4 },
+        now: () => new Date('2026-03-04T15:00:00Z'),
+        ...overrides,
+    });
+    return { handler, calls };
+};
+
+test('relays an authenticated request and meters it against the user and module', async () => {
+    const { handler, calls } = setup();
+    const res = fakeResponse();
+    await handler(post({ prompt: 'Quiz me', schema: { type: 'OBJECT' }, moduleId: 'module-1' }), res);
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.deepStrictEqual(res.body, { text: 'hello', usage: { inputTokens: 3000000, outputTokens: 1000000 } });
+    assert.deepStrictEqual(calls.reserve, [['user-1', { requests: 10, tokens: 1000, appRequests: 500, allGuestRequests: 100 }, false]]);
+    assert.deepStrictEqual(calls.generate, [{ prompt: 'Quiz me', schema: { type: 'OBJECT' } }]);
+    const [uid, moduleId, usage] = calls.record[0];
+    assert.strictEqual(uid, 'user-1');
+    assert.strictEqual(moduleId, 'module-1');
+    assert.strictEqual(usage.costUsd.toFixed(2), '0.70');
+});
+
+test('reports the user\'s usage, limits and model on GET', async () => {
+    const { handler } = setup();
+    const res = fakeResponse();
+    await handler({ method: 'GET', headers: { authorization: 'Bearer good-token' } }, res);
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.deepStrictEqual(res.body, {
+        used: { requests: 4, inputTokens: 100, outputTokens: 50, costUsd: 0.001 },
+        limits: { requests: 10, tokens: 1000 },
+        resetsAt: '2026-03-05T00:00:00.000Z',
+        model: 'gemini-test',
+    });
+});
+
+test('rejects missing or invalid ID tokens before touching the quota', async () => {
+    const { handler, calls } = setup();
+    const missing = fakeResponse();
+    const invalid = fakeResponse();
+    await handler(post({ prompt: 'x' }, null), missing);
+    await handler(post({ prompt: 'x' }, 'forged'), invalid);
+
+    assert.strictEqual(missing.statusCode, 401);
+    assert.strictEqual(invalid.statusCode, 401);
+    assert.strictEqual(calls.reserve.length, 0);
+});
+
+test('applies the guest limit to anonymous users and stops at the quota', async () => {
+    const reserved = [];
+    const { handler, calls } = setup({
+        verifyIdToken: async () => ({ uid: 'guest', firebase: { sign_in_provider: 'anonymous' } }),
+        meter: { reserve: async (...args) => { reserved.push(args); return { allowed: false, used: { requests: 2, inputTokens: 0, outputTokens: 0 }, limit: 'requests' }; } },
+    });
+    const res = fakeResponse();
+    await handler(post({ prompt: 'x' }), res);
+
+    assert.strictEqual(res.statusCode, 429);
+    assert.match(res.body.error.message, /all 2 AI generations/);
+    assert.strictEqual(res.body.error.code, 'quota_exceeded');
+    assert.deepStrictEqual(reserved, [['guest', { requests: 2, tokens: 1000, appRequests: 500, allGuestRequests: 100 }, true]]);
+    assert.strictEqual(calls.generate.length, 0);
+});
+
+test('stops once the daily token allowance is used', async () => {
+    const meter = { reserve: async () => ({ allowed: false, used: { requests: 3, inputTokens: 900, outputTokens: 200 }, limit: 'tokens' }) };
+    const { handler } = setup({ meter });
+    const res = fakeResponse();
+    await handler(post({ prompt: 'x' }), res);
+
+    assert.strictEqual(res.statusCode, 429);
+    assert.match(res.body.error.message, /allowance of 1,000 AI tokens/);
+});
+
+test('explains when the app-wide or all-guests budget stopped the request', async () => {
+    const replies = [];
+    for (const limit of ['app', 'guests']) {
+        const meter = { reserve: async () => ({ allowed: false, used: { requests: 0, inputTokens: 0, outputTokens: 0 }, limit }) };
+        const res = fakeResponse();
+        await setup({ meter }).handler(post({ prompt: 'x' }), res);
+        replies.push(res);
+    }
+
+    assert.deepStrictEqual(replies.map(r => r.statusCode), [429, 429]);
+    assert.match(replies[0].body.error.message, /academy has used all of its AI generations/);
+    assert.match(replies[1].body.error.message, /Guest sessions .* Sign in to keep generating/);
+    assert.strictEqual(replies[1].body.error.code, 'quota_exceeded');
+});
+
+test('validates the request body', async () => {
+    const { handler } = setup();
+    const empty = fakeResponse();
+    const badSchema = fakeResponse();
+    const badModule = fakeResponse();
+    await handler(post({ prompt: '  ' }), empty);
+    await handler(post({ prompt: 'x', schema: 'OBJECT' }), badSchema);
+    await handler(post({ prompt: 'x', moduleId: '../other-user' }), badModule);
+
+    assert.strictEqual(empty.statusCode, 400);
+    assert.strictEqual(badSchema.statusCode, 400);
+    assert.strictEqual(badModule.statusCode, 400);
+});
+
+test('the relay sends the key as a header and reduces the reply to text and usage', async () => {
+    let sent;
+    const relay = createGeminiRelay({
+        apiKey: 'secret',
+        model: 'gemini-2.0-flash',
+        fetchFn: async (url, init) => {
+            sent = { url, init };
+            return { ok: true, status: 200, json: async () => ({ candidates: [{ content: { parts: [{ text: '{}' }] } }], usageMetadata: { promptTokenCount: 5, candidatesTokenCount: 2 } }) };
+        },
+    });
+
+    const result = await relay({ prompt: 'x', schema: { type: 'OBJECT' } });
+
+    assert.deepStrictEqual(result, { text: '{}', usage: { inputTokens: 5, outputTokens: 2 }, model: 'gemini-2.0-flash' });
+    assert.ok(!sent.url.includes('secret'));
+    assert.strictEqual(sent.init.headers['x-goog-api-key'], 'secret');
+    assert.deepStrictEqual(JSON.parse(sent.init.body).generationConfig.responseSchema, { type: 'OBJECT' });
+});
+
+test('streams the reply as events and records the usage reported at the end', async () => {
+    const { handler, calls } = setup({
+        generateStream: async ({ onText }) => {
+            onText('[{"q":');
+            onText('1}]');
+            return { usage: { inputTokens: 10, outputTokens: 4 }, model: 'gemini-2.0-flash-001' };
+        },
+    });
+    const res = fakeResponse();
+    await handler(post({ prompt: 'Quiz me', moduleId: 'module-1', stream: true }), res);
+
+    assert.strictEqual(res.headers['Content-Type'], 'text/event-stream');
+    assert.deepStrictEqual(events(res), [{ text: '[{"q":' }, { text: '1}]' }, { usage: { inputTokens: 10, outputTokens: 4 }, model: 'gemini-2.0-flash-001' }]);
+    assert.ok(res.ended);
+    assert.strictEqual(calls.generate.length, 0);
+    assert.deepStrictEqual(calls.record[0].slice(0, 2), ['user-1', 'module-1']);
+    assert.strictEqual(calls.record[0][2].inputTokens, 10);
+});
+
+test('aborts the upstream request when the client disconnects mid-stream', async () => {
+    const res = fakeResponse();
+    let upstreamAborted = false;
+    const { handler, calls } = setup({
+        generateStream: async ({ signal, onText }) => {
+            onText('[');
+            res.emit('close');
+            upstreamAborted = signal.aborted;
+            throw new Error('This operation was aborted');
+        },
+    });
+    await handler(post({ prompt: 'x', stream: true }), res);
+
+    assert.ok(upstreamAborted);
+    assert.deepStrictEqual(events(res), [{ text: '[' }]);
+    assert.strictEqual(calls.record.length, 1);
+});
+
+test('the stream relay hands on each piece of text and returns the final usage', async () => {
+    let sentUrl;
+    const encoder = new TextEncoder();
+    const relay = createGeminiStreamRelay({
+        apiKey: 'secret',
+        model: 'gemini-2.0-flash',
+        fetchFn: async (url) => {
+            sentUrl = url;
+            const event = (text, usageMetadata) => `data: ${JSON.stringify({ candidates: [{ content: { parts: [{ text }] } }], usageMetadata })}\r\n\r\n`;
+            const body = event('{"a"', { promptTokenCount: 5 }) + event(':1}', { promptTokenCount: 5, candidatesTokenCount: 3 });
+            return { ok: true, status: 200, body: [encoder.encode(body.slice(0, 30)), encoder.encode(body.slice(30))] };
+        },
+    });
+    const pieces = [];
+
+    const outcome = await relay({ prompt: 'x', onText: (text) => pieces.push(text) });
+
+    assert.deepStrictEqual(pieces, ['{"a"', ':1}']);
+    assert.deepStrictEqual(outcome, { usage: { inputTokens: 5, outputTokens: 3 }, model: 'gemini-2.0-flash' });
+    assert.match(sentUrl, /:streamGenerateContent\?alt=sse$/);
+});
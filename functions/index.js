@@ -0,0 +1,66 @@
+const { onRequest } = require('firebase-functions/v2/https');
+const { defineInt, defineSecret, defineString } = require('firebase-functions/params');
+const { initializeApp } = require('firebase-admin/app');
+const { getAuth } = require('firebase-admin/auth');
+const { getFirestore } = require('firebase-admin/firestore');
+const { createCertificateHandler, createCertificateIssuer } = require('./certificates.js');
+const { createFinalTestHandler, createFinalTests } = require('./finalTests.js');
+const { createLlmHandler } = require('./handler.js');
+const { createGeminiRelay, createGeminiStreamRelay } = require('./relay.js');
+const { createUsageMeter } = require('./usage.js');
+
+initializeApp();
+
+// --- Configuration ---
+// GEMINI_API_KEY is a secret (`firebase functions:secrets:set GEMINI_API_KEY`, or functions/.secret.local
+// for the emulator); the rest are plain params with defaults (functions/.env to override).
+const geminiApiKey = defineSecret('GEMINI_API_KEY');
+const geminiModel = defineString('GEMINI_MODEL', { default: 'gemini-2.0-flash' });
+const dailyLimit = defineInt('LLM_DAILY_REQUEST_LIMIT', { default: 200 });
+const guestDailyLimit = defineInt('LLM_GUEST_DAILY_REQUEST_LIMIT', { default: 50 });
+const dailyTokenLimit = defineInt('LLM_DAILY_TOKEN_LIMIT', { default: 2000000 }); // 0 for no token limit
+// Shared by everyone and by all guests together, since anyone can start any number of guest sessions; 0 for no limit
+const appDailyLimit = defineInt('LLM_APP_DAILY_REQUEST_LIMIT', { default: 5000 });
+const allGuestsDailyLimit = defineInt('LLM_ALL_GUESTS_DAILY_REQUEST_LIMIT', { default: 1000 });
+// Namespace of the app's Firestore data (artifacts/{appId}/...), the client's REACT_APP_CUSTOM_APP_ID
+const appId = defineString('APP_ID', { default: 'default-quantum-leap-app' });
+// US dollars per million tokens, for the cost estimates in the usage records (defaults: gemini-2.0-flash)
+const inputPrice = defineString('LLM_INPUT_USD_PER_MILLION', { default: '0.10' });
+const outputPrice = defineString('LLM_OUTPUT_USD_PER_MILLION', { default: '0.40' });
+
+const limits = () => ({
+    requests: dailyLimit.value(),
+    guestRequests: guestDailyLimit.value(),
+    tokens: dailyTokenLimit.value(),
+    appRequests: appDailyLimit.value(),
+    allGuestRequests: allGuestsDailyLimit.value(),
+});
+const prices = () => ({ inputPerMillion: Number(inputPrice.value()) || 0, outputPerMillion: Number(outputPrice.value()) || 0 });
+
+// Served at /api/llm through the hosting rewrite in firebase.json. CORS is open because callers
+// authenticate with an ID token header, not cookies, and local development calls it cross-origin.
+exports.llm = onRequest({ secrets: [geminiApiKey], cors: true }, (req, res) => createLlmHandler({
+    verifyIdToken: (token) => getAuth().verifyIdToken(token),
+    meter: createUsageMeter(getFirestore()),
+    generate: createGeminiRelay({ apiKey: geminiApiKey.value(), model: geminiModel.value() }),
+    generateStream: createGeminiStreamRelay({ apiKey: geminiApiKey.value(), model: geminiModel.value() }),
+    model: geminiModel.value(),
+    limits: limits(),
+    prices: prices(),
+})(req, res));
+
+// Served at /api/final-test. Final tests are written and marked here so certificates can trust their results.
+exports.finalTest = onRequest({ secrets: [geminiApiKey], cors: true, timeoutSeconds: 300 }, (req, res) => createFinalTestHandler({
+    verifyIdToken: (token) => getAuth().verifyIdToken(token),
+    meter: createUsageMeter(getFirestore()),
+    generate: createGeminiRelay({ apiKey: geminiApiKey.value(), model: geminiModel.value() }),
+    finalTests: createFinalTests(getFirestore(), appId.value()),
+    limits: limits(),
+    prices: prices(),
+})(req, res));
+
+// Served at /api/certificates. Certificates are only issued here, against the final tests recorded above.
+exports.certificates = onRequest({ cors: true }, (req, res) => createCertificateHandler({
+    verifyIdToken: (token) => getAuth().verifyIdToken(token),
+    issuer: createCertificateIssuer(getFirestore(), appId.value()),
+})(req, res));
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { checkQuestions, forLearner, fromLearner, generateQuestions, normalizeMix, scoreAnyQuestion, scoreQuestion } = require('./questions.js');
+
+const base = { question: 'Q', explanation: 'Because', concept: 'c', difficulty: 'foundational', focus: 'theory', estimatedSeconds: 30 };
+const multipleChoice = { ...base, options: { A: 'a', B: 'b', C: 'c', D: 'd' }, correctAnswer: 'B', distractorRationales: { A: '', B: '', C: '', D: '' } };
+
+// Replies with each text in turn and records the prompts it was sent
+const scripted = (...texts) => {
+    const prompts = [];
+    const generate = async ({ prompt }) => {
+        prompts.push(prompt);
+        return { text: texts.shift(), usage: { inputTokens: 1, outputTokens: 1 } };
+    };
+    return { generate, prompts };
+};
+
+test('reports a batch with fewer questions than were asked for', () => {
+    assert.deepStrictEqual(checkQuestions('multiple_choice', [multipleChoice], 2), ['$: 2 questions were asked for, got 1']);
+    assert.deepStrictEqual(checkQuestions('multiple_choice', [multipleChoice, multipleChoice], 2), []);
+    assert.deepStrictEqual(checkQuestions('ordering', [{ question: 'Q' }], 1), ['$[0]: does not match the schema']);
+});
+
+test('asks the model again until the batch is complete, then tags and shuffles the questions', async () => {
+    const { generate, prompts } = scripted(
+        JSON.stringify([multipleChoice]),
+        JSON.stringify([multipleChoice, { ...multipleChoice, objectives: ['Explain qubits', 'Made up'] }]),
+        JSON.stringify([{ ...base, items: ['first', 'second', 'third'] }]),
+    );
+    const questions = await generateQuestions(generate, { topic: 'Qubits', objectives: ['Explain qubits'], mix: { multiple_choice: 2, ordering: 1 } }, () => 0);
+
+    assert.strictEqual(prompts.length, 3);
+    assert.match(prompts[0], /titled "Qubits"/);
+    assert.match(prompts[1], /2 questions were asked for, got 1/);
+    assert.deepStrictEqual(questions.map(q => q.type), ['multiple_choice', 'multiple_choice', 'ordering']);
+    assert.deepStrictEqual(questions[1].objectives, ['Explain qubits']);
+    assert.deepStrictEqual(questions[2].displayOrder, [1, 2, 0]);
+});
+
+test('gives up after three unusable replies', async () => {
+    const { generate } = scripted('not json', '[]', '[]');
+    await assert.rejects(generateQuestions(generate, { topic: 'Qubits', mix: { true_false: 1 } }), /could not produce usable questions/);
+});
+
+test('limits the mix to known types and twenty questions', () => {
+    assert.deepStrictEqual(normalizeMix({ multiple_choice: 15, numeric: 9, essay: 3 }), { multiple_choice: 15, numeric: 5 });
+    assert.strictEqual(normalizeMix({ multiple_choice: -2 }), null);
+    assert.strictEqual(normalizeMix('five'), null);
+});
+
+test('shows learners the questions without their answers and maps their answers back', () => {
+    const ordering = { ...base, type: 'ordering', items: ['first', 'second', 'third'], displayOrder: [2, 0, 1] };
+    const matching = { ...base, type: 'matching', pairs: [{ left: 'x', right: '1' }, { left: 'y', right: '2' }], rightOrder: [1, 0] };
+
+    const shownChoice = forLearner({ ...multipleChoice, type: 'multiple_choice' });
+    assert.ok(!('correctAnswer' in shownChoice) && !('distractorRationales' in shownChoice) && !('explanation' in shownChoice));
+
+    const shownOrdering = forLearner(ordering);
+    assert.deepStrictEqual(shownOrdering.items, ['third', 'first', 'second']);
+    assert.deepStrictEqual(shownOrdering.displayOrder, [0, 1, 2]);
+    // The learner moves "first", "second", "third" into place: shown indices 1, 2, 0
+    const order = fromLearner(ordering, [1, 2, 0]);
+    assert.deepStrictEqual(order, [0, 1, 2]);
+    assert.strictEqual(scoreQuestion(ordering, order).correct, true);
+
+    const shownMatching = forLearner(matching);
+    assert.deepStrictEqual(shownMatching.pairs, [{ left: 'x', right: '2' }, { left: 'y', right: '1' }]);
+    assert.deepStrictEqual(shownMatching.rightOrder, [0, 1]);
+    // x -> "1" is shown at index 1, y -> "2" at index 0
+    const matches = fromLearner(matching, { 0: 1, 1: 0 });
+    assert.deepStrictEqual(matches, { 0: 0, 1: 1 });
+    assert.strictEqual(scoreQuestion(matching, matches).correct, true);
+
+    assert.strictEqual(fromLearner({ ...multipleChoice, type: 'multiple_choice' }, { B: true }), null);
+});
+
+test('marks short answers with the model and blank ones without it', async () => {
+    const shortText = { ...base, type: 'short_text', modelAnswer: 'It is both', keyPoints: ['superposition'] };
+    const { generate, prompts } = scripted(JSON.stringify({ credit: 0.5, feedback: 'Half right.' }));
+
+    assert.deepStrictEqual(await scoreAnyQuestion(generate, shortText, 'A qubit'), { credit: 0.5, correct: false, feedback: 'Half right.' });
+    assert.deepStrictEqual(await scoreAnyQuestion(generate, shortText, '  '), { credit: 0, correct: false, feedback: 'No answer was given.' });
+    assert.strictEqual(prompts.length, 1);
+});
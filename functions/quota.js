@@ -0,0 +1,19 @@
+// Today's limits, checked by the usage meter's reserve transaction (usage.js). Kept free of firebase-admin
+// so it can be tested with plain data.
+//   requests, tokens   the user's own allowance (guests get a lower request limit); tokens 0 for no limit
+//   appRequests        everyone's requests together; 0 for no limit
+//   allGuestRequests   all guest accounts' requests together; 0 for no limit
+// Guest accounts can be created without limit and each gets its own allowance, so the shared limits are what
+// cap the bill.
+
+// Which limit a new request would go over ('requests', 'tokens', 'app' or 'guests'), or null.
+// `user` and `app` are today's totals for the user and for everyone (with `guestRequests` for all guests).
+const exceededLimit = ({ user, app, guest }, limits) => {
+    if (user.requests >= limits.requests) return 'requests';
+    if (limits.tokens > 0 && user.inputTokens + user.outputTokens >= limits.tokens) return 'tokens';
+    if (limits.appRequests > 0 && app.requests >= limits.appRequests) return 'app';
+    if (guest && limits.allGuestRequests > 0 && app.guestRequests >= limits.allGuestRequests) return 'guests';
+    return null;
+};
+
+module.exports = { exceededLimit };
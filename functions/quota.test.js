@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { exceededLimit } = require('./quota.js');
+
+const limits = { requests: 10, tokens: 1000, appRequests: 100, allGuestRequests: 40 };
+const totals = (overrides = {}) => ({ requests: 0, inputTokens: 0, outputTokens: 0, guestRequests: 0, ...overrides });
+
+test('lets a request through while every limit has room', () => {
+    assert.strictEqual(exceededLimit({ user: totals({ requests: 9 }), app: totals({ requests: 99, guestRequests: 39 }), guest: true }, limits), null);
+});
+
+test('stops at the user\'s own requests and tokens first', () => {
+    assert.strictEqual(exceededLimit({ user: totals({ requests: 10 }), app: totals({ requests: 100 }) }, limits), 'requests');
+    assert.strictEqual(exceededLimit({ user: totals({ inputTokens: 800, outputTokens: 200 }), app: totals() }, limits), 'tokens');
+});
+
+test('stops everyone once the app-wide budget is used', () => {
+    assert.strictEqual(exceededLimit({ user: totals(), app: totals({ requests: 100 }), guest: false }, limits), 'app');
+});
+
+test('stops guests, but not accounts, once all guests together used their budget', () => {
+    const app = totals({ requests: 50, guestRequests: 40 });
+    assert.strictEqual(exceededLimit({ user: totals(), app, guest: true }, limits), 'guests');
+    assert.strictEqual(exceededLimit({ user: totals(), app, guest: false }, limits), null);
+});
+
+test('treats shared limits of 0 as no limit', () => {
+    const unlimited = { ...limits, tokens: 0, appRequests: 0, allGuestRequests: 0 };
+    assert.strictEqual(exceededLimit({ user: totals({ inputTokens: 10 ** 9 }), app: totals({ requests: 10 ** 6, guestRequests: 10 ** 6 }), guest: true }, unlimited), null);
+});
@@ -0,0 +1,84 @@
+// Server-side Gemini call. The key travels in the x-goog-api-key header, never in a URL or to the browser.
+// Request and reply mirror src/llm/gemini.ts; the reply is reduced to { text, usage, model } for the client.
+
+const GEMINI_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta';
+
+const requestInit = (apiKey, { prompt, schema }, signal) => {
+    const payload = {
+        contents: [{ role: 'user', parts: [{ text: prompt }] }],
+    };
+    if (schema) {
+        payload.generationConfig = {
+            responseMimeType: 'application/json',
+            responseSchema: schema,
+        };
+    }
+    return {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'x-goog-api-key': apiKey },
+        body: JSON.stringify(payload),
+        signal,
+    };
+};
+
+const textOf = (body) => body?.candidates?.[0]?.content?.parts?.[0]?.text || '';
+
+const usageOf = (body) => ({
+    inputTokens: body?.usageMetadata?.promptTokenCount ?? 0,
+    outputTokens: body?.usageMetadata?.candidatesTokenCount ?? 0,
+});
+
+const failed = async (response) => {
+    const body = await response.json().catch(() => null);
+    return new Error(`Gemini error ${response.status}: ${body?.error?.message || response.statusText || 'Request failed'}`);
+};
+
+const createGeminiRelay = ({ apiKey, model, baseUrl = GEMINI_BASE_URL, fetchFn = fetch }) => async ({ prompt, schema }) => {
+    if (!apiKey) throw new Error('GEMINI_API_KEY is not set on the server.');
+
+    const response = await fetchFn(`${baseUrl}/models/${model}:generateContent`, requestInit(apiKey, { prompt, schema }));
+    if (!response.ok) throw await failed(response);
+    const body = await response.json().catch(() => null);
+
+    // An empty text is passed on as-is; the client reports it as an empty reply
+    return { text: textOf(body), usage: usageOf(body), model: body?.modelVersion || model };
+};
+
+// Streaming variant on streamGenerateContent: each piece of text is handed to onText as Gemini sends it,
+// then { usage, model } as of the last event is returned. Aborting `signal` cancels the upstream request.
+const createGeminiStreamRelay = ({ apiKey, model, baseUrl = GEMINI_BASE_URL, fetchFn = fetch }) => async ({ prompt, schema, signal, onText }) => {
+    if (!apiKey) throw new Error('GEMINI_API_KEY is not set on the server.');
+
+    const response = await fetchFn(`${baseUrl}/models/${model}:streamGenerateContent?alt=sse`, requestInit(apiKey, { prompt, schema }, signal));
+    if (!response.ok) throw await failed(response);
+
+    let usage = usageOf(null);
+    let modelVersion = model;
+    const handleEvent = (block) => {
+        const data = block.split('\n').filter(line => line.startsWith('data:')).map(line => line.slice(5).trim()).join('\n');
+        if (!data) return;
+        const event = JSON.parse(data);
+        if (event.error) throw new Error(`Gemini error: ${event.error.message}`);
+        const text = textOf(event);
+        if (text) onText(text);
+        if (event.usageMetadata) usage = usageOf(event);
+        if (event.modelVersion) modelVersion = event.modelVersion;
+    };
+
+    // Events are separated by a blank line and may be split across chunks
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for await (const chunk of response.body) {
+        buffer = (buffer + decoder.decode(chunk, { stream: true })).replace(/\r\n/g, '\n');
+        let end = buffer.indexOf('\n\n');
+        while (end >= 0) {
+            handleEvent(buffer.slice(0, end));
+            buffer = buffer.slice(end + 2);
+            end = buffer.indexOf('\n\n');
+        }
+    }
+    handleEvent(buffer.trim());
+    return { usage, model: modelVersion };
+};
+
+module.exports = { createGeminiRelay, createGeminiStreamRelay, GEMINI_BASE_URL };
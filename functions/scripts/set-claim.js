@@ -0,0 +1,26 @@
+// Grants (or with --revoke, removes) a role custom claim:
+//   admin        opens the usage view at /admin/usage
+//   instructor   lets the account create classes and open the teacher dashboard at /teach
+// Run from functions/ with credentials for the project: node scripts/set-claim.js <claim> <uid> [--revoke]
+// (or npm run set-admin -- <uid>, npm run set-instructor -- <uid>).
+// The user has to sign out and in again (or wait up to an hour) before their ID token carries the change.
+const { initializeApp } = require('firebase-admin/app');
+const { getAuth } = require('firebase-admin/auth');
+
+const CLAIMS = ['admin', 'instructor'];
+
+const [claim, uid, flag] = process.argv.slice(2);
+if (!CLAIMS.includes(claim) || !uid) {
+    console.error(`Usage: node scripts/set-claim.js <${CLAIMS.join('|')}> <uid> [--revoke]`);
+    process.exit(1);
+}
+
+initializeApp();
+const auth = getAuth();
+auth.getUser(uid)
+    .then(user => auth.setCustomUserClaims(uid, { ...(user.customClaims || {}), [claim]: flag !== '--revoke' }))
+    .then(() => console.log(`${flag === '--revoke' ? 'Revoked' : 'Granted'} ${claim} for ${uid}.`))
+    .catch(e => {
+        console.error('Error updating claims:', e.message);
+        process.exit(1);
+    });
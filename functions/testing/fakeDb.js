@@ -0,0 +1,42 @@
+// In-memory stand-in for the Admin SDK calls the functions make, keyed by document path. Shared by the
+// *.test.js suites; kept out of the deployed functions by firebase.json.
+const fakeDb = (docs) => {
+    const docRef = (path) => ({
+        path,
+        id: path.split('/').pop(),
+        collection: (name) => collectionRef(`${path}/${name}`),
+        get: () => get({ path }),
+        set: async (data, options) => set({ path }, data, options),
+    });
+    const collectionRef = (path) => ({
+        doc: (id) => docRef(`${path}/${id}`),
+        where: (field, op, value) => {
+            const query = { query: { path, field, value } };
+            return { ...query, get: () => get(query) };
+        },
+    });
+    const get = async (target) => {
+        if (!target.query) return { exists: target.path in docs, data: () => docs[target.path] };
+        const { path, field, value } = target.query;
+        const inCollection = Object.keys(docs).filter(p => p.startsWith(`${path}/`) && !p.slice(path.length + 1).includes('/'));
+        const matches = inCollection.filter(p => docs[p][field] === value).map(p => ({ id: docRef(p).id, ref: docRef(p), data: () => docs[p] }));
+        return { docs: matches, empty: matches.length === 0, size: matches.length };
+    };
+    const set = (ref, data, options) => { docs[ref.path] = options?.merge ? { ...docs[ref.path], ...data } : data; };
+    const update = (ref, data) => { docs[ref.path] = { ...docs[ref.path], ...data }; };
+    return {
+        docs,
+        collection: (name) => collectionRef(name),
+        batch: () => {
+            const writes = [];
+            return {
+                set: (ref, data, options) => writes.push(() => set(ref, data, options)),
+                update: (ref, data) => writes.push(() => update(ref, data)),
+                commit: async () => writes.forEach(write => write()),
+            };
+        },
+        runTransaction: async (fn) => fn({ get, set, update }),
+    };
+};
+
+module.exports = { fakeDb };
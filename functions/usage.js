@@ -0,0 +1,74 @@
+const { FieldValue } = require('firebase-admin/firestore');
+const { exceededLimit } = require('./quota.js');
+
+// Usage metering, written only through the Admin SDK (the client rules never grant writes here):
+//   llmUsage/{uid}/days/{YYYY-MM-DD}   the user's day: totals plus a `modules` map, checked against the quotas
+//   llmUsage/{uid}/modules/{moduleId}  running totals per module
+//   llmUsageDaily/{YYYY-MM-DD}         everyone's day: totals, `guestRequests` and a `users` map, checked against
+//                                      the app-wide limits and shown in the admin view
+// Days are UTC. Requests are counted when they are let through, tokens and cost once the model replies.
+
+const UNASSIGNED_MODULE = 'unassigned';
+
+const dayKey = (date = new Date()) => date.toISOString().slice(0, 10);
+
+const EMPTY_TOTALS = { requests: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 };
+
+const totalsOf = (data) => ({
+    requests: data?.requests || 0,
+    inputTokens: data?.inputTokens || 0,
+    outputTokens: data?.outputTokens || 0,
+    costUsd: data?.costUsd || 0,
+});
+
+const increments = ({ requests = 0, inputTokens = 0, outputTokens = 0, costUsd = 0 }) => ({
+    requests: FieldValue.increment(requests),
+    inputTokens: FieldValue.increment(inputTokens),
+    outputTokens: FieldValue.increment(outputTokens),
+    costUsd: FieldValue.increment(costUsd),
+});
+
+const createUsageMeter = (db) => {
+    const userDay = (uid, now) => db.collection('llmUsage').doc(uid).collection('days').doc(dayKey(now));
+    const allDay = (now) => db.collection('llmUsageDaily').doc(dayKey(now));
+
+    return {
+        today: async (uid, now = new Date()) => {
+            const snapshot = await userDay(uid, now).get();
+            return snapshot.exists ? totalsOf(snapshot.data()) : { ...EMPTY_TOTALS };
+        },
+
+        // Counts the request if the user and the whole app are within today's limits (see quota.js), in one
+        // transaction. `limit` names the limit that stopped it.
+        reserve: (uid, limits, guest = false, now = new Date()) => db.runTransaction(async (tx) => {
+            const ref = userDay(uid, now);
+            const snapshot = await tx.get(ref);
+            const appSnapshot = await tx.get(allDay(now));
+            const used = snapshot.exists ? totalsOf(snapshot.data()) : { ...EMPTY_TOTALS };
+            const app = { ...totalsOf(appSnapshot.data()), guestRequests: appSnapshot.data()?.guestRequests || 0 };
+            const limit = exceededLimit({ user: used, app, guest }, limits);
+            if (limit) return { allowed: false, used, limit };
+
+            const date = dayKey(now);
+            const guestCount = guest ? { guestRequests: FieldValue.increment(1) } : {};
+            tx.set(ref, { date, ...increments({ requests: 1 }), updatedAt: now.toISOString() }, { merge: true });
+            tx.set(allDay(now), { date, ...increments({ requests: 1 }), ...guestCount, users: { [uid]: increments({ requests: 1 }) } }, { merge: true });
+            return { allowed: true, used: { ...used, requests: used.requests + 1 } };
+        }),
+
+        // Adds the reply's tokens and cost; the module's request count is kept here, once per reply or failure
+        record: (uid, moduleId, { inputTokens = 0, outputTokens = 0, costUsd = 0 }, now = new Date()) => {
+            const module = moduleId || UNASSIGNED_MODULE;
+            const tokens = { inputTokens, outputTokens, costUsd };
+            const batch = db.batch();
+            batch.set(userDay(uid, now), { ...increments(tokens), modules: { [module]: increments({ requests: 1, ...tokens }) } }, { merge: true });
+            batch.set(db.collection('llmUsage').doc(uid).collection('modules').doc(module), {
+                moduleId: module, ...increments({ requests: 1, ...tokens }), lastUsedAt: now.toISOString(),
+            }, { merge: true });
+            batch.set(allDay(now), { ...increments(tokens), users: { [uid]: increments(tokens) } }, { merge: true });
+            return batch.commit();
+        },
+    };
+};
+
+module.exports = { createUsageMeter, dayKey, UNASSIGNED_MODULE };
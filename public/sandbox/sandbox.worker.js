@@ -0,0 +1,113 @@
+/* eslint-disable no-restricted-globals */
+// Web Worker that executes learner code away from the page. It is started from a blob URL inside
+// the sandboxed frame built by src/sandbox/frame.ts, so it runs in an opaque origin under that
+// frame's CSP: no app storage, auth token or network beyond the Pyodide files. The host
+// (runner.ts) enforces the time limit by removing the frame; output size and heap growth are
+// checked in here.
+
+const post = self.postMessage.bind(self); // Captured before learner code can replace it
+
+let pyodidePromise = null;
+
+const loadPython = (indexURL) => {
+    if (!pyodidePromise) {
+        self.importScripts(`${indexURL}pyodide.js`);
+        pyodidePromise = self.loadPyodide({ indexURL });
+    }
+    return pyodidePromise;
+};
+
+// Collects stdout/stderr, truncating once maxOutput characters have been written
+const createOutput = (maxOutput) => {
+    const output = { stdout: '', stderr: '', truncated: false };
+    const write = (stream) => (text) => {
+        if (output.stdout.length + output.stderr.length >= maxOutput) {
+            output.truncated = true;
+            return;
+        }
+        const line = text.endsWith('\n') ? text : `${text}\n`;
+        const room = maxOutput - output.stdout.length - output.stderr.length;
+        if (line.length > room) output.truncated = true;
+        output[stream] += line.slice(0, room);
+    };
+    return { output, stdout: write('stdout'), stderr: write('stderr') };
+};
+
+const formatError = (error) => (error && error.message ? error.message.trim().split('\n').slice(-3).join('\n') : String(error));
+
+// --- Python (Pyodide) ---
+const runPython = async (pyodide, source, streams) => {
+    pyodide.setStdout({ batched: streams.stdout });
+    pyodide.setStderr({ batched: streams.stderr });
+    const globals = pyodide.globals.get('dict')(); // Fresh namespace per run
+    try {
+        await pyodide.runPythonAsync(source, { globals });
+    } finally {
+        globals.destroy();
+    }
+};
+
+// The WebAssembly heap only grows, so its size after a step is that step's peak in every browser
+const pythonHeapMb = (pyodide) => pyodide._module.HEAP8.buffer.byteLength / (1024 * 1024);
+
+// --- JavaScript ---
+const runJavaScript = async (source, streams) => {
+    const sandboxConsole = {
+        log: (...args) => streams.stdout(args.map(String).join(' ')),
+        info: (...args) => streams.stdout(args.map(String).join(' ')),
+        warn: (...args) => streams.stderr(args.map(String).join(' ')),
+        error: (...args) => streams.stderr(args.map(String).join(' ')),
+    };
+    // eslint-disable-next-line no-new-func
+    const fn = new Function('console', `"use strict";\n${source}`);
+    await fn(sandboxConsole);
+};
+
+// Only Chromium reports the JavaScript heap; elsewhere a runaway allocation ends in the time
+// limit or in the browser stopping the worker, which the host reports as a crash.
+const jsHeapMb = () => (self.performance && self.performance.memory ? self.performance.memory.usedJSHeapSize / (1024 * 1024) : 0);
+
+self.onmessage = async ({ data }) => {
+    const { id, language, code, tests = [], indexURL, memoryLimitMb, maxOutput } = data;
+    try {
+        const pyodide = language === 'python' ? await loadPython(indexURL) : null;
+        const execute = (source, streams) => (pyodide ? runPython(pyodide, source, streams) : runJavaScript(source, streams));
+        const overLimit = () => (pyodide ? pythonHeapMb(pyodide) : jsHeapMb()) > memoryLimitMb;
+        post({ id, type: 'started' }); // Runtime loaded; the run's time limit starts now
+
+        const main = createOutput(maxOutput);
+        let error = null;
+        try {
+            await execute(code, main);
+        } catch (e) {
+            error = formatError(e);
+        }
+
+        // Heap is checked after every step so an overrun stops the remaining tests
+        let memoryExceeded = overLimit();
+        const testResults = [];
+        for (const test of tests) {
+            if (memoryExceeded) break;
+            const streams = createOutput(maxOutput); // Test output is not shown to the learner
+            try {
+                await execute(`${code}\n\n${test.test_code}`, streams);
+                testResults.push({ description: test.description, passed: true });
+            } catch (e) {
+                testResults.push({ description: test.description, passed: false, error: formatError(e) });
+            }
+            memoryExceeded = overLimit();
+        }
+
+        post({
+            id,
+            type: 'result',
+            stdout: main.output.stdout,
+            stderr: main.output.stderr + (main.output.truncated ? '\n[output truncated]' : ''),
+            error,
+            tests: memoryExceeded ? tests.map(t => ({ description: t.description, passed: false })) : testResults,
+            memoryExceeded,
+        });
+    } catch (e) {
+        post({ id, type: 'result', stdout: '', stderr: '', error: `Sandbox failed to start: ${formatError(e)}`, tests: [], memoryExceeded: false });
+    }
+};
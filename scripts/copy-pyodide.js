@@ -0,0 +1,12 @@
+// Copies the Pyodide runtime into public/pyodide so the code sandbox can load Python
+// from our own origin instead of a CDN. Runs automatically after `npm install`.
+const fs = require('fs');
+const path = require('path');
+
+const source = path.dirname(require.resolve('pyodide/package.json'));
+const target = path.join(__dirname, '..', 'public', 'pyodide');
+const files = ['pyodide.js', 'pyodide.asm.js', 'pyodide.asm.wasm', 'python_stdlib.zip', 'pyodide-lock.json'];
+
+fs.mkdirSync(target, { recursive: true });
+files.forEach(file => fs.copyFileSync(path.join(source, file), path.join(target, file)));
+console.log(`Copied Pyodide runtime to ${path.relative(process.cwd(), target)}`);
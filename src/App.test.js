@@ -1,8 +1,11 @@
 import { render, screen } from '@testing-library/react';
-import App from './App';
+import { MemoryRouter } from 'react-router-dom';
+import { App } from './App.tsx';
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+// No Firebase project in tests: the app starts with an empty configuration
+jest.mock('./firebase', () => ({ db: {}, auth: { currentUser: null }, firebaseConfig: {}, appId: 'test-app' }));
+
+test('renders and explains a missing Firebase configuration', async () => {
+  render(<MemoryRouter><App /></MemoryRouter>);
+  expect(await screen.findByText(/Firebase configuration is missing/i)).toBeInTheDocument();
 });
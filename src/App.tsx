@@ -1,8 +1,54 @@
-import { useState, useEffect, useCallback } from 'react'; // Added useMemo
+import { useState, useEffect, useCallback, useRef } from 'react'; // Added useMemo
+import { useLocation, useNavigate } from 'react-router-dom';
 import { db, auth, firebaseConfig } from "./firebase";
-import { onAuthStateChanged, signInAnonymously } from 'firebase/auth';
-import { doc, getDoc, setDoc, onSnapshot, collection, query, limit, } from 'firebase/firestore'; // Removed orderBy import as it's not used in query
-
+import { onAuthStateChanged, signInAnonymously, signInWithCustomToken, User } from 'firebase/auth';
+import { doc, getDoc, setDoc, deleteDoc, deleteField, onSnapshot, collection, query, limit, } from 'firebase/firestore'; // Removed orderBy import as it's not used in query
+import { AssignmentContent, Module, Question } from './types.ts';
+import { forModule, generateJson, isAborted, isUnusableReply } from './llm/index.ts';
+import { llm, llmConfigError, llmProxyUrl } from './llm/appProvider.ts';
+import { gradeAssignment } from './grading/grading.ts';
+import { GradingBreakdown } from './grading/GradingBreakdown.tsx';
+import { CodeTask } from './sandbox/CodeTask.tsx';
+import { runHiddenTests } from './sandbox/runner.ts';
+import { assignmentSchema, buildAssignmentPrompt, buildTestContext, buildResourcePrompt, checkAssignment, checkResources, CONTENT_PROMPT_VERSION, fallbackAssignment, Resource, resourceSchema } from './content/moduleContent.ts';
+import { cachedProvenance, ContentCacheKey, contentCacheKey, ContentProvenance } from './content/contentCache.ts';
+import { loadCachedContent, saveCachedContent } from './content/contentCacheStore.ts';
+import { ContentProvenanceNote } from './content/ContentProvenanceNote.tsx';
+import { downloadCertificatePdf, downloadCertificatePng, formatIssueDate, getVerificationUrl } from './certificates/certificate.ts';
+import { requestCertificate, revokeCertificate } from './certificates/certificateStore.ts';
+import { useAssignmentDrafts } from './drafts/useAssignmentDrafts.ts';
+import { DraftHistory, DraftStatusBadge } from './drafts/DraftControls.tsx';
+import { Attempt, AttemptType, scoreAttempt } from './attempts/attempts.ts';
+import { loadAttempts, saveAttempt } from './attempts/attemptStore.ts';
+import { startFinalTest, submitFinalTest } from './attempts/finalTestStore.ts';
+import { AttemptHistory } from './attempts/AttemptHistory.tsx';
+import { AttemptReview } from './attempts/AttemptReview.tsx';
+import { DEFAULT_QUESTION_MIX, mixTotal, QuestionMix, UserAnswers } from './questions/questionTypes.ts';
+import { generateQuestions } from './questions/generateQuestions.ts';
+import { QuestionInput } from './questions/QuestionInput.tsx';
+import { QuestionMixEditor } from './questions/QuestionMixEditor.tsx';
+import { AssessmentMetrics, buildQuizGuidance, computeMetrics, missedConcepts, planNextQuiz, QuizPlan, QuizRecord } from './questions/adaptive.ts';
+import { AssessmentMetricsList } from './questions/AssessmentMetricsList.tsx';
+import { computeMastery, moduleObjectives } from './mastery/mastery.ts';
+import { MasteryBreakdown } from './mastery/MasteryBreakdown.tsx';
+import { hasInstructorRole, hasSignedOut, signOutUser } from './auth/authService.ts';
+import { loadProfile, Profile, saveProfile } from './auth/profileStore.ts';
+import { AuthPanel } from './auth/AuthPanel.tsx';
+import { AccountBar } from './auth/AccountBar.tsx';
+import { ClassPanel } from './classes/ClassPanel.tsx';
+import { CoursePanel } from './courses/CoursePanel.tsx';
+import { Course, stepModule } from './courses/courses.ts';
+import { ModuleContent } from './authoring/moduleFormat.ts';
+import { ModuleAuthoring } from './authoring/ModuleAuthoring.tsx';
+import { BackupPanel } from './backup/BackupPanel.tsx';
+import { addModuleFlashcards } from './review/flashcardStore.ts';
+import { ReviewPanel } from './review/ReviewPanel.tsx';
+import { generationErrorMessage } from './usage/usage.ts';
+import { loadUsageStatus } from './usage/usageStore.ts';
+import { UsageMeter } from './usage/UsageMeter.tsx';
+import { Artifact, questionHeadings, resourceHeadings, sectionHeadings, startArtifacts, updateArtifact } from './generation/progress.ts';
+import { GenerationProgress } from './generation/GenerationProgress.tsx';
+import { AppPhase, defaultPhaseFor, guardPhase, hasPassedQuiz, MODULES_PATH, parseAppPath, pathForPhase } from './routes.ts';
 
 
 // Main App component for the Quantum Leap AI Education Academy
@@ -10,34 +56,22 @@ export const App = () => {
     // --- Firebase State ---
     const [userId, setUserId] = useState<string | null>(null);
     const [isAuthReady, setIsAuthReady] = useState(false); // To ensure Firestore ops wait for auth
+    const [authUser, setAuthUser] = useState<User | null>(null); // Signed-in Firebase user (anonymous for guests)
+    const [isInstructor, setIsInstructor] = useState(false); // The account carries the `instructor` claim
+    const [isSignedOut, setIsSignedOut] = useState(false); // The learner signed out; show the sign-in screen
+    const [profile, setProfile] = useState<Profile | null>(null); // Profile document (display name pre-fills certificates)
+    const [showAuthPanel, setShowAuthPanel] = useState(false); // Guest chose to sign in or create an account
 
     // --- App State ---
-    type Module = {
-        id: string;
-        name: string;
-        status: string;
-        resources: any[];
-        teacherPicks?: any[];
-        assignmentContent?: any;
-        assignments?: any;
-        quizzes: any[];
-        finalTestScore: number;
-        certificateIssued: boolean;
-        createdAt?: string;
-        lastUpdated?: string;
-        [key: string]: any;
-    };
     const [currentModule, setCurrentModule] = useState<Module | null>(null); // The currently active module object
     const [modules, setModules] = useState<Module[]>([]); // List of all modules for the current user
+    const [modulesLoaded, setModulesLoaded] = useState(false); // First modules snapshot received (needed to resolve deep links)
+    const [showAuthoring, setShowAuthoring] = useState(false); // Manual module writing / file import on the module list
+    const [showBackup, setShowBackup] = useState(false); // Module export / restore on the module list
     const [topic, setTopic] = useState(''); // Input for new module topic
     const [resourceInput, setResourceInput] = useState(''); // Input for new resource URL/description
-    type Question = {
-        question: string;
-        options: { [key: string]: string };
-        correctAnswer: string;
-    };
     const [questions, setQuestions] = useState<Question[]>([]); // AI-generated test questions
-    const [userAnswers, setUserAnswers] = useState({}); // User's selected answers
+    const [userAnswers, setUserAnswers] = useState<UserAnswers>({}); // User's answers, keyed by question index
     // eslint-disable-next-line no-unused-vars
     const [score, setScore] = useState(0); // Current assessment score (used in submitTest, but ESLint might miss it if not in JSX)
     // eslint-disable-next-line no-unused-vars
@@ -45,16 +79,19 @@ export const App = () => {
     const [userName, setUserName] = useState(''); // User's name for certificate
     const [loading, setLoading] = useState(false); // Loading indicator for AI generation
     const [errorMessage, setErrorMessage] = useState(''); // Error messages
-    const [appPhase, setAppPhase] = useState('moduleSelect'); // 'moduleSelect', 'resources', 'assignment', 'quiz', 'finalTest', 'results'
-    type assessmentMetric = {
-        practicalityTheoreticity: string;
-        predictability: string;
-        difficulty: string;
-        alignment: string;
-        learningTime: string;
-        proficiencyRequired: string;
-    } | null;
-    const [assessmentMetrics, setAssessmentMetrics] = useState<assessmentMetric>(null); // AI's meta-commentary on assessment
+    const [generationProgress, setGenerationProgress] = useState<Artifact[] | null>(null); // Per-artifact progress of the generation in flight
+    const generationAbort = useRef<AbortController | null>(null); // Cancels the generation in flight
+
+    // --- Routing: the URL is the source of truth for the phase and selected module (see routes.ts) ---
+    const location = useLocation();
+    const navigate = useNavigate();
+    const route = parseAppPath(location.pathname);
+    const routeModuleId = route?.moduleId ?? null;
+    const isRouteModuleOpen = !!currentModule && currentModule.id === routeModuleId;
+    // Guards reproduce the old selectModule rules, e.g. the final test needs a quiz score of 80+
+    const appPhase: AppPhase = route && isRouteModuleOpen && currentModule ? guardPhase(currentModule, route.phase) : (route?.phase ?? 'moduleSelect');
+    const [assessmentMetrics, setAssessmentMetrics] = useState<AssessmentMetrics | null>(null); // Derived from the current questions' tags
+    const [quizPlan, setQuizPlan] = useState<QuizPlan | null>(null); // Difficulty and focus the current quiz was generated with
     type LastScoreDetails = {
         score: number;
         comment: string;
@@ -62,33 +99,15 @@ export const App = () => {
     } | null;
     
     const [lastScoreDetails, setLastScoreDetails] = useState<LastScoreDetails>(null); // Details for module results table
-    type Resource = { title: string; url: string }; // Add this type at the top-level if not already present
+    const [lastAttempt, setLastAttempt] = useState<Attempt | null>(null); // The submitted attempt, reviewed question by question
     const [teacherPicks, setTeacherPicks] = useState<Resource[]>([]); // Dynamically generated teacher's picks
-    type AssignmentSection = {
-        section_id: string;
-        section_title: string;
-        marks: number;
-        sub_scenario: { title: string; description: string };
-        tasks: {
-            task_id: string;
-            task_description: string;
-            marks: number;
-            type: string;
-            language?: string;
-        }[];
-    };
-    type AssignmentContent = {
-        title: string;
-        total_marks: number;
-        scenario: { title: string; description: string };
-        sections: AssignmentSection[];
-        resources: { title: string; url: string; type: string; category: string }[];
-    } | null;
-    const [assignmentContent, setAssignmentContent] = useState<AssignmentContent>(null); // Dynamically generated assignment content
+    const [assignmentContent, setAssignmentContent] = useState<AssignmentContent | null>(null); // Dynamically generated assignment content
 
     // --- NEW Assignment State ---
     const [currentAssignmentSectionIndex, setCurrentAssignmentSectionIndex] = useState(0);
-    const [assignmentResponses, setAssignmentResponses] = useState({}); // To store user's assignment answers per task
+    // User's assignment answers per task, autosaved as drafts and restored when the module is reopened
+    const { responses: assignmentResponses, updateResponse, clearDrafts, status: draftStatus, lastSavedAt: draftSavedAt } = useAssignmentDrafts(userId, currentModule?.id ?? null, currentModule?.assignments?.responses);
+    const [isGrading, setIsGrading] = useState(false); // AI grading of a submitted assignment in progress
 
     // --- Constants from Environment Variables (Adapted for standard React App) ---
     // These variables should be defined in your .env file in the project root
@@ -98,10 +117,7 @@ export const App = () => {
 
     // initialAuthToken is typically for specific Canvas/LTI environments.
     // For a standard React app, we'll sign in anonymously if no other auth is used.
-    const initialAuthToken = null; // Set to null for standard React app unless explicitly provided
-
-    // --- Gemini API Key: Using process.env for standard React App ---
-    const geminiApiKey = process.env.REACT_APP_GEMINI_API_KEY; // This should be in your .env file
+    const initialAuthToken: string | null = null; // Set to null for standard React app unless explicitly provided
 
     const getScoreAndCert = () => {
 
@@ -125,14 +141,21 @@ export const App = () => {
             
             // Listen for auth state changes
             unsubscribeAuth = onAuthStateChanged(auth, async (user) => {
+                setAuthUser(user);
                 if (user) {
                     setUserId(user.uid);
+                    setIsSignedOut(false);
                     console.log("Authenticated as:", user.uid);
                 } else {
-                    // Sign in anonymously if no token or token fails
+                    setUserId(null);
+                    setModules([]);
+                    setModulesLoaded(false);
+                    // Start a guest session unless the learner signed out, in which case the sign-in screen is shown
                     try {
-                        if (initialAuthToken === null) {
-                            //await signInWithCustomToken(firebaseAuth, initialAuthToken);
+                        if (initialAuthToken) {
+                            await signInWithCustomToken(auth, initialAuthToken);
+                        } else if (hasSignedOut()) {
+                            setIsSignedOut(true);
                         } else {
                             await signInAnonymously(auth);
                         }
@@ -181,6 +204,7 @@ export const App = () => {
                     return bDate - aDate;
                 });
                 setModules(fetchedModules);
+                setModulesLoaded(true);
                 console.log("Fetched modules:", fetchedModules);
             }, (error) => {
                 console.error("Error fetching modules:", error);
@@ -194,6 +218,63 @@ export const App = () => {
         };
     }, [initialAuthToken, userId, appId, isAuthReady]);
 
+    // --- Profile ---
+    // Loads the profile for the signed-in user and pre-fills the certificate name from it
+    const refreshProfile = useCallback(async (uid: string, fallbackName = '') => {
+        try {
+            const loaded = await loadProfile(uid);
+            setProfile(loaded);
+            const name = loaded?.displayName || fallbackName;
+            if (name) setUserName(prev => prev || name);
+        } catch (error) {
+            console.error("Error loading profile:", error);
+        }
+    }, []);
+
+    useEffect(() => {
+        setProfile(null);
+        setUserName('');
+        if (userId) refreshProfile(userId, auth.currentUser?.displayName || '');
+    }, [userId, refreshProfile]);
+
+    const handleSignedIn = (user: User) => {
+        setAuthUser(user);
+        setUserId(user.uid);
+        setShowAuthPanel(false);
+        setIsSignedOut(false);
+        refreshProfile(user.uid, user.displayName || ''); // Linking a guest keeps the UID, so the effect above won't re-run
+    };
+
+    const handleSignOut = async () => {
+        try {
+            await signOutUser();
+            navigate(MODULES_PATH);
+        } catch (error) {
+            console.error("Error signing out:", error);
+            setErrorMessage(`Failed to sign out: ${error.message}`);
+        }
+    };
+
+    const saveDisplayName = async (displayName: string) => {
+        if (!userId) return;
+        try {
+            const saved = await saveProfile(userId, { displayName, email: authUser?.email ?? null });
+            setProfile(prev => ({ ...prev, ...saved }));
+            setUserName(displayName);
+        } catch (error) {
+            console.error("Error saving profile:", error);
+            setErrorMessage(`Failed to save your profile: ${error.message}`);
+        }
+    };
+
+    useEffect(() => {
+        setIsInstructor(false);
+        if (!authUser) return;
+        hasInstructorRole(authUser)
+            .then(setIsInstructor)
+            .catch(error => console.error("Error reading the account role:", error));
+    }, [authUser]);
+
     // --- Firestore Helpers ---
     // FIX: Re-added appId to useCallback dependency array to resolve ESLint warning.
     const getModuleDocRef = useCallback((moduleId) => {
@@ -219,234 +300,184 @@ export const App = () => {
         }
     }, [userId, getModuleDocRef]); // appId is a dependency (Dean: removed appId as it was causing issues with deploying the app)
 
-    // Make generateModuleContent async to allow use of await
-    const generateModuleContent = useCallback(async (moduleName, moduleId) => {
+    // --- Generation Progress & Cancel ---
+    // One generation runs at a time; starting another cancels the one in flight
+    const startGeneration = useCallback((artifacts: { id: string; label: string; expected?: number }[]) => {
+        generationAbort.current?.abort();
+        const controller = new AbortController();
+        generationAbort.current = controller;
+        setGenerationProgress(startArtifacts(artifacts));
+        return controller;
+    }, []);
+
+    const trackArtifact = useCallback((id: string, changes: Partial<Artifact>) => {
+        setGenerationProgress(current => current && updateArtifact(current, id, changes));
+    }, []);
+
+    const finishGeneration = useCallback((controller: AbortController) => {
+        if (generationAbort.current !== controller) return; // A newer generation has taken over
+        generationAbort.current = null;
+        setGenerationProgress(null);
+    }, []);
+
+    const cancelGeneration = () => generationAbort.current?.abort();
+
+    // Make generateModuleContent async to allow use of await.
+    // Teacher's picks and the assignment are saved together once both are generated, so a cancelled or failed
+    // generation leaves the module document as it was. Resolves to 'saved', 'cancelled' or 'failed'.
+    // Content already generated for the same topic and parameters is reused (see contentCache.ts) unless
+    // `regenerate` asks for a fresh generation, which is saved to this module only and never to the shared cache.
+    const generateModuleContent = useCallback(async (moduleName, moduleId, objectives: string[] = [], { regenerate = false } = {}) => {
         setLoading(true);
         setErrorMessage('');
-        if (!geminiApiKey) {
-            setErrorMessage("Gemini API Key is not set. Please set REACT_APP_GEMINI_API_KEY in your .env file.");
+        if (!llm) {
+            setErrorMessage(llmConfigError || "AI provider is not configured.");
             setLoading(false);
-            return;
+            return 'failed';
         }
 
-        try {
-            const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${geminiApiKey}`;
+        // Picks and assignment are written together, and shown on the module if it is the open one
+        const saveContent = async (content: { teacherPicks: Resource[]; assignmentContent: AssignmentContent }, contentProvenance: ContentProvenance) => {
+            setTeacherPicks(content.teacherPicks);
+            setAssignmentContent(content.assignmentContent);
+            setCurrentModule(current => (current && current.id === moduleId ? { ...current, ...content, contentProvenance } : current));
+            await updateModuleInFirestore(moduleId, { ...content, contentProvenance, appId, userId });
+        };
 
-            // 1. Generate Teacher's Picks (existing logic)
-            const resourcePrompt = `Provide 3-5 highly recommended, reputable, and ideally open-access or widely available online resources (PDFs, websites, video series) for learning "${moduleName}". Format as a JSON array of objects with 'title' and 'url' properties. If a direct URL isn't common, provide a general description/search term.`;
-            const resourcePayload = {
-                contents: [{ role: "user", parts: [{ text: resourcePrompt }] }],
-                generationConfig: {
-                    responseMimeType: "application/json",
-                    responseSchema: {
-                        type: "ARRAY",
-                        items: {
-                            type: "OBJECT",
-                            properties: {
-                                "title": { "type": "STRING" },
-                                "url": { "type": "STRING" }
-                            },
-                            "required": ["title"]
-                        }
-                    }
+        // The proxy's model is chosen by the backend, which reports it with the usage status. Without it the
+        // cache is left alone rather than risk reusing content another model wrote.
+        let cacheKey: ContentCacheKey | null = null;
+        try {
+            const model = llmProxyUrl ? (await loadUsageStatus(llmProxyUrl)).model : llm.model;
+            if (model) cacheKey = contentCacheKey(moduleName, objectives, { name: llm.name, model });
+        } catch (e) {
+            console.error('Error reading the backend model:', e); // Generates without the cache
+        }
+        if (cacheKey && !regenerate) {
+            try {
+                const cached = await loadCachedContent(cacheKey);
+                if (cached) {
+                    console.log(`Reusing cached content ${cacheKey.id} for module ${moduleId}.`);
+                    await saveContent(cached, cachedProvenance(cached));
+                    setLoading(false);
+                    return 'saved';
                 }
-            };
+            } catch (e) {
+                console.error('Error reading the content cache:', e); // Generates the content instead
+            }
+        }
 
-            const resourceResponse = await fetch(apiUrl, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(resourcePayload)
-            });
-            const resourceResult = await resourceResponse.json();
-            type Resource = { title: string; url: string };
+        const moduleLlm = forModule(llm, moduleId);
+        let vetted = true; // Both parts passed their checks; fallbacks are never cached
+        let assignmentModel: string | null = null; // Stays null when the fallback assignment is used
+        const generation = startGeneration([{ id: 'resources', label: "Teacher's Picks" }, { id: 'assignment', label: 'Assignment sections' }]);
+        const { signal } = generation;
+        try {
+            // 1. Generate Teacher's Picks (existing logic)
             let parsedResources: Resource[] = [];
-            if (resourceResult.candidates && resourceResult.candidates.length > 0 && resourceResult.candidates[0].content && resourceResult.candidates[0].content.parts && resourceResult.candidates[0].content.parts.length > 0) {
-                try {
-                    parsedResources = JSON.parse(resourceResult.candidates[0].content.parts[0].text);
-                } catch (e) {
-                    console.error("Failed to parse resources JSON:", e, resourceResult.candidates[0].content.parts[0].text);
+            trackArtifact('resources', { status: 'generating' });
+            try {
+                parsedResources = await generateJson<Resource[]>(moduleLlm, { prompt: buildResourcePrompt(moduleName), schema: resourceSchema }, {
+                    check: checkResources,
+                    signal,
+                    onPartial: (partial) => trackArtifact('resources', { items: resourceHeadings(partial) }),
+                });
+            } catch (e) {
+                if (!isUnusableReply(e)) throw e;
+                if (e.code !== 'empty') {
+                    console.error("Failed to parse resources JSON:", e, e.rawText);
                     setErrorMessage("AI generated malformed resources. Trying again or using fallback.");
                     parsedResources = [{ title: "Could not generate specific picks. Please try again or add manually.", url: "#" }];
+                } else {
+                    parsedResources = [{ title: "No specific picks generated. Please add your own resources.", url: "#" }];
                 }
-            } else {
-                parsedResources = [{ title: "No specific picks generated. Please add your own resources.", url: "#" }];
+                vetted = false;
             }
-            setTeacherPicks(parsedResources);
-            await updateModuleInFirestore(module.id, { teacherPicks: parsedResources , appId, userId});
+            trackArtifact('resources', { status: 'done' });
 
             // 2. Generate Assignment Content (NEW, detailed structure)
-            // MODIFIED PROMPT: Now explicitly asks for content based on moduleName, while maintaining the *structure* of the health tracker example.
-            const assignmentPrompt = `Generate a comprehensive assignment for a module on "${moduleName}".
-            The assignment MUST strictly follow the structural layout (number of sections, number of tasks per section, marks per task, types of tasks like text_input/code_input) of a typical coding assignment, similar to the "Simple Health Tracker Application" example you were previously given.
-            However, the ENTIRE CONTENT (scenario, question titles, task descriptions, and resources) must be ORIGINAL and RELEVANT to "${moduleName}", NOT about health tracking or Python unless "${moduleName}" is specifically a Python topic.
-            For any coding tasks, assume Python is the default language unless a different language is strongly implied by the module name.
-            Ensure all fields in the JSON schema are populated accurately and completely.
-
-            Assignment Structure Example (DO NOT USE THIS CONTENT, ONLY THE STRUCTURE):
-            Total Marks: 100
-            Scenario: Your assignment will have a main scenario.
-
-            Question 1: (20 Marks)
-            Sub-Scenario: This question will have a sub-scenario.
-            Task 1.1: (10 Marks) [text_input]
-            Task 1.2: (10 Marks) [text_input]
-
-            Question 2: (30 Marks)
-            Sub-Scenario: This question will have a sub-scenario.
-            Task 2.1: (15 Marks) [code_input, e.g., Python]
-            Task 2.2: (15 Marks) [code_input, e.g., Python]
-
-            Question 3: (20 Marks)
-            Sub-Scenario: This question will have a sub-scenario.
-            Task 3.1: (20 Marks) [text_input]
-
-            Question 4: (30 Marks)
-            Sub-Scenario: This question will have a sub-scenario.
-            Task 4.1: (20 Marks) [text_input]
-            Task 4.2: (10 Marks) [text_input]
-
-            Provide the output as a JSON object strictly following this schema, including relevant resources for "${moduleName}":
-            `;
-
-            const assignmentSchema = {
-                type: "OBJECT",
-                properties: {
-                    title: { type: "STRING" },
-                    total_marks: { type: "NUMBER" },
-                    scenario: {
-                        type: "OBJECT",
-                        properties: {
-                            title: { type: "STRING" },
-                            description: { type: "STRING" }
-                        },
-                        required: ["title", "description"]
-                    },
-                    sections: {
-                        type: "ARRAY",
-                        items: {
-                            type: "OBJECT",
-                            properties: {
-                                section_id: { type: "STRING" },
-                                section_title: { type: "STRING" },
-                                marks: { type: "NUMBER" },
-                                sub_scenario: {
-                                    type: "OBJECT",
-                                    properties: {
-                                        title: { type: "STRING" },
-                                        description: { type: "STRING" }
-                                    },
-                                    required: ["title", "description"]
-                                },
-                                tasks: {
-                                    type: "ARRAY",
-                                    items: {
-                                        type: "OBJECT",
-                                        properties: {
-                                            task_id: { type: "STRING" },
-                                            task_description: { type: "STRING" },
-                                            marks: { type: "NUMBER" },
-                                            type: { type: "STRING", enum: ["text_input", "code_input"] },
-                                            language: { type: "STRING" } // Optional, for code_input
-                                        },
-                                        required: ["task_id", "task_description", "marks", "type"]
-                                    }
-                                }
-                            },
-                            required: ["section_id", "section_title", "marks", "sub_scenario", "tasks"]
-                        }
-                    },
-                    resources: {
-                        type: "ARRAY",
-                        items: {
-                            type: "OBJECT",
-                            properties: {
-                                title: { type: "STRING" },
-                                url: { type: "STRING" },
-                                type: { type: "STRING", enum: ["website", "video", "pdf", "book"] },
-                                category: { type: "STRING" }
-                            },
-                            required: ["title", "url", "type", "category"]
-                        }
-                    }
-                },
-                required: ["title", "total_marks", "scenario", "sections"] // Removed resources from required for now, as AI might sometimes omit it
-            };
-
-
-            const assignmentPayload = {
-                contents: [{ role: "user", parts: [{ text: assignmentPrompt }] }],
-                generationConfig: {
-                    responseMimeType: "application/json",
-                    responseSchema: assignmentSchema
-                }
-            };
-
-            const assignmentResponse = await fetch(apiUrl, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(assignmentPayload)
-            });
-
-            if (!assignmentResponse.ok) {
-                const errorData = await assignmentResponse.json();
-                throw new Error(`API error: ${assignmentResponse.status} - ${errorData.error.message || assignmentResponse.statusText}`);
-            }
-
-            const assignmentResult = await assignmentResponse.json();
             let parsedAssignment: any = null;
-            if (assignmentResult.candidates && assignmentResult.candidates.length > 0 && assignmentResult.candidates[0].content && assignmentResult.candidates[0].content.parts && assignmentResult.candidates[0].content.parts.length > 0) {
-                try {
-                    parsedAssignment = JSON.parse(assignmentResult.candidates[0].content.parts[0].text);
-                } catch (e) {
-                    console.error("Failed to parse assignment JSON:", e, assignmentResult.candidates[0].content.parts[0].text);
+            trackArtifact('assignment', { status: 'generating' });
+            try {
+                parsedAssignment = await generateJson(moduleLlm, { prompt: buildAssignmentPrompt(moduleName, objectives), schema: assignmentSchema }, {
+                    check: checkAssignment,
+                    signal,
+                    onPartial: (partial) => trackArtifact('assignment', { items: sectionHeadings(partial) }),
+                    onReply: (result) => { assignmentModel = result.model || moduleLlm.model; },
+                });
+            } catch (e) {
+                if (!isUnusableReply(e)) throw e;
+                if (e.code !== 'empty') {
+                    console.error("Failed to parse assignment JSON:", e, e.rawText);
                     setErrorMessage("AI generated malformed assignment. Using fallback.");
-                    // Provide a minimal fallback that matches the new structure to prevent further errors
-                    parsedAssignment = {
-                        title: `Generic Assignment for ${moduleName}`,
-                        total_marks: 100,
-                        scenario: { title: "Generic Scenario", description: "This is a fallback assignment." },
-                        sections: [{
-                            section_id: "fallback1",
-                            section_title: "Part 1: Fallback Tasks",
-                            marks: 50,
-                            sub_scenario: { title: "Fallback Sub-scenario", description: "Review basic concepts." },
-                            tasks: [{ task_id: "F1.1", task_description: "Complete task A.", marks: 25, type: "text_input" }]
-                        }],
-                        resources: []
-                    };
                 }
-            } else {
-                // Also provide a minimal fallback if no content is generated
-                parsedAssignment = {
-                    title: `Generic Assignment for ${moduleName}`,
-                    total_marks: 100,
-                    scenario: { title: "Generic Scenario", description: "This is a fallback assignment." },
-                    sections: [{
-                        section_id: "fallback1",
-                        section_title: "Part 1: Fallback Tasks",
-                        marks: 50,
-                        sub_scenario: { title: "Fallback Sub-scenario", description: "Review basic concepts." },
-                        tasks: [{ task_id: "F1.1", task_description: "Complete task A.", marks: 25, type: "text_input" }]
-                    }],
-                    resources: []
-                };
+                // Provide a minimal fallback that matches the new structure to prevent further errors
+                parsedAssignment = fallbackAssignment(moduleName);
+                vetted = false;
             }
-            setAssignmentContent(parsedAssignment);
-            await updateModuleInFirestore(moduleId, { assignmentContent: parsedAssignment });
-
+            trackArtifact('assignment', { status: 'done' });
+
+            const content = { teacherPicks: parsedResources, assignmentContent: parsedAssignment };
+            const provenance: ContentProvenance = {
+                model: assignmentModel,
+                promptVersion: CONTENT_PROMPT_VERSION,
+                generatedAt: new Date().toISOString(),
+                source: 'generated',
+            };
+            await saveContent(content, provenance);
+            if (vetted && userId && cacheKey && !regenerate) {
+                saveCachedContent(cacheKey, content, provenance, userId).catch(e => console.error('Error saving to the content cache:', e));
+            }
+            return 'saved';
         } catch (error) {
+            if (isAborted(error)) {
+                console.log(`Generation for module ${moduleId} cancelled.`);
+                return 'cancelled';
+            }
             console.error('Error generating module content:', error);
-            setErrorMessage(`Failed to generate module content: ${error.message}. Ensure your API key is valid.`);
+            setErrorMessage(generationErrorMessage(error, `Failed to generate module content: ${error.message}. Ensure your API key is valid.`));
             setTeacherPicks([]);
             setAssignmentContent(null);
+            return 'failed';
         } finally {
+            finishGeneration(generation);
             setLoading(false);
         }
-    }, [geminiApiKey, updateModuleInFirestore, appId, userId]);
+    }, [updateModuleInFirestore, appId, userId, startGeneration, trackArtifact, finishGeneration]);
 
     // --- Module Management ---
-    const createNewModule = async () => {
-        if (!topic.trim()) {
+    type ModuleLink = { classId: string; classTopicId: string } | { courseId: string; courseStepId: string; objectives: string[] };
+    type ProvidedContent = ModuleContent & { version?: number };
+
+    // A new module document before any content is generated
+    const newModuleDocument = (name: string, link: ModuleLink | null, providedContent: ProvidedContent | null) => ({
+        name: name.trim(),
+        ...(link || {}),
+        status: 'started',
+        resources: [],
+        teacherPicks: [],
+        assignmentContent: null,
+        assignments: {}, // Assignments will now be tracked by section completion, not part1/part2
+        quizzes: [],
+        finalTestScore: 0,
+        certificateIssued: false,
+        ...(providedContent ? {
+            teacherPicks: providedContent.teacherPicks,
+            assignmentContent: providedContent.assignmentContent,
+            questionBanks: providedContent.questionBanks,
+            ...(providedContent.version ? { contentVersion: providedContent.version } : {}),
+            contentLocked: true,
+        } : {}),
+        createdAt: new Date().toISOString(),
+        lastUpdated: new Date().toISOString(),
+    });
+
+    // `link` ties the module to a topic assigned by an instructor, so it shows on their dashboard,
+    // or to a step of one of the learner's courses (tagged with the step's learning objectives).
+    // `providedContent` is a class topic's published release or a hand-written / imported module:
+    // the module starts from it, locked, instead of generating its own.
+    const createNewModule = async (moduleTopic = topic, link: ModuleLink | null = null, providedContent: ProvidedContent | null = null) => {
+        if (!moduleTopic.trim()) {
             setErrorMessage('Please enter a topic for the new module.');
             return;
         }
@@ -456,8 +487,8 @@ export const App = () => {
             return;
         }
             */
-        if (!geminiApiKey) {
-            setErrorMessage("Gemini API Key is not set. Please set REACT_APP_GEMINI_API_KEY in your .env file.");
+        if (!llm && !providedContent) {
+            setErrorMessage(llmConfigError || "AI provider is not configured.");
             return;
         }
 
@@ -467,19 +498,7 @@ export const App = () => {
         setErrorMessage('');
         try {
             const moduleId = `module-${Date.now()}`;
-            const newModuleData = {
-                name: topic,
-                status: 'started',
-                resources: [],
-                teacherPicks: [],
-                assignmentContent: null,
-                assignments: {}, // Assignments will now be tracked by section completion, not part1/part2
-                quizzes: [],
-                finalTestScore: 0,
-                certificateIssued: false,
-                createdAt: new Date().toISOString(),
-                lastUpdated: new Date().toISOString(),
-            };
+            const newModuleData = newModuleDocument(moduleTopic, link, providedContent);
             const moduleRef = getModuleDocRef(moduleId);
             if (!moduleRef) {
                 setErrorMessage("Database not ready. Please try again.");
@@ -488,34 +507,44 @@ export const App = () => {
             }
             await setDoc(moduleRef, newModuleData);
             setCurrentModule({ id: moduleId, ...newModuleData });
-            setAppPhase('assignment'); // Start directly at assignment for new modules
+            goToPhase('assignment', moduleId); // Start directly at assignment for new modules
             setTopic('');
             console.log("New module created:", newModuleData);
-            await generateModuleContent(newModuleData.name, moduleId);
-            const moduleDocRef = getModuleDocRef(moduleId);
-            if (moduleDocRef) {
-                const updatedModuleDoc = await getDoc(moduleDocRef);
-                if (updatedModuleDoc.exists()) {
-                    const updatedData = updatedModuleDoc.data() || {};
-                    setCurrentModule({
-                        id: updatedModuleDoc.id,
-                        name: updatedData.name ?? '',
-                        status: updatedData.status ?? '',
-                        resources: updatedData.resources ?? [],
-                        teacherPicks: updatedData.teacherPicks ?? [],
-                        assignmentContent: updatedData.assignmentContent ?? null,
-                        assignments: updatedData.assignments ?? {},
-                        quizzes: updatedData.quizzes ?? [],
-                        finalTestScore: updatedData.finalTestScore ?? 0,
-                        certificateIssued: updatedData.certificateIssued ?? false,
-                        createdAt: updatedData.createdAt ?? '',
-                        lastUpdated: updatedData.lastUpdated ?? '',
-                        ...updatedData
-                    });
+            if (providedContent) {
+                setTeacherPicks(providedContent.teacherPicks);
+                setAssignmentContent(providedContent.assignmentContent);
+            } else {
+                const outcome = await generateModuleContent(newModuleData.name, moduleId, link && 'objectives' in link ? link.objectives : []);
+                if (outcome === 'cancelled') {
+                    // Nothing was generated for it, so the module is dropped rather than left empty
+                    await deleteDoc(moduleRef);
+                    handleGoHome();
+                    return;
+                }
+                const moduleDocRef = getModuleDocRef(moduleId);
+                if (moduleDocRef) {
+                    const updatedModuleDoc = await getDoc(moduleDocRef);
+                    if (updatedModuleDoc.exists()) {
+                        const updatedData = updatedModuleDoc.data() || {};
+                        setCurrentModule({
+                            id: updatedModuleDoc.id,
+                            name: updatedData.name ?? '',
+                            status: updatedData.status ?? '',
+                            resources: updatedData.resources ?? [],
+                            teacherPicks: updatedData.teacherPicks ?? [],
+                            assignmentContent: updatedData.assignmentContent ?? null,
+                            assignments: updatedData.assignments ?? {},
+                            quizzes: updatedData.quizzes ?? [],
+                            finalTestScore: updatedData.finalTestScore ?? 0,
+                            certificateIssued: updatedData.certificateIssued ?? false,
+                            createdAt: updatedData.createdAt ?? '',
+                            lastUpdated: updatedData.lastUpdated ?? '',
+                            ...updatedData
+                        });
+                    }
                 }
             }
             setCurrentAssignmentSectionIndex(0); // Reset to first section for new assignment
-            setAssignmentResponses({}); // Clear previous responses
         } catch (error) {
             console.error("Error creating module:", error);
             setErrorMessage(`Failed to create module: ${error.message}`);
@@ -524,15 +553,39 @@ export const App = () => {
         }
     };
 
-    const selectModule = async (module) => {
+    // Creates a module for every course step that has none yet, generating each one's content in turn.
+    // Generation errors leave the module without content; it is generated again when the module is opened.
+    // Cancelling drops the module being generated and stops; the modules created before it are kept.
+    const createCourseModules = async (course: Course, onProgress: (done: number, total: number) => void) => {
+        if (!llm) throw new Error(llmConfigError || 'AI provider is not configured.');
+        const steps = course.steps.filter(step => !stepModule(course, step, modules));
+        for (const [i, step] of steps.entries()) {
+            onProgress(i, steps.length);
+            const moduleId = `module-${Date.now()}-${i + 1}`;
+            const moduleRef = getModuleDocRef(moduleId);
+            if (!moduleRef) throw new Error('Database not ready. Please try again.');
+            await setDoc(moduleRef, newModuleDocument(step.title, { courseId: course.courseId, courseStepId: step.stepId, objectives: step.objectives }, null));
+            const outcome = await generateModuleContent(step.title, moduleId, step.objectives);
+            if (outcome === 'cancelled') {
+                await deleteDoc(moduleRef);
+                break;
+            }
+        }
+        onProgress(steps.length, steps.length);
+        // generateModuleContent fills in the current module's picks and assignment; none is open here
+        setTeacherPicks([]);
+        setAssignmentContent(null);
+    };
+
+    // Loads a module into state, generating its content first if it is missing.
+    // Used both when a module card is clicked and when a module URL is opened directly.
+    const openModule = async (module: Module) => {
         setCurrentModule(module);
         setErrorMessage('');
         setTeacherPicks(module.teacherPicks || []);
         setAssignmentContent(module.assignmentContent || null);
 
-        // Determine phase based on module status
         if (module.status === 'completed' || module.status === 'needs_revisit') {
-            setAppPhase('results');
             setLastScoreDetails({
                 score: module.finalTestScore,
                 comment: module.status === 'completed' ? 'Congratulations! You have mastered this module.' : 'This module requires further study and practice.',
@@ -540,10 +593,15 @@ export const App = () => {
             });
         } else {
             // If assignment content is missing or not yet generated, attempt to generate it
-            if (!module.assignmentContent || !module.teacherPicks || module.teacherPicks.length === 0) {
-                setAppPhase('assignment'); // Stay on assignment phase while loading/generating
+            // (class modules keep the content their instructor published, even without Teacher's Picks)
+            if (!module.contentLocked && (!module.assignmentContent || !module.teacherPicks || module.teacherPicks.length === 0)) {
                 setLoading(true); // Indicate loading
-                await generateModuleContent(module.name, module.id);
+                const outcome = await generateModuleContent(module.name, module.id, module.objectives);
+                if (outcome === 'cancelled') {
+                    // The module is unchanged; its content is generated again the next time it is opened
+                    handleGoHome();
+                    return;
+                }
                 // After generation, fetch the updated module to ensure state is consistent
                 const moduleDocRef = getModuleDocRef(module.id);
                 if (moduleDocRef) {
@@ -571,20 +629,32 @@ export const App = () => {
                 }
                 setLoading(false);
             }
-
-            // After ensuring assignmentContent is loaded/generated, proceed with phase determination
-            if (module.status === 'assignment_done') {
-                setAppPhase('quiz');
-            } else if (module.quizzes.length > 0 && module.quizzes.every(q => q.score >= 80)) { // All quizzes passed
-                setAppPhase('finalTest');
-            } else {
-                setAppPhase('assignment'); // Default to assignment if not completed or quizzes not passed
-            }
             setCurrentAssignmentSectionIndex(0); // Go to first section of assignment
-            setAssignmentResponses({}); // Clear responses when selecting module
         }
     };
 
+    // Replaces the open module's picks and assignment with a fresh generation; the shared cache keeps its entry
+    const regenerateModuleContent = async () => {
+        if (!currentModule) return;
+        if (!window.confirm("Replace this module's Teacher's Picks and assignment with newly generated ones?")) return;
+        const outcome = await generateModuleContent(currentModule.name, currentModule.id, currentModule.objectives, { regenerate: true });
+        if (outcome !== 'saved') return;
+        setCurrentAssignmentSectionIndex(0);
+        // Drafts are keyed by section and task ID, which the new assignment reuses, so old answers would show under new tasks
+        try {
+            await clearDrafts();
+        } catch (e) {
+            console.error('Error clearing assignment drafts:', e);
+            setErrorMessage('The new content was saved, but your earlier answers could not be cleared.');
+        }
+    };
+
+    const selectModule = async (module: Module) => {
+        const opening = openModule(module); // Sets currentModule before navigating so the URL sync effect doesn't reopen it
+        goToPhase(defaultPhaseFor(module), module.id);
+        await opening;
+    };
+
     const addResource = async () => {
         if (!resourceInput.trim() || !currentModule) {
             setErrorMessage('Please enter a resource or select a module.');
@@ -599,13 +669,7 @@ export const App = () => {
 
     // --- NEW Assignment Navigation & Submission ---
     const handleAssignmentResponseChange = (sectionId, taskId, value) => {
-        setAssignmentResponses(prev => ({
-            ...prev,
-            [sectionId]: {
-                ...(prev[sectionId] || {}),
-                [taskId]: value
-            }
-        }));
+        updateResponse(sectionId, taskId, value); // Debounced autosave to Firestore (see useAssignmentDrafts)
     };
 
     const goToNextAssignmentSection = async () => {
@@ -618,7 +682,7 @@ export const App = () => {
                 const updatedModule = { ...currentModule, assignments: updatedAssignments, status: 'assignment_done', lastUpdated: new Date().toISOString() };
                 setCurrentModule(updatedModule);
                 await updateModuleInFirestore(currentModule.id, { assignments: updatedAssignments, status: updatedModule.status, lastUpdated: updatedModule.lastUpdated });
-                setAppPhase('quiz'); // Move to quiz phase
+                goToPhase('quiz'); // Move to quiz phase
             }
         }
     };
@@ -634,23 +698,124 @@ export const App = () => {
             setErrorMessage("No assignment to submit.");
             return;
         }
-        // In a real app, you'd send assignmentResponses to a backend for grading.
-        // For now, we'll just mark it as complete.
-        const updatedAssignments = { ...currentModule.assignments, completed: true, responses: assignmentResponses };
-        const updatedModule = { ...currentModule, assignments: updatedAssignments, status: 'assignment_done', lastUpdated: new Date().toISOString() };
-        setCurrentModule(updatedModule);
-        await updateModuleInFirestore(currentModule.id, { assignments: updatedAssignments, status: updatedModule.status, lastUpdated: updatedModule.lastUpdated });
-        alert('Assignment submitted! (In a real app, this would be graded)');
+        // Save the submission first so the responses are never lost if grading fails
+        const submittedAt = new Date().toISOString();
+        const submittedAssignments = { ...currentModule.assignments, completed: true, responses: assignmentResponses, submittedAt, grading: null };
+        const submittedModule = { ...currentModule, assignments: submittedAssignments, status: 'assignment_done', lastUpdated: submittedAt };
+        setCurrentModule(submittedModule);
+        await updateModuleInFirestore(currentModule.id, { assignments: submittedAssignments, status: submittedModule.status, lastUpdated: submittedAt });
+        await gradeSubmission(submittedModule);
+    };
+
+    // Recomputes per-objective mastery from the graded assignment and every test attempt, and stores it on the module
+    const refreshMastery = async (module: Module, attempt: Attempt | null = null): Promise<Module> => {
+        const objectives = moduleObjectives(module);
+        if (objectives.length === 0) return module;
+        try {
+            const attempts = userId ? await loadAttempts(userId, module.id) : attempt ? [attempt] : [];
+            const mastery = computeMastery(objectives, { assignment: module.assignmentContent, grading: module.assignments?.grading, attempts });
+            await updateModuleInFirestore(module.id, { mastery });
+            return { ...module, mastery };
+        } catch (error) {
+            console.error('Error updating mastery:', error);
+            return module;
+        }
+    };
+
+    // Grades the stored submission of a module and persists the per-task marks and feedback
+    const gradeSubmission = async (module: Module) => {
+        if (!llm) {
+            setErrorMessage(llmConfigError || "AI provider is not configured.");
+            return;
+        }
+        if (!module.assignmentContent || !module.assignments?.responses) return;
+        setIsGrading(true);
+        try {
+            // Hidden tests run in the sandbox first so their pass rate counts towards code task marks
+            const testResults = await runHiddenTests(module.assignmentContent, module.assignments.responses);
+            const grading = await gradeAssignment(forModule(llm, module.id), module.assignmentContent, module.assignments.responses, testResults);
+            const gradedAssignments = { ...module.assignments, testResults, grading };
+            const gradedModule = { ...module, assignments: gradedAssignments, lastUpdated: grading.gradedAt };
+            setCurrentModule(gradedModule);
+            await updateModuleInFirestore(module.id, { assignments: gradedAssignments, lastUpdated: gradedModule.lastUpdated });
+            setCurrentModule(await refreshMastery(gradedModule));
+        } catch (error) {
+            console.error('Error grading assignment:', error);
+            setErrorMessage(generationErrorMessage(error, `Your assignment was submitted but could not be graded: ${error.message}. You can retry grading from the assignment page.`));
+        } finally {
+            setIsGrading(false);
+        }
     };
 
     // --- AI Test Generation ---
+    const questionMixFor = (type: AttemptType): QuestionMix => currentModule?.questionMix?.[type] || DEFAULT_QUESTION_MIX[type];
+    const nextQuizPlan = planNextQuiz(currentModule?.quizzes || []);
+
+    // What a question's sourceResource may name: added resources and Teacher's Picks by URL or title
+    const moduleResourceNames = (): string[] => [
+        ...(currentModule?.resources || []),
+        ...(teacherPicks || []).flatMap(p => [p.url, p.title]),
+    ].filter(Boolean);
+
+    const updateQuestionMix = async (type: AttemptType, mix: QuestionMix) => {
+        if (!currentModule) return;
+        const questionMix = { ...(currentModule.questionMix || {}), [type]: mix };
+        setCurrentModule({ ...currentModule, questionMix });
+        await updateModuleInFirestore(currentModule.id, { questionMix });
+    };
+
+    // With the backend, final tests are written and marked there (see finalTestStore.ts): only those results earn certificates
+    const marksFinalTestOnServer = Boolean(llmProxyUrl);
+
+    const startServerFinalTest = async (moduleId: string) => {
+        setLoading(true);
+        setErrorMessage('');
+        setQuestions([]);
+        setUserAnswers({});
+        setScore(0);
+        setLastAttempt(null);
+        setShowCertificate(false);
+        setAssessmentMetrics(null);
+        setQuizPlan(null);
+        try {
+            const started = await startFinalTest(moduleId, questionMixFor('finalTest'));
+            setQuestions(started);
+            setAssessmentMetrics(computeMetrics(started, moduleResourceNames()));
+        } catch (error) {
+            console.error('Error starting final test:', error);
+            setErrorMessage(`Failed to start the final test: ${error.message}`);
+        } finally {
+            setLoading(false);
+        }
+    };
+
     const generateTest = async (type) => { // 'quiz' or 'finalTest'
         if (!currentModule) {
             setErrorMessage('Please select or create a module first.');
             return;
         }
-        if (!geminiApiKey) {
-            setErrorMessage("Gemini API Key is not set. Please set REACT_APP_GEMINI_API_KEY in your .env file.");
+
+        if (type === 'finalTest' && marksFinalTestOnServer) {
+            await startServerFinalTest(currentModule.id);
+            return;
+        }
+
+        // Class modules use the question bank their instructor published instead of generated questions
+        const bank = currentModule.contentLocked ? currentModule.questionBanks?.[type] : null;
+        if (bank?.length) {
+            setErrorMessage('');
+            setUserAnswers({});
+            setScore(0);
+            setLastAttempt(null);
+            setShowCertificate(false);
+            setQuizPlan(null);
+            setAssessmentMetrics(computeMetrics(bank, moduleResourceNames()));
+            setQuestions(bank);
+            return;
+        }
+
+        if (!llm) {
+            setErrorMessage(llmConfigError || "AI provider is not configured.");
             return;
         }
 
@@ -659,8 +824,10 @@ export const App = () => {
         setQuestions([]);
         setUserAnswers({});
         setScore(0);
+        setLastAttempt(null);
         setShowCertificate(false);
         setAssessmentMetrics(null);
+        setQuizPlan(null);
 
         // Include current module's resources in the prompt for AI to base questions on
         // Combine user-added and AI-generated teacher picks
@@ -668,91 +835,48 @@ export const App = () => {
             ...(currentModule.resources || []),
             ...(teacherPicks || []).map(p => p.url || p.title)
         ];
-        const resourceListForPrompt = combinedResources.length > 0 ? `The questions must be directly based on the following types of resources: ${combinedResources.join(', ')}.` : 'The questions must be directly based on standard academic textbooks and lectures.';
-
-        const promptBase = `Generate a multiple-choice test with 5 questions about "${currentModule.name}". Each question should have 4 options (A, B, C, D) and indicate the correct answer. ${resourceListForPrompt}`;
-        const promptSpecific = type === 'quiz' ?
-            `${promptBase} Focus on fundamental concepts and problem-solving applications. This is a practice quiz.` :
-            `${promptBase} This is a comprehensive final test, covering both theoretical derivations and complex problem-solving.`;
-
-        // Simulate AI metrics based on test type
-        const simulatedMetrics = type === 'quiz' ? {
-            practicalityTheoreticity: '60% Theoretical / 40% Practical',
-            predictability: 'Highly Predictable',
-            difficulty: 'Intermediate Graduate Level',
-            alignment: '100% Aligned with designated resources.',
-            learningTime: '5-10 minutes per attempt',
-            proficiencyRequired: 'Basic understanding of concepts.'
-        } : {
-            practicalityTheoreticity: '50% Theoretical / 50% Practical',
-            predictability: 'Moderately Predictable (requires synthesis)',
-            difficulty: 'High Graduate Level',
-            alignment: '100% Aligned with designated resources.',
-            learningTime: '2-3 hours for completion',
-            proficiencyRequired: 'Strong, analytical understanding and problem-solving skills.'
-        };
-        setAssessmentMetrics(simulatedMetrics);
+        const mix = questionMixFor(type);
+        if (mixTotal(mix) === 0) {
+            setErrorMessage('Choose at least one question to generate.');
+            setLoading(false);
+            return;
+        }
+
+        // Quizzes adapt to the learner's earlier quizzes; the final test is the same for everyone
+        const plan = type === 'quiz' ? planNextQuiz(currentModule.quizzes) : null;
 
+        // Questions are only kept in state until the test is submitted, so cancelling leaves nothing behind
+        const generation = startGeneration([{ id: 'questions', label: type === 'quiz' ? 'Quiz questions' : 'Final test questions', expected: mixTotal(mix) }]);
+        trackArtifact('questions', { status: 'generating' });
         try {
-            let chatHistory: { role: string; parts: { text: string }[] }[] = [];
-            chatHistory.push({ role: "user", parts: [{ text: promptSpecific }] });
-
-            const payload = {
-                contents: chatHistory,
-                generationConfig: {
-                    responseMimeType: "application/json",
-                    responseSchema: {
-                        type: "ARRAY",
-                        items: {
-                            type: "OBJECT",
-                            properties: {
-                                "question": { "type": "STRING" },
-                                "options": {
-                                    "type": "OBJECT",
-                                    "properties": {
-                                        "A": { "type": "STRING" },
-                                        "B": { "type": "STRING" },
-                                        "C": { "type": "STRING" },
-                                        "D": { "type": "STRING" }
-                                    },
-                                    "required": ["A", "B", "C", "D"]
-                                },
-                                "correctAnswer": { "type": "STRING" }
-                            },
-                            "required": ["question", "options", "correctAnswer"]
-                        }
-                    }
+            try {
+                const generated = await generateQuestions(forModule(llm, currentModule.id), {
+                    topic: currentModule.name,
+                    context: buildTestContext(combinedResources, type),
+                    mix,
+                    guidance: plan ? buildQuizGuidance(plan) : undefined,
+                    objectives: moduleObjectives(currentModule),
+                    signal: generation.signal,
+                    onProgress: (drafts) => trackArtifact('questions', { items: questionHeadings(drafts) }),
+                });
+                if (generated.length === 0) {
+                    setErrorMessage('Failed to generate questions. Please try again.');
+                } else {
+                    setQuestions(generated);
+                    setQuizPlan(plan);
+                    setAssessmentMetrics(computeMetrics(generated, moduleResourceNames()));
                 }
-            };
-
-            const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${geminiApiKey}`;
-
-            const response = await fetch(apiUrl, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(payload)
-            });
-
-            if (!response.ok) {
-                const errorData = await response.json();
-                throw new Error(`API error: ${response.status} - ${errorData.error.message || response.statusText}`);
-            }
-
-            const result = await response.json();
-
-            if (result.candidates && result.candidates.length > 0 &&
-                result.candidates[0].content && result.candidates[0].content.parts &&
-                result.candidates[0].content.parts.length > 0) {
-                const jsonString = result.candidates[0].content.parts[0].text;
-                const parsedQuestions = JSON.parse(jsonString);
-                setQuestions(parsedQuestions);
-            } else {
-                setErrorMessage('Failed to generate questions. Please try again.');
+            } catch (e) {
+                if (!isUnusableReply(e)) throw e;
+                console.error('Unusable questions after retries:', e, e.rawText);
+                setErrorMessage('The AI could not produce usable questions after several attempts. Please try again.');
             }
         } catch (error) {
+            if (isAborted(error)) return;
             console.error('Error generating test:', error);
-            setErrorMessage(`Error generating test: ${error.message}. Ensure your API key is valid and enabled for Gemini.`);
+            setErrorMessage(generationErrorMessage(error, `Error generating test: ${error.message}. Ensure your AI provider settings and API key are valid.`));
         } finally {
+            finishGeneration(generation);
             setLoading(false);
         }
     };
@@ -770,59 +894,137 @@ export const App = () => {
             return;
         }
 
-        let correctCount = 0;
-        questions.forEach((q, index) => {
-            if (userAnswers[index] === q.correctAnswer) {
-                correctCount++;
-            }
-        });
-        const calculatedScore = (correctCount / questions.length) * 100;
+        // Short answers are marked by the model, so scoring can take a moment
+        setLoading(true);
+        // The backend also stores the attempt and the module's result
+        const markedOnServer = type === 'finalTest' && marksFinalTestOnServer && Boolean(currentModule);
+        let attempt: Attempt;
+        try {
+            attempt = markedOnServer
+                ? await submitFinalTest(currentModule.id, userAnswers)
+                : await scoreAttempt(type, questions, userAnswers, llm && currentModule ? forModule(llm, currentModule.id) : llm);
+        } catch (error) {
+            console.error('Error marking test:', error);
+            setErrorMessage(generationErrorMessage(error, `Failed to mark your answers: ${error.message}. Please try submitting again.`));
+            return;
+        } finally {
+            setLoading(false);
+        }
+        const calculatedScore = attempt.score;
         setScore(calculatedScore);
+        setLastAttempt(attempt);
 
         if (!currentModule) return;
 
+        // Keep the full question set and answers so the attempt can be reviewed later
+        if (userId && !markedOnServer) {
+            try {
+                await saveAttempt(userId, currentModule.id, attempt);
+            } catch (error) {
+                console.error('Error saving attempt:', error);
+                setErrorMessage(`Failed to save this attempt for review: ${error.message}`);
+            }
+        }
+
         if (type === 'quiz') {
-            const updatedQuizzes = [...currentModule.quizzes, { score: calculatedScore, date: new Date().toISOString() }];
+            const quizRecord: QuizRecord = { score: calculatedScore, date: attempt.submittedAt, attemptId: attempt.attemptId, missedConcepts: missedConcepts(attempt) };
+            if (quizPlan) quizRecord.difficulty = quizPlan.difficulty; // Firestore rejects undefined fields
+            const updatedQuizzes = [...currentModule.quizzes, quizRecord];
             const updatedModule = { ...currentModule, quizzes: updatedQuizzes, lastUpdated: new Date().toISOString() };
             setCurrentModule(updatedModule);
             await updateModuleInFirestore(currentModule.id, { quizzes: updatedQuizzes, lastUpdated: updatedModule.lastUpdated });
-            if (calculatedScore >= 80) {
-                setAppPhase('finalTest');
-            }
+            setCurrentModule(await refreshMastery(updatedModule, attempt));
+            // Stay on the quiz so the learner can go through the review; "Proceed to Final Test" unlocks at 80+
         } else if (type === 'finalTest') {
             const certificateIssued = calculatedScore >= 80;
             const status = certificateIssued ? 'completed' : 'needs_revisit';
             const updatedModule = {
                 ...currentModule,
                 finalTestScore: calculatedScore,
+                finalTestAttemptId: attempt.attemptId,
                 certificateIssued: certificateIssued,
                 status: status,
                 lastUpdated: new Date().toISOString()
             };
             setCurrentModule(updatedModule);
-            await updateModuleInFirestore(currentModule.id, {
-                finalTestScore: calculatedScore,
-                certificateIssued: certificateIssued,
-                status: status,
-                lastUpdated: updatedModule.lastUpdated
-            });
+            if (!markedOnServer) {
+                await updateModuleInFirestore(currentModule.id, {
+                    finalTestScore: calculatedScore,
+                    finalTestAttemptId: attempt.attemptId,
+                    certificateIssued: certificateIssued,
+                    status: status,
+                    lastUpdated: updatedModule.lastUpdated
+                });
+            }
+            setCurrentModule(await refreshMastery(updatedModule, attempt));
+            // Missed questions and the assignment's key concepts become flashcards for later review
+            if (userId) {
+                try {
+                    await addModuleFlashcards(userId, updatedModule);
+                } catch (error) {
+                    console.error('Error creating flashcards:', error);
+                }
+            }
             setLastScoreDetails({
                 score: calculatedScore,
                 comment: certificateIssued ? 'Congratulations! You have mastered this module.' : 'This module requires further study and practice.',
                 certificateIssued: certificateIssued
             });
             setShowCertificate(certificateIssued);
-            setAppPhase('results');
+            goToPhase('results');
         }
     };
 
-    const downloadCertificate = () => {
-        document.execCommand('copy'); // Simulate download by copying to clipboard
-        alert('Certificate download initiated! (In a real app, a file would download)');
+    // Issues the certificate once (fixing its ID and name) and stores it on the module for re-download
+    const issueCertificate = async () => {
+        if (!currentModule) return;
+        if (!userName.trim()) {
+            setErrorMessage('Please enter your name for the certificate.');
+            return;
+        }
+        if (!userId) return;
+        let certificate;
+        try {
+            // The backend checks the module is completed, publishes the verifiable copy and stores it on the module
+            certificate = await requestCertificate({ kind: 'module', id: currentModule.id, learnerName: userName });
+        } catch (error) {
+            console.error('Error issuing certificate:', error);
+            setErrorMessage(`Failed to issue certificate: ${error.message}`);
+            return;
+        }
+        setCurrentModule({ ...currentModule, certificate, lastUpdated: certificate.issuedAt });
+    };
+
+    const copyVerificationLink = async (certificateId: string) => {
+        try {
+            await navigator.clipboard.writeText(getVerificationUrl(certificateId));
+            alert('Verification link copied to clipboard.');
+        } catch (error) {
+            console.error('Error copying verification link:', error);
+            setErrorMessage(`Could not copy the link. Share this URL instead: ${getVerificationUrl(certificateId)}`);
+        }
+    };
+
+    const downloadCertificate = (format: 'pdf' | 'png') => {
+        if (!currentModule?.certificate) return;
+        try {
+            if (format === 'pdf') {
+                downloadCertificatePdf(currentModule.certificate);
+            } else {
+                downloadCertificatePng(currentModule.certificate);
+            }
+        } catch (error) {
+            console.error('Error generating certificate:', error);
+            setErrorMessage(`Failed to generate certificate: ${error.message}`);
+        }
     };
 
     const resetModuleForRetry = async () => {
         if (!currentModule) return;
+        if (currentModule.certificate) {
+            // A retake invalidates the previously issued certificate
+            await revokeCertificate(currentModule.certificate.certificateId);
+        }
         const updatedModule = {
             ...currentModule,
             status: 'started',
@@ -830,57 +1032,98 @@ export const App = () => {
             quizzes: [],
             finalTestScore: 0,
             certificateIssued: false,
+            certificate: null,
             lastUpdated: new Date().toISOString()
         };
         setCurrentModule(updatedModule);
-        await updateModuleInFirestore(currentModule.id, updatedModule);
-        setAppPhase('assignment'); // Go back to assignment start
-        setCurrentAssignmentSectionIndex(0); // Reset assignment section
-        setAssignmentResponses({}); // Clear responses
+        // The module is written with merge, which would keep every field of the old map: drop it instead
+        await updateModuleInFirestore(currentModule.id, { ...updatedModule, assignments: deleteField() });
+        goToPhase('assignment'); // Go back to assignment start
+        setCurrentAssignmentSectionIndex(0); // Reset assignment section (drafts are kept so the learner can build on them)
         setQuestions([]);
         setUserAnswers({});
         setScore(0);
+        setLastAttempt(null);
         setShowCertificate(false);
-        setUserName('');
+        setUserName(profile?.displayName || '');
         setErrorMessage('');
         setAssessmentMetrics(null);
+        setQuizPlan(null);
         setLastScoreDetails(null);
     };
 
     // --- Navigation Handlers ---
-    const handleGoHome = () => {
-        setAppPhase('moduleSelect');
+    const goToPhase = (phase: AppPhase, moduleId = currentModule?.id) => {
+        navigate(pathForPhase(phase, moduleId));
+    };
+
+    // Clears everything tied to the open module; runs whenever the URL leaves a module
+    const resetModuleSession = () => {
         setCurrentModule(null); // Clear current module when going home
         // Reset other states as needed for a clean start
         setQuestions([]);
         setUserAnswers({});
         setScore(0);
+        setLastAttempt(null);
         setShowCertificate(false);
-        setUserName('');
+        setUserName(profile?.displayName || '');
         setErrorMessage('');
         setAssessmentMetrics(null);
         setLastScoreDetails(null);
         setCurrentAssignmentSectionIndex(0);
-        setAssignmentResponses({});
+    };
+
+    const handleGoHome = () => {
+        goToPhase('moduleSelect'); // The URL sync effect below resets the module session
     };
 
     const handleNavigateToPhase = (phase) => {
         if (currentModule) { // Only navigate if a module is selected
-            setAppPhase(phase);
+            goToPhase(phase);
             // Reset relevant states when navigating between major phases
             if (phase === 'assignment') {
                 setCurrentAssignmentSectionIndex(0);
-                setAssignmentResponses({});
             } else if (phase === 'quiz' || phase === 'finalTest') {
                 setQuestions([]);
                 setUserAnswers({});
                 setScore(0);
+                setLastAttempt(null);
             }
         } else {
             setErrorMessage("Please select a module first to navigate to this section.");
         }
     };
 
+    // --- Keep state in sync with the URL (deep links, refresh, back/forward) ---
+    useEffect(() => {
+        if (!route) {
+            navigate(MODULES_PATH, { replace: true }); // Unknown path, including "/"
+            return;
+        }
+        if (!routeModuleId) {
+            if (currentModule) resetModuleSession();
+            return;
+        }
+        if (isRouteModuleOpen || !modulesLoaded) return;
+        const module = modules.find(m => m.id === routeModuleId);
+        if (module) {
+            openModule(module);
+        } else {
+            navigate(MODULES_PATH, { replace: true });
+            setErrorMessage('That module could not be found.');
+        }
+        // Only re-run when the URL or the loaded module list changes; the handlers are recreated every render
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [location.pathname, routeModuleId, modulesLoaded, modules]);
+
+    // Redirect to the guarded phase when the requested one isn't available yet
+    const requestedPhase = route?.phase;
+    useEffect(() => {
+        if (requestedPhase && isRouteModuleOpen && appPhase !== requestedPhase) {
+            navigate(pathForPhase(appPhase, routeModuleId), { replace: true });
+        }
+    }, [requestedPhase, isRouteModuleOpen, appPhase, routeModuleId, navigate]);
+
     // --- UI Components ---
     const NavigationBar = ({ currentPhase, onNavigate, onGoHome, currentModule }) => (
         <div className="flex flex-wrap justify-center gap-2 md:gap-4 mb-8 p-4 bg-gray-100 rounded-lg shadow-inner">
@@ -910,6 +1153,12 @@ export const App = () => {
                     >
                         Final Test
                     </button>
+                    <button
+                        onClick={() => onNavigate('history')}
+                        className={`py-2 px-4 rounded-lg font-bold text-sm md:text-base transition-colors duration-200 ${currentPhase === 'history' ? 'bg-gray-700 text-white shadow-lg' : 'bg-gray-200 text-gray-800 hover:bg-gray-300'}`}
+                    >
+                        History
+                    </button>
                 </>
             )}
         </div>
@@ -938,14 +1187,17 @@ export const App = () => {
     };
 
     // --- UI Rendering Logic ---
+    // Course modules are listed under their course, which enforces the prerequisite order
     const renderModuleSelect = () => (
         <div className="space-y-6">
             <h2 className="text-3xl font-bold text-gray-800 text-center mb-6">Your Modules</h2>
             {modules.length === 0 ? (
                 <p className="text-gray-600 text-center">No modules yet. Create your first one!</p>
+            ) : modules.every(module => module.courseId) ? (
+                <p className="text-gray-600 text-center">All your modules are part of a course. Open them from Your Courses below.</p>
             ) : (
                 <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                    {modules.map(module => (
+                    {modules.filter(module => !module.courseId).map(module => (
                         <div
                             key={module.id}
                             onClick={() => selectModule(module)}
@@ -957,6 +1209,7 @@ export const App = () => {
                                 {module.finalTestScore > 0 && (
                                     <p className="text-sm text-gray-600">Last Score: <span className="font-medium text-purple-700">{module.finalTestScore.toFixed(2)}%</span></p>
                                 )}
+                                {module.mastery?.length > 0 && <MasteryBreakdown mastery={module.mastery} compact />}
                             </div>
                             <button className="mt-4 bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 transition-colors duration-200">
                                 Open Module
@@ -966,8 +1219,36 @@ export const App = () => {
                 </div>
             )}
 
+            {userId && <ReviewPanel userId={userId} modules={modules} />}
+
+            {userId && (
+                <ClassPanel
+                    userId={userId}
+                    displayName={profile?.displayName || authUser?.displayName || userName || 'Guest learner'}
+                    modules={modules}
+                    busy={loading}
+                    onStartTopic={(classRecord, classTopic, release) => createNewModule(classTopic.topic, { classId: classRecord.classId, classTopicId: classTopic.topicId }, release)}
+                    onOpenModule={selectModule}
+                />
+            )}
+
+            {userId && (
+                <CoursePanel
+                    userId={userId}
+                    learnerName={userName || profile?.displayName || ''}
+                    modules={modules}
+                    busy={loading}
+                    onStartStep={(course, step) => createNewModule(step.title, { courseId: course.courseId, courseStepId: step.stepId, objectives: step.objectives })}
+                    onCreateModules={createCourseModules}
+                    generation={generationProgress}
+                    onCancelGeneration={cancelGeneration}
+                    onOpenModule={selectModule}
+                />
+            )}
+
             <div className="mt-8 pt-6 border-t border-gray-200">
                 <h3 className="text-2xl font-bold text-gray-800 mb-4">Create New Module</h3>
+                {userId && llmProxyUrl && <UsageMeter proxyUrl={llmProxyUrl} busy={loading} />}
                 <div className="flex flex-col sm:flex-row gap-4">
                     <input
                         type="text"
@@ -977,14 +1258,35 @@ export const App = () => {
                         className="flex-grow p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 outline-none text-lg"
                     />
                     <button
-                        onClick={createNewModule}
+                        onClick={() => createNewModule()}
                         disabled={loading}
                         className="bg-green-600 text-white font-bold py-3 px-6 rounded-lg shadow-lg hover:bg-green-700 transition-all duration-300 transform hover:scale-105 disabled:opacity-50 disabled:cursor-not-allowed text-lg"
                     >
                         {loading ? 'Creating...' : 'Create Module'}
                     </button>
                 </div>
+                <button onClick={() => setShowAuthoring(!showAuthoring)} className="mt-4 text-blue-600 font-semibold hover:underline">
+                    {showAuthoring ? 'Hide manual authoring' : 'Or write a module by hand / import a module file'}
+                </button>
+                {showAuthoring && (
+                    <div className="mt-4">
+                        <ModuleAuthoring busy={loading} onCreate={(module) => createNewModule(module.name, null, module)} />
+                    </div>
+                )}
             </div>
+
+            {userId && (
+                <div className="mt-8 pt-6 border-t border-gray-200">
+                    <button onClick={() => setShowBackup(!showBackup)} className="text-2xl font-bold text-gray-800 hover:text-blue-700">
+                        Backup &amp; Restore {showBackup ? '▾' : '▸'}
+                    </button>
+                    {showBackup && (
+                        <div className="mt-4">
+                            <BackupPanel userId={userId} modules={modules} />
+                        </div>
+                    )}
+                </div>
+            )}
         </div>
     );
 
@@ -1026,7 +1328,9 @@ export const App = () => {
 
             <div className="p-6 bg-green-50 rounded-lg shadow-inner">
                 <h3 className="text-2xl font-bold text-green-800 mb-4">Teacher's Picks (AI Generated)</h3>
-                {loading ? (
+                {loading && generationProgress ? (
+                    <GenerationProgress artifacts={generationProgress} onCancel={cancelGeneration} />
+                ) : loading ? (
                     <p className="text-green-700 text-lg text-center">Generating teacher's picks...</p>
                 ) : teacherPicks.length === 0 ? (
                     <p className="text-gray-600">No teacher's picks available. Try generating module content again.</p>
@@ -1049,13 +1353,13 @@ export const App = () => {
 
             <div className="flex justify-center gap-4 mt-8">
                 <button
-                    onClick={() => setAppPhase('assignment')}
+                    onClick={() => goToPhase('assignment')}
                     className="bg-blue-600 text-white font-bold py-3 px-8 rounded-lg shadow-lg hover:bg-blue-700 transition-all duration-300 transform hover:scale-105 text-lg"
                 >
                     Proceed to Assignment
                 </button>
                 <button
-                    onClick={() => setAppPhase('moduleSelect')}
+                    onClick={handleGoHome}
                     className="bg-gray-300 text-gray-800 font-bold py-3 px-8 rounded-lg shadow-md hover:bg-gray-400 transition-all duration-200 transform hover:scale-105 text-lg"
                 >
                     Back to Modules
@@ -1070,7 +1374,7 @@ export const App = () => {
                 <div className="text-center p-8">
                     <p className="text-red-600 text-lg">No assignment loaded for this module.</p>
                     <button
-                        onClick={() => setAppPhase('moduleSelect')}
+                        onClick={handleGoHome}
                         className="mt-4 bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700"
                     >
                         Back to Modules
@@ -1083,7 +1387,13 @@ export const App = () => {
             return (
                 <div className="text-center p-8">
                     <p className="text-blue-600 text-xl font-semibold">Loading assignment content...</p>
-                    <p className="text-gray-600 mt-2">This might take a moment as the AI generates it.</p>
+                    {generationProgress ? (
+                        <div className="mt-6 max-w-xl mx-auto">
+                            <GenerationProgress artifacts={generationProgress} onCancel={cancelGeneration} />
+                        </div>
+                    ) : (
+                        <p className="text-gray-600 mt-2">This might take a moment as the AI generates it.</p>
+                    )}
                 </div>
             );
         }
@@ -1109,6 +1419,29 @@ export const App = () => {
                 <p className="text-gray-600 text-base text-center mb-4">
                     {assignmentContent.scenario.description}
                 </p>
+                <ContentProvenanceNote
+                    provenance={currentModule.contentProvenance}
+                    onRegenerate={!currentModule.contentLocked && !currentModule.assignments?.responses ? regenerateModuleContent : undefined}
+                    busy={loading}
+                />
+                <DraftStatusBadge status={draftStatus} lastSavedAt={draftSavedAt} />
+
+                {isGrading && (
+                    <p className="text-blue-600 text-lg font-semibold text-center">Grading your submission...</p>
+                )}
+                {!isGrading && currentModule.assignments?.grading && (
+                    <GradingBreakdown grading={currentModule.assignments.grading} assignment={assignmentContent} />
+                )}
+                {!isGrading && currentModule.assignments?.responses && !currentModule.assignments?.grading && (
+                    <div className="text-center">
+                        <button
+                            onClick={() => gradeSubmission(currentModule)}
+                            className="bg-green-600 text-white font-bold py-2 px-4 rounded-lg shadow-md hover:bg-green-700 transition-colors duration-200"
+                        >
+                            Grade Submitted Assignment
+                        </button>
+                    </div>
+                )}
 
                 {/* Removed redundant loading check here as it's handled above */}
                 <div className="p-6 bg-yellow-50 rounded-lg shadow-inner space-y-6">
@@ -1133,13 +1466,20 @@ export const App = () => {
                                 ></textarea>
                             )}
                             {task.type === 'code_input' && (
-                                <textarea
-                                    className="w-full p-3 border border-gray-300 rounded-md focus:ring-2 focus:ring-green-500 outline-none text-base font-mono bg-gray-900 text-green-400"
-                                    rows={10}
-                                    placeholder={`Write your ${task.language || 'Python'} code for Task ${task.task_id} here...`}
+                                <CodeTask
+                                    task={task}
                                     value={assignmentResponses[currentSection.section_id]?.[task.task_id] || ''}
-                                    onChange={(e) => handleAssignmentResponseChange(currentSection.section_id, task.task_id, e.target.value)}
-                                ></textarea>
+                                    onChange={(value) => handleAssignmentResponseChange(currentSection.section_id, task.task_id, value)}
+                                />
+                            )}
+                            {userId && (
+                                <DraftHistory
+                                    userId={userId}
+                                    moduleId={currentModule.id}
+                                    sectionId={currentSection.section_id}
+                                    taskId={task.task_id}
+                                    onRestore={(value) => handleAssignmentResponseChange(currentSection.section_id, task.task_id, value)}
+                                />
                             )}
                         </div>
                     ))}
@@ -1156,7 +1496,8 @@ export const App = () => {
                     {isLastSection ? (
                         <button
                             onClick={submitAssignment}
-                            className="bg-green-600 text-white font-bold py-3 px-6 rounded-lg shadow-lg hover:bg-green-700 transition-all duration-300 transform hover:scale-105 text-lg"
+                            disabled={isGrading}
+                            className="bg-green-600 text-white font-bold py-3 px-6 rounded-lg shadow-lg hover:bg-green-700 transition-all duration-300 transform hover:scale-105 disabled:opacity-50 disabled:cursor-not-allowed text-lg"
                         >
                             Submit Assignment
                         </button>
@@ -1200,31 +1541,36 @@ export const App = () => {
             </p>
 
             <div className="p-6 bg-purple-50 rounded-lg shadow-inner">
-                <h3 className="text-2xl font-bold text-purple-800 mb-4">Quiz Details (AI Metrics)</h3>
-                {assessmentMetrics && (
-                    <ul className="list-disc list-inside space-y-2 text-gray-700">
-                        <li>**Practicality/Theoreticity:** {assessmentMetrics.practicalityTheoreticity}</li>
-                        <li>**Predictability:** {assessmentMetrics.predictability}</li>
-                        <li>**Difficulty:** {assessmentMetrics.difficulty}</li>
-                        <li>**Alignment:** {assessmentMetrics.alignment}</li>
-                        <li>**Learning Time:** {assessmentMetrics.learningTime}</li>
-                        <li>**Proficiency Required:** {assessmentMetrics.proficiencyRequired}</li>
-                    </ul>
+                <h3 className="text-2xl font-bold text-purple-800 mb-4">Quiz Details</h3>
+                {!currentModule?.contentLocked && questions.length === 0 && (
+                    <p className="mb-4 text-gray-700">Next quiz: {nextQuizPlan.reason}{nextQuizPlan.focusConcepts.length > 0 && ` It revisits ${nextQuizPlan.focusConcepts.join(', ')}.`}</p>
                 )}
+                {quizPlan && questions.length > 0 && (
+                    <p className="mb-4 text-gray-700">{quizPlan.reason}{quizPlan.focusConcepts.length > 0 && ` It revisits ${quizPlan.focusConcepts.join(', ')}.`}</p>
+                )}
+                {assessmentMetrics && <AssessmentMetricsList metrics={assessmentMetrics} />}
+                {currentModule?.contentLocked
+                    ? <p className="mt-4 text-gray-700">Your instructor prepared this quiz's questions.</p>
+                    : <QuestionMixEditor mix={questionMixFor('quiz')} onChange={(mix) => updateQuestionMix('quiz', mix)} disabled={loading} />}
                 <button
                     onClick={() => generateTest('quiz')}
                     disabled={loading}
                     className="mt-6 bg-purple-600 text-white font-bold py-3 px-6 rounded-lg shadow-lg hover:bg-purple-700 transition-all duration-300 transform hover:scale-105 disabled:opacity-50 disabled:cursor-not-allowed text-lg"
                 >
-                    {loading ? 'Generating Quiz...' : 'Generate Quiz'}
+                    {loading ? 'Generating Quiz...' : currentModule?.contentLocked ? 'Start Quiz' : 'Generate Quiz'}
                 </button>
+                {generationProgress && (
+                    <div className="mt-6">
+                        <GenerationProgress artifacts={generationProgress} onCancel={cancelGeneration} />
+                    </div>
+                )}
             </div>
 
             {errorMessage && (
                 <p className="text-red-600 text-md mt-4 text-center">{errorMessage}</p>
             )}
 
-            {questions.length > 0 && (
+            {questions.length > 0 && !lastAttempt && (
                 <div className="p-6 bg-gray-50 rounded-lg shadow-md">
                     {/* Tabs for questions */}
                     <QuestionTabs
@@ -1237,44 +1583,50 @@ export const App = () => {
                     {questions.map((q, qIndex) => (
                         <div key={qIndex} className="mb-6 p-5 border border-gray-200 rounded-lg bg-white shadow-sm hover:shadow-md transition-shadow duration-200">
                             <p className="text-lg font-semibold text-gray-900 mb-3">{qIndex + 1}. {q.question}</p>
-                            <div className="space-y-2">
-                                {Object.entries(q.options).map(([optionKey, optionValue]) => (
-                                    <label key={optionKey} className="flex items-center text-gray-700 cursor-pointer hover:bg-blue-50 p-2 rounded-md transition-colors duration-150">
-                                        <input
-                                            type="radio"
-                                            name={`quiz-question-${qIndex}`}
-                                            value={optionKey}
-                                            checked={userAnswers[qIndex] === optionKey}
-                                            onChange={() => handleAnswerChange(qIndex, optionKey)}
-                                            className="form-radio h-5 w-5 text-blue-600 border-gray-300 focus:ring-blue-500"
-                                        />
-                                        <span className="ml-3 text-base">{optionKey}. {optionValue}</span>
-                                    </label>
-                                ))}
-                            </div>
+                            <QuestionInput
+                                question={q}
+                                name={`quiz-question-${qIndex}`}
+                                value={userAnswers[qIndex]}
+                                onChange={(value) => handleAnswerChange(qIndex, value)}
+                            />
                         </div>
                     ))}
                     <div className="flex justify-center mt-8">
                         <button
                             onClick={() => submitTest('quiz')}
-                            className="bg-gradient-to-r from-green-500 to-teal-600 text-white font-bold py-3 px-8 rounded-lg shadow-lg hover:from-green-600 hover:to-teal-700 transition-all duration-300 transform hover:scale-105 text-lg"
+                            disabled={loading}
+                            className="bg-gradient-to-r from-green-500 to-teal-600 text-white font-bold py-3 px-8 rounded-lg shadow-lg hover:from-green-600 hover:to-teal-700 transition-all duration-300 transform hover:scale-105 disabled:opacity-50 disabled:cursor-not-allowed text-lg"
                         >
-                            Submit Quiz
+                            {loading ? 'Marking...' : 'Submit Quiz'}
                         </button>
                     </div>
                 </div>
             )}
 
+            {lastAttempt?.type === 'quiz' && (
+                <div className="p-6 bg-gray-50 rounded-lg shadow-md">
+                    <h3 className="text-2xl font-bold text-gray-800 mb-2 text-center">Quiz Review</h3>
+                    <p className="text-xl text-center mb-6">
+                        Score: <span className={lastAttempt.score >= 80 ? 'text-green-600' : 'text-red-600'}>{lastAttempt.score.toFixed(0)}%</span>
+                        {' '}({lastAttempt.correctCount}/{lastAttempt.questions.length} correct)
+                    </p>
+                    <AttemptReview attempt={lastAttempt} />
+                    <p className="text-gray-600 text-center mt-6">
+                        {lastAttempt.score >= 80 ? 'Well done! The final test is now unlocked.' : 'Generate a new quiz to try again. The final test unlocks at 80%.'}
+                    </p>
+                </div>
+            )}
+
             <div className="flex justify-center gap-4 mt-8">
                 <button
-                    onClick={() => setAppPhase('finalTest')}
-                    disabled={!currentModule?.quizzes.some(q => q.score >= 80)}
+                    onClick={() => goToPhase('finalTest')}
+                    disabled={!currentModule || !hasPassedQuiz(currentModule)}
                     className="bg-blue-600 text-white font-bold py-3 px-8 rounded-lg shadow-lg hover:bg-blue-700 transition-all duration-300 transform hover:scale-105 disabled:opacity-50 disabled:cursor-not-allowed text-lg"
                 >
                     Proceed to Final Test
                 </button>
                 <button
-                    onClick={() => setAppPhase('assignment')}
+                    onClick={() => goToPhase('assignment')}
                     className="bg-gray-300 text-gray-800 font-bold py-3 px-8 rounded-lg shadow-md hover:bg-gray-400 transition-all duration-200 transform hover:scale-105 text-lg"
                 >
                     Back to Assignment
@@ -1291,31 +1643,30 @@ export const App = () => {
             </p>
 
             <div className="p-6 bg-red-50 rounded-lg shadow-inner">
-                <h3 className="text-2xl font-bold text-red-800 mb-4">Final Test Details (AI Metrics)</h3>
-                {assessmentMetrics && (
-                    <ul className="list-disc list-inside space-y-2 text-gray-700">
-                        <li>**Practicality/Theoreticity:** {assessmentMetrics.practicalityTheoreticity}</li>
-                        <li>**Predictability:** {assessmentMetrics.predictability}</li>
-                        <li>**Difficulty:** {assessmentMetrics.difficulty}</li>
-                        <li>**Alignment:** {assessmentMetrics.alignment}</li>
-                        <li>**Learning Time:** {assessmentMetrics.learningTime}</li>
-                        <li>**Proficiency Required:** {assessmentMetrics.proficiencyRequired}</li>
-                    </ul>
-                )}
+                <h3 className="text-2xl font-bold text-red-800 mb-4">Final Test Details</h3>
+                {assessmentMetrics && <AssessmentMetricsList metrics={assessmentMetrics} />}
+                {currentModule?.contentLocked
+                    ? <p className="mt-4 text-gray-700">Your instructor prepared this test's questions.</p>
+                    : <QuestionMixEditor mix={questionMixFor('finalTest')} onChange={(mix) => updateQuestionMix('finalTest', mix)} disabled={loading} />}
                 <button
                     onClick={() => generateTest('finalTest')}
                     disabled={loading}
                     className="mt-6 bg-red-600 text-white font-bold py-3 px-6 rounded-lg shadow-lg hover:bg-red-700 transition-all duration-300 transform hover:scale-105 disabled:opacity-50 disabled:cursor-not-allowed text-lg"
                 >
-                    {loading ? 'Generating Test...' : 'Generate Final Test'}
+                    {loading ? 'Generating Test...' : currentModule?.contentLocked ? 'Start Final Test' : 'Generate Final Test'}
                 </button>
+                {generationProgress && (
+                    <div className="mt-6">
+                        <GenerationProgress artifacts={generationProgress} onCancel={cancelGeneration} />
+                    </div>
+                )}
             </div>
 
             {errorMessage && (
                 <p className="text-red-600 text-md mt-4 text-center">{errorMessage}</p>
             )}
 
-            {questions.length > 0 && (
+            {questions.length > 0 && !lastAttempt && (
                 <div className="p-6 bg-gray-50 rounded-lg shadow-md">
                     {/* Tabs for questions */}
                     <QuestionTabs
@@ -1328,29 +1679,21 @@ export const App = () => {
                     {questions.map((q, qIndex) => (
                         <div key={qIndex} className="mb-6 p-5 border border-gray-200 rounded-lg bg-white shadow-sm hover:shadow-md transition-shadow duration-200">
                             <p className="text-lg font-semibold text-gray-900 mb-3">{qIndex + 1}. {q.question}</p>
-                            <div className="space-y-2">
-                                {Object.entries(q.options).map(([optionKey, optionValue]) => (
-                                    <label key={optionKey} className="flex items-center text-gray-700 cursor-pointer hover:bg-blue-50 p-2 rounded-md transition-colors duration-150">
-                                        <input
-                                            type="radio"
-                                            name={`final-test-question-${qIndex}`}
-                                            value={optionKey}
-                                            checked={userAnswers[qIndex] === optionKey}
-                                            onChange={() => handleAnswerChange(qIndex, optionKey)}
-                                            className="form-radio h-5 w-5 text-blue-600 border-gray-300 focus:ring-blue-500"
-                                        />
-                                        <span className="ml-3 text-base">{optionKey}. {optionValue}</span>
-                                    </label>
-                                ))}
-                            </div>
+                            <QuestionInput
+                                question={q}
+                                name={`final-test-question-${qIndex}`}
+                                value={userAnswers[qIndex]}
+                                onChange={(value) => handleAnswerChange(qIndex, value)}
+                            />
                         </div>
                     ))}
                     <div className="flex justify-center mt-8">
                         <button
                             onClick={() => submitTest('finalTest')}
-                            className="bg-gradient-to-r from-green-500 to-teal-600 text-white font-bold py-3 px-8 rounded-lg shadow-lg hover:from-green-600 hover:to-teal-700 transition-all duration-300 transform hover:scale-105 text-lg"
+                            disabled={loading}
+                            className="bg-gradient-to-r from-green-500 to-teal-600 text-white font-bold py-3 px-8 rounded-lg shadow-lg hover:from-green-600 hover:to-teal-700 transition-all duration-300 transform hover:scale-105 disabled:opacity-50 disabled:cursor-not-allowed text-lg"
                         >
-                            Submit Final Test
+                            {loading ? 'Marking...' : 'Submit Final Test'}
                         </button>
                     </div>
                 </div>
@@ -1358,7 +1701,7 @@ export const App = () => {
 
             <div className="flex justify-center gap-4 mt-8">
                 <button
-                    onClick={() => setAppPhase('quiz')}
+                    onClick={() => goToPhase('quiz')}
                     className="bg-gray-300 text-gray-800 font-bold py-3 px-8 rounded-lg shadow-md hover:bg-gray-400 transition-all duration-200 transform hover:scale-105 text-lg"
                 >
                     Back to Quiz
@@ -1381,8 +1724,46 @@ export const App = () => {
                             Final Score: <span className={`${lastScoreDetails.score >= 80 ? 'text-green-600' : 'text-red-600'}`}>{lastScoreDetails.score.toFixed(2)}%</span>
                         </p>
                         <p className="text-lg text-gray-700 mb-6">{lastScoreDetails.comment}</p>
+                        {currentModule?.mastery?.length > 0 && (
+                            <div className="mb-6 p-4 bg-gray-50 rounded-lg">
+                                <h3 className="text-xl font-bold text-gray-800 mb-3">Learning Objectives</h3>
+                                <MasteryBreakdown mastery={currentModule.mastery} />
+                            </div>
+                        )}
+                        {lastAttempt?.type === 'finalTest' && (
+                            <details className="text-left mb-6">
+                                <summary className="cursor-pointer text-blue-600 font-semibold text-center">Review your answers</summary>
+                                <div className="mt-4">
+                                    <AttemptReview attempt={lastAttempt} />
+                                </div>
+                            </details>
+                        )}
 
-                        {lastScoreDetails.certificateIssued && (
+                        {lastScoreDetails.certificateIssued && currentModule?.certificate && (
+                            <>
+                                <p className="text-xl text-gray-700 mb-2">Certificate issued to <span className="font-bold text-blue-700">{currentModule.certificate.learnerName}</span></p>
+                                <p className="text-sm text-gray-500 mb-2">Certificate ID: {currentModule.certificate.certificateId} &middot; Issued {formatIssueDate(currentModule.certificate.issuedAt)}</p>
+                                <p className="text-sm text-gray-500 mb-6">
+                                    Verify at <a href={getVerificationUrl(currentModule.certificate.certificateId)} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline break-words">{getVerificationUrl(currentModule.certificate.certificateId)}</a>
+                                    <button onClick={() => copyVerificationLink(currentModule.certificate.certificateId)} className="ml-2 text-blue-600 font-semibold hover:underline">Copy link</button>
+                                </p>
+                                <div className="flex justify-center gap-4">
+                                    <button
+                                        onClick={() => downloadCertificate('pdf')}
+                                        className="bg-gradient-to-r from-blue-500 to-purple-500 text-white font-bold py-3 px-6 rounded-lg shadow-md hover:from-blue-600 hover:to-purple-600 transition-all duration-200 transform hover:scale-105 text-lg"
+                                    >
+                                        Download PDF
+                                    </button>
+                                    <button
+                                        onClick={() => downloadCertificate('png')}
+                                        className="bg-gradient-to-r from-purple-500 to-pink-500 text-white font-bold py-3 px-6 rounded-lg shadow-md hover:from-purple-600 hover:to-pink-600 transition-all duration-200 transform hover:scale-105 text-lg"
+                                    >
+                                        Download PNG
+                                    </button>
+                                </div>
+                            </>
+                        )}
+                        {lastScoreDetails.certificateIssued && !currentModule?.certificate && (
                             <>
                                 <p className="text-xl text-gray-700 mb-4">Enter your name for the certificate:</p>
                                 <input
@@ -1393,10 +1774,11 @@ export const App = () => {
                                     className="text-4xl font-bold text-blue-700 border-b-2 border-blue-400 bg-transparent outline-none text-center mb-6 p-2 w-full max-w-sm mx-auto focus:border-blue-600 transition-colors duration-200"
                                 />
                                 <button
-                                    onClick={downloadCertificate}
-                                    className="bg-gradient-to-r from-blue-500 to-purple-500 text-white font-bold py-3 px-6 rounded-lg shadow-md hover:from-blue-600 hover:to-purple-600 transition-all duration-200 transform hover:scale-105 text-lg"
+                                    onClick={issueCertificate}
+                                    disabled={!userName.trim()}
+                                    className="bg-gradient-to-r from-blue-500 to-purple-500 text-white font-bold py-3 px-6 rounded-lg shadow-md hover:from-blue-600 hover:to-purple-600 transition-all duration-200 transform hover:scale-105 disabled:opacity-50 disabled:cursor-not-allowed text-lg"
                                 >
-                                    Download Certificate
+                                    Issue Certificate
                                 </button>
                             </>
                         )}
@@ -1413,29 +1795,40 @@ export const App = () => {
 
                 <div className="flex justify-center gap-4 mt-8">
                     <button
-                        onClick={() => {
-                            setAppPhase('moduleSelect');
-                            setCurrentModule(null);
-                            setQuestions([]);
-                            setUserAnswers({});
-                            setScore(0);
-                            setShowCertificate(false);
-                            setUserName('');
-                            setErrorMessage('');
-                            setAssessmentMetrics(null);
-                            setLastScoreDetails(null);
-                            setCurrentAssignmentSectionIndex(0); // Reset assignment section
-                            setAssignmentResponses({}); // Clear responses
-                        }}
+                        onClick={handleGoHome}
                         className="bg-gray-300 text-gray-800 font-bold py-3 px-6 rounded-lg shadow-md hover:bg-gray-400 transition-all duration-200 transform hover:scale-105 text-lg"
                     >
                         Back to All Modules
                     </button>
+                    <button
+                        onClick={() => goToPhase('history')}
+                        className="bg-gray-700 text-white font-bold py-3 px-6 rounded-lg shadow-md hover:bg-gray-800 transition-all duration-200 transform hover:scale-105 text-lg"
+                    >
+                        Review Attempts
+                    </button>
                 </div>
             </div>
         </div>
     );
 
+    const renderHistoryPhase = () => (
+        <div className="space-y-6">
+            <h2 className="text-3xl font-bold text-gray-800 text-center">Attempt History: {currentModule?.name}</h2>
+            <p className="text-gray-600 text-center">Open any attempt to see each question, your answer and the correct answer.</p>
+            {userId && currentModule && <AttemptHistory userId={userId} moduleId={currentModule.id} />}
+            {(currentModule?.status === 'completed' || currentModule?.status === 'needs_revisit') && (
+                <div className="flex justify-center">
+                    <button
+                        onClick={() => goToPhase('results')}
+                        className="bg-gray-300 text-gray-800 font-bold py-3 px-6 rounded-lg shadow-md hover:bg-gray-400 transition-all duration-200 transform hover:scale-105 text-lg"
+                    >
+                        Back to Results
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+
     const renderContent = () => {
         if (!isAuthReady) {
             return (
@@ -1447,6 +1840,24 @@ export const App = () => {
             );
         }
 
+        if (!userId || showAuthPanel) {
+            if (!userId && !isSignedOut) {
+                return (
+                    <div className="text-center p-8">
+                        <p className="text-xl text-gray-700 font-semibold">Signing you in...</p>
+                        {errorMessage && <p className="text-red-600 mt-4">{errorMessage}</p>}
+                    </div>
+                );
+            }
+            return (
+                <AuthPanel
+                    isGuest={!!authUser?.isAnonymous}
+                    onSignedIn={handleSignedIn}
+                    onCancel={userId ? () => setShowAuthPanel(false) : undefined}
+                />
+            );
+        }
+
         if (errorMessage && !loading) {
             return (
                 <div className="text-center p-8 bg-red-100 rounded-lg shadow-md">
@@ -1462,6 +1873,14 @@ export const App = () => {
             );
         }
 
+        if (routeModuleId && !isRouteModuleOpen) {
+            return (
+                <div className="text-center p-8">
+                    <p className="text-xl text-gray-700 font-semibold">Loading module...</p>
+                </div>
+            );
+        }
+
         return (
             <>
                 {appPhase !== 'moduleSelect' && appPhase !== 'results' && currentModule && (
@@ -1487,6 +1906,8 @@ export const App = () => {
                             return renderFinalTestPhase();
                         case 'results':
                             return renderResultsPhase();
+                        case 'history':
+                            return renderHistoryPhase();
                         default:
                             return renderModuleSelect();
                     }
@@ -1503,8 +1924,16 @@ export const App = () => {
                         Quantum Leap AI Education Academy
                     </span>
                 </h1>
-                {userId && (
-                    <p className="text-sm text-gray-500 text-center mb-4">User ID: {userId}</p>
+                {userId && authUser && !showAuthPanel && (
+                    <AccountBar
+                        isGuest={authUser.isAnonymous}
+                        label={profile?.displayName || authUser.displayName || authUser.email || 'your account'}
+                        displayName={profile?.displayName || authUser.displayName || ''}
+                        isInstructor={isInstructor}
+                        onSaveDisplayName={saveDisplayName}
+                        onSignIn={() => setShowAuthPanel(true)}
+                        onSignOut={handleSignOut}
+                    />
                 )}
                 {renderContent()}
             </div>
@@ -0,0 +1,65 @@
+import { useEffect, useState } from 'react';
+import { Attempt } from './attempts.ts';
+import { loadAttempts } from './attemptStore.ts';
+import { AttemptReview } from './AttemptReview.tsx';
+
+const TYPE_LABELS = { quiz: 'Practice Quiz', finalTest: 'Final Test' };
+
+type Props = {
+    userId: string;
+    moduleId: string;
+};
+
+// Every quiz and final-test attempt for a module, newest first, each expandable into a full review
+export const AttemptHistory = ({ userId, moduleId }: Props) => {
+    const [attempts, setAttempts] = useState<Attempt[] | null>(null);
+    const [error, setError] = useState('');
+    const [openId, setOpenId] = useState<string | null>(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        setAttempts(null);
+        setError('');
+        loadAttempts(userId, moduleId)
+            .then(loaded => {
+                if (!cancelled) setAttempts(loaded);
+            })
+            .catch(e => {
+                console.error('Error loading attempts:', e);
+                if (!cancelled) setError('Could not load your attempt history.');
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [userId, moduleId]);
+
+    if (error) return <p className="text-red-600 text-center">{error}</p>;
+    if (attempts === null) return <p className="text-gray-500 text-center">Loading attempts...</p>;
+    if (attempts.length === 0) return <p className="text-gray-600 text-center">No quiz or final-test attempts yet.</p>;
+
+    return (
+        <ul className="space-y-3">
+            {attempts.map(attempt => (
+                <li key={attempt.attemptId} className="bg-gray-50 rounded-lg border border-gray-200">
+                    <button
+                        onClick={() => setOpenId(openId === attempt.attemptId ? null : attempt.attemptId)}
+                        className="w-full flex items-center justify-between p-4 text-left hover:bg-gray-100 rounded-lg transition-colors duration-200"
+                    >
+                        <span>
+                            <span className="font-semibold text-gray-800">{TYPE_LABELS[attempt.type]}</span>
+                            <span className="text-gray-500 text-sm ml-2">{new Date(attempt.submittedAt).toLocaleString()}</span>
+                        </span>
+                        <span className={`font-bold ${attempt.score >= 80 ? 'text-green-600' : 'text-red-600'}`}>
+                            {attempt.score.toFixed(0)}% ({attempt.correctCount}/{attempt.questions.length})
+                        </span>
+                    </button>
+                    {openId === attempt.attemptId && (
+                        <div className="p-4 border-t border-gray-200">
+                            <AttemptReview attempt={attempt} />
+                        </div>
+                    )}
+                </li>
+            ))}
+        </ul>
+    );
+};
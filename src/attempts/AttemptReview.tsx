@@ -0,0 +1,41 @@
+import { QuestionReview } from '../questions/QuestionReview.tsx';
+import { Attempt } from './attempts.ts';
+
+const isUrl = (value: string) => /^https?:\/\//i.test(value);
+
+// Question-by-question breakdown of one attempt: the learner's answer against the correct one,
+// with the explanation, per-option rationales and source resource when the question carries them
+export const AttemptReview = ({ attempt }: { attempt: Attempt }) => (
+    <div className="space-y-4">
+        {attempt.questions.map((q, index) => {
+            const result = attempt.results[index];
+            const credit = result?.credit ?? (result?.correct ? 1 : 0); // Attempts saved before partial credit only have `correct`
+            const borderClass = result?.correct ? 'bg-green-50 border-green-500' : credit > 0 ? 'bg-yellow-50 border-yellow-500' : 'bg-red-50 border-red-500';
+            return (
+                <div key={index} className={`p-4 rounded-lg border-l-4 ${borderClass}`}>
+                    <p className="font-semibold text-gray-800 mb-2">
+                        {index + 1}. {q.question}
+                        {!result?.correct && credit > 0 && <span className="ml-2 text-sm font-normal text-yellow-800">({Math.round(credit * 100)}% credit)</span>}
+                    </p>
+                    <div className="space-y-1">
+                        <QuestionReview question={q} answer={result?.userAnswer ?? null} />
+                    </div>
+                    {result?.feedback && (
+                        <p className="text-gray-700 mt-3"><span className="font-semibold">Feedback:</span> {result.feedback}</p>
+                    )}
+                    {q.explanation && (
+                        <p className="text-gray-700 mt-3"><span className="font-semibold">Explanation:</span> {q.explanation}</p>
+                    )}
+                    {q.sourceResource && (
+                        <p className="text-sm text-gray-500 mt-1">
+                            Source:{' '}
+                            {isUrl(q.sourceResource)
+                                ? <a href={q.sourceResource} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline">{q.sourceResource}</a>
+                                : q.sourceResource}
+                        </p>
+                    )}
+                </div>
+            );
+        })}
+    </div>
+);
@@ -0,0 +1,16 @@
+import { collection, doc, getDocs, orderBy, query, setDoc } from 'firebase/firestore';
+import { db, appId } from '../firebase';
+import { Attempt } from './attempts.ts';
+
+// artifacts/${appId}/users/${userId}/modules/${moduleId}/attempts/${attemptId}
+const attemptsCollection = (userId: string, moduleId: string) =>
+    collection(db, `artifacts/${appId}/users/${userId}/modules/${moduleId}/attempts`);
+
+export const saveAttempt = async (userId: string, moduleId: string, attempt: Attempt) => {
+    await setDoc(doc(attemptsCollection(userId, moduleId), attempt.attemptId), attempt);
+};
+
+export const loadAttempts = async (userId: string, moduleId: string): Promise<Attempt[]> => {
+    const snapshot = await getDocs(query(attemptsCollection(userId, moduleId), orderBy('submittedAt', 'desc')));
+    return snapshot.docs.map(d => d.data() as Attempt);
+};
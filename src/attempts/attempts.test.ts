@@ -0,0 +1,33 @@
+import { createMockProvider } from '../llm/index.ts';
+import { scoreAttempt } from './attempts.ts';
+
+const question = (correctAnswer: string) => ({
+    question: 'Which gate creates superposition?',
+    options: { A: 'Hadamard', B: 'Pauli-X', C: 'CNOT', D: 'T' },
+    correctAnswer,
+});
+
+test('records per-question correctness alongside the score', async () => {
+    const attempt = await scoreAttempt('quiz', [question('A'), question('B'), question('C'), question('D')], { 0: 'A', 1: 'C', 3: 'D' });
+    expect(attempt.type).toBe('quiz');
+    expect(attempt.correctCount).toBe(2);
+    expect(attempt.score).toBe(50);
+    expect(attempt.results.map(r => r.correct)).toEqual([true, false, false, true]);
+    expect(attempt.results[1]).toEqual({ userAnswer: 'C', credit: 0, correct: false });
+    expect(attempt.results[2].userAnswer).toBeNull();
+    expect(attempt.questions).toHaveLength(4);
+});
+
+test('counts partial credit and marks short answers with the model', async () => {
+    const respond = jest.fn(() => ({ credit: 0.5, feedback: 'Mentions amplitudes but not measurement.' }));
+    const questions = [
+        question('A'),
+        { type: 'short_text' as const, question: 'What is a qubit?', modelAnswer: 'A two-level quantum system.', keyPoints: ['two-level', 'superposition'] },
+        { type: 'short_text' as const, question: 'What is decoherence?', modelAnswer: 'Loss of coherence.', keyPoints: ['environment'] },
+    ];
+    const attempt = await scoreAttempt('finalTest', questions, { 0: 'A', 1: 'Amplitudes over |0> and |1>' }, createMockProvider({ respond }));
+    expect(respond).toHaveBeenCalledTimes(1); // the blank answer is not sent to the model
+    expect(attempt.results[1]).toEqual({ userAnswer: 'Amplitudes over |0> and |1>', credit: 0.5, correct: false, feedback: 'Mentions amplitudes but not measurement.' });
+    expect(attempt.correctCount).toBe(1);
+    expect(attempt.score).toBe(50);
+});
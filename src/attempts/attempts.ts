@@ -0,0 +1,50 @@
+import { LlmProvider } from '../llm/index.ts';
+import { Question, QuestionAnswer, UserAnswers } from '../questions/questionTypes.ts';
+import { scoreAnyQuestion } from '../questions/scoring.ts';
+
+export type AttemptType = 'quiz' | 'finalTest';
+
+export type QuestionResult = {
+    userAnswer: QuestionAnswer | null;
+    credit: number; // 0-1
+    correct: boolean;
+    feedback?: string; // AI feedback on short answers
+};
+
+// One submitted quiz or final test, stored in full so it can be reviewed later
+export type Attempt = {
+    attemptId: string;
+    type: AttemptType;
+    questions: Question[];
+    userAnswers: UserAnswers;
+    results: QuestionResult[];
+    correctCount: number;
+    score: number; // Percentage, counting partial credit
+    submittedAt: string;
+};
+
+export const createAttemptId = (type: AttemptType) => `${type}-${Date.now()}`;
+
+// Marks every question and builds the attempt record that gets persisted.
+// The provider is only used for short-answer questions.
+export const scoreAttempt = async (type: AttemptType, questions: Question[], userAnswers: UserAnswers, provider: LlmProvider | null = null): Promise<Attempt> => {
+    const results: QuestionResult[] = [];
+    for (const [index, question] of questions.entries()) {
+        const userAnswer = userAnswers[index] ?? null;
+        const { credit, correct, feedback } = await scoreAnyQuestion(provider, question, userAnswer);
+        const result: QuestionResult = { userAnswer, credit, correct };
+        if (feedback) result.feedback = feedback; // Firestore rejects undefined fields
+        results.push(result);
+    }
+    const totalCredit = results.reduce((sum, r) => sum + r.credit, 0);
+    return {
+        attemptId: createAttemptId(type),
+        type,
+        questions,
+        userAnswers,
+        results,
+        correctCount: results.filter(r => r.correct).length,
+        score: questions.length > 0 ? (totalCredit / questions.length) * 100 : 0,
+        submittedAt: new Date().toISOString(),
+    };
+};
@@ -0,0 +1,33 @@
+import { auth } from '../firebase';
+import { Question, QuestionMix, UserAnswers } from '../questions/questionTypes.ts';
+import { Attempt } from './attempts.ts';
+
+// Final tests taken through the backend (functions/finalTests.js), which writes and marks them itself and
+// records the result on the module, so certificates can be issued against it. The questions come without
+// their answers; the marked attempt comes back with them for review.
+export const FINAL_TEST_URL = process.env.REACT_APP_FINAL_TEST_URL || '/api/final-test';
+
+const callFinalTest = async (body: object) => {
+    const token = await auth.currentUser?.getIdToken();
+    if (!token) throw new Error('You must be signed in to take the final test.');
+    const response = await fetch(FINAL_TEST_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+        body: JSON.stringify(body),
+    });
+    const reply = await response.json().catch(() => null);
+    if (!response.ok) throw new Error(reply?.error?.message || `The final test service replied with status ${response.status}.`);
+    return reply;
+};
+
+export const startFinalTest = async (moduleId: string, mix: QuestionMix): Promise<Question[]> => {
+    const reply = await callFinalTest({ action: 'start', moduleId, mix });
+    if (!Array.isArray(reply?.questions)) throw new Error('The final test service did not return any questions.');
+    return reply.questions;
+};
+
+export const submitFinalTest = async (moduleId: string, answers: UserAnswers): Promise<Attempt> => {
+    const reply = await callFinalTest({ action: 'submit', moduleId, answers });
+    if (!reply?.attempt) throw new Error('The final test service did not return the marked test.');
+    return reply.attempt;
+};
@@ -0,0 +1,64 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { TEACH_PATH } from '../routes.ts';
+
+type Props = {
+    isGuest: boolean;
+    label: string; // Display name or email
+    displayName: string;
+    isInstructor: boolean;
+    onSaveDisplayName: (displayName: string) => Promise<void>;
+    onSignIn: () => void;
+    onSignOut: () => void;
+};
+
+// Who is signed in, with profile editing, the teacher dashboard for instructors, sign-in for guests and sign-out
+export const AccountBar = ({ isGuest, label, displayName, isInstructor, onSaveDisplayName, onSignIn, onSignOut }: Props) => {
+    const [editing, setEditing] = useState(false);
+    const [name, setName] = useState(displayName);
+    const [saving, setSaving] = useState(false);
+
+    const save = async () => {
+        setSaving(true);
+        try {
+            await onSaveDisplayName(name.trim());
+            setEditing(false);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    if (isGuest) {
+        return (
+            <div className="flex flex-wrap items-center justify-center gap-2 text-sm text-gray-600 mb-4">
+                <span>You are learning as a guest. Create an account to keep your modules on any device.</span>
+                <button onClick={onSignIn} className="text-blue-600 font-semibold hover:underline">Sign in / Create account</button>
+            </div>
+        );
+    }
+
+    return (
+        <div className="flex flex-wrap items-center justify-center gap-2 text-sm text-gray-600 mb-4">
+            {editing ? (
+                <>
+                    <input
+                        type="text"
+                        value={name}
+                        onChange={(e) => setName(e.target.value)}
+                        placeholder="Your name"
+                        className="p-1 border border-gray-300 rounded-md"
+                    />
+                    <button onClick={save} disabled={saving || !name.trim()} className="text-blue-600 font-semibold hover:underline disabled:opacity-50 disabled:cursor-not-allowed">Save</button>
+                    <button onClick={() => { setName(displayName); setEditing(false); }} className="text-gray-600 font-semibold hover:underline">Cancel</button>
+                </>
+            ) : (
+                <>
+                    <span>Signed in as <span className="font-semibold text-gray-800">{label}</span></span>
+                    <button onClick={() => { setName(displayName); setEditing(true); }} className="text-blue-600 font-semibold hover:underline">Edit name</button>
+                </>
+            )}
+            {isInstructor && <Link to={TEACH_PATH} className="text-purple-600 font-semibold hover:underline">Teacher dashboard</Link>}
+            <button onClick={onSignOut} className="text-red-600 font-semibold hover:underline">Sign out</button>
+        </div>
+    );
+};
@@ -0,0 +1,119 @@
+import { FormEvent, useState } from 'react';
+import { User } from 'firebase/auth';
+import { continueAsGuest, describeAuthError, OAUTH_PROVIDERS, OAuthProviderId, resetPassword, signInWithEmail, signInWithOAuth, signUpWithEmail } from './authService.ts';
+
+type Mode = 'signIn' | 'signUp' | 'reset';
+
+type Props = {
+    isGuest: boolean; // Signing in from a guest session carries its modules over
+    onSignedIn: (user: User, carriedOver: number) => void;
+    onCancel?: () => void;
+};
+
+const inputClass = 'w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none';
+
+// Email/password and OAuth sign-in, account creation and password reset
+export const AuthPanel = ({ isGuest, onSignedIn, onCancel }: Props) => {
+    const [mode, setMode] = useState<Mode>(isGuest ? 'signUp' : 'signIn');
+    const [email, setEmail] = useState('');
+    const [password, setPassword] = useState('');
+    const [displayName, setDisplayName] = useState('');
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState('');
+    const [notice, setNotice] = useState('');
+
+    const run = async (action: () => Promise<{ user: User; carriedOver: number } | void>) => {
+        setBusy(true);
+        setError('');
+        setNotice('');
+        try {
+            const result = await action();
+            if (result) onSignedIn(result.user, result.carriedOver);
+        } catch (e) {
+            console.error('Authentication error:', e);
+            setError(describeAuthError(e));
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const submit = (e: FormEvent) => {
+        e.preventDefault();
+        if (mode === 'signUp') {
+            if (!displayName.trim()) {
+                setError('Please enter your name.');
+                return;
+            }
+            run(() => signUpWithEmail(email.trim(), password, displayName.trim()));
+        } else if (mode === 'signIn') {
+            run(() => signInWithEmail(email.trim(), password));
+        } else {
+            run(async () => {
+                await resetPassword(email.trim());
+                setNotice('Check your inbox for a link to reset your password.');
+            });
+        }
+    };
+
+    return (
+        <div className="max-w-md mx-auto p-6 bg-gray-50 rounded-lg shadow-md space-y-4">
+            <h2 className="text-2xl font-bold text-gray-800 text-center">
+                {mode === 'signUp' ? 'Create your account' : mode === 'signIn' ? 'Sign in' : 'Reset your password'}
+            </h2>
+            {isGuest && mode !== 'reset' && (
+                <p className="text-sm text-gray-600 text-center">Your guest modules will be kept in your account.</p>
+            )}
+            <form onSubmit={submit} className="space-y-3">
+                {mode === 'signUp' && (
+                    <input type="text" value={displayName} onChange={(e) => setDisplayName(e.target.value)} placeholder="Your name (used on certificates)" className={inputClass} />
+                )}
+                <input type="email" value={email} onChange={(e) => setEmail(e.target.value)} placeholder="Email" autoComplete="email" className={inputClass} />
+                {mode !== 'reset' && (
+                    <input
+                        type="password"
+                        value={password}
+                        onChange={(e) => setPassword(e.target.value)}
+                        placeholder="Password"
+                        autoComplete={mode === 'signUp' ? 'new-password' : 'current-password'}
+                        className={inputClass}
+                    />
+                )}
+                {error && <p className="text-red-600 text-sm">{error}</p>}
+                {notice && <p className="text-green-700 text-sm">{notice}</p>}
+                <button
+                    type="submit"
+                    disabled={busy || !email.trim()}
+                    className="w-full bg-blue-600 text-white font-bold py-3 px-6 rounded-lg shadow-md hover:bg-blue-700 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed text-lg"
+                >
+                    {busy ? 'Please wait...' : mode === 'signUp' ? 'Create Account' : mode === 'signIn' ? 'Sign In' : 'Send Reset Link'}
+                </button>
+            </form>
+
+            {mode !== 'reset' && (
+                <div className="space-y-2">
+                    <p className="text-center text-sm text-gray-500">or</p>
+                    {(Object.keys(OAUTH_PROVIDERS) as OAuthProviderId[]).map(id => (
+                        <button
+                            key={id}
+                            onClick={() => run(() => signInWithOAuth(id))}
+                            disabled={busy}
+                            className="w-full bg-white border border-gray-300 text-gray-800 font-semibold py-2 px-4 rounded-lg hover:bg-gray-100 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                            Continue with {OAUTH_PROVIDERS[id].label}
+                        </button>
+                    ))}
+                </div>
+            )}
+
+            <div className="flex flex-wrap justify-center gap-x-4 gap-y-1 text-sm">
+                {mode !== 'signIn' && <button onClick={() => setMode('signIn')} className="text-blue-600 font-semibold hover:underline">I already have an account</button>}
+                {mode !== 'signUp' && <button onClick={() => setMode('signUp')} className="text-blue-600 font-semibold hover:underline">Create an account</button>}
+                {mode === 'signIn' && <button onClick={() => setMode('reset')} className="text-blue-600 font-semibold hover:underline">Forgot password?</button>}
+                {!isGuest && !onCancel && (
+                    <button onClick={() => run(async () => ({ user: await continueAsGuest(), carriedOver: 0 }))} className="text-gray-600 font-semibold hover:underline">Continue as guest</button>
+                )}
+                {onCancel && <button onClick={onCancel} className="text-gray-600 font-semibold hover:underline">Cancel</button>}
+            </div>
+        </div>
+    );
+};
@@ -0,0 +1,123 @@
+import { EmailAuthProvider, GoogleAuthProvider, linkWithCredential, linkWithPopup, signInWithCredential, signInWithEmailAndPassword } from 'firebase/auth';
+import { transferGuestCertificates } from '../certificates/certificateStore.ts';
+import { auth } from '../firebase';
+import { describeAuthError, hasSignedOut, signInWithEmail, signInWithOAuth, signOutUser, signUpWithEmail } from './authService.ts';
+import { readGuestData, removeGuestMemberships, restoreGuestMemberships, writeGuestData } from './guestMigration.ts';
+import { saveProfile } from './profileStore.ts';
+
+jest.mock('../firebase', () => ({ auth: { currentUser: null } }));
+// Mock implementations are reset before every test (react-scripts sets resetMocks), so they are set in beforeEach
+jest.mock('firebase/auth', () => ({
+    createUserWithEmailAndPassword: jest.fn(),
+    EmailAuthProvider: { credential: jest.fn() },
+    GithubAuthProvider: Object.assign(jest.fn(), { credentialFromError: jest.fn() }),
+    GoogleAuthProvider: Object.assign(jest.fn(), { credentialFromError: jest.fn() }),
+    linkWithCredential: jest.fn(),
+    linkWithPopup: jest.fn(),
+    sendPasswordResetEmail: jest.fn(),
+    signInAnonymously: jest.fn(),
+    signInWithCredential: jest.fn(),
+    signInWithEmailAndPassword: jest.fn(),
+    signInWithPopup: jest.fn(),
+    signOut: jest.fn(),
+    updateProfile: jest.fn(),
+}));
+jest.mock('./guestMigration.ts', () => ({
+    ...jest.requireActual('./guestMigration.ts'),
+    readGuestData: jest.fn(),
+    writeGuestData: jest.fn(),
+    removeGuestMemberships: jest.fn(),
+    restoreGuestMemberships: jest.fn(),
+}));
+jest.mock('./profileStore.ts', () => ({ saveProfile: jest.fn() }));
+jest.mock('../certificates/certificateStore.ts', () => ({ transferGuestCertificates: jest.fn() }));
+
+const guest = { uid: 'guest-1', isAnonymous: true, getIdToken: jest.fn() };
+const account = { uid: 'user-1', isAnonymous: false, displayName: 'Ada', email: 'ada@example.com' };
+const guestData = (overrides = {}) => ({ modules: [], courses: [], flashcards: [], profile: null, memberships: [], instructorIds: [], ...overrides });
+
+beforeEach(() => {
+    (EmailAuthProvider.credential as jest.Mock).mockImplementation((email, password) => ({ email, password }));
+    (GoogleAuthProvider.credentialFromError as jest.Mock).mockImplementation(error => error.credential || null);
+    (writeGuestData as jest.Mock).mockImplementation(async (userId, data) => data.modules.length);
+    (removeGuestMemberships as jest.Mock).mockResolvedValue(undefined);
+    (restoreGuestMemberships as jest.Mock).mockResolvedValue(undefined);
+    guest.getIdToken.mockResolvedValue('guest-token');
+    (auth as { currentUser: unknown }).currentUser = guest;
+    localStorage.clear();
+});
+
+test('signing in to an existing account carries the guest\'s data over and moves their certificates', async () => {
+    (readGuestData as jest.Mock).mockResolvedValue(guestData({ modules: [{ id: 'm1', data: { certificate: { certificateId: 'QLA-A' } }, nested: {} }] }));
+    (signInWithEmailAndPassword as jest.Mock).mockResolvedValue({ user: account });
+
+    const result = await signInWithEmail('ada@example.com', 'secret');
+
+    expect(result).toEqual({ user: account, carriedOver: 1 });
+    expect(readGuestData).toHaveBeenCalledWith('guest-1');
+    expect(writeGuestData).toHaveBeenCalledWith('user-1', expect.objectContaining({ modules: expect.any(Array) }));
+    expect(transferGuestCertificates).toHaveBeenCalledWith('guest-token');
+});
+
+test('does not copy or transfer anything for a guest without data or certificates', async () => {
+    (readGuestData as jest.Mock).mockResolvedValue(guestData());
+    (signInWithEmailAndPassword as jest.Mock).mockResolvedValue({ user: account });
+
+    expect(await signInWithEmail('ada@example.com', 'secret')).toEqual({ user: account, carriedOver: 0 });
+    expect(writeGuestData).not.toHaveBeenCalled();
+    expect(guest.getIdToken).not.toHaveBeenCalled();
+    expect(transferGuestCertificates).not.toHaveBeenCalled();
+});
+
+test('leaves the guest\'s classes before signing in and rejoins them when the sign-in fails', async () => {
+    const data = guestData({ memberships: [{ classId: 'class-1', member: { learnerId: 'guest-1' } }] });
+    (readGuestData as jest.Mock).mockResolvedValue(data);
+    (signInWithEmailAndPassword as jest.Mock).mockRejectedValue({ code: 'auth/invalid-credential' });
+
+    await expect(signInWithEmail('ada@example.com', 'wrong')).rejects.toEqual({ code: 'auth/invalid-credential' });
+
+    expect(removeGuestMemberships).toHaveBeenCalledWith('guest-1', data);
+    expect(restoreGuestMemberships).toHaveBeenCalledWith('guest-1', data);
+    expect(writeGuestData).not.toHaveBeenCalled();
+});
+
+test('copies flashcards even when the guest has no modules', async () => {
+    (readGuestData as jest.Mock).mockResolvedValue(guestData({ flashcards: [{ id: 'card-1', data: {} }] }));
+    (signInWithEmailAndPassword as jest.Mock).mockResolvedValue({ user: account });
+
+    await signInWithEmail('ada@example.com', 'secret');
+
+    expect(writeGuestData).toHaveBeenCalled();
+});
+
+test('signing up as a guest upgrades the guest account in place', async () => {
+    (linkWithCredential as jest.Mock).mockResolvedValue({ user: { ...account, uid: 'guest-1' } });
+
+    const result = await signUpWithEmail('ada@example.com', 'secret', 'Ada');
+
+    expect(result.carriedOver).toBe(0);
+    expect(linkWithCredential).toHaveBeenCalledWith(guest, { email: 'ada@example.com', password: 'secret' });
+    expect(saveProfile).toHaveBeenCalledWith('guest-1', { displayName: 'Ada', email: 'ada@example.com' });
+    expect(readGuestData).not.toHaveBeenCalled();
+});
+
+test('OAuth falls back to signing in and copying when the provider account is already in use', async () => {
+    const credential = { providerId: 'google.com' };
+    (linkWithPopup as jest.Mock).mockRejectedValue({ code: 'auth/credential-already-in-use', credential });
+    (readGuestData as jest.Mock).mockResolvedValue(guestData({ modules: [{ id: 'm1', data: {}, nested: {} }] }));
+    (signInWithCredential as jest.Mock).mockResolvedValue({ user: account });
+
+    const result = await signInWithOAuth('google');
+
+    expect(signInWithCredential).toHaveBeenCalledWith(auth, credential);
+    expect(result).toEqual({ user: account, carriedOver: 1 });
+});
+
+test('remembers sign-out and explains known errors', async () => {
+    expect(hasSignedOut()).toBe(false);
+    await signOutUser();
+    expect(hasSignedOut()).toBe(true);
+
+    expect(describeAuthError({ code: 'auth/wrong-password', message: 'Firebase: Error' })).toBe('Incorrect email or password.');
+    expect(describeAuthError({ code: 'auth/unknown', message: 'Something else' })).toBe('Something else');
+});
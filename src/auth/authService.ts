@@ -0,0 +1,159 @@
+import {
+    AuthCredential,
+    AuthProvider,
+    createUserWithEmailAndPassword,
+    EmailAuthProvider,
+    GithubAuthProvider,
+    GoogleAuthProvider,
+    linkWithCredential,
+    linkWithPopup,
+    sendPasswordResetEmail,
+    signInAnonymously,
+    signInWithCredential,
+    signInWithEmailAndPassword,
+    signInWithPopup,
+    signOut,
+    updateProfile,
+    User,
+} from 'firebase/auth';
+import { auth } from '../firebase';
+import { transferGuestCertificates } from '../certificates/certificateStore.ts';
+import { GuestData, hasGuestData, readGuestData, removeGuestMemberships, restoreGuestMemberships, writeGuestData } from './guestMigration.ts';
+import { saveProfile } from './profileStore.ts';
+
+export type OAuthProviderId = 'google' | 'github';
+
+export const OAUTH_PROVIDERS: { [id in OAuthProviderId]: { label: string; create: () => AuthProvider; credentialFromError: (error: any) => AuthCredential | null } } = {
+    google: { label: 'Google', create: () => new GoogleAuthProvider(), credentialFromError: GoogleAuthProvider.credentialFromError },
+    github: { label: 'GitHub', create: () => new GithubAuthProvider(), credentialFromError: GithubAuthProvider.credentialFromError },
+};
+
+// Set on sign-out so the next visit shows the sign-in screen instead of starting a new guest session
+const SIGNED_OUT_KEY = 'qla-signed-out';
+
+export const hasSignedOut = () => {
+    try {
+        return localStorage.getItem(SIGNED_OUT_KEY) === 'true';
+    } catch (e) {
+        return false;
+    }
+};
+
+const setSignedOut = (value: boolean) => {
+    try {
+        if (value) localStorage.setItem(SIGNED_OUT_KEY, 'true');
+        else localStorage.removeItem(SIGNED_OUT_KEY);
+    } catch (e) {
+        // Storage disabled; the learner just lands in a guest session next time
+    }
+};
+
+const guestUser = () => (auth.currentUser?.isAnonymous ? auth.currentUser : null);
+
+const hasCertificates = (guestData: GuestData) =>
+    [...guestData.modules, ...guestData.courses].some(copied => copied.data.certificate);
+
+// Signs in to an existing account. A guest's data is copied over first, since the account has its own UID;
+// the guest's ID token is taken beforehand so their certificates can then be moved to the account, and their
+// class roster entries are removed beforehand, which only the guest can do.
+const signInCarryingGuestData = async (signIn: () => Promise<User>) => {
+    const guest = guestUser();
+    const guestData = guest ? await readGuestData(guest.uid) : null;
+    const guestToken = guest && guestData && hasCertificates(guestData) ? await guest.getIdToken() : null;
+    if (guest && guestData) await removeGuestMemberships(guest.uid, guestData);
+    let user: User;
+    try {
+        user = await signIn();
+    } catch (error) {
+        // Still signed in as the guest, so they can rejoin their classes
+        if (guest && guestData) await restoreGuestMemberships(guest.uid, guestData).catch(e => console.error('Error restoring class membership:', e));
+        throw error;
+    }
+    const carriedOver = guestData && hasGuestData(guestData) ? await writeGuestData(user.uid, guestData) : 0;
+    if (guestToken) {
+        try {
+            await transferGuestCertificates(guestToken);
+        } catch (error) {
+            // The certificates still verify; only revoking them from the account needs the transfer
+            console.error('Error transferring guest certificates:', error);
+        }
+    }
+    setSignedOut(false);
+    return { user, carriedOver };
+};
+
+export const continueAsGuest = async () => {
+    setSignedOut(false);
+    return (await signInAnonymously(auth)).user;
+};
+
+// Creates an email/password account. A guest is upgraded in place, keeping their UID and modules.
+export const signUpWithEmail = async (email: string, password: string, displayName: string) => {
+    const guest = guestUser();
+    const user = guest
+        ? (await linkWithCredential(guest, EmailAuthProvider.credential(email, password))).user
+        : (await createUserWithEmailAndPassword(auth, email, password)).user;
+    if (displayName) await updateProfile(user, { displayName });
+    await saveProfile(user.uid, { displayName, email });
+    setSignedOut(false);
+    return { user, carriedOver: 0 };
+};
+
+export const signInWithEmail = (email: string, password: string) =>
+    signInCarryingGuestData(async () => (await signInWithEmailAndPassword(auth, email, password)).user);
+
+// OAuth sign-in. A guest is linked to the provider account when it is new to the app; if that
+// account already exists, the guest's modules are copied into it instead.
+export const signInWithOAuth = async (providerId: OAuthProviderId) => {
+    const { create, credentialFromError } = OAUTH_PROVIDERS[providerId];
+    const guest = guestUser();
+    if (!guest) {
+        const user = (await signInWithPopup(auth, create())).user;
+        setSignedOut(false);
+        return { user, carriedOver: 0 };
+    }
+    try {
+        const { user } = await linkWithPopup(guest, create());
+        await saveProfile(user.uid, { displayName: user.displayName || '', email: user.email });
+        setSignedOut(false);
+        return { user, carriedOver: 0 };
+    } catch (error) {
+        const credential = error?.code === 'auth/credential-already-in-use' ? credentialFromError(error) : null;
+        if (!credential) throw error;
+        return signInCarryingGuestData(async () => (await signInWithCredential(auth, credential)).user);
+    }
+};
+
+// Instructors can create classes and open the teacher dashboard. The role is the `instructor` custom claim,
+// granted by an admin (functions/scripts/set-claim.js) and checked by firestore.rules.
+export const hasInstructorRole = async (user: User) => {
+    if (user.isAnonymous) return false;
+    const result = await user.getIdTokenResult();
+    return result.claims.instructor === true;
+};
+
+export const resetPassword = (email: string) => sendPasswordResetEmail(auth, email);
+
+export const signOutUser = async () => {
+    setSignedOut(true);
+    await signOut(auth);
+};
+
+// Firebase error codes the sign-in form can explain; anything else falls back to the raw message
+const AUTH_ERROR_MESSAGES: { [code: string]: string } = {
+    'auth/invalid-email': 'That email address is not valid.',
+    'auth/missing-password': 'Please enter a password.',
+    'auth/weak-password': 'Passwords need at least 6 characters.',
+    'auth/email-already-in-use': 'An account with this email already exists. Sign in instead.',
+    'auth/credential-already-in-use': 'That account is already in use. Sign in instead.',
+    'auth/invalid-credential': 'Incorrect email or password.',
+    'auth/wrong-password': 'Incorrect email or password.',
+    'auth/user-not-found': 'No account uses that email address.',
+    'auth/too-many-requests': 'Too many attempts. Please wait a moment and try again.',
+    'auth/popup-closed-by-user': 'The sign-in window was closed before finishing.',
+    'auth/popup-blocked': 'The sign-in window was blocked by the browser. Allow pop-ups and try again.',
+    'auth/account-exists-with-different-credential': 'An account already exists with this email using a different sign-in method.',
+    'auth/operation-not-allowed': 'This sign-in method is not enabled for the academy.',
+};
+
+export const describeAuthError = (error: any) => AUTH_ERROR_MESSAGES[error?.code] || error?.message || 'Sign-in failed.';
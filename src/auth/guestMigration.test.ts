@@ -0,0 +1,77 @@
+import { hasGuestData, readGuestData, removeGuestMemberships, restoreGuestMemberships, writeGuestData } from './guestMigration.ts';
+import { mockDocs, resetMockDocs } from '../testing/fakeFirestore.ts';
+
+jest.mock('../firebase', () => ({ db: {}, appId: 'app' }));
+jest.mock('firebase/firestore', () => jest.requireActual('../testing/fakeFirestore.ts').fakeFirestore);
+
+const GUEST = 'artifacts/app/users/guest-1';
+const ACCOUNT = 'artifacts/app/users/user-1';
+const CLASS = 'artifacts/app/public/data/classes/class-1';
+
+beforeEach(() => {
+    resetMockDocs({
+        [GUEST]: { profile: { displayName: 'Ada', email: null, updatedAt: '2026-03-01T00:00:00.000Z' }, classIds: ['class-1'], instructorIds: ['teacher-1'] },
+        [`${CLASS}/members/guest-1`]: { learnerId: 'guest-1', displayName: 'Ada', joinCode: 'AB3K7Q', joinedAt: '2026-03-01T00:00:00.000Z' },
+        [`${GUEST}/modules/m1`]: { name: 'Qubits', certificate: { certificateId: 'QLA-A' } },
+        [`${GUEST}/modules/m1/attempts/a1`]: { score: 90 },
+        [`${GUEST}/modules/m1/drafts/s1__1.1`]: { value: 'draft' },
+        [`${GUEST}/modules/m1/drafts/s1__1.1/versions/v1`]: { value: 'old' },
+        [`${GUEST}/courses/c1`]: { title: 'Quantum Computing' },
+        [`${GUEST}/flashcards/card-1`]: { front: 'What is a qubit?' },
+    });
+});
+
+test('copies modules with their attempts and drafts, courses and flashcards into the account', async () => {
+    const guestData = await readGuestData('guest-1');
+
+    const carriedOver = await writeGuestData('user-1', guestData);
+
+    expect(carriedOver).toBe(1);
+    expect(mockDocs[`${ACCOUNT}/modules/m1`]).toEqual({ name: 'Qubits', certificate: { certificateId: 'QLA-A' } });
+    expect(mockDocs[`${ACCOUNT}/modules/m1/attempts/a1`]).toEqual({ score: 90 });
+    expect(mockDocs[`${ACCOUNT}/modules/m1/drafts/s1__1.1`]).toEqual({ value: 'draft' });
+    expect(mockDocs[`${ACCOUNT}/modules/m1/drafts/s1__1.1/versions/v1`]).toBeUndefined(); // History stays behind
+    expect(mockDocs[`${ACCOUNT}/courses/c1`]).toEqual({ title: 'Quantum Computing' });
+    expect(mockDocs[`${ACCOUNT}/flashcards/card-1`]).toEqual({ front: 'What is a qubit?' });
+});
+
+test('moves the guest\'s class membership to the account', async () => {
+    mockDocs[ACCOUNT] = { classIds: ['class-2'], instructorIds: ['teacher-2'] };
+    const guestData = await readGuestData('guest-1');
+
+    await removeGuestMemberships('guest-1', guestData);
+    await writeGuestData('user-1', guestData);
+
+    expect(mockDocs[`${CLASS}/members/guest-1`]).toBeUndefined();
+    expect(mockDocs[`${CLASS}/members/user-1`]).toEqual({ learnerId: 'user-1', displayName: 'Ada', joinCode: 'AB3K7Q', joinedAt: '2026-03-01T00:00:00.000Z' });
+    expect(mockDocs[ACCOUNT]).toMatchObject({ classIds: ['class-2', 'class-1'], instructorIds: ['teacher-2', 'teacher-1'] });
+});
+
+test('puts the guest\'s roster entries back when the sign-in fails', async () => {
+    const guestData = await readGuestData('guest-1');
+    const entry = mockDocs[`${CLASS}/members/guest-1`];
+
+    await removeGuestMemberships('guest-1', guestData);
+    await restoreGuestMemberships('guest-1', guestData);
+
+    expect(mockDocs[`${CLASS}/members/guest-1`]).toEqual(entry);
+});
+
+test('fills in the account\'s display name from the guest only when it has none', async () => {
+    mockDocs[ACCOUNT] = { profile: { displayName: '', email: 'ada@example.com' } };
+    await writeGuestData('user-1', await readGuestData('guest-1'));
+    expect(mockDocs[ACCOUNT].profile).toMatchObject({ displayName: 'Ada', email: 'ada@example.com' });
+
+    mockDocs[ACCOUNT] = { profile: { displayName: 'Ada Lovelace', email: 'ada@example.com' } };
+    await writeGuestData('user-1', await readGuestData('guest-1'));
+    expect(mockDocs[ACCOUNT].profile.displayName).toBe('Ada Lovelace');
+});
+
+test('treats a guest with nothing but flashcards, a name or a class as having data to carry over', async () => {
+    const empty = { modules: [], courses: [], flashcards: [], profile: null, memberships: [], instructorIds: [] };
+
+    expect(hasGuestData(empty)).toBe(false);
+    expect(hasGuestData({ ...empty, flashcards: [{ id: 'card-1', data: {} }] })).toBe(true);
+    expect(hasGuestData({ ...empty, profile: { displayName: 'Ada', email: null, updatedAt: '' } })).toBe(true);
+    expect(hasGuestData({ ...empty, memberships: [{ classId: 'class-1', member: { learnerId: 'guest-1', displayName: 'Ada', joinCode: 'AB3K7Q', joinedAt: '' } }] })).toBe(true);
+});
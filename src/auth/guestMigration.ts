@@ -0,0 +1,114 @@
+import { arrayUnion, collection, deleteDoc, doc, getDoc, getDocs, setDoc } from 'firebase/firestore';
+import { db, appId } from '../firebase';
+import { ClassMember } from '../classes/classes.ts';
+import { loadProfile, Profile, saveProfile } from './profileStore.ts';
+
+// When a guest signs in to an account that already exists, Firebase cannot keep the guest UID,
+// so their data is read while still signed in as the guest and written under the account afterwards:
+// modules (carrying their attempts and drafts), courses, flashcards and the profile's display name.
+// Draft version history is not copied. Certificates on copied modules keep their IDs; their public
+// records are re-owned by the account through the backend (transferGuestCertificates).
+// Class membership moves too: the account joins the guest's classes with the same join codes, and the
+// guest's roster entries are removed while still signed in as the guest (removeGuestMemberships), since
+// only the learner themselves can remove their own entry.
+
+const NESTED_COLLECTIONS = ['attempts', 'drafts'];
+const USER_COLLECTIONS = ['courses', 'flashcards'] as const;
+
+type CopiedDoc = { id: string; data: { [key: string]: any } };
+
+export type GuestData = {
+    modules: (CopiedDoc & { nested: { [collectionName: string]: CopiedDoc[] } })[];
+    courses: CopiedDoc[];
+    flashcards: CopiedDoc[];
+    profile: Profile | null;
+    memberships: { classId: string; member: ClassMember }[]; // The guest's roster entries
+    instructorIds: string[];
+};
+
+const userPath = (userId: string) => `artifacts/${appId}/users/${userId}`;
+const modulesPath = (userId: string) => `${userPath(userId)}/modules`;
+const memberPath = (classId: string, learnerId: string) => `artifacts/${appId}/public/data/classes/${classId}/members/${learnerId}`;
+
+const readDocs = async (path: string): Promise<CopiedDoc[]> => {
+    const snapshot = await getDocs(collection(db, path));
+    return snapshot.docs.map(d => ({ id: d.id, data: d.data() }));
+};
+
+const writeDocs = async (path: string, docs: CopiedDoc[]) => {
+    for (const copied of docs) {
+        await setDoc(doc(db, path, copied.id), copied.data);
+    }
+};
+
+export const readGuestData = async (guestId: string): Promise<GuestData> => {
+    const modules: GuestData['modules'] = [];
+    for (const module of await readDocs(modulesPath(guestId))) {
+        const nested: { [collectionName: string]: CopiedDoc[] } = {};
+        for (const name of NESTED_COLLECTIONS) {
+            nested[name] = await readDocs(`${modulesPath(guestId)}/${module.id}/${name}`);
+        }
+        modules.push({ ...module, nested });
+    }
+    const user = (await getDoc(doc(db, userPath(guestId)))).data();
+    const memberships: GuestData['memberships'] = [];
+    for (const classId of (user?.classIds || []) as string[]) {
+        const member = (await getDoc(doc(db, memberPath(classId, guestId)))).data();
+        if (member) memberships.push({ classId, member: member as ClassMember });
+    }
+    return {
+        modules,
+        courses: await readDocs(`${userPath(guestId)}/courses`),
+        flashcards: await readDocs(`${userPath(guestId)}/flashcards`),
+        profile: await loadProfile(guestId),
+        memberships,
+        instructorIds: user?.instructorIds || [],
+    };
+};
+
+export const hasGuestData = (guestData: GuestData) =>
+    guestData.modules.length > 0 || USER_COLLECTIONS.some(name => guestData[name].length > 0) || !!guestData.profile?.displayName
+    || guestData.memberships.length > 0;
+
+// Run as the guest, before signing in. If the sign-in then fails, restoreGuestMemberships puts the entries back.
+export const removeGuestMemberships = async (guestId: string, guestData: GuestData) => {
+    for (const { classId } of guestData.memberships) {
+        await deleteDoc(doc(db, memberPath(classId, guestId)));
+    }
+};
+
+export const restoreGuestMemberships = async (guestId: string, guestData: GuestData) => {
+    for (const { classId, member } of guestData.memberships) {
+        await setDoc(doc(db, memberPath(classId, guestId)), member);
+    }
+};
+
+// Returns how many modules were carried over. The account's own profile wins; the guest's display
+// name only fills in an account that has none.
+export const writeGuestData = async (userId: string, guestData: GuestData) => {
+    for (const module of guestData.modules) {
+        await setDoc(doc(db, modulesPath(userId), module.id), module.data);
+        for (const [name, docs] of Object.entries(module.nested)) {
+            await writeDocs(`${modulesPath(userId)}/${module.id}/${name}`, docs);
+        }
+    }
+    for (const name of USER_COLLECTIONS) {
+        await writeDocs(`${userPath(userId)}/${name}`, guestData[name]);
+    }
+    // The same join code gets the account into the class (see firestore.rules)
+    for (const { classId, member } of guestData.memberships) {
+        await setDoc(doc(db, memberPath(classId, userId)), { ...member, learnerId: userId });
+    }
+    if (guestData.memberships.length > 0) {
+        await setDoc(doc(db, userPath(userId)), {
+            classIds: arrayUnion(...guestData.memberships.map(m => m.classId)),
+            instructorIds: arrayUnion(...guestData.instructorIds),
+        }, { merge: true });
+    }
+    const guestName = guestData.profile?.displayName;
+    if (guestName) {
+        const profile = await loadProfile(userId);
+        if (!profile?.displayName) await saveProfile(userId, { displayName: guestName, email: profile?.email ?? null });
+    }
+    return guestData.modules.length;
+};
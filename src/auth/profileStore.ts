@@ -0,0 +1,25 @@
+import { doc, getDoc, setDoc } from 'firebase/firestore';
+import { db, appId } from '../firebase';
+
+// The profile is the user document itself: artifacts/${appId}/users/${userId}
+// (modules and everything else live in subcollections below it)
+
+export type Profile = {
+    displayName: string;
+    email: string | null;
+    updatedAt: string;
+};
+
+const profileRef = (userId: string) => doc(db, `artifacts/${appId}/users/${userId}`);
+
+export const loadProfile = async (userId: string): Promise<Profile | null> => {
+    const snapshot = await getDoc(profileRef(userId));
+    const data = snapshot.data();
+    return data?.profile ? (data.profile as Profile) : null;
+};
+
+export const saveProfile = async (userId: string, profile: Omit<Profile, 'updatedAt'>): Promise<Profile> => {
+    const saved = { ...profile, updatedAt: new Date().toISOString() };
+    await setDoc(profileRef(userId), { profile: saved }, { merge: true });
+    return saved;
+};
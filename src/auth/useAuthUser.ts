@@ -0,0 +1,32 @@
+import { useEffect, useState } from 'react';
+import { onAuthStateChanged, User } from 'firebase/auth';
+import { auth } from '../firebase';
+import { hasInstructorRole } from './authService.ts';
+import { loadProfile, Profile } from './profileStore.ts';
+
+// Current user, profile and instructor role for pages rendered outside App (e.g. the teacher dashboard)
+export const useAuthUser = () => {
+    const [user, setUser] = useState<User | null>(null);
+    const [profile, setProfile] = useState<Profile | null>(null);
+    const [isInstructor, setIsInstructor] = useState(false);
+    const [ready, setReady] = useState(false);
+
+    useEffect(() => onAuthStateChanged(auth, async (nextUser) => {
+        setUser(nextUser);
+        try {
+            setProfile(nextUser ? await loadProfile(nextUser.uid) : null);
+        } catch (error) {
+            console.error('Error loading profile:', error);
+            setProfile(null);
+        }
+        try {
+            setIsInstructor(nextUser ? await hasInstructorRole(nextUser) : false);
+        } catch (error) {
+            console.error('Error reading the account role:', error);
+            setIsInstructor(false);
+        }
+        setReady(true);
+    }), []);
+
+    return { user, profile, isInstructor, ready };
+};
@@ -0,0 +1,77 @@
+import { AssignmentContent, AssignmentSection, AssignmentTask } from '../types.ts';
+import { withRecomputedMarks } from './classContent.ts';
+import { blankSection } from './moduleFormat.ts';
+
+type Props = {
+    assignment: AssignmentContent;
+    busy: boolean;
+    onChange: (assignment: AssignmentContent) => void;
+    onRegenerateSection?: (sectionIndex: number) => void; // Absent when writing a module by hand
+};
+
+const inputClass = 'w-full p-2 border border-gray-300 rounded-md bg-white text-sm';
+const labelClass = 'block text-sm text-gray-700';
+
+// Edits an assignment by hand: scenario, sections and tasks. Section and total marks follow the task marks.
+export const AssignmentEditor = ({ assignment, busy, onChange, onRegenerateSection }: Props) => {
+    const change = (changes: Partial<AssignmentContent>) => onChange(withRecomputedMarks({ ...assignment, ...changes }));
+    const changeSection = (sectionIndex: number, changes: Partial<AssignmentSection>) =>
+        change({ sections: assignment.sections.map((s, i) => (i === sectionIndex ? { ...s, ...changes } : s)) });
+    const changeTask = (sectionIndex: number, taskIndex: number, changes: Partial<AssignmentTask>) =>
+        changeSection(sectionIndex, { tasks: assignment.sections[sectionIndex].tasks.map((t, i) => (i === taskIndex ? { ...t, ...changes } : t)) });
+    const addTask = (sectionIndex: number) => {
+        const tasks = assignment.sections[sectionIndex].tasks;
+        const task: AssignmentTask = { task_id: `${sectionIndex + 1}.${tasks.length + 1}`, task_description: '', marks: 10, type: 'text_input' };
+        changeSection(sectionIndex, { tasks: [...tasks, task] });
+    };
+
+    return (
+        <div className="space-y-4">
+            <p className="font-semibold text-gray-800">Total: {assignment.total_marks} marks</p>
+            <label className={labelClass}>Title<input type="text" value={assignment.title} onChange={(e) => change({ title: e.target.value })} className={inputClass} /></label>
+            <label className={labelClass}>Scenario title<input type="text" value={assignment.scenario.title} onChange={(e) => change({ scenario: { ...assignment.scenario, title: e.target.value } })} className={inputClass} /></label>
+            <label className={labelClass}>Scenario<textarea rows={3} value={assignment.scenario.description} onChange={(e) => change({ scenario: { ...assignment.scenario, description: e.target.value } })} className={inputClass} /></label>
+
+            {assignment.sections.map((section, sectionIndex) => (
+                <div key={section.section_id} className="p-4 bg-white rounded-lg border border-gray-200 space-y-2">
+                    <div className="flex items-center justify-between gap-2">
+                        <p className="font-semibold text-gray-800">Section {sectionIndex + 1} ({section.marks} marks)</p>
+                        <div className="flex gap-3 text-sm">
+                            {onRegenerateSection && <button onClick={() => onRegenerateSection(sectionIndex)} disabled={busy} className="text-purple-600 font-semibold hover:underline disabled:opacity-50 disabled:cursor-not-allowed">Regenerate section</button>}
+                            <button onClick={() => change({ sections: assignment.sections.filter((_, i) => i !== sectionIndex) })} disabled={busy} className="text-red-600 font-semibold hover:underline disabled:opacity-50 disabled:cursor-not-allowed">Remove section</button>
+                        </div>
+                    </div>
+                    <label className={labelClass}>Title<input type="text" value={section.section_title} onChange={(e) => changeSection(sectionIndex, { section_title: e.target.value })} className={inputClass} /></label>
+                    <label className={labelClass}>Sub-scenario title<input type="text" value={section.sub_scenario.title} onChange={(e) => changeSection(sectionIndex, { sub_scenario: { ...section.sub_scenario, title: e.target.value } })} className={inputClass} /></label>
+                    <label className={labelClass}>Sub-scenario<textarea rows={2} value={section.sub_scenario.description} onChange={(e) => changeSection(sectionIndex, { sub_scenario: { ...section.sub_scenario, description: e.target.value } })} className={inputClass} /></label>
+                    {section.tasks.map((task, taskIndex) => (
+                        <div key={taskIndex} className="pl-4 border-l-2 border-gray-200 space-y-1">
+                            <div className="flex flex-wrap items-center gap-2 text-sm text-gray-700">
+                                <span className="font-semibold">Task {task.task_id}</span>
+                                <input type="number" min={0} value={task.marks} onChange={(e) => changeTask(sectionIndex, taskIndex, { marks: Math.max(Number(e.target.value) || 0, 0) })} className="w-20 p-1 border border-gray-300 rounded-md" />
+                                <span>marks</span>
+                                <select value={task.type} onChange={(e) => changeTask(sectionIndex, taskIndex, { type: e.target.value })} className="p-1 border border-gray-300 rounded-md">
+                                    <option value="text_input">Written answer</option>
+                                    <option value="code_input">Code</option>
+                                </select>
+                                {task.type === 'code_input' && (
+                                    <input type="text" value={task.language || ''} placeholder="Language" onChange={(e) => changeTask(sectionIndex, taskIndex, { language: e.target.value })} className="w-28 p-1 border border-gray-300 rounded-md" />
+                                )}
+                                {!!task.test_cases?.length && <span className="text-gray-500">{task.test_cases.length} hidden tests</span>}
+                                <button
+                                    onClick={() => changeSection(sectionIndex, { tasks: section.tasks.filter((_, i) => i !== taskIndex) })}
+                                    className="ml-auto text-red-600 font-semibold hover:underline"
+                                >
+                                    Remove
+                                </button>
+                            </div>
+                            <textarea rows={2} value={task.task_description} onChange={(e) => changeTask(sectionIndex, taskIndex, { task_description: e.target.value })} className={inputClass} />
+                        </div>
+                    ))}
+                    <button onClick={() => addTask(sectionIndex)} className="text-sm text-blue-600 font-semibold hover:underline">Add task</button>
+                </div>
+            ))}
+            <button onClick={() => change({ sections: [...assignment.sections, blankSection(assignment.sections.length)] })} className="text-sm text-blue-600 font-semibold hover:underline">Add section</button>
+        </div>
+    );
+};
@@ -0,0 +1,277 @@
+import { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { loadClass } from '../classes/classStore.ts';
+import { ClassTopic } from '../classes/classes.ts';
+import { assignmentSchema, buildAssignmentPrompt, buildResourcePrompt, buildTestContext, checkAssignment, checkResources, regenerateSection, Resource, resourceSchema } from '../content/moduleContent.ts';
+import { generateJson } from '../llm/index.ts';
+import { llm, llmConfigError } from '../llm/appProvider.ts';
+import { generateQuestions } from '../questions/generateQuestions.ts';
+import { QuestionMixEditor } from '../questions/QuestionMixEditor.tsx';
+import { DEFAULT_QUESTION_MIX, mixTotal, Question, QUESTION_TYPES, QuestionMix, QuestionType, questionTypeOf } from '../questions/questionTypes.ts';
+import { TEACH_PATH } from '../routes.ts';
+import { AssignmentContent } from '../types.ts';
+import { AssignmentEditor } from './AssignmentEditor.tsx';
+import { ClassContent, contentProblems, ContentRelease, QuestionBanks, withRecomputedMarks } from './classContent.ts';
+import { loadDraft, loadRelease, publishRelease, saveDraft } from './contentStore.ts';
+import { QuestionEditor } from './QuestionEditor.tsx';
+
+type Bank = keyof QuestionBanks;
+
+const BANK_LABELS: { [bank in Bank]: string } = { quiz: 'Quiz', finalTest: 'Final Test' };
+const buttonClass = 'bg-green-600 text-white font-bold py-2 px-6 rounded-lg shadow-md hover:bg-green-700 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed';
+const secondaryButtonClass = 'bg-gray-300 text-gray-800 font-bold py-2 px-6 rounded-lg hover:bg-gray-400 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed';
+
+type Props = {
+    classId: string;
+    topicId: string;
+    ownerId: string;
+};
+
+// Review, edit and publish the content of one class topic: /teach/:classId/topics/:topicId.
+// Learners only start the topic once a release is published, and then all get that exact version.
+export const ContentEditor = ({ classId, topicId, ownerId }: Props) => {
+    const [classTopic, setClassTopic] = useState<ClassTopic | null>(null);
+    const [content, setContent] = useState<ClassContent | null>(null);
+    const [release, setRelease] = useState<ContentRelease | null>(null);
+    const [status, setStatus] = useState<'loading' | 'ready' | 'not_found' | 'error'>('loading');
+    const [mix, setMix] = useState(DEFAULT_QUESTION_MIX);
+    const [newQuestionType, setNewQuestionType] = useState<QuestionType>('multiple_choice');
+    const [dirty, setDirty] = useState(false); // Edits not yet saved to the draft
+    const [busy, setBusy] = useState(''); // What is in progress, e.g. 'Generating...'
+    const [error, setError] = useState('');
+    const [notice, setNotice] = useState('');
+
+    useEffect(() => {
+        const load = async () => {
+            try {
+                const classRecord = await loadClass(classId);
+                const found = classRecord?.ownerId === ownerId ? classRecord.topics.find(t => t.topicId === topicId) : null;
+                if (!found) {
+                    setStatus('not_found');
+                    return;
+                }
+                const [draft, published] = await Promise.all([loadDraft(classId, topicId), loadRelease(classId, topicId)]);
+                setClassTopic(found);
+                setContent(draft || published);
+                setRelease(published);
+                setStatus('ready');
+            } catch (e) {
+                console.error('Error loading class content:', e);
+                setStatus('error');
+            }
+        };
+        load();
+    }, [classId, topicId, ownerId]);
+
+    // Runs one AI or storage action with the shared busy/error state
+    const run = async (label: string, action: () => Promise<void>) => {
+        setBusy(label);
+        setError('');
+        setNotice('');
+        try {
+            await action();
+        } catch (e) {
+            console.error('Error editing class content:', e);
+            setError(`${label.replace('...', '')} failed: ${e.message}`);
+        } finally {
+            setBusy('');
+        }
+    };
+
+    // Functional so AI results that arrive later don't overwrite edits made while waiting
+    const update = (change: (current: ClassContent) => Partial<ClassContent>) => {
+        setContent(current => current && { ...current, ...change(current) });
+        setDirty(true);
+    };
+    const edit = (changes: Partial<ClassContent>) => update(() => changes);
+
+    const generateDraft = () => run('Generating...', async () => {
+        if (!llm || !classTopic) throw new Error(llmConfigError || 'AI provider is not configured.');
+        const teacherPicks = await generateJson<Resource[]>(llm, { prompt: buildResourcePrompt(classTopic.topic), schema: resourceSchema }, { check: checkResources });
+        const assignmentContent = await generateJson<AssignmentContent>(llm, { prompt: buildAssignmentPrompt(classTopic.topic), schema: assignmentSchema }, { check: checkAssignment });
+        const resources = teacherPicks.map(p => p.url || p.title);
+        const questionBanks: QuestionBanks = { quiz: [], finalTest: [] };
+        for (const bank of Object.keys(BANK_LABELS) as Bank[]) {
+            questionBanks[bank] = await generateQuestions(llm, { topic: classTopic.topic, context: buildTestContext(resources, bank), mix: mix[bank] });
+        }
+        setContent({
+            topicId,
+            topic: classTopic.topic,
+            teacherPicks,
+            assignmentContent: withRecomputedMarks({ ...assignmentContent, resources: assignmentContent.resources || [] }),
+            questionBanks,
+            updatedAt: new Date().toISOString(),
+        });
+        setDirty(true);
+    });
+
+    const regenerateAssignmentSection = (sectionIndex: number) => run('Regenerating section...', async () => {
+        if (!llm || !content) throw new Error(llmConfigError || 'AI provider is not configured.');
+        const section = await regenerateSection(llm, content.topic, content.assignmentContent, sectionIndex);
+        update(current => ({
+            assignmentContent: withRecomputedMarks({
+                ...current.assignmentContent,
+                sections: current.assignmentContent.sections.map((s, i) => (i === sectionIndex ? section : s)),
+            }),
+        }));
+    });
+
+    // One new question of the given type, for replacing or adding to a bank
+    const generateOne = async (bank: Bank, type: QuestionType): Promise<Question> => {
+        if (!llm || !content) throw new Error(llmConfigError || 'AI provider is not configured.');
+        const resources = content.teacherPicks.map(p => p.url || p.title);
+        const existing = content.questionBanks[bank].map(q => q.question).join(' | ');
+        const [question] = await generateQuestions(llm, {
+            topic: content.topic,
+            context: `${buildTestContext(resources, bank)} Do not repeat any of these existing questions: ${existing}`,
+            mix: { [type]: 1 },
+        });
+        if (!question) throw new Error('The AI returned no question.');
+        return question;
+    };
+
+    const setBank = (bank: Bank, change: (questions: Question[]) => Question[]) =>
+        update(current => ({ questionBanks: { ...current.questionBanks, [bank]: change(current.questionBanks[bank]) } }));
+
+    const regenerateQuestion = (bank: Bank, index: number) => run('Regenerating question...', async () => {
+        if (!content) return;
+        const question = await generateOne(bank, questionTypeOf(content.questionBanks[bank][index]));
+        setBank(bank, questions => questions.map((q, i) => (i === index ? question : q)));
+    });
+
+    const addQuestion = (bank: Bank) => run('Adding question...', async () => {
+        const question = await generateOne(bank, newQuestionType);
+        setBank(bank, questions => [...questions, question]);
+    });
+
+    const save = () => run('Saving...', async () => {
+        if (!content) return;
+        setContent(await saveDraft(classId, content));
+        setDirty(false);
+        setNotice('Draft saved.');
+    });
+
+    const publish = () => run('Publishing...', async () => {
+        if (!content) return;
+        const saved = await saveDraft(classId, content);
+        const published = await publishRelease(classId, saved);
+        setContent(saved);
+        setRelease(published);
+        setDirty(false);
+        setNotice(`Published version ${published.version}. Learners who start this topic now receive it.`);
+    });
+
+    if (status === 'loading') return <p className="text-gray-500 text-center">Loading content...</p>;
+    if (status === 'error') return <p className="text-red-600 text-center">Could not load this topic. Please try again.</p>;
+    if (status === 'not_found' || !classTopic) return <p className="text-gray-700 text-center">This topic does not exist or is not yours.</p>;
+
+    const problems = content ? contentProblems(content) : [];
+    const unpublished = !!content && (dirty || !release || content.updatedAt > release.publishedAt);
+
+    return (
+        <div className="space-y-8">
+            <div className="text-center">
+                <h2 className="text-3xl font-bold text-gray-800">{classTopic.topic}</h2>
+                <p className="text-gray-600 mt-2">
+                    {release
+                        ? `Version ${release.version} published ${new Date(release.publishedAt).toLocaleString()}.`
+                        : 'Not yet published: learners cannot start this topic.'}
+                    {release && unpublished && ' The draft below has changes that are not published.'}
+                </p>
+            </div>
+
+            <div className="p-4 bg-gray-50 rounded-lg shadow-inner space-y-4">
+                <h3 className="text-xl font-bold text-gray-800">{content ? 'Regenerate Everything' : 'Generate a Draft'}</h3>
+                <p className="text-gray-600 text-sm">The AI drafts Teacher's Picks, the assignment and both question banks. You can then edit anything before publishing.</p>
+                {(Object.keys(BANK_LABELS) as Bank[]).map(bank => (
+                    <div key={bank}>
+                        <p className="font-semibold text-gray-700">{BANK_LABELS[bank]}</p>
+                        <QuestionMixEditor mix={mix[bank]} onChange={(bankMix: QuestionMix) => setMix({ ...mix, [bank]: bankMix })} disabled={!!busy} />
+                    </div>
+                ))}
+                <button
+                    onClick={() => (!content || window.confirm('Replace the whole draft with newly generated content?')) && generateDraft()}
+                    disabled={!!busy || mixTotal(mix.quiz) === 0 || mixTotal(mix.finalTest) === 0}
+                    className={buttonClass}
+                >
+                    {busy === 'Generating...' ? busy : content ? 'Regenerate Draft' : 'Generate Draft'}
+                </button>
+            </div>
+
+            {content && (
+                <>
+                    <div className="space-y-2">
+                        <h3 className="text-2xl font-bold text-gray-800">Teacher's Picks</h3>
+                        {content.teacherPicks.map((pick, i) => (
+                            <div key={i} className="flex flex-col sm:flex-row gap-2">
+                                <input type="text" value={pick.title} onChange={(e) => edit({ teacherPicks: content.teacherPicks.map((p, j) => (j === i ? { ...p, title: e.target.value } : p)) })} className="flex-grow p-2 border border-gray-300 rounded-md text-sm" />
+                                <input type="text" value={pick.url} onChange={(e) => edit({ teacherPicks: content.teacherPicks.map((p, j) => (j === i ? { ...p, url: e.target.value } : p)) })} className="flex-grow p-2 border border-gray-300 rounded-md text-sm" />
+                                <button onClick={() => edit({ teacherPicks: content.teacherPicks.filter((_, j) => j !== i) })} className="text-sm text-red-600 font-semibold hover:underline">Remove</button>
+                            </div>
+                        ))}
+                        <button onClick={() => edit({ teacherPicks: [...content.teacherPicks, { title: '', url: '' }] })} className="text-sm text-blue-600 font-semibold hover:underline">Add resource</button>
+                    </div>
+
+                    <div className="space-y-2">
+                        <h3 className="text-2xl font-bold text-gray-800">Assignment</h3>
+                        <AssignmentEditor
+                            assignment={content.assignmentContent}
+                            busy={!!busy}
+                            onChange={(assignmentContent) => edit({ assignmentContent })}
+                            onRegenerateSection={regenerateAssignmentSection}
+                        />
+                    </div>
+
+                    {(Object.keys(BANK_LABELS) as Bank[]).map(bank => (
+                        <div key={bank} className="space-y-2">
+                            <h3 className="text-2xl font-bold text-gray-800">{BANK_LABELS[bank]} Questions ({content.questionBanks[bank].length})</h3>
+                            {content.questionBanks[bank].map((question, i) => (
+                                <QuestionEditor
+                                    key={i}
+                                    bank={bank}
+                                    index={i}
+                                    question={question}
+                                    busy={!!busy}
+                                    onChange={(changed) => setBank(bank, questions => questions.map((q, j) => (j === i ? changed : q)))}
+                                    onRegenerate={() => regenerateQuestion(bank, i)}
+                                    onRemove={() => setBank(bank, questions => questions.filter((_, j) => j !== i))}
+                                />
+                            ))}
+                            <div className="flex items-center gap-2">
+                                <select value={newQuestionType} onChange={(e) => setNewQuestionType(e.target.value as QuestionType)} className="p-2 border border-gray-300 rounded-md text-sm">
+                                    {(Object.keys(QUESTION_TYPES) as QuestionType[]).map(type => <option key={type} value={type}>{QUESTION_TYPES[type].label}</option>)}
+                                </select>
+                                <button onClick={() => addQuestion(bank)} disabled={!!busy} className="text-sm text-purple-600 font-semibold hover:underline disabled:opacity-50 disabled:cursor-not-allowed">Generate a question</button>
+                            </div>
+                        </div>
+                    ))}
+
+                    {problems.length > 0 && (
+                        <div className="p-4 bg-yellow-50 border-l-4 border-yellow-500 rounded-lg">
+                            <p className="font-semibold text-yellow-800 mb-1">Fix these before publishing:</p>
+                            <ul className="list-disc list-inside text-sm text-yellow-800">
+                                {problems.map(problem => <li key={problem}>{problem}</li>)}
+                            </ul>
+                        </div>
+                    )}
+                </>
+            )}
+
+            {busy && <p className="text-gray-500 text-center">{busy}</p>}
+            {error && <p className="text-red-600 text-center">{error}</p>}
+            {notice && <p className="text-green-700 text-center">{notice}</p>}
+
+            <div className="flex flex-wrap justify-center gap-4">
+                {content && (
+                    <>
+                        <button onClick={save} disabled={!!busy || !dirty} className={secondaryButtonClass}>Save Draft</button>
+                        <button onClick={publish} disabled={!!busy || problems.length > 0 || !unpublished} className={buttonClass}>
+                            {release ? `Publish Version ${release.version + 1}` : 'Publish'}
+                        </button>
+                    </>
+                )}
+                <Link to={`${TEACH_PATH}/${classId}`} className={secondaryButtonClass}>Back to Class</Link>
+            </div>
+        </div>
+    );
+};
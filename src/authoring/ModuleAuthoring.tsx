@@ -0,0 +1,163 @@
+import { useState } from 'react';
+import { Question, QUESTION_TYPES, QuestionType } from '../questions/questionTypes.ts';
+import { AssignmentEditor } from './AssignmentEditor.tsx';
+import { QuestionBanks } from './classContent.ts';
+import { blankModule, blankQuestion, FieldError, ModuleDefinition, parseModuleFile, toModuleFile, validateModuleFile } from './moduleFormat.ts';
+import { QuestionEditor } from './QuestionEditor.tsx';
+
+type Bank = keyof QuestionBanks;
+
+const BANK_LABELS: { [bank in Bank]: string } = { quiz: 'Quiz', finalTest: 'Final Test' };
+const inputClass = 'w-full p-2 border border-gray-300 rounded-md bg-white text-sm';
+const buttonClass = 'bg-green-600 text-white font-bold py-3 px-6 rounded-lg shadow-lg hover:bg-green-700 transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed text-lg';
+
+type Props = {
+    busy: boolean;
+    onCreate: (module: ModuleDefinition) => void;
+};
+
+const ErrorList = ({ errors }: { errors: FieldError[] }) => (
+    <div className="p-4 bg-red-50 border-l-4 border-red-500 rounded-lg">
+        <p className="font-semibold text-red-800 mb-1">Fix these and try again:</p>
+        <ul className="list-disc list-inside text-sm text-red-800 font-mono">
+            {errors.map((error, i) => <li key={i}>{error.field}: {error.message}</li>)}
+        </ul>
+    </div>
+);
+
+// Create a module without the AI: write it in the editor or import a JSON / Markdown module file
+export const ModuleAuthoring = ({ busy, onCreate }: Props) => {
+    const [mode, setMode] = useState<'write' | 'import'>('write');
+    const [draft, setDraft] = useState<ModuleDefinition>(blankModule);
+    const [fileName, setFileName] = useState('');
+    const [fileText, setFileText] = useState('');
+    const [imported, setImported] = useState<ModuleDefinition | null>(null);
+    const [newQuestionType, setNewQuestionType] = useState<QuestionType>('multiple_choice');
+    const [errors, setErrors] = useState<FieldError[]>([]);
+
+    const setBank = (bank: Bank, change: (questions: Question[]) => Question[]) =>
+        setDraft(current => ({ ...current, questionBanks: { ...current.questionBanks, [bank]: change(current.questionBanks[bank]) } }));
+
+    // The editor's module goes through the same checks as an imported file
+    const createWritten = () => {
+        const { module, errors: found } = validateModuleFile(toModuleFile(draft));
+        setErrors(found);
+        if (module) onCreate(module);
+    };
+
+    const readFile = async (file?: File) => {
+        if (!file) return;
+        setFileName(file.name);
+        setFileText(await file.text());
+        setImported(null);
+        setErrors([]);
+    };
+
+    const check = () => {
+        const { module, errors: found } = parseModuleFile(fileText, fileName);
+        setImported(module);
+        setErrors(found);
+    };
+
+    const tabClass = (tab: typeof mode) =>
+        `py-2 px-4 rounded-lg font-semibold ${mode === tab ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-800 hover:bg-gray-300'}`;
+
+    return (
+        <div className="space-y-4">
+            <div className="flex gap-2">
+                <button onClick={() => { setMode('write'); setErrors([]); }} className={tabClass('write')}>Write by Hand</button>
+                <button onClick={() => { setMode('import'); setErrors([]); }} className={tabClass('import')}>Import a File</button>
+            </div>
+
+            {mode === 'write' && (
+                <div className="space-y-6">
+                    <label className="block text-sm text-gray-700">
+                        Module name
+                        <input type="text" value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} placeholder="e.g., 'Quantum Entanglement'" className={inputClass} />
+                    </label>
+
+                    <div className="space-y-2">
+                        <h4 className="text-xl font-bold text-gray-800">Resources</h4>
+                        {draft.teacherPicks.map((pick, i) => (
+                            <div key={i} className="flex flex-col sm:flex-row gap-2">
+                                <input type="text" value={pick.title} placeholder="Title" onChange={(e) => setDraft({ ...draft, teacherPicks: draft.teacherPicks.map((p, j) => (j === i ? { ...p, title: e.target.value } : p)) })} className={inputClass} />
+                                <input type="text" value={pick.url} placeholder="URL (optional)" onChange={(e) => setDraft({ ...draft, teacherPicks: draft.teacherPicks.map((p, j) => (j === i ? { ...p, url: e.target.value } : p)) })} className={inputClass} />
+                                <button onClick={() => setDraft({ ...draft, teacherPicks: draft.teacherPicks.filter((_, j) => j !== i) })} className="text-sm text-red-600 font-semibold hover:underline">Remove</button>
+                            </div>
+                        ))}
+                        <button onClick={() => setDraft({ ...draft, teacherPicks: [...draft.teacherPicks, { title: '', url: '' }] })} className="text-sm text-blue-600 font-semibold hover:underline">Add resource</button>
+                    </div>
+
+                    <div className="space-y-2">
+                        <h4 className="text-xl font-bold text-gray-800">Assignment</h4>
+                        <AssignmentEditor assignment={draft.assignmentContent} busy={busy} onChange={(assignmentContent) => setDraft({ ...draft, assignmentContent })} />
+                    </div>
+
+                    {(Object.keys(BANK_LABELS) as Bank[]).map(bank => (
+                        <div key={bank} className="space-y-2">
+                            <h4 className="text-xl font-bold text-gray-800">{BANK_LABELS[bank]} Questions ({draft.questionBanks[bank].length})</h4>
+                            {draft.questionBanks[bank].map((question, i) => (
+                                <QuestionEditor
+                                    key={i}
+                                    bank={`manual-${bank}`}
+                                    index={i}
+                                    question={question}
+                                    busy={busy}
+                                    onChange={(changed) => setBank(bank, questions => questions.map((q, j) => (j === i ? changed : q)))}
+                                    onRemove={() => setBank(bank, questions => questions.filter((_, j) => j !== i))}
+                                />
+                            ))}
+                            <div className="flex items-center gap-2">
+                                <select value={newQuestionType} onChange={(e) => setNewQuestionType(e.target.value as QuestionType)} className="p-2 border border-gray-300 rounded-md text-sm">
+                                    {(Object.keys(QUESTION_TYPES) as QuestionType[]).map(type => <option key={type} value={type}>{QUESTION_TYPES[type].label}</option>)}
+                                </select>
+                                <button onClick={() => setBank(bank, questions => [...questions, blankQuestion(newQuestionType)])} className="text-sm text-blue-600 font-semibold hover:underline">Add question</button>
+                            </div>
+                        </div>
+                    ))}
+
+                    {errors.length > 0 && <ErrorList errors={errors} />}
+                    <button onClick={createWritten} disabled={busy} className={buttonClass}>
+                        {busy ? 'Creating...' : 'Create Module'}
+                    </button>
+                </div>
+            )}
+
+            {mode === 'import' && (
+                <div className="space-y-4">
+                    <p className="text-gray-600 text-sm">
+                        Choose a <span className="font-mono">.json</span> or <span className="font-mono">.md</span> module file, or paste one below.
+                        The formats are described under "Module file format" in the README.
+                    </p>
+                    <input type="file" accept=".json,.md,.markdown,application/json,text/markdown" onChange={(e) => readFile(e.target.files?.[0])} className="text-sm" />
+                    <textarea
+                        rows={10}
+                        value={fileText}
+                        onChange={(e) => { setFileText(e.target.value); setFileName(''); setImported(null); }}
+                        placeholder={'{ "version": 1, "name": "...", ... }  or  ---\nname: ...\n---'}
+                        className={`${inputClass} font-mono`}
+                    />
+                    <button onClick={check} disabled={busy || !fileText.trim()} className="bg-blue-600 text-white font-bold py-2 px-6 rounded-lg hover:bg-blue-700 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed">
+                        Check File
+                    </button>
+                    {errors.length > 0 && <ErrorList errors={errors} />}
+                    {imported && (
+                        <div className="p-4 bg-green-50 border-l-4 border-green-500 rounded-lg space-y-3">
+                            <p className="text-green-800">
+                                <span className="font-semibold">{imported.name}</span>: {imported.assignmentContent.sections.length} assignment sections
+                                ({imported.assignmentContent.total_marks} marks), {imported.questionBanks.quiz.length} quiz and {imported.questionBanks.finalTest.length} final test questions,
+                                {' '}{imported.teacherPicks.length} resources.
+                            </p>
+                            <div className="flex flex-wrap gap-4">
+                                <button onClick={() => onCreate(imported)} disabled={busy} className={buttonClass}>
+                                    {busy ? 'Creating...' : 'Create Module'}
+                                </button>
+                                <button onClick={() => { setDraft(imported); setMode('write'); }} disabled={busy} className="text-blue-600 font-semibold hover:underline">Edit before creating</button>
+                            </div>
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
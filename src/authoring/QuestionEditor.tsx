@@ -0,0 +1,136 @@
+import { prepareQuestion, Question, questionTypeOf, QUESTION_TYPES } from '../questions/questionTypes.ts';
+
+type Props = {
+    bank: string; // Keeps answer-key radio groups apart between the quiz and final test
+    index: number;
+    question: Question;
+    busy: boolean;
+    onChange: (question: Question) => void;
+    onRegenerate?: () => void; // Absent when writing a module by hand
+    onRemove: () => void;
+};
+
+const inputClass = 'w-full p-2 border border-gray-300 rounded-md bg-white text-sm';
+const OPTION_KEYS = ['A', 'B', 'C', 'D'];
+
+const linkClass = 'text-sm font-semibold hover:underline';
+
+// One input per entry, with add and remove
+export const ListEditor = ({ values, onChange, addLabel }: { values: string[]; onChange: (values: string[]) => void; addLabel: string }) => (
+    <div className="space-y-1">
+        {values.map((value, i) => (
+            <div key={i} className="flex items-center gap-2">
+                <span className="text-gray-500 w-5">{i + 1}.</span>
+                <input type="text" value={value} onChange={(e) => onChange(values.map((v, j) => (j === i ? e.target.value : v)))} className={inputClass} />
+                <button onClick={() => onChange(values.filter((_, j) => j !== i))} className={`${linkClass} text-red-600`}>Remove</button>
+            </div>
+        ))}
+        <button onClick={() => onChange([...values, ''])} className={`${linkClass} text-blue-600`}>{addLabel}</button>
+    </div>
+);
+
+// Edits one question of a class question bank: wording, answer key and explanation, per question type
+export const QuestionEditor = ({ bank, index, question, busy, onChange, onRegenerate, onRemove }: Props) => {
+    const type = questionTypeOf(question);
+    const update = (changes: object) => onChange({ ...question, ...changes } as Question);
+
+    const renderAnswerKey = () => {
+        switch (question.type) {
+            case 'multi_select':
+            case 'multiple_choice':
+            case undefined: {
+                const isCorrect = (key: string) => question.type === 'multi_select' ? question.correctAnswers.includes(key) : question.correctAnswer === key;
+                const toggle = (key: string) => {
+                    if (question.type !== 'multi_select') return update({ correctAnswer: key });
+                    const correctAnswers = isCorrect(key) ? question.correctAnswers.filter(k => k !== key) : [...question.correctAnswers, key].sort();
+                    update({ correctAnswers });
+                };
+                return OPTION_KEYS.map(key => (
+                    <div key={key} className="flex items-center gap-2">
+                        <input
+                            type={question.type === 'multi_select' ? 'checkbox' : 'radio'}
+                            name={`correct-${bank}-${index}`}
+                            checked={isCorrect(key)}
+                            onChange={() => toggle(key)}
+                            title="Correct answer"
+                        />
+                        <span className="font-semibold w-4">{key}</span>
+                        <input type="text" value={question.options[key] || ''} onChange={(e) => update({ options: { ...question.options, [key]: e.target.value } })} className={inputClass} />
+                    </div>
+                ));
+            }
+            case 'true_false':
+                return (
+                    <select value={question.isTrue ? 'true' : 'false'} onChange={(e) => update({ isTrue: e.target.value === 'true' })} className={inputClass}>
+                        <option value="true">The statement is true</option>
+                        <option value="false">The statement is false</option>
+                    </select>
+                );
+            case 'numeric':
+                return (
+                    <div className="grid grid-cols-3 gap-2 text-sm text-gray-700">
+                        <label>Answer<input type="number" value={question.correctValue} onChange={(e) => update({ correctValue: Number(e.target.value) })} className={inputClass} /></label>
+                        <label>Tolerance (±)<input type="number" min={0} value={question.tolerance} onChange={(e) => update({ tolerance: Math.abs(Number(e.target.value) || 0) })} className={inputClass} /></label>
+                        <label>Unit<input type="text" value={question.unit || ''} onChange={(e) => update({ unit: e.target.value })} className={inputClass} /></label>
+                    </div>
+                );
+            case 'short_text':
+                return (
+                    <div className="space-y-2 text-sm text-gray-700">
+                        <label className="block">Model answer<textarea rows={2} value={question.modelAnswer} onChange={(e) => update({ modelAnswer: e.target.value })} className={inputClass} /></label>
+                        <p>Key points</p>
+                        <ListEditor values={question.keyPoints} onChange={(keyPoints) => update({ keyPoints })} addLabel="Add key point" />
+                    </div>
+                );
+            case 'ordering':
+                // Adding or removing items reshuffles how they are presented
+                return (
+                    <div className="text-sm text-gray-700">
+                        <p>Items in the correct order</p>
+                        <ListEditor
+                            values={question.items}
+                            onChange={(items) => (items.length === question.items.length ? update({ items }) : onChange(prepareQuestion('ordering', { ...question, items })))}
+                            addLabel="Add item"
+                        />
+                    </div>
+                );
+            case 'matching': {
+                const setPairs = (pairs: { left: string; right: string }[]) =>
+                    pairs.length === question.pairs.length ? update({ pairs }) : onChange(prepareQuestion('matching', { ...question, pairs }));
+                return (
+                    <div className="space-y-1 text-sm text-gray-700">
+                        <p>Terms and their matching descriptions</p>
+                        {question.pairs.map((pair, i) => (
+                            <div key={i} className="flex items-center gap-2">
+                                <input type="text" value={pair.left} onChange={(e) => setPairs(question.pairs.map((p, j) => (j === i ? { ...p, left: e.target.value } : p)))} className={inputClass} />
+                                <input type="text" value={pair.right} onChange={(e) => setPairs(question.pairs.map((p, j) => (j === i ? { ...p, right: e.target.value } : p)))} className={inputClass} />
+                                <button onClick={() => setPairs(question.pairs.filter((_, j) => j !== i))} className={`${linkClass} text-red-600`}>Remove</button>
+                            </div>
+                        ))}
+                        <button onClick={() => setPairs([...question.pairs, { left: '', right: '' }])} className={`${linkClass} text-blue-600`}>Add pair</button>
+                    </div>
+                );
+            }
+            default:
+                return null;
+        }
+    };
+
+    return (
+        <div className="p-4 bg-white rounded-lg border border-gray-200 space-y-2">
+            <div className="flex items-center justify-between gap-2">
+                <p className="font-semibold text-gray-800">{index + 1}. {QUESTION_TYPES[type].label}</p>
+                <div className="flex gap-3 text-sm">
+                    {onRegenerate && <button onClick={onRegenerate} disabled={busy} className="text-purple-600 font-semibold hover:underline disabled:opacity-50 disabled:cursor-not-allowed">Regenerate</button>}
+                    <button onClick={onRemove} disabled={busy} className="text-red-600 font-semibold hover:underline disabled:opacity-50 disabled:cursor-not-allowed">Remove</button>
+                </div>
+            </div>
+            <textarea rows={2} value={question.question} onChange={(e) => update({ question: e.target.value })} className={inputClass} />
+            {renderAnswerKey()}
+            <label className="block text-sm text-gray-700">
+                Explanation
+                <textarea rows={2} value={question.explanation || ''} onChange={(e) => update({ explanation: e.target.value })} className={inputClass} />
+            </label>
+        </div>
+    );
+};
@@ -0,0 +1,48 @@
+import { ClassContent, contentProblems, withRecomputedMarks } from './classContent.ts';
+
+const content = (): ClassContent => ({
+    topicId: 'topic-1',
+    topic: 'Entanglement',
+    teacherPicks: [],
+    assignmentContent: {
+        title: 'Bell tests',
+        total_marks: 100,
+        scenario: { title: 'Lab', description: 'A lab.' },
+        sections: [{
+            section_id: 's1',
+            section_title: 'Part 1',
+            marks: 50,
+            sub_scenario: { title: 'Setup', description: 'Set up.' },
+            tasks: [
+                { task_id: '1.1', task_description: 'Explain.', marks: 10, type: 'text_input' },
+                { task_id: '1.2', task_description: 'Derive.', marks: 15, type: 'text_input' },
+            ],
+        }],
+        resources: [],
+    },
+    questionBanks: {
+        quiz: [{ question: 'Q?', options: { A: 'a', B: 'b', C: 'c', D: 'd' }, correctAnswer: 'B' }],
+        finalTest: [{ type: 'true_false', question: 'True?', isTrue: true }],
+    },
+    updatedAt: '2026-01-01T00:00:00.000Z',
+});
+
+test('recomputes section and total marks from the tasks', () => {
+    const assignment = withRecomputedMarks(content().assignmentContent);
+    expect(assignment.sections[0].marks).toBe(25);
+    expect(assignment.total_marks).toBe(25);
+});
+
+test('lists what blocks publishing', () => {
+    expect(contentProblems(content())).toEqual([]);
+
+    const broken = content();
+    broken.assignmentContent.sections[0].tasks[1].marks = 0;
+    broken.questionBanks.quiz = [];
+    broken.questionBanks.finalTest = [{ type: 'ordering', question: 'Order these', items: ['first', ' '], displayOrder: [1, 0] }];
+    expect(contentProblems(broken)).toEqual([
+        'Task 1.2 is worth no marks.',
+        'The quiz has no questions.',
+        'Final test question 1 (ordering) has a blank item.',
+    ]);
+});
@@ -0,0 +1,80 @@
+import { Resource } from '../content/moduleContent.ts';
+import { Question, questionTypeOf } from '../questions/questionTypes.ts';
+import { AssignmentContent } from '../types.ts';
+
+// Content an instructor prepares for one class topic. The draft is edited freely;
+// publishing copies it into a numbered, read-only release that every learner in the class starts from.
+// Stored under the class in artifacts/${appId}/public/data/classes (see contentStore.ts).
+
+export type QuestionBanks = { quiz: Question[]; finalTest: Question[] };
+
+export type ClassContent = {
+    topicId: string;
+    topic: string;
+    teacherPicks: Resource[];
+    assignmentContent: AssignmentContent;
+    questionBanks: QuestionBanks;
+    updatedAt: string;
+};
+
+export type ContentRelease = ClassContent & {
+    version: number;
+    publishedAt: string;
+};
+
+// Section marks are the sum of their tasks, the total the sum of the sections
+export const withRecomputedMarks = (assignment: AssignmentContent): AssignmentContent => {
+    const sections = assignment.sections.map(section => ({
+        ...section,
+        marks: section.tasks.reduce((sum, task) => sum + (Number(task.marks) || 0), 0),
+    }));
+    return { ...assignment, sections, total_marks: sections.reduce((sum, section) => sum + section.marks, 0) };
+};
+
+// Why a question can't be marked as written, or null when it can
+const questionProblem = (question: Question): string | null => {
+    if (!question.question?.trim()) return 'has no question text';
+    switch (question.type) {
+        case 'multi_select':
+            return question.correctAnswers.length === 0 ? 'has no correct options' : null;
+        case 'numeric':
+            return Number.isFinite(question.correctValue) ? null : 'has no numeric answer';
+        case 'short_text':
+            if (!question.modelAnswer.trim()) return 'has no model answer';
+            return question.keyPoints.some(point => !point.trim()) ? 'has a blank key point' : null;
+        case 'ordering':
+            if (question.items.length < 2) return 'needs at least two items';
+            return question.items.some(item => !item.trim()) ? 'has a blank item' : null;
+        case 'matching':
+            if (question.pairs.length < 2) return 'needs at least two pairs';
+            return question.pairs.some(pair => !pair.left.trim() || !pair.right.trim()) ? 'has an incomplete pair' : null;
+        case 'true_false':
+            return null;
+        default:
+            return question.options[question.correctAnswer] ? null : 'has no correct option';
+    }
+};
+
+// Everything that has to be fixed before the content can be published; empty when it is ready
+export const contentProblems = (content: ClassContent): string[] => {
+    const problems: string[] = [];
+    const { assignmentContent, questionBanks } = content;
+    if (!assignmentContent.title.trim()) problems.push('The assignment has no title.');
+    if (assignmentContent.sections.length === 0) problems.push('The assignment has no sections.');
+    assignmentContent.sections.forEach((section, i) => {
+        if (section.tasks.length === 0) problems.push(`Section ${i + 1} has no tasks.`);
+        section.tasks.forEach(task => {
+            if (!task.task_description.trim()) problems.push(`Task ${task.task_id} has no description.`);
+            if (!(Number(task.marks) > 0)) problems.push(`Task ${task.task_id} is worth no marks.`);
+        });
+    });
+    (['quiz', 'finalTest'] as const).forEach(bank => {
+        const label = bank === 'quiz' ? 'Quiz' : 'Final test';
+        if (questionBanks[bank].length === 0) problems.push(`The ${label.toLowerCase()} has no questions.`);
+        questionBanks[bank].forEach((question, i) => {
+            const problem = questionProblem(question);
+            if (problem) problems.push(`${label} question ${i + 1} (${questionTypeOf(question).replace('_', ' ')}) ${problem}.`);
+        });
+    });
+    return problems;
+};
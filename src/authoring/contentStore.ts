@@ -0,0 +1,41 @@
+import { collection, doc, getDoc, getDocs, setDoc } from 'firebase/firestore';
+import { db, appId } from '../firebase';
+import { ClassContent, ContentRelease } from './classContent.ts';
+
+// artifacts/${appId}/public/data/classes/${classId}/content/${topicId}    draft, owner only
+// artifacts/${appId}/public/data/classes/${classId}/releases/${topicId}   published release, readable by class members
+
+const classPath = (classId: string) => `artifacts/${appId}/public/data/classes/${classId}`;
+const draftRef = (classId: string, topicId: string) => doc(db, `${classPath(classId)}/content`, topicId);
+const releaseRef = (classId: string, topicId: string) => doc(db, `${classPath(classId)}/releases`, topicId);
+
+export const loadDraft = async (classId: string, topicId: string): Promise<ClassContent | null> => {
+    const snapshot = await getDoc(draftRef(classId, topicId));
+    return snapshot.exists() ? (snapshot.data() as ClassContent) : null;
+};
+
+export const saveDraft = async (classId: string, content: Omit<ClassContent, 'updatedAt'>): Promise<ClassContent> => {
+    const saved = { ...content, updatedAt: new Date().toISOString() };
+    await setDoc(draftRef(classId, content.topicId), saved);
+    return saved;
+};
+
+export const loadRelease = async (classId: string, topicId: string): Promise<ContentRelease | null> => {
+    const snapshot = await getDoc(releaseRef(classId, topicId));
+    return snapshot.exists() ? (snapshot.data() as ContentRelease) : null;
+};
+
+// Releases keyed by topicId
+export const loadReleases = async (classId: string): Promise<{ [topicId: string]: ContentRelease }> => {
+    const snapshot = await getDocs(collection(db, `${classPath(classId)}/releases`));
+    return Object.fromEntries(snapshot.docs.map(d => [d.id, d.data() as ContentRelease]));
+};
+
+// Replaces the topic's release with the draft under the next version number.
+// Learners who already started keep the version they started from.
+export const publishRelease = async (classId: string, content: ClassContent): Promise<ContentRelease> => {
+    const previous = await loadRelease(classId, content.topicId);
+    const release: ContentRelease = { ...content, version: (previous?.version || 0) + 1, publishedAt: new Date().toISOString() };
+    await setDoc(releaseRef(classId, content.topicId), release);
+    return release;
+};
@@ -0,0 +1,107 @@
+import { parseModuleJson, parseModuleMarkdown } from './moduleFormat.ts';
+
+const moduleFile = () => ({
+    version: 1,
+    name: 'Quantum Entanglement',
+    resources: [{ title: 'Lecture notes', url: 'https://example.org/notes' }],
+    assignment: {
+        title: 'Bell Tests',
+        scenario: { title: 'Optics lab', description: 'You run the lab.' },
+        sections: [{
+            section_title: 'Preparing the source',
+            sub_scenario: { title: 'Pairs', description: 'Make entangled pairs.' },
+            tasks: [
+                { task_description: 'Explain.', marks: 10 },
+                { task_description: 'Simulate.', marks: 20, type: 'code_input', language: 'python' },
+            ],
+        }],
+    },
+    quiz: [{ question: 'Is it local?', type: 'true_false', isTrue: false }],
+    finalTest: [{ question: 'Pick one', options: { A: 'yes', B: 'no' }, correctAnswer: 'A' }],
+});
+
+test('imports a JSON module and fills in IDs and marks', () => {
+    const { module, errors } = parseModuleJson(JSON.stringify(moduleFile()));
+    expect(errors).toEqual([]);
+    expect(module?.assignmentContent.total_marks).toBe(30);
+    expect(module?.assignmentContent.sections[0].section_id).toBe('section1');
+    expect(module?.assignmentContent.sections[0].tasks.map(t => [t.task_id, t.type])).toEqual([['1.1', 'text_input'], ['1.2', 'code_input']]);
+    expect(module?.questionBanks.finalTest[0].type).toBe('multiple_choice');
+});
+
+test('names every invalid field', () => {
+    const file: any = moduleFile();
+    file.assignment.sections[0].tasks[1].marks = 'twenty';
+    file.assignment.total_marks = 100;
+    file.finalTest[0].correctAnswer = 'C';
+    delete file.quiz[0].isTrue;
+    const { module, errors } = parseModuleJson(JSON.stringify(file));
+    expect(module).toBeNull();
+    expect(errors).toEqual([
+        { field: 'assignment.sections[0].tasks[1].marks', message: 'must be a number, not string "twenty"' },
+        { field: 'assignment.total_marks', message: 'is 100 but the sections add up to 10' },
+        { field: 'quiz[0].isTrue', message: 'is required' },
+        { field: 'finalTest[0].correctAnswer', message: 'must be one of the option keys (A, B)' },
+    ]);
+    expect(parseModuleJson('{ nope').errors[0].field).toBe('file');
+});
+
+const markdown = `---
+name: Quantum Entanglement
+title: Bell Tests
+---
+
+# Scenario: Optics lab
+You run the lab.
+
+## Resources
+- [Lecture notes](https://example.org/notes)
+
+## Section: Preparing the source
+### Sub-scenario: Pairs
+Make entangled pairs.
+
+### Task 1.1 (10 marks)
+Explain.
+
+### Task 1.2 (20 marks, code_input, python)
+Simulate:
+\`\`\`python
+# not a heading
+\`\`\`
+#### Test: runs
+\`\`\`python
+assert True
+\`\`\`
+
+## Quiz
+\`\`\`json
+[{ "question": "Is it local?", "type": "true_false", "isTrue": false }]
+\`\`\`
+
+## Final Test
+\`\`\`json
+[{ "question": "Pick one", "options": { "A": "yes", "B": "no" }, "correctAnswer": "A" }]
+\`\`\`
+`;
+
+test('imports the Markdown variant', () => {
+    const { module, errors } = parseModuleMarkdown(markdown);
+    expect(errors).toEqual([]);
+    expect(module?.name).toBe('Quantum Entanglement');
+    expect(module?.teacherPicks).toEqual([{ title: 'Lecture notes', url: 'https://example.org/notes' }]);
+    const [, codeTask] = module!.assignmentContent.sections[0].tasks;
+    expect(codeTask).toMatchObject({ task_id: '1.2', marks: 20, type: 'code_input', language: 'python' });
+    expect(codeTask.task_description).toBe('Simulate:\n```python\n# not a heading\n```');
+    expect(codeTask.test_cases).toEqual([{ description: 'runs', test_code: 'assert True' }]);
+    expect(module?.assignmentContent.total_marks).toBe(30);
+});
+
+test('points Markdown errors at their line', () => {
+    expect(parseModuleMarkdown(markdown.replace('(10 marks)', '(ten marks)')).errors).toEqual([
+        { field: 'line 16', message: 'task headings look like "### Task 1.1 (10 marks)" or "### Task 2.1 (15 marks, code_input, python)"' },
+    ]);
+    expect(parseModuleMarkdown(markdown.replace('Make entangled pairs.', '')).errors).toEqual([
+        { field: 'assignment.sections[0].sub_scenario.description (line 13)', message: 'must not be empty' },
+    ]);
+});
@@ -0,0 +1,469 @@
+import { Resource } from '../content/moduleContent.ts';
+import { prepareQuestion, Question, QUESTION_TYPES, QuestionType } from '../questions/questionTypes.ts';
+import { AssignmentContent, AssignmentSection, AssignmentTask } from '../types.ts';
+import { ClassContent, withRecomputedMarks } from './classContent.ts';
+
+// Module files: course material written by hand or brought in from elsewhere, turned into a module without the AI.
+// Two formats, both documented in README.md ("Module file format"):
+//   JSON      { version, name, resources, assignment, quiz, finalTest } with the same shapes the app stores
+//   Markdown  front matter (name, title) and headings for the scenario, resources, sections and tasks,
+//             with the quiz and final-test questions as ```json blocks
+// Both are checked by validateModuleFile, whose errors name the offending field.
+
+export const MODULE_FILE_VERSION = 1;
+
+export type ModuleContent = Pick<ClassContent, 'teacherPicks' | 'assignmentContent' | 'questionBanks'>;
+
+export type ModuleDefinition = ModuleContent & { name: string };
+
+export type FieldError = { field: string; message: string };
+
+export type ParseResult = { module: ModuleDefinition | null; errors: FieldError[] };
+
+// The JSON file for a module, as written by export and read by import
+export const toModuleFile = ({ name, teacherPicks, assignmentContent, questionBanks }: ModuleDefinition) => ({
+    version: MODULE_FILE_VERSION,
+    name,
+    resources: teacherPicks,
+    assignment: assignmentContent,
+    quiz: questionBanks.quiz,
+    finalTest: questionBanks.finalTest,
+});
+
+// --- Starting points for writing a module by hand ---
+export const blankQuestion = (type: QuestionType): Question => {
+    switch (type) {
+        case 'multi_select':
+            return { type, question: '', options: { A: '', B: '', C: '', D: '' }, correctAnswers: ['A'] };
+        case 'true_false':
+            return { type, question: '', isTrue: true };
+        case 'numeric':
+            return { type, question: '', correctValue: 0, tolerance: 0, unit: '' };
+        case 'short_text':
+            return { type, question: '', modelAnswer: '', keyPoints: [''] };
+        case 'ordering':
+            return prepareQuestion(type, { question: '', items: ['', ''] });
+        case 'matching':
+            return prepareQuestion(type, { question: '', pairs: [{ left: '', right: '' }, { left: '', right: '' }] });
+        default:
+            return { type: 'multiple_choice', question: '', options: { A: '', B: '', C: '', D: '' }, correctAnswer: 'A' };
+    }
+};
+
+export const blankSection = (index: number): AssignmentSection => ({
+    section_id: `section-${Date.now()}`, // Unique even after sections are removed and re-added
+    section_title: '',
+    marks: 10,
+    sub_scenario: { title: '', description: '' },
+    tasks: [{ task_id: `${index + 1}.1`, task_description: '', marks: 10, type: 'text_input' }],
+});
+
+export const blankModule = (): ModuleDefinition => ({
+    name: '',
+    teacherPicks: [],
+    assignmentContent: { title: '', total_marks: 10, scenario: { title: '', description: '' }, sections: [blankSection(0)], resources: [] },
+    questionBanks: { quiz: [blankQuestion('multiple_choice')], finalTest: [blankQuestion('multiple_choice')] },
+});
+
+// --- Validation ---
+type Fields = { [key: string]: any };
+
+const describe = (value: any) => (Array.isArray(value) ? 'a list' : value === null ? 'null' : typeof value === 'object' ? 'an object' : `${typeof value} ${JSON.stringify(value)}`);
+
+const createChecker = () => {
+    const errors: FieldError[] = [];
+    const fail = (field: string, message: string) => { errors.push({ field, message }); };
+
+    const object = (value: any, field: string): Fields | null => {
+        if (value && typeof value === 'object' && !Array.isArray(value)) return value;
+        fail(field, value === undefined ? 'is required' : `must be an object, not ${describe(value)}`);
+        return null;
+    };
+    const text = (value: any, field: string, { optional = false } = {}): string => {
+        if (value === undefined || value === null) {
+            if (!optional) fail(field, 'is required');
+            return '';
+        }
+        if (typeof value !== 'string') {
+            fail(field, `must be text, not ${describe(value)}`);
+            return '';
+        }
+        if (!optional && !value.trim()) fail(field, 'must not be empty');
+        return value;
+    };
+    const number = (value: any, field: string, { min = -Infinity, positive = false } = {}): number => {
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            fail(field, value === undefined ? 'is required' : `must be a number, not ${describe(value)}`);
+            return 0;
+        }
+        if (positive && value <= 0) fail(field, 'must be more than 0');
+        else if (value < min) fail(field, `must be at least ${min}`);
+        return value;
+    };
+    const list = (value: any, field: string, { min = 0 } = {}): any[] => {
+        if (!Array.isArray(value)) {
+            fail(field, value === undefined ? 'is required' : `must be a list, not ${describe(value)}`);
+            return [];
+        }
+        if (value.length < min) fail(field, `needs at least ${min} ${min === 1 ? 'entry' : 'entries'}`);
+        return value;
+    };
+    return { errors, fail, object, text, number, list };
+};
+
+type Checker = ReturnType<typeof createChecker>;
+
+const checkTitled = (check: Checker, value: any, field: string) => {
+    const fields = check.object(value, field);
+    return { title: check.text(fields?.title, `${field}.title`), description: check.text(fields?.description, `${field}.description`) };
+};
+
+const checkTask = (check: Checker, value: any, field: string, fallbackId: string): AssignmentTask => {
+    const fields = check.object(value, field) || {};
+    const type = fields.type ?? 'text_input';
+    if (type !== 'text_input' && type !== 'code_input') check.fail(`${field}.type`, `must be "text_input" or "code_input", not ${describe(type)}`);
+    const task: AssignmentTask = {
+        task_id: fields.task_id === undefined ? fallbackId : check.text(fields.task_id, `${field}.task_id`),
+        task_description: check.text(fields.task_description, `${field}.task_description`),
+        marks: check.number(fields.marks, `${field}.marks`, { positive: true }),
+        type,
+    };
+    if (fields.language !== undefined) task.language = check.text(fields.language, `${field}.language`);
+    if (fields.test_cases !== undefined) {
+        task.test_cases = check.list(fields.test_cases, `${field}.test_cases`).map((testCase, i) => {
+            const testField = `${field}.test_cases[${i}]`;
+            const testFields = check.object(testCase, testField);
+            return { description: check.text(testFields?.description, `${testField}.description`), test_code: check.text(testFields?.test_code, `${testField}.test_code`) };
+        });
+    }
+    return task;
+};
+
+const checkSection = (check: Checker, value: any, field: string, index: number): AssignmentSection => {
+    const fields = check.object(value, field) || {};
+    const tasks = check.list(fields.tasks, `${field}.tasks`, { min: 1 }).map((task, i) => checkTask(check, task, `${field}.tasks[${i}]`, `${index + 1}.${i + 1}`));
+    const taskMarks = tasks.reduce((sum, task) => sum + task.marks, 0);
+    if (fields.marks !== undefined && check.number(fields.marks, `${field}.marks`) !== taskMarks && typeof fields.marks === 'number') {
+        check.fail(`${field}.marks`, `is ${fields.marks} but its tasks add up to ${taskMarks}`);
+    }
+    return {
+        section_id: fields.section_id === undefined ? `section${index + 1}` : check.text(fields.section_id, `${field}.section_id`),
+        section_title: check.text(fields.section_title, `${field}.section_title`),
+        marks: taskMarks,
+        sub_scenario: checkTitled(check, fields.sub_scenario, `${field}.sub_scenario`),
+        tasks,
+    };
+};
+
+const checkAssignment = (check: Checker, value: any, field: string): AssignmentContent => {
+    const fields = check.object(value, field) || {};
+    const sections = check.list(fields.sections, `${field}.sections`, { min: 1 }).map((section, i) => checkSection(check, section, `${field}.sections[${i}]`, i));
+    const resources = fields.resources === undefined ? [] : check.list(fields.resources, `${field}.resources`).map((resource, i) => {
+        const resourceField = `${field}.resources[${i}]`;
+        const resourceFields = check.object(resource, resourceField);
+        return {
+            title: check.text(resourceFields?.title, `${resourceField}.title`),
+            url: check.text(resourceFields?.url, `${resourceField}.url`),
+            type: check.text(resourceFields?.type ?? 'website', `${resourceField}.type`),
+            category: check.text(resourceFields?.category ?? '', `${resourceField}.category`, { optional: true }),
+        };
+    });
+    const assignment = withRecomputedMarks({
+        title: check.text(fields.title, `${field}.title`),
+        total_marks: 0,
+        scenario: checkTitled(check, fields.scenario, `${field}.scenario`),
+        sections,
+        resources,
+    });
+    if (fields.total_marks !== undefined && check.number(fields.total_marks, `${field}.total_marks`) !== assignment.total_marks && typeof fields.total_marks === 'number') {
+        check.fail(`${field}.total_marks`, `is ${fields.total_marks} but the sections add up to ${assignment.total_marks}`);
+    }
+    return assignment;
+};
+
+const checkOptions = (check: Checker, fields: Fields, field: string) => {
+    const options = check.object(fields.options, `${field}.options`) || {};
+    const keys = Object.keys(options);
+    if (fields.options && keys.length < 2) check.fail(`${field}.options`, 'needs at least 2 options');
+    keys.forEach(key => check.text(options[key], `${field}.options.${key}`));
+    return { options, keys };
+};
+
+const checkQuestion = (check: Checker, value: any, field: string): Question | null => {
+    const fields = check.object(value, field);
+    if (!fields) return null;
+    const type: QuestionType = fields.type ?? 'multiple_choice';
+    if (!QUESTION_TYPES[type]) {
+        check.fail(`${field}.type`, `must be one of ${Object.keys(QUESTION_TYPES).join(', ')}, not ${describe(type)}`);
+        return null;
+    }
+    const question: Fields = {
+        question: check.text(fields.question, `${field}.question`),
+        ...(fields.explanation !== undefined && { explanation: check.text(fields.explanation, `${field}.explanation`, { optional: true }) }),
+        ...(fields.sourceResource !== undefined && { sourceResource: check.text(fields.sourceResource, `${field}.sourceResource`, { optional: true }) }),
+    };
+    switch (type) {
+        case 'multiple_choice': {
+            const { options, keys } = checkOptions(check, fields, field);
+            const correctAnswer = check.text(fields.correctAnswer, `${field}.correctAnswer`);
+            if (correctAnswer && keys.length && !keys.includes(correctAnswer)) check.fail(`${field}.correctAnswer`, `must be one of the option keys (${keys.join(', ')})`);
+            Object.assign(question, { options, correctAnswer });
+            break;
+        }
+        case 'multi_select': {
+            const { options, keys } = checkOptions(check, fields, field);
+            const correctAnswers = check.list(fields.correctAnswers, `${field}.correctAnswers`, { min: 1 });
+            correctAnswers.forEach((key, i) => {
+                if (!keys.includes(key)) check.fail(`${field}.correctAnswers[${i}]`, `must be one of the option keys (${keys.join(', ')})`);
+            });
+            Object.assign(question, { options, correctAnswers });
+            break;
+        }
+        case 'true_false':
+            if (typeof fields.isTrue !== 'boolean') check.fail(`${field}.isTrue`, fields.isTrue === undefined ? 'is required' : 'must be true or false');
+            question.isTrue = !!fields.isTrue;
+            break;
+        case 'numeric':
+            Object.assign(question, {
+                correctValue: check.number(fields.correctValue, `${field}.correctValue`),
+                tolerance: fields.tolerance === undefined ? 0 : check.number(fields.tolerance, `${field}.tolerance`, { min: 0 }),
+                ...(fields.unit !== undefined && { unit: check.text(fields.unit, `${field}.unit`, { optional: true }) }),
+            });
+            break;
+        case 'short_text':
+            Object.assign(question, {
+                modelAnswer: check.text(fields.modelAnswer, `${field}.modelAnswer`),
+                keyPoints: check.list(fields.keyPoints, `${field}.keyPoints`, { min: 1 }).map((point, i) => check.text(point, `${field}.keyPoints[${i}]`)),
+            });
+            break;
+        case 'ordering':
+            question.items = check.list(fields.items, `${field}.items`, { min: 2 }).map((item, i) => check.text(item, `${field}.items[${i}]`));
+            break;
+        case 'matching':
+            question.pairs = check.list(fields.pairs, `${field}.pairs`, { min: 2 }).map((pair, i) => {
+                const pairFields = check.object(pair, `${field}.pairs[${i}]`);
+                return { left: check.text(pairFields?.left, `${field}.pairs[${i}].left`), right: check.text(pairFields?.right, `${field}.pairs[${i}].right`) };
+            });
+            break;
+    }
+    // Ordering and matching questions get a fresh shuffled presentation
+    return prepareQuestion(type, question);
+};
+
+// Checks a parsed module file and converts it to a module; errors list every problem found, not just the first
+export const validateModuleFile = (value: any): ParseResult => {
+    const check = createChecker();
+    const fields = check.object(value, 'file') || {};
+    if (fields.version !== undefined && fields.version !== MODULE_FILE_VERSION) {
+        check.fail('version', `must be ${MODULE_FILE_VERSION}; this file was written by a newer version of the app`);
+    }
+    const teacherPicks: Resource[] = fields.resources === undefined ? [] : check.list(fields.resources, 'resources').map((resource, i) => {
+        const resourceFields = check.object(resource, `resources[${i}]`);
+        return { title: check.text(resourceFields?.title, `resources[${i}].title`), url: check.text(resourceFields?.url ?? '', `resources[${i}].url`, { optional: true }) };
+    });
+    const module: ModuleDefinition = {
+        name: check.text(fields.name, 'name').trim(),
+        teacherPicks,
+        assignmentContent: checkAssignment(check, fields.assignment, 'assignment'),
+        questionBanks: {
+            quiz: check.list(fields.quiz, 'quiz', { min: 1 }).map((q, i) => checkQuestion(check, q, `quiz[${i}]`)).filter((q): q is Question => q !== null),
+            finalTest: check.list(fields.finalTest, 'finalTest', { min: 1 }).map((q, i) => checkQuestion(check, q, `finalTest[${i}]`)).filter((q): q is Question => q !== null),
+        },
+    };
+    return check.errors.length ? { module: null, errors: check.errors } : { module, errors: [] };
+};
+
+export const parseModuleJson = (text: string): ParseResult => {
+    let value: any;
+    try {
+        value = JSON.parse(text);
+    } catch (e) {
+        return { module: null, errors: [{ field: 'file', message: `is not valid JSON (${e.message})` }] };
+    }
+    return validateModuleFile(value);
+};
+
+// --- Markdown ---
+const TASK_HEADING = /^### Task\s+(\S+)\s*\(\s*(\d+(?:\.\d+)?)\s*marks?\s*(?:,\s*(\w+)\s*)?(?:,\s*([\w.+#-]+)\s*)?\)\s*$/i;
+
+// The Markdown variant is converted to the JSON shape and validated the same way.
+// Every field remembers the line it came from so errors can point there.
+export const parseModuleMarkdown = (text: string): ParseResult => {
+    const lines = text.split(/\r?\n/);
+    const errors: FieldError[] = [];
+    const lineOf: { [field: string]: number } = {};
+    const fail = (line: number, message: string) => errors.push({ field: `line ${line}`, message });
+    const discard = () => ({ object: {}, key: 'text' }); // Text under a heading already reported as broken
+
+    // Front matter: simple "key: value" lines between --- fences
+    const file: Fields = { version: MODULE_FILE_VERSION, resources: [], assignment: { sections: [], resources: [] } };
+    let i = 0;
+    if (lines[0]?.trim() !== '---') {
+        return { module: null, errors: [{ field: 'line 1', message: 'must be "---", opening the front matter with the module name' }] };
+    }
+    for (i = 1; i < lines.length && lines[i].trim() !== '---'; i++) {
+        const match = lines[i].match(/^(\w+):\s*(.*)$/);
+        if (!lines[i].trim()) continue;
+        if (!match || !['name', 'title'].includes(match[1])) {
+            fail(i + 1, 'front matter only holds "name: ..." and "title: ..." lines');
+        } else if (match[1] === 'name') {
+            file.name = match[2].trim();
+            lineOf.name = i + 1;
+        } else {
+            file.assignment.title = match[2].trim();
+            lineOf['assignment.title'] = i + 1;
+        }
+    }
+    if (i >= lines.length) return { module: null, errors: [{ field: 'line 1', message: 'front matter is never closed with "---"' }] };
+
+    // Body: headings open a block; the text below a heading, up to the next one, belongs to it
+    const assignment = file.assignment;
+    let target: { object: Fields; key: string } | null = null; // Where the next paragraph lines go
+    let bank: 'quiz' | 'finalTest' | null = null; // Waiting for a ```json block of questions
+    let test: { task: Fields; description: string } | null = null; // Waiting for a fenced block of test code
+    let fence: { start: number; lines: string[] } | null = null; // An open ``` block for the bank or test above
+
+    const section = () => assignment.sections[assignment.sections.length - 1];
+    const sectionField = () => `assignment.sections[${assignment.sections.length - 1}]`;
+    const appendText = (line: string) => {
+        if (!target) {
+            if (line.trim()) fail(i + 1, 'text must follow a heading (# Scenario, ## Section, ### Sub-scenario or ### Task)');
+            return;
+        }
+        target.object[target.key] = target.object[target.key] ? `${target.object[target.key]}\n${line}` : line;
+    };
+
+    for (i += 1; i < lines.length; i++) {
+        const line = lines[i];
+        const lineNumber = i + 1;
+        if (fence) {
+            if (line.trim().startsWith('```')) {
+                const code = fence.lines.join('\n');
+                if (bank) {
+                    try {
+                        file[bank] = JSON.parse(code);
+                        lineOf[bank] = fence.start;
+                        for (let q = 0; Array.isArray(file[bank]) && q < file[bank].length; q++) lineOf[`${bank}[${q}]`] = fence.start;
+                    } catch (e) {
+                        fail(fence.start, `${bank === 'quiz' ? 'Quiz' : 'Final Test'} questions are not valid JSON (${e.message})`);
+                        file[bank] = [];
+                    }
+                    bank = null;
+                } else if (test) {
+                    test.task.test_cases = [...(test.task.test_cases || []), { description: test.description, test_code: code }];
+                    test = null;
+                }
+                fence = null;
+            } else {
+                fence.lines.push(line);
+            }
+            continue;
+        }
+        if (line.trim().startsWith('```')) {
+            if (bank || test) {
+                fence = { start: lineNumber, lines: [] };
+                continue;
+            }
+            // A code sample inside a description: kept verbatim, headings inside it are not parsed
+            let end = i + 1;
+            while (end < lines.length && !lines[end].trim().startsWith('```')) end++;
+            if (end === lines.length) {
+                fail(lineNumber, 'this ``` block is never closed');
+                break;
+            }
+            lines.slice(i, end + 1).forEach(appendText);
+            i = end;
+            continue;
+        }
+        const heading = line.match(/^(#{1,4})\s+(.*?)\s*$/);
+        if (!heading) {
+            if (bank && line.trim()) fail(lineNumber, 'expected a ```json block of questions');
+            else appendText(line);
+            continue;
+        }
+        const [, hashes, title] = heading;
+        target = null;
+        bank = null;
+        test = null;
+        if (hashes === '#' && /^Scenario:/i.test(title)) {
+            assignment.scenario = { title: title.replace(/^Scenario:\s*/i, ''), description: '' };
+            lineOf['assignment.scenario'] = lineNumber;
+            target = { object: assignment.scenario, key: 'description' };
+        } else if (hashes === '##' && /^Resources$/i.test(title)) {
+            lineOf.resources = lineNumber;
+            for (; i + 1 < lines.length && !/^#/.test(lines[i + 1]); i++) {
+                const item = lines[i + 1].match(/^\s*[-*]\s+(?:\[(.+?)\]\((.*?)\)|(.+))\s*$/);
+                if (item) {
+                    lineOf[`resources[${file.resources.length}]`] = i + 2;
+                    file.resources.push({ title: (item[1] ?? item[3]).trim(), url: (item[2] ?? '').trim() });
+                } else if (lines[i + 1].trim()) {
+                    fail(i + 2, 'resources are list items: "- [Title](https://...)" or "- Title"');
+                }
+            }
+        } else if (hashes === '##' && /^Section:/i.test(title)) {
+            assignment.sections.push({ section_title: title.replace(/^Section:\s*/i, ''), tasks: [] });
+            lineOf[sectionField()] = lineNumber;
+        } else if (hashes === '##' && /^(Quiz|Final Test)$/i.test(title)) {
+            bank = /^Quiz$/i.test(title) ? 'quiz' : 'finalTest';
+            lineOf[bank] = lineNumber;
+        } else if (hashes === '###' && /^Sub-scenario:/i.test(title)) {
+            if (!section()) {
+                fail(lineNumber, 'a sub-scenario must come after a "## Section: ..." heading');
+                target = discard();
+                continue;
+            }
+            section().sub_scenario = { title: title.replace(/^Sub-scenario:\s*/i, ''), description: '' };
+            lineOf[`${sectionField()}.sub_scenario`] = lineNumber;
+            target = { object: section().sub_scenario, key: 'description' };
+        } else if (hashes === '###' && /^Task\b/i.test(title)) {
+            const match = line.match(TASK_HEADING);
+            if (!section()) {
+                fail(lineNumber, 'a task must come after a "## Section: ..." heading');
+                target = discard();
+            } else if (!match) {
+                fail(lineNumber, 'task headings look like "### Task 1.1 (10 marks)" or "### Task 2.1 (15 marks, code_input, python)"');
+                target = discard();
+            } else {
+                const task: Fields = { task_id: match[1], task_description: '', marks: Number(match[2]), type: match[3] || 'text_input' };
+                if (match[4]) task.language = match[4];
+                lineOf[`${sectionField()}.tasks[${section().tasks.length}]`] = lineNumber;
+                section().tasks.push(task);
+                target = { object: task, key: 'task_description' };
+            }
+        } else if (hashes === '####' && /^Test:/i.test(title)) {
+            const task = section()?.tasks[section().tasks.length - 1];
+            if (!task) fail(lineNumber, 'a test must come after a "### Task ..." heading');
+            else test = { task, description: title.replace(/^Test:\s*/i, '') };
+        } else {
+            fail(lineNumber, `unknown heading "${line.trim()}"`);
+            target = discard();
+        }
+    }
+    if (fence) fail(fence.start, 'this ``` block is never closed');
+
+    // Descriptions were collected line by line; drop the blank lines around them
+    const trimText = (object?: Fields, key = 'description') => { if (object && typeof object[key] === 'string') object[key] = object[key].trim(); };
+    trimText(assignment.scenario);
+    assignment.sections.forEach((s: Fields) => {
+        trimText(s.sub_scenario);
+        s.tasks.forEach((t: Fields) => trimText(t, 'task_description'));
+    });
+
+    if (errors.length) return { module: null, errors };
+    const result = validateModuleFile(file);
+    // Point each field error at the closest line we know, e.g. "assignment.sections[0].tasks[1].marks (line 24)"
+    const located = result.errors.map(error => {
+        for (let field = error.field; field; field = field.replace(/(\.[^.[\]]+|\[\d+\])$/, '')) {
+            if (lineOf[field]) return { ...error, field: `${error.field} (line ${lineOf[field]})` };
+            if (!/(\.[^.[\]]+|\[\d+\])$/.test(field)) break;
+        }
+        return error;
+    });
+    return { ...result, errors: located };
+};
+
+// Picks the format from the file name, or from the content when pasted
+export const parseModuleFile = (text: string, fileName = ''): ParseResult =>
+    /\.(md|markdown)$/i.test(fileName) || (!fileName && text.trimStart().startsWith('---'))
+        ? parseModuleMarkdown(text)
+        : parseModuleJson(text);
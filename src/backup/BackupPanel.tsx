@@ -0,0 +1,148 @@
+import { useState } from 'react';
+import { Module } from '../types.ts';
+import { Backup, backupToJson, backupToZip, ConflictStrategy, createBackup, planRestore, readBackup } from './backup.ts';
+import { readModuleBackups, restoreModules } from './backupStore.ts';
+
+type Props = {
+    userId: string;
+    modules: Module[];
+};
+
+const STRATEGIES: { [strategy in ConflictStrategy]: string } = {
+    skip: 'Skip them and keep my current modules',
+    replace: 'Replace my current modules with the backup',
+    keep_both: 'Keep both: restore them as new copies',
+};
+
+const buttonClass = 'bg-blue-600 text-white font-bold py-2 px-6 rounded-lg hover:bg-blue-700 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed';
+
+const download = (data: BlobPart, type: string, name: string) => {
+    const url = URL.createObjectURL(new Blob([data], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = name;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+};
+
+// Export modules to a backup file and restore a backup into the current account
+export const BackupPanel = ({ userId, modules }: Props) => {
+    const [selected, setSelected] = useState<string[]>([]); // Module IDs to export; empty exports all
+    const [format, setFormat] = useState<'json' | 'zip'>('json');
+    const [backup, setBackup] = useState<Backup | null>(null);
+    const [strategy, setStrategy] = useState<ConflictStrategy>('skip');
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState('');
+    const [notice, setNotice] = useState('');
+
+    const toggle = (id: string) => setSelected(prev => (prev.includes(id) ? prev.filter(s => s !== id) : [...prev, id]));
+
+    const exportModules = async () => {
+        setBusy(true);
+        setError('');
+        setNotice('');
+        try {
+            const ids = selected.length ? selected : modules.map(m => m.id);
+            const exported = createBackup(await readModuleBackups(userId, ids));
+            const name = `quantum-leap-backup-${exported.exportedAt.slice(0, 10)}.${format}`;
+            if (format === 'zip') download(backupToZip(exported), 'application/zip', name);
+            else download(backupToJson(exported), 'application/json', name);
+            setNotice(`Exported ${exported.modules.length} module${exported.modules.length === 1 ? '' : 's'}.`);
+        } catch (e) {
+            console.error('Error exporting modules:', e);
+            setError(`Failed to export modules: ${e.message}`);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const readFile = async (file?: File) => {
+        setBackup(null);
+        setError('');
+        setNotice('');
+        if (!file) return;
+        const { backup: read, error: readError } = readBackup(new Uint8Array(await file.arrayBuffer()));
+        setBackup(read);
+        setError(readError);
+    };
+
+    const existingIds = modules.map(m => m.id);
+    const conflicts = backup ? backup.modules.filter(m => existingIds.includes(m.id)) : [];
+
+    const restore = async () => {
+        if (!backup) return;
+        setBusy(true);
+        setError('');
+        try {
+            const steps = planRestore(backup, existingIds, strategy);
+            await restoreModules(userId, steps);
+            const restored = steps.filter(s => s.action !== 'skip').length;
+            const skipped = steps.length - restored;
+            setNotice(`Restored ${restored} module${restored === 1 ? '' : 's'}${skipped ? `, skipped ${skipped}` : ''}.`);
+            setBackup(null);
+        } catch (e) {
+            console.error('Error restoring backup:', e);
+            setError(`Failed to restore the backup: ${e.message}`);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    return (
+        <div className="space-y-6">
+            <div className="space-y-2">
+                <h4 className="text-xl font-bold text-gray-800">Export</h4>
+                <p className="text-sm text-gray-600">Tick modules to export only those, or leave all unticked to export everything.</p>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-1">
+                    {modules.map(m => (
+                        <label key={m.id} className="flex items-center gap-2 text-gray-700">
+                            <input type="checkbox" checked={selected.includes(m.id)} onChange={() => toggle(m.id)} />
+                            {m.name}
+                        </label>
+                    ))}
+                </div>
+                <div className="flex flex-wrap items-center gap-4">
+                    <select value={format} onChange={(e) => setFormat(e.target.value as 'json' | 'zip')} className="p-2 border border-gray-300 rounded-md">
+                        <option value="json">JSON file</option>
+                        <option value="zip">ZIP archive</option>
+                    </select>
+                    <button onClick={exportModules} disabled={busy || modules.length === 0} className={buttonClass}>
+                        {busy ? 'Working...' : selected.length ? `Export ${selected.length} Selected` : 'Export All'}
+                    </button>
+                </div>
+            </div>
+
+            <div className="space-y-2">
+                <h4 className="text-xl font-bold text-gray-800">Restore</h4>
+                <input type="file" accept=".json,.zip,application/json,application/zip" onChange={(e) => readFile(e.target.files?.[0])} disabled={busy} className="text-sm" />
+                {backup && (
+                    <div className="p-4 bg-blue-50 rounded-lg space-y-3">
+                        <p className="text-gray-800">
+                            Backup from {new Date(backup.exportedAt).toLocaleString()} with {backup.modules.length} module{backup.modules.length === 1 ? '' : 's'}:
+                            {' '}{backup.modules.map(m => m.data.name).join(', ')}.
+                        </p>
+                        {conflicts.length > 0 && (
+                            <div className="space-y-1">
+                                <p className="font-semibold text-gray-800">
+                                    {conflicts.length} module{conflicts.length === 1 ? ' is' : 's are'} already in your account ({conflicts.map(m => m.data.name).join(', ')}):
+                                </p>
+                                {(Object.keys(STRATEGIES) as ConflictStrategy[]).map(s => (
+                                    <label key={s} className="flex items-center gap-2 text-gray-700">
+                                        <input type="radio" name="conflict-strategy" checked={strategy === s} onChange={() => setStrategy(s)} />
+                                        {STRATEGIES[s]}
+                                    </label>
+                                ))}
+                            </div>
+                        )}
+                        <button onClick={restore} disabled={busy} className={buttonClass}>{busy ? 'Restoring...' : 'Restore'}</button>
+                    </div>
+                )}
+            </div>
+
+            {error && <p className="text-red-600">{error}</p>}
+            {notice && <p className="text-green-700">{notice}</p>}
+        </div>
+    );
+};
@@ -0,0 +1,37 @@
+import { strToU8 } from 'fflate';
+import { Backup, backupToJson, backupToZip, createBackup, planRestore, readBackup } from './backup.ts';
+
+const backup = (): Backup => createBackup([
+    { id: 'module-1', data: { name: 'Optics', finalTestScore: 85, quizzes: [{ score: 80, date: '2026-01-01', attemptId: 'a1' }] }, attempts: [], drafts: [] },
+    { id: 'module-2', data: { name: 'Entanglement' }, attempts: [], drafts: [{ sectionId: 's1', taskId: '1.1', value: 'draft', updatedAt: '2026-01-02' }] },
+]);
+
+test('reads back both JSON and ZIP backups', () => {
+    const original = backup();
+    expect(readBackup(strToU8(backupToJson(original)))).toEqual({ backup: original, error: '' });
+    expect(readBackup(backupToZip(original))).toEqual({ backup: original, error: '' });
+});
+
+test('rejects files that are not backups or are from a newer version', () => {
+    expect(readBackup(strToU8('{"modules": []}')).error).toMatch(/not a module backup/);
+    expect(readBackup(strToU8(JSON.stringify({ ...backup(), version: 99 }))).error).toMatch(/version 99/);
+    expect(readBackup(strToU8('nope')).error).toMatch(/could not be read/);
+});
+
+test('plans conflicts on duplicate module IDs', () => {
+    const actions = (strategy: 'skip' | 'replace' | 'keep_both') =>
+        planRestore(backup(), ['module-2'], strategy, () => 'module-new').map(s => [s.targetId, s.action, s.module.data.name]);
+    expect(actions('skip')).toEqual([['module-1', 'create', 'Optics'], ['module-2', 'skip', 'Entanglement']]);
+    expect(actions('replace')).toEqual([['module-1', 'create', 'Optics'], ['module-2', 'replace', 'Entanglement']]);
+    expect(actions('keep_both')).toEqual([['module-1', 'create', 'Optics'], ['module-new', 'copy', 'Entanglement (restored)']]);
+});
+
+test('rejects module, attempt and draft IDs that are not plain document IDs', () => {
+    const withModule = (changes: object) => strToU8(JSON.stringify({ ...backup(), modules: [{ ...backup().modules[0], ...changes }] }));
+
+    expect(readBackup(withModule({ id: '../module-2' })).error).toBe('Module 1 in the backup has an invalid ID.');
+    expect(readBackup(withModule({ id: 'module 1' })).error).toMatch(/invalid ID/);
+    expect(readBackup(withModule({ attempts: [{ attemptId: 'quiz/1' }] })).error).toMatch(/invalid ID/);
+    expect(readBackup(withModule({ drafts: [{ sectionId: 's1', taskId: '1.1/versions' }] })).error).toMatch(/invalid ID/);
+    expect(readBackup(withModule({ attempts: [{ attemptId: 'quiz-1' }], drafts: [{ sectionId: 's1', taskId: '1.1' }] })).error).toBe('');
+});
@@ -0,0 +1,116 @@
+import { strFromU8, strToU8, unzipSync, zipSync } from 'fflate';
+import { Attempt } from '../attempts/attempts.ts';
+import { TaskDraft } from '../drafts/drafts.ts';
+
+// Portable backups of a learner's modules. Each module carries its document (name, resources, Teacher's Picks,
+// assignment and responses, quiz history, final test score, certificate) plus its attempts and assignment drafts.
+// Draft version history is not included. Two containers hold the same data:
+//   .json  one Backup object
+//   .zip   manifest.json (the Backup without modules) and modules/${moduleId}.json per module
+
+export const BACKUP_FORMAT = 'quantum-leap-backup';
+export const BACKUP_VERSION = 1;
+
+export type BackupModule = {
+    id: string;
+    data: { [key: string]: any }; // The module document as stored
+    attempts: Attempt[];
+    drafts: TaskDraft[];
+};
+
+export type Backup = {
+    format: typeof BACKUP_FORMAT;
+    version: number;
+    exportedAt: string;
+    modules: BackupModule[];
+};
+
+export const createBackup = (modules: BackupModule[]): Backup => ({
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    modules,
+});
+
+export const backupToJson = (backup: Backup) => JSON.stringify(backup, null, 2);
+
+export const backupToZip = (backup: Backup): Uint8Array => {
+    const { modules, ...manifest } = backup;
+    return zipSync({
+        'manifest.json': strToU8(JSON.stringify({ ...manifest, moduleIds: modules.map(m => m.id) }, null, 2)),
+        ...Object.fromEntries(modules.map(m => [`modules/${m.id}.json`, strToU8(JSON.stringify(m, null, 2))])),
+    });
+};
+
+const ID_PATTERN = /^[\w-]+$/;
+const TASK_ID_PATTERN = /^[\w.-]+$/; // Task IDs look like 1.1; drafts are stored under draftKey(sectionId, taskId)
+const matches = (pattern: RegExp) => (id: unknown) => typeof id === 'string' && pattern.test(id);
+const isDocumentId = matches(ID_PATTERN);
+const isTaskId = matches(TASK_ID_PATTERN);
+
+const isZip = (bytes: Uint8Array) => bytes[0] === 0x50 && bytes[1] === 0x4b; // "PK"
+
+// Reads either container; error explains why the file can't be restored
+export const readBackup = (bytes: Uint8Array): { backup: Backup | null; error: string } => {
+    let value: any;
+    try {
+        if (isZip(bytes)) {
+            const files = unzipSync(bytes);
+            if (!files['manifest.json']) return { backup: null, error: 'The ZIP file has no manifest.json, so it is not a module backup.' };
+            const manifest = JSON.parse(strFromU8(files['manifest.json']));
+            const moduleFiles = Object.keys(files).filter(name => /^modules\/[^/]+\.json$/.test(name)).sort();
+            value = { ...manifest, modules: moduleFiles.map(name => JSON.parse(strFromU8(files[name]))) };
+            delete value.moduleIds;
+        } else {
+            value = JSON.parse(strFromU8(bytes));
+        }
+    } catch (e) {
+        return { backup: null, error: `The file could not be read: ${e.message}` };
+    }
+
+    if (value?.format !== BACKUP_FORMAT) return { backup: null, error: 'This is not a module backup exported from the academy.' };
+    if (!Number.isInteger(value.version) || value.version > BACKUP_VERSION) {
+        return { backup: null, error: `The backup is format version ${value.version}; this app reads up to version ${BACKUP_VERSION}. Update the app and try again.` };
+    }
+    if (!Array.isArray(value.modules)) return { backup: null, error: 'The backup has no list of modules.' };
+    const broken = value.modules.findIndex((m: any) => typeof m?.id !== 'string' || !m.id || typeof m.data?.name !== 'string');
+    if (broken !== -1) return { backup: null, error: `Module ${broken + 1} in the backup has no ID or name.` };
+    // IDs become Firestore document IDs on restore, so anything that could reach another path is refused
+    const badIds = value.modules.findIndex((m: any) => !isDocumentId(m.id)
+        || (Array.isArray(m.attempts) && m.attempts.some((a: any) => !isDocumentId(a?.attemptId)))
+        || (Array.isArray(m.drafts) && m.drafts.some((d: any) => !isTaskId(d?.sectionId) || !isTaskId(d?.taskId))));
+    if (badIds !== -1) return { backup: null, error: `Module ${badIds + 1} in the backup has an invalid ID.` };
+    const modules: BackupModule[] = value.modules.map((m: any) => ({
+        id: m.id,
+        data: m.data,
+        attempts: Array.isArray(m.attempts) ? m.attempts : [],
+        drafts: Array.isArray(m.drafts) ? m.drafts : [],
+    }));
+    return { backup: { ...value, modules }, error: '' };
+};
+
+// --- Restoring ---
+// What to do with a backed-up module whose ID is already one of the user's modules
+export type ConflictStrategy = 'skip' | 'replace' | 'keep_both';
+
+export type RestoreStep = {
+    module: BackupModule;
+    targetId: string; // Module ID written to
+    action: 'create' | 'replace' | 'copy' | 'skip';
+};
+
+export const planRestore = (backup: Backup, existingIds: string[], strategy: ConflictStrategy, newId = () => `module-${Date.now()}`): RestoreStep[] => {
+    const taken = new Set(existingIds);
+    return backup.modules.map(module => {
+        if (!taken.has(module.id)) {
+            taken.add(module.id);
+            return { module, targetId: module.id, action: 'create' };
+        }
+        if (strategy === 'skip') return { module, targetId: module.id, action: 'skip' };
+        if (strategy === 'replace') return { module, targetId: module.id, action: 'replace' };
+        let targetId = newId();
+        for (let n = 2; taken.has(targetId); n++) targetId = `${newId()}-${n}`;
+        taken.add(targetId);
+        return { module: { ...module, data: { ...module.data, name: `${module.data.name} (restored)` } }, targetId, action: 'copy' };
+    });
+};
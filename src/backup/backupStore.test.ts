@@ -0,0 +1,35 @@
+import { restoreModules } from './backupStore.ts';
+import { mockDocs, resetMockDocs } from '../testing/fakeFirestore.ts';
+
+jest.mock('../firebase', () => ({ db: {}, appId: 'app' }));
+jest.mock('firebase/firestore', () => jest.requireActual('../testing/fakeFirestore.ts').fakeFirestore);
+
+const MODULE = 'artifacts/app/users/user-1/modules/module-1';
+const backedUp = {
+    id: 'module-1',
+    data: { name: 'Optics' },
+    attempts: [{ attemptId: 'quiz-2' } as any],
+    drafts: [{ sectionId: 's1', taskId: '1.2', value: 'restored', updatedAt: '2026-01-02' }],
+};
+
+beforeEach(() => {
+    resetMockDocs({
+        [MODULE]: { name: 'Optics (current)' },
+        [`${MODULE}/attempts/quiz-1`]: { attemptId: 'quiz-1' },
+        [`${MODULE}/drafts/s1__1.1`]: { value: 'current' },
+        [`${MODULE}/drafts/s1__1.1/versions/v1`]: { value: 'older' },
+    });
+});
+
+test('replacing a module clears its attempts, drafts and draft history before writing the backup', async () => {
+    await restoreModules('user-1', [{ module: backedUp, targetId: 'module-1', action: 'replace' }]);
+
+    expect(Object.keys(mockDocs).sort()).toEqual([MODULE, `${MODULE}/attempts/quiz-2`, `${MODULE}/drafts/s1__1.2`]);
+    expect(mockDocs[MODULE].name).toBe('Optics');
+});
+
+test('skipped modules are left as they are', async () => {
+    const before = { ...mockDocs };
+    await restoreModules('user-1', [{ module: backedUp, targetId: 'module-1', action: 'skip' }]);
+    expect(mockDocs).toEqual(before);
+});
@@ -0,0 +1,46 @@
+import { collection, deleteDoc, doc, getDoc, getDocs, setDoc } from 'firebase/firestore';
+import { db, appId } from '../firebase';
+import { loadAttempts } from '../attempts/attemptStore.ts';
+import { deleteDrafts, loadDrafts } from '../drafts/draftStore.ts';
+import { draftKey } from '../drafts/drafts.ts';
+import { BackupModule, RestoreStep } from './backup.ts';
+
+// Reads and writes whole modules under artifacts/${appId}/users/${userId}/modules for backups (see backup.ts)
+
+const modulesPath = (userId: string) => `artifacts/${appId}/users/${userId}/modules`;
+
+export const readModuleBackups = async (userId: string, moduleIds: string[]): Promise<BackupModule[]> => {
+    const modules: BackupModule[] = [];
+    for (const id of moduleIds) {
+        const snapshot = await getDoc(doc(db, modulesPath(userId), id));
+        if (!snapshot.exists()) continue;
+        modules.push({ id, data: snapshot.data(), attempts: await loadAttempts(userId, id), drafts: await loadDrafts(userId, id) });
+    }
+    return modules;
+};
+
+const clearCollection = async (path: string) => {
+    const snapshot = await getDocs(collection(db, path));
+    for (const nested of snapshot.docs) await deleteDoc(nested.ref);
+};
+
+const clearNested = async (userId: string, moduleId: string) => {
+    await clearCollection(`${modulesPath(userId)}/${moduleId}/attempts`);
+    await deleteDrafts(userId, moduleId);
+};
+
+// Writes every step that isn't skipped; a replaced module loses its current attempts, drafts and draft history first
+export const restoreModules = async (userId: string, steps: RestoreStep[]) => {
+    for (const { module, targetId, action } of steps) {
+        if (action === 'skip') continue;
+        if (action === 'replace') await clearNested(userId, targetId);
+        const moduleRef = doc(db, modulesPath(userId), targetId);
+        await setDoc(moduleRef, { ...module.data, lastUpdated: new Date().toISOString() });
+        for (const attempt of module.attempts) {
+            await setDoc(doc(moduleRef, 'attempts', attempt.attemptId), attempt);
+        }
+        for (const draft of module.drafts) {
+            await setDoc(doc(moduleRef, 'drafts', draftKey(draft.sectionId, draft.taskId)), draft);
+        }
+    }
+};
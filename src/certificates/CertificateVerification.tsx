@@ -0,0 +1,78 @@
+import { useEffect, useState } from 'react';
+import { formatIssueDate } from './certificate.ts';
+import { fetchPublicCertificate, isCertificateValid, PublicCertificate } from './certificateStore.ts';
+
+type Props = {
+    certificateId: string;
+};
+
+// Public page for employers to check a certificate someone has shared with them
+export const CertificateVerification = ({ certificateId }: Props) => {
+    const [certificate, setCertificate] = useState<PublicCertificate | null>(null);
+    const [status, setStatus] = useState<'loading' | 'found' | 'not_found' | 'error'>('loading');
+
+    useEffect(() => {
+        let cancelled = false;
+        setStatus('loading');
+        fetchPublicCertificate(certificateId)
+            .then(record => {
+                if (cancelled) return;
+                setCertificate(record);
+                setStatus(record ? 'found' : 'not_found');
+            })
+            .catch(error => {
+                console.error('Error verifying certificate:', error);
+                if (!cancelled) setStatus('error');
+            });
+        return () => { cancelled = true; };
+    }, [certificateId]);
+
+    const valid = certificate ? isCertificateValid(certificate) : false;
+
+    return (
+        <div className="min-h-screen bg-gradient-to-br from-blue-100 to-purple-200 flex items-center justify-center p-4 font-sans">
+            <div className="bg-white rounded-xl shadow-2xl p-8 md:p-12 w-full max-w-2xl">
+                <h1 className="text-3xl font-extrabold text-center text-gray-800 mb-2">
+                    <span className="bg-clip-text text-transparent bg-gradient-to-r from-blue-600 to-purple-600">
+                        Quantum Leap AI Education Academy
+                    </span>
+                </h1>
+                <h2 className="text-xl font-semibold text-center text-gray-600 mb-8">Certificate Verification</h2>
+
+                {status === 'loading' && <p className="text-center text-blue-600 text-lg">Looking up certificate {certificateId}...</p>}
+                {status === 'error' && <p className="text-center text-red-600 text-lg">The certificate could not be checked right now. Please try again later.</p>}
+                {status === 'not_found' && (
+                    <div className="text-center p-6 bg-red-50 rounded-lg border border-red-200">
+                        <p className="text-red-700 font-bold text-2xl mb-2">Not Found</p>
+                        <p className="text-gray-700">No certificate with ID <span className="font-mono">{certificateId}</span> was issued by this academy.</p>
+                    </div>
+                )}
+                {status === 'found' && certificate && (
+                    <div className={`p-6 rounded-lg border-2 ${valid ? 'bg-green-50 border-green-400' : 'bg-red-50 border-red-400'}`}>
+                        <p className={`text-center font-bold text-2xl mb-6 ${valid ? 'text-green-700' : 'text-red-700'}`}>
+                            {valid ? 'Valid Certificate' : certificate.revoked ? 'Certificate Revoked' : 'Certificate Expired'}
+                        </p>
+                        <dl className="grid grid-cols-3 gap-y-3 text-gray-700">
+                            <dt className="font-semibold">Learner</dt>
+                            <dd className="col-span-2">{certificate.learnerName}</dd>
+                            <dt className="font-semibold">{certificate.kind === 'course' ? 'Course' : 'Module'}</dt>
+                            <dd className="col-span-2">{certificate.moduleName}</dd>
+                            <dt className="font-semibold">{certificate.kind === 'course' ? 'Average Score' : 'Final Score'}</dt>
+                            <dd className="col-span-2">{certificate.score.toFixed(2)}%</dd>
+                            <dt className="font-semibold">Issued</dt>
+                            <dd className="col-span-2">{formatIssueDate(certificate.issuedAt)}</dd>
+                            {certificate.revokedAt && (
+                                <>
+                                    <dt className="font-semibold">Revoked</dt>
+                                    <dd className="col-span-2">{formatIssueDate(certificate.revokedAt)}</dd>
+                                </>
+                            )}
+                            <dt className="font-semibold">Certificate ID</dt>
+                            <dd className="col-span-2 font-mono">{certificate.certificateId}</dd>
+                        </dl>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
@@ -0,0 +1,111 @@
+import { jsPDF } from 'jspdf';
+
+// Issued by the backend (functions/certificates.js), which also stores it on the module document as
+// `certificate` so it can be re-downloaded later
+export type CertificateRecord = {
+    certificateId: string;
+    learnerName: string;
+    moduleName: string;
+    moduleId: string;
+    score: number;
+    issuedAt: string;
+    kind?: 'module' | 'course'; // Missing means module. A course certificate holds the course title and ID in moduleName / moduleId
+};
+
+// Landscape A4 proportions at a resolution that prints cleanly
+const WIDTH = 1754;
+const HEIGHT = 1240;
+
+// Public page that confirms a certificate is genuine (see CertificateVerification.tsx)
+export const getVerificationUrl = (certificateId: string) => `${window.location.origin}/verify/${certificateId}`;
+
+export const formatIssueDate = (issuedAt: string) =>
+    new Date(issuedAt).toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' });
+
+// Draws the certificate onto a canvas; both the PNG and the PDF are produced from this.
+export const renderCertificate = (record: CertificateRecord): HTMLCanvasElement => {
+    const canvas = document.createElement('canvas');
+    canvas.width = WIDTH;
+    canvas.height = HEIGHT;
+    const ctx = canvas.getContext('2d');
+    if (!ctx) throw new Error('Canvas is not supported in this browser.');
+
+    // Background and double border
+    const background = ctx.createLinearGradient(0, 0, WIDTH, HEIGHT);
+    background.addColorStop(0, '#fefce8');
+    background.addColorStop(1, '#ffedd5');
+    ctx.fillStyle = background;
+    ctx.fillRect(0, 0, WIDTH, HEIGHT);
+    ctx.strokeStyle = '#ca8a04';
+    ctx.lineWidth = 16;
+    ctx.strokeRect(40, 40, WIDTH - 80, HEIGHT - 80);
+    ctx.lineWidth = 4;
+    ctx.strokeRect(76, 76, WIDTH - 152, HEIGHT - 152);
+
+    ctx.textAlign = 'center';
+    const centre = WIDTH / 2;
+
+    ctx.fillStyle = '#1e3a8a';
+    ctx.font = 'bold 44px Georgia, serif';
+    ctx.fillText('Quantum Leap AI Education Academy', centre, 230);
+
+    ctx.fillStyle = '#854d0e';
+    ctx.font = 'bold 96px Georgia, serif';
+    ctx.fillText('Certificate of Completion', centre, 370);
+
+    ctx.fillStyle = '#374151';
+    ctx.font = '40px Georgia, serif';
+    ctx.fillText('This certifies that', centre, 480);
+
+    ctx.fillStyle = '#1d4ed8';
+    ctx.font = 'bold 84px Georgia, serif';
+    ctx.fillText(record.learnerName, centre, 600, WIDTH - 300);
+
+    ctx.fillStyle = '#374151';
+    ctx.font = '40px Georgia, serif';
+    ctx.fillText(`has successfully completed the ${record.kind === 'course' ? 'course' : 'module'}`, centre, 700);
+
+    ctx.fillStyle = '#6b21a8';
+    ctx.font = 'bold 60px Georgia, serif';
+    ctx.fillText(`"${record.moduleName}"`, centre, 800, WIDTH - 300);
+
+    ctx.fillStyle = '#374151';
+    ctx.font = '38px Georgia, serif';
+    ctx.fillText(`with ${record.kind === 'course' ? 'an average final test score' : 'a final test score'} of ${record.score.toFixed(2)}%`, centre, 880);
+
+    ctx.font = '32px Georgia, serif';
+    ctx.textAlign = 'left';
+    ctx.fillText(`Issued: ${formatIssueDate(record.issuedAt)}`, 160, HEIGHT - 160);
+    ctx.textAlign = 'right';
+    ctx.fillText(`Certificate ID: ${record.certificateId}`, WIDTH - 160, HEIGHT - 160);
+    ctx.textAlign = 'center';
+    ctx.font = '26px Georgia, serif';
+    ctx.fillStyle = '#6b7280';
+    ctx.fillText(`Verify at ${getVerificationUrl(record.certificateId)}`, centre, HEIGHT - 105);
+
+    return canvas;
+};
+
+const fileName = (record: CertificateRecord, extension: string) =>
+    `certificate-${record.moduleName.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}-${record.certificateId}.${extension}`;
+
+const triggerDownload = (href: string, name: string) => {
+    const link = document.createElement('a');
+    link.href = href;
+    link.download = name;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+};
+
+export const downloadCertificatePng = (record: CertificateRecord) => {
+    triggerDownload(renderCertificate(record).toDataURL('image/png'), fileName(record, 'png'));
+};
+
+export const downloadCertificatePdf = (record: CertificateRecord) => {
+    const canvas = renderCertificate(record);
+    const pdf = new jsPDF({ orientation: 'landscape', unit: 'px', format: [WIDTH, HEIGHT] });
+    pdf.addImage(canvas.toDataURL('image/png'), 'PNG', 0, 0, WIDTH, HEIGHT);
+    pdf.setProperties({ title: `Certificate ${record.certificateId}`, subject: record.moduleName, author: 'Quantum Leap AI Education Academy' });
+    pdf.save(fileName(record, 'pdf'));
+};
@@ -0,0 +1,57 @@
+import { doc, getDoc, setDoc } from 'firebase/firestore';
+import { auth, db, appId } from '../firebase';
+import { CertificateRecord } from './certificate.ts';
+
+// Public, read-only copy of an issued certificate used by the /verify/:certificateId page.
+// Lives outside the learner's private data so anyone with the link can read it.
+export type PublicCertificate = CertificateRecord & {
+    ownerId: string;
+    revoked: boolean;
+    revokedAt: string | null;
+    expiresAt: string | null;
+};
+
+const publicCertificateRef = (certificateId: string) => doc(db, `artifacts/${appId}/public/data/certificates`, certificateId);
+
+// Certificates are issued by the backend (functions/certificates.js): it checks the module, or every
+// module of the course, is completed and writes the public record, which the rules keep clients from doing.
+export const CERTIFICATES_URL = process.env.REACT_APP_CERTIFICATES_URL || '/api/certificates';
+
+export type CertificateRequest = { kind: 'module' | 'course'; id: string; learnerName: string };
+
+const callCertificates = async (body: object) => {
+    const token = await auth.currentUser?.getIdToken();
+    if (!token) throw new Error('You must be signed in to issue a certificate.');
+    const response = await fetch(CERTIFICATES_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+        body: JSON.stringify(body),
+    });
+    const reply = await response.json().catch(() => null);
+    if (!response.ok) throw new Error(reply?.error?.message || `The certificate service replied with status ${response.status}.`);
+    return reply;
+};
+
+export const requestCertificate = async (request: CertificateRequest): Promise<CertificateRecord> => {
+    const reply = await callCertificates(request);
+    if (!reply?.certificate) throw new Error('The certificate service did not return a certificate.');
+    return reply.certificate;
+};
+
+// After a guest's modules are copied into an existing account, their certificates are re-owned by it.
+// `guestToken` is the guest's ID token, taken before signing in. Returns how many were moved.
+export const transferGuestCertificates = async (guestToken: string): Promise<number> =>
+    (await callCertificates({ kind: 'transfer', guestToken }))?.transferred || 0;
+
+export const fetchPublicCertificate = async (certificateId: string): Promise<PublicCertificate | null> => {
+    const snapshot = await getDoc(publicCertificateRef(certificateId));
+    return snapshot.exists() ? (snapshot.data() as PublicCertificate) : null;
+};
+
+export const isCertificateValid = (certificate: PublicCertificate, now = new Date()) =>
+    !certificate.revoked && (!certificate.expiresAt || new Date(certificate.expiresAt) > now);
+
+// Marks a certificate as no longer valid, e.g. when its module is reset for a retake
+export const revokeCertificate = async (certificateId: string) => {
+    await setDoc(publicCertificateRef(certificateId), { revoked: true, revokedAt: new Date().toISOString() }, { merge: true });
+};
@@ -0,0 +1,110 @@
+import { useEffect, useState } from 'react';
+import { ContentRelease } from '../authoring/classContent.ts';
+import { loadReleases } from '../authoring/contentStore.ts';
+import { Module } from '../types.ts';
+import { ClassRecord, ClassTopic } from './classes.ts';
+import { joinClass, loadJoinedClasses } from './classStore.ts';
+
+type Props = {
+    userId: string;
+    displayName: string;
+    modules: Module[];
+    busy: boolean;
+    onStartTopic: (classRecord: ClassRecord, topic: ClassTopic, release: ContentRelease) => void;
+    onOpenModule: (module: Module) => void;
+};
+
+// Learner side of classes: join with a code and start the topics the instructor assigned.
+// A topic can only be started once the instructor has published its content.
+export const ClassPanel = ({ userId, displayName, modules, busy, onStartTopic, onOpenModule }: Props) => {
+    const [classes, setClasses] = useState<ClassRecord[]>([]);
+    const [releases, setReleases] = useState<{ [classId: string]: { [topicId: string]: ContentRelease } }>({});
+    const [code, setCode] = useState('');
+    const [joining, setJoining] = useState(false);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        loadJoinedClasses(userId)
+            .then(setClasses)
+            .catch(e => console.error('Error loading classes:', e));
+    }, [userId]);
+
+    useEffect(() => {
+        Promise.all(classes.map(c => loadReleases(c.classId)))
+            .then(loaded => setReleases(Object.fromEntries(classes.map((c, i) => [c.classId, loaded[i]]))))
+            .catch(e => console.error('Error loading class content:', e));
+    }, [classes]);
+
+    const join = async () => {
+        setJoining(true);
+        setError('');
+        try {
+            const joined = await joinClass(code, userId, displayName);
+            if (!joined) {
+                setError('No class uses that code. Check it with your instructor.');
+            } else {
+                setClasses(prev => [...prev.filter(c => c.classId !== joined.classId), joined]);
+                setCode('');
+            }
+        } catch (e) {
+            console.error('Error joining class:', e);
+            setError(`Failed to join class: ${e.message}`);
+        } finally {
+            setJoining(false);
+        }
+    };
+
+    return (
+        <div className="mt-8 pt-6 border-t border-gray-200 space-y-4">
+            <h3 className="text-2xl font-bold text-gray-800">Your Classes</h3>
+            {classes.map(c => (
+                <div key={c.classId} className="p-4 bg-purple-50 rounded-lg border-l-4 border-purple-500">
+                    <p className="font-semibold text-purple-800">{c.name} <span className="font-normal text-sm text-gray-600">with {c.ownerName}</span></p>
+                    {c.topics.length === 0 && <p className="text-sm text-gray-600 mt-1">No topics assigned yet.</p>}
+                    <ul className="mt-2 space-y-2">
+                        {c.topics.map(topic => {
+                            const module = modules.find(m => m.classId === c.classId && m.classTopicId === topic.topicId);
+                            const release = releases[c.classId]?.[topic.topicId];
+                            return (
+                                <li key={topic.topicId} className="flex items-center justify-between gap-4">
+                                    <span className="text-gray-800">
+                                        {topic.topic}
+                                        {module && <span className="text-sm text-gray-500 ml-2">({module.status.replace(/_/g, ' ')})</span>}
+                                    </span>
+                                    {module || release ? (
+                                        <button
+                                            onClick={() => (module ? onOpenModule(module) : release && onStartTopic(c, topic, release))}
+                                            disabled={busy}
+                                            className="shrink-0 bg-purple-600 text-white py-1 px-4 rounded-md hover:bg-purple-700 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                                        >
+                                            {module ? 'Open' : 'Start'}
+                                        </button>
+                                    ) : (
+                                        <span className="shrink-0 text-sm text-gray-500">Awaiting release</span>
+                                    )}
+                                </li>
+                            );
+                        })}
+                    </ul>
+                </div>
+            ))}
+            <div className="flex flex-col sm:flex-row gap-4">
+                <input
+                    type="text"
+                    value={code}
+                    onChange={(e) => setCode(e.target.value)}
+                    placeholder="Class join code"
+                    className="flex-grow p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 outline-none text-lg font-mono uppercase"
+                />
+                <button
+                    onClick={join}
+                    disabled={joining || !code.trim()}
+                    className="bg-purple-600 text-white font-bold py-3 px-6 rounded-lg shadow-lg hover:bg-purple-700 transition-all duration-300 transform hover:scale-105 disabled:opacity-50 disabled:cursor-not-allowed text-lg"
+                >
+                    {joining ? 'Joining...' : 'Join Class'}
+                </button>
+            </div>
+            {error && <p className="text-red-600">{error}</p>}
+        </div>
+    );
+};
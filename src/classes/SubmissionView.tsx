@@ -0,0 +1,40 @@
+import { AssignmentGrade } from '../grading/grading.ts';
+import { AssignmentContent, AssignmentResponses } from '../types.ts';
+
+type Props = {
+    assignment: AssignmentContent;
+    responses: AssignmentResponses;
+    grading?: AssignmentGrade | null;
+};
+
+// A learner's submitted assignment, task by task, with the AI marks when it has been graded
+export const SubmissionView = ({ assignment, responses, grading }: Props) => (
+    <div className="space-y-4">
+        {grading && (
+            <p className="font-semibold text-green-800">
+                Graded: {grading.total.toFixed(1)} / {grading.total_marks} ({grading.percentage.toFixed(0)}%)
+            </p>
+        )}
+        {assignment.sections.map(section => (
+            <div key={section.section_id} className="p-4 bg-white rounded-lg border border-gray-200">
+                <p className="font-semibold text-gray-900 mb-2">{section.section_title}</p>
+                {section.tasks.map(task => {
+                    const grade = grading?.tasks.find(t => t.section_id === section.section_id && t.task_id === task.task_id);
+                    return (
+                        <div key={task.task_id} className="mb-3">
+                            <p className="text-sm text-gray-700">
+                                Task {task.task_id} ({task.marks} marks): {task.task_description}
+                            </p>
+                            <pre className="mt-1 p-2 bg-gray-50 rounded text-sm whitespace-pre-wrap font-mono">{responses[section.section_id]?.[task.task_id] || '(no response)'}</pre>
+                            {grade && (
+                                <p className="text-sm text-gray-600 mt-1">
+                                    <span className="font-semibold">{grade.score.toFixed(1)} / {grade.max_marks}:</span> {grade.feedback}
+                                </p>
+                            )}
+                        </div>
+                    );
+                })}
+            </div>
+        ))}
+    </div>
+);
@@ -0,0 +1,264 @@
+import { Fragment, useCallback, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuthUser } from '../auth/useAuthUser.ts';
+import { ContentRelease } from '../authoring/classContent.ts';
+import { ContentEditor } from '../authoring/ContentEditor.tsx';
+import { loadReleases } from '../authoring/contentStore.ts';
+import { MODULES_PATH, TEACH_PATH } from '../routes.ts';
+import { Module } from '../types.ts';
+import { ClassMember, ClassRecord, createClassTopic, topicProgress } from './classes.ts';
+import { assignTopic, createClass, loadClass, loadMemberModules, loadMembers, loadOwnedClasses } from './classStore.ts';
+import { SubmissionView } from './SubmissionView.tsx';
+
+const inputClass = 'flex-grow p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 outline-none';
+const buttonClass = 'bg-green-600 text-white font-bold py-3 px-6 rounded-lg shadow-md hover:bg-green-700 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed';
+
+const statusClass = (status?: string) =>
+    status === 'completed' ? 'text-green-600' : status === 'needs_revisit' ? 'text-red-600' : 'text-blue-600';
+
+// --- Class list ---
+const ClassList = ({ ownerId, ownerName }: { ownerId: string; ownerName: string }) => {
+    const [classes, setClasses] = useState<ClassRecord[] | null>(null);
+    const [name, setName] = useState('');
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        loadOwnedClasses(ownerId)
+            .then(setClasses)
+            .catch(e => {
+                console.error('Error loading classes:', e);
+                setError('Could not load your classes.');
+            });
+    }, [ownerId]);
+
+    const create = async () => {
+        setBusy(true);
+        setError('');
+        try {
+            const created = await createClass(ownerId, ownerName, name);
+            setClasses(prev => [created, ...(prev || [])]);
+            setName('');
+        } catch (e) {
+            console.error('Error creating class:', e);
+            setError(`Failed to create class: ${e.message}`);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    return (
+        <div className="space-y-6">
+            {error && <p className="text-red-600 text-center">{error}</p>}
+            {classes === null && !error && <p className="text-gray-500 text-center">Loading classes...</p>}
+            {classes && classes.length === 0 && <p className="text-gray-600 text-center">No classes yet. Create your first one below.</p>}
+            {classes && classes.length > 0 && (
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    {classes.map(c => (
+                        <Link key={c.classId} to={`${TEACH_PATH}/${c.classId}`} className="block bg-blue-50 p-6 rounded-lg shadow-md hover:shadow-lg transition-shadow duration-200 border-l-4 border-blue-500">
+                            <h3 className="text-xl font-semibold text-blue-800">{c.name}</h3>
+                            <p className="text-sm text-gray-600 mt-1">Join code: <span className="font-mono font-bold">{c.joinCode}</span></p>
+                            <p className="text-sm text-gray-600">{c.topics.length} assigned topic{c.topics.length === 1 ? '' : 's'}</p>
+                        </Link>
+                    ))}
+                </div>
+            )}
+            <div className="pt-6 border-t border-gray-200">
+                <h3 className="text-2xl font-bold text-gray-800 mb-4">Create a Class</h3>
+                <div className="flex flex-col sm:flex-row gap-4">
+                    <input type="text" value={name} onChange={(e) => setName(e.target.value)} placeholder="e.g., 'Physics 301 - Spring'" className={inputClass} />
+                    <button onClick={create} disabled={busy || !name.trim()} className={buttonClass}>
+                        {busy ? 'Creating...' : 'Create Class'}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// --- One class: topics and learner progress ---
+const ClassDetail = ({ classId, ownerId }: { classId: string; ownerId: string }) => {
+    const [classRecord, setClassRecord] = useState<ClassRecord | null>(null);
+    const [members, setMembers] = useState<ClassMember[]>([]);
+    const [modulesByLearner, setModulesByLearner] = useState<{ [learnerId: string]: Module[] }>({});
+    const [releases, setReleases] = useState<{ [topicId: string]: ContentRelease }>({});
+    const [status, setStatus] = useState<'loading' | 'ready' | 'not_found' | 'error'>('loading');
+    const [topic, setTopic] = useState('');
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState('');
+    const [openSubmission, setOpenSubmission] = useState<string | null>(null); // `${learnerId}:${moduleId}`
+
+    const load = useCallback(async () => {
+        setStatus('loading');
+        try {
+            const loaded = await loadClass(classId);
+            if (!loaded || loaded.ownerId !== ownerId) {
+                setStatus('not_found');
+                return;
+            }
+            const roster = await loadMembers(classId);
+            const modules = await Promise.all(roster.map(m => loadMemberModules(m.learnerId, classId)));
+            setClassRecord(loaded);
+            setReleases(await loadReleases(classId));
+            setMembers(roster);
+            setModulesByLearner(Object.fromEntries(roster.map((m, i) => [m.learnerId, modules[i]])));
+            setStatus('ready');
+        } catch (e) {
+            console.error('Error loading class:', e);
+            setStatus('error');
+        }
+    }, [classId, ownerId]);
+
+    useEffect(() => {
+        load();
+    }, [load]);
+
+    const addTopic = async () => {
+        if (!classRecord) return;
+        setBusy(true);
+        setError('');
+        try {
+            const newTopic = createClassTopic(topic);
+            await assignTopic(classId, newTopic);
+            setClassRecord({ ...classRecord, topics: [...classRecord.topics, newTopic] });
+            setTopic('');
+        } catch (e) {
+            console.error('Error assigning topic:', e);
+            setError(`Failed to assign topic: ${e.message}`);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    if (status === 'loading') return <p className="text-gray-500 text-center">Loading class...</p>;
+    if (status === 'error') return <p className="text-red-600 text-center">Could not load this class. Please try again.</p>;
+    if (status === 'not_found' || !classRecord) return <p className="text-gray-700 text-center">This class does not exist or is not yours.</p>;
+
+    return (
+        <div className="space-y-8">
+            <div className="text-center">
+                <h2 className="text-3xl font-bold text-gray-800">{classRecord.name}</h2>
+                <p className="text-gray-600 mt-2">
+                    Learners join with the code <span className="font-mono font-bold text-lg text-blue-700">{classRecord.joinCode}</span> ({members.length} joined)
+                </p>
+            </div>
+
+            <div>
+                <h3 className="text-xl font-bold text-gray-800 mb-2">Assign a Module Topic</h3>
+                <div className="flex flex-col sm:flex-row gap-4">
+                    <input type="text" value={topic} onChange={(e) => setTopic(e.target.value)} placeholder="e.g., 'Quantum Entanglement'" className={inputClass} />
+                    <button onClick={addTopic} disabled={busy || !topic.trim()} className={buttonClass}>
+                        {busy ? 'Assigning...' : 'Assign Topic'}
+                    </button>
+                </div>
+                {error && <p className="text-red-600 mt-2">{error}</p>}
+            </div>
+
+            {classRecord.topics.length === 0 && <p className="text-gray-600 text-center">No topics assigned yet.</p>}
+            {classRecord.topics.map(classTopic => (
+                <div key={classTopic.topicId} className="p-4 bg-gray-50 rounded-lg shadow-inner overflow-x-auto">
+                    <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+                        <h3 className="text-xl font-semibold text-gray-800">{classTopic.topic}</h3>
+                        <span className="text-sm text-gray-600">
+                            {releases[classTopic.topicId] ? `Version ${releases[classTopic.topicId].version} published` : 'Not published: learners cannot start it yet'}
+                            {' - '}
+                            <Link to={`${TEACH_PATH}/${classId}/topics/${classTopic.topicId}`} className="text-purple-600 font-semibold hover:underline">Review and edit content</Link>
+                        </span>
+                    </div>
+                    {members.length === 0 ? (
+                        <p className="text-gray-600">No learners have joined yet.</p>
+                    ) : (
+                        <table className="w-full text-sm text-left">
+                            <thead>
+                                <tr className="text-gray-600 border-b border-gray-300">
+                                    <th className="py-2 pr-4">Learner</th>
+                                    <th className="py-2 pr-4">Version</th>
+                                    <th className="py-2 pr-4">Status</th>
+                                    <th className="py-2 pr-4">Quiz scores</th>
+                                    <th className="py-2 pr-4">Final test</th>
+                                    <th className="py-2">Assignment</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {members.map(member => {
+                                    const progress = topicProgress(modulesByLearner[member.learnerId] || [], classTopic.topicId);
+                                    const { module, submitted } = progress;
+                                    const key = `${member.learnerId}:${module?.id}`;
+                                    return (
+                                        <Fragment key={member.learnerId}>
+                                            <tr className="border-b border-gray-200 align-top">
+                                                <td className="py-2 pr-4 font-medium text-gray-800">{member.displayName}</td>
+                                                <td className="py-2 pr-4">{progress.version}</td>
+                                                <td className={`py-2 pr-4 font-medium ${statusClass(module?.status)}`}>{progress.status}</td>
+                                                <td className="py-2 pr-4">{progress.quizScores}</td>
+                                                <td className="py-2 pr-4">{progress.finalTest}</td>
+                                                <td className="py-2">
+                                                    {!submitted && 'not submitted'}
+                                                    {submitted && (
+                                                        <button onClick={() => setOpenSubmission(openSubmission === key ? null : key)} className="text-blue-600 font-semibold hover:underline">
+                                                            {progress.grade || 'submitted'} - {openSubmission === key ? 'hide' : 'view'}
+                                                        </button>
+                                                    )}
+                                                </td>
+                                            </tr>
+                                            {submitted && openSubmission === key && module?.assignmentContent && (
+                                                <tr>
+                                                    <td colSpan={6} className="py-3">
+                                                        <SubmissionView assignment={module.assignmentContent} responses={module.assignments.responses} grading={module.assignments.grading} />
+                                                    </td>
+                                                </tr>
+                                            )}
+                                        </Fragment>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    )}
+                </div>
+            ))}
+
+            <div className="flex justify-center gap-4">
+                <button onClick={load} className="bg-gray-300 text-gray-800 font-bold py-2 px-6 rounded-lg hover:bg-gray-400 transition-colors duration-200">Refresh</button>
+                <Link to={TEACH_PATH} className="bg-gray-300 text-gray-800 font-bold py-2 px-6 rounded-lg hover:bg-gray-400 transition-colors duration-200">All Classes</Link>
+            </div>
+        </div>
+    );
+};
+
+type Props = {
+    classId?: string;
+    topicId?: string;
+};
+
+// Instructor pages: /teach lists and creates classes, /teach/:classId shows one class
+// and /teach/:classId/topics/:topicId edits and publishes the content of one of its topics
+export const TeacherDashboard = ({ classId, topicId }: Props) => {
+    const { user, profile, isInstructor, ready } = useAuthUser();
+
+    return (
+        <div className="min-h-screen bg-gradient-to-br from-blue-100 to-purple-200 flex items-center justify-center p-4 font-sans">
+            <div className="bg-white rounded-xl shadow-2xl p-8 md:p-12 w-full max-w-5xl">
+                <h1 className="text-3xl font-extrabold text-center text-gray-800 mb-2">
+                    <span className="bg-clip-text text-transparent bg-gradient-to-r from-blue-600 to-purple-600">
+                        Quantum Leap AI Education Academy
+                    </span>
+                </h1>
+                <h2 className="text-xl font-semibold text-center text-gray-600 mb-8">Teacher Dashboard</h2>
+                {!ready && <p className="text-gray-500 text-center">Loading...</p>}
+                {ready && !isInstructor && (
+                    <p className="text-gray-700 text-center">
+                        The teacher dashboard is for instructor accounts. Ask an administrator to give your account the instructor role, then sign in again.
+                    </p>
+                )}
+                {ready && isInstructor && user && (classId && topicId
+                    ? <ContentEditor classId={classId} topicId={topicId} ownerId={user.uid} />
+                    : classId
+                        ? <ClassDetail classId={classId} ownerId={user.uid} />
+                        : <ClassList ownerId={user.uid} ownerName={profile?.displayName || user.email || 'Instructor'} />)}
+                <p className="text-center mt-8">
+                    <Link to={MODULES_PATH} className="text-blue-600 font-semibold hover:underline">Back to my modules</Link>
+                </p>
+            </div>
+        </div>
+    );
+};
@@ -0,0 +1,61 @@
+import { joinClass, loadJoinedClasses, loadMemberModules, loadMembers, loadOwnedClasses } from './classStore.ts';
+import { mockDocs, resetMockDocs } from '../testing/fakeFirestore.ts';
+
+jest.mock('../firebase', () => ({ db: {}, appId: 'app' }));
+jest.mock('firebase/firestore', () => jest.requireActual('../testing/fakeFirestore.ts').fakeFirestore);
+
+const CLASSES = 'artifacts/app/public/data/classes';
+const LEARNER = 'artifacts/app/users/learner-1';
+const physics = { classId: 'class-1', name: 'Physics 301', ownerId: 'teacher-1', ownerName: 'Dr. Bell', joinCode: 'AB3K7Q', topics: [], createdAt: '2026-02-01T00:00:00.000Z' };
+
+beforeEach(() => {
+    resetMockDocs({
+        [`${CLASSES}/class-1`]: physics,
+        'artifacts/app/public/data/joinCodes/AB3K7Q': { classId: 'class-1', ownerId: 'teacher-1' },
+    });
+});
+
+// --- Joining ---
+test('joins with a typed code, recording the code on the roster entry and the instructor on the learner', async () => {
+    const joined = await joinClass(' ab3-k7q ', 'learner-1', 'Ada');
+    await joinClass('AB3K7Q', 'learner-1', 'Ada');
+
+    expect(joined).toEqual(physics);
+    expect(mockDocs[`${CLASSES}/class-1/members/learner-1`]).toMatchObject({ learnerId: 'learner-1', displayName: 'Ada', joinCode: 'AB3K7Q' });
+    expect(mockDocs[LEARNER]).toEqual({ classIds: ['class-1'], instructorIds: ['teacher-1'] });
+});
+
+test('writes nothing for a code that matches no class', async () => {
+    expect(await joinClass('ZZZZZZ', 'learner-1', 'Ada')).toBeNull();
+    expect(await joinClass(' - ', 'learner-1', 'Ada')).toBeNull();
+    expect(Object.keys(mockDocs)).toHaveLength(2);
+});
+
+test('lists the classes a learner joined, skipping ones that no longer exist', async () => {
+    mockDocs[LEARNER] = { classIds: ['class-1', 'class-gone'] };
+    expect(await loadJoinedClasses('learner-1')).toEqual([physics]);
+    expect(await loadJoinedClasses('learner-2')).toEqual([]);
+});
+
+// --- Roster and dashboard ---
+test('lists an instructor\'s own classes, newest first', async () => {
+    const chemistry = { ...physics, classId: 'class-2', name: 'Chemistry', createdAt: '2026-03-01T00:00:00.000Z' };
+    mockDocs[`${CLASSES}/class-2`] = chemistry;
+    mockDocs[`${CLASSES}/class-3`] = { ...physics, classId: 'class-3', ownerId: 'teacher-2' };
+
+    expect(await loadOwnedClasses('teacher-1')).toEqual([chemistry, physics]);
+});
+
+test('sorts the roster by name', async () => {
+    mockDocs[`${CLASSES}/class-1/members/learner-2`] = { learnerId: 'learner-2', displayName: 'Grace' };
+    mockDocs[`${CLASSES}/class-1/members/learner-1`] = { learnerId: 'learner-1', displayName: 'Ada' };
+
+    expect((await loadMembers('class-1')).map(m => m.displayName)).toEqual(['Ada', 'Grace']);
+});
+
+test('loads only the learner\'s modules started from the class', async () => {
+    mockDocs[`${LEARNER}/modules/m1`] = { name: 'Entanglement', classId: 'class-1' };
+    mockDocs[`${LEARNER}/modules/m2`] = { name: 'My own topic' };
+
+    expect(await loadMemberModules('learner-1', 'class-1')).toEqual([{ id: 'm1', name: 'Entanglement', classId: 'class-1' }]);
+});
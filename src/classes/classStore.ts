@@ -0,0 +1,78 @@
+import { arrayUnion, collection, doc, getDoc, getDocs, query, setDoc, updateDoc, where } from 'firebase/firestore';
+import { db, appId } from '../firebase';
+import { Module } from '../types.ts';
+import { ClassMember, ClassRecord, ClassTopic, generateJoinCode, normalizeJoinCode } from './classes.ts';
+
+// artifacts/${appId}/public/data/classes/${classId}                  class record (readable by its owner and members)
+// artifacts/${appId}/public/data/classes/${classId}/members/${uid}   roster entry, written by the learner on joining
+// artifacts/${appId}/public/data/joinCodes/${code}                   join code -> classId (looked up, never listed)
+// Joining also adds the class and its instructor to the learner's user document (classIds, instructorIds),
+// which is what lets the instructor read the learner's class modules (see firestore.rules).
+
+const classesPath = `artifacts/${appId}/public/data/classes`;
+const classRef = (classId: string) => doc(db, classesPath, classId);
+const joinCodeRef = (code: string) => doc(db, `artifacts/${appId}/public/data/joinCodes`, code);
+const userRef = (userId: string) => doc(db, `artifacts/${appId}/users/${userId}`);
+
+export const createClass = async (ownerId: string, ownerName: string, name: string): Promise<ClassRecord> => {
+    const record: ClassRecord = {
+        classId: `class-${Date.now()}`,
+        name: name.trim(),
+        ownerId,
+        ownerName,
+        joinCode: generateJoinCode(),
+        topics: [],
+        createdAt: new Date().toISOString(),
+    };
+    await setDoc(classRef(record.classId), record);
+    await setDoc(joinCodeRef(record.joinCode), { classId: record.classId, ownerId });
+    return record;
+};
+
+export const loadClass = async (classId: string): Promise<ClassRecord | null> => {
+    const snapshot = await getDoc(classRef(classId));
+    return snapshot.exists() ? (snapshot.data() as ClassRecord) : null;
+};
+
+export const loadOwnedClasses = async (ownerId: string): Promise<ClassRecord[]> => {
+    const snapshot = await getDocs(query(collection(db, classesPath), where('ownerId', '==', ownerId)));
+    return snapshot.docs.map(d => d.data() as ClassRecord).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+};
+
+export const assignTopic = async (classId: string, topic: ClassTopic) => {
+    await updateDoc(classRef(classId), { topics: arrayUnion(topic) });
+};
+
+// Returns the joined class, or null when the code doesn't match one. The roster entry carries the code,
+// which is what the rules check before letting the learner in; the class itself is only readable by
+// members, so it is loaded once the entry is written.
+export const joinClass = async (code: string, learnerId: string, displayName: string): Promise<ClassRecord | null> => {
+    const joinCode = normalizeJoinCode(code);
+    if (!joinCode) return null;
+    const codeSnapshot = await getDoc(joinCodeRef(joinCode));
+    if (!codeSnapshot.exists()) return null;
+    const { classId, ownerId } = codeSnapshot.data();
+    const member: ClassMember = { learnerId, displayName, joinCode, joinedAt: new Date().toISOString() };
+    await setDoc(doc(classRef(classId), 'members', learnerId), member);
+    await setDoc(userRef(learnerId), { classIds: arrayUnion(classId), instructorIds: arrayUnion(ownerId) }, { merge: true });
+    return loadClass(classId);
+};
+
+export const loadJoinedClasses = async (learnerId: string): Promise<ClassRecord[]> => {
+    const snapshot = await getDoc(userRef(learnerId));
+    const classIds: string[] = snapshot.data()?.classIds || [];
+    const classes = await Promise.all(classIds.map(loadClass));
+    return classes.filter((c): c is ClassRecord => c !== null);
+};
+
+export const loadMembers = async (classId: string): Promise<ClassMember[]> => {
+    const snapshot = await getDocs(collection(classRef(classId), 'members'));
+    return snapshot.docs.map(d => d.data() as ClassMember).sort((a, b) => a.displayName.localeCompare(b.displayName));
+};
+
+// A learner's modules started from this class's topics
+export const loadMemberModules = async (learnerId: string, classId: string): Promise<Module[]> => {
+    const modulesRef = collection(db, `artifacts/${appId}/users/${learnerId}/modules`);
+    const snapshot = await getDocs(query(modulesRef, where('classId', '==', classId)));
+    return snapshot.docs.map(d => ({ id: d.id, ...d.data() } as Module));
+};
@@ -0,0 +1,43 @@
+import { createClassTopic, normalizeJoinCode, topicProgress } from './classes.ts';
+
+test('normalizes join codes as learners type them', () => {
+    expect(normalizeJoinCode(' ab3-k7q ')).toBe('AB3K7Q');
+    expect(normalizeJoinCode('AB3 K7Q')).toBe('AB3K7Q');
+});
+
+test('trims assigned topics', () => {
+    const topic = createClassTopic('  Quantum Entanglement ');
+    expect(topic.topic).toBe('Quantum Entanglement');
+    expect(topic.topicId).toMatch(/^topic-/);
+});
+
+test('summarizes a learner\'s progress on a topic for the dashboard', () => {
+    const modules: any[] = [
+        { id: 'm0', classTopicId: 'topic-other', status: 'completed' },
+        {
+            id: 'm1',
+            classTopicId: 'topic-1',
+            contentVersion: 2,
+            status: 'needs_revisit',
+            quizzes: [{ score: 66.6 }, { score: 100 }],
+            finalTestScore: 55.4,
+            assignments: { responses: { s1: { '1.1': 'answer' } }, grading: { percentage: 72.5 } },
+        },
+    ];
+
+    expect(topicProgress(modules, 'topic-1')).toEqual({
+        module: modules[1],
+        version: 'v2',
+        status: 'needs revisit',
+        quizScores: '67%, 100%',
+        finalTest: '55%',
+        submitted: true,
+        grade: '73%',
+    });
+});
+
+test('shows topics a learner has not started or finished yet', () => {
+    expect(topicProgress([], 'topic-1')).toMatchObject({ module: undefined, version: '-', status: 'not started', submitted: false, grade: null });
+    expect(topicProgress([{ classTopicId: 'topic-1', status: 'resources_added', quizzes: [], finalTestScore: 0 } as any], 'topic-1'))
+        .toMatchObject({ status: 'resources added', quizScores: '-', finalTest: '-' });
+});
@@ -0,0 +1,63 @@
+import { Module } from '../types.ts';
+
+// Classes group learners under an instructor, who assigns module topics to them.
+// Public class data lives in artifacts/${appId}/public/data/classes (see classStore.ts).
+
+export type ClassTopic = {
+    topicId: string;
+    topic: string;
+    assignedAt: string;
+};
+
+export type ClassRecord = {
+    classId: string;
+    name: string;
+    ownerId: string;
+    ownerName: string;
+    joinCode: string;
+    topics: ClassTopic[];
+    createdAt: string;
+};
+
+export type ClassMember = {
+    learnerId: string;
+    displayName: string;
+    joinCode: string; // The code the learner joined with; firestore.rules checks it against joinCodes
+    joinedAt: string;
+};
+
+// No 0/O or 1/I/L so codes can be read out in class
+const JOIN_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+export const JOIN_CODE_LENGTH = 6;
+
+export const generateJoinCode = () => {
+    const bytes = new Uint8Array(JOIN_CODE_LENGTH);
+    crypto.getRandomValues(bytes);
+    return Array.from(bytes, b => JOIN_CODE_ALPHABET[b % JOIN_CODE_ALPHABET.length]).join('');
+};
+
+// Accepts codes typed in lower case or with spaces/dashes
+export const normalizeJoinCode = (input: string) => input.toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+export const createClassTopic = (topic: string): ClassTopic => ({
+    topicId: `topic-${Date.now()}`,
+    topic: topic.trim(),
+    assignedAt: new Date().toISOString(),
+});
+
+// --- Teacher dashboard ---
+// One learner's progress on an assigned topic, from the modules they started from the class
+export const topicProgress = (modules: Module[], topicId: string) => {
+    const module = modules.find(m => m.classTopicId === topicId);
+    const finished = module?.status === 'completed' || module?.status === 'needs_revisit';
+    const grading = module?.assignments?.grading;
+    return {
+        module,
+        version: module?.contentVersion ? `v${module.contentVersion}` : '-',
+        status: module ? module.status.replace(/_/g, ' ') : 'not started',
+        quizScores: module?.quizzes?.length ? module.quizzes.map(q => `${Math.round(q.score)}%`).join(', ') : '-',
+        finalTest: module && finished ? `${module.finalTestScore.toFixed(0)}%` : '-',
+        submitted: !!module?.assignments?.responses,
+        grade: grading ? `${grading.percentage.toFixed(0)}%` : null,
+    };
+};
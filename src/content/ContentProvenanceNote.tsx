@@ -0,0 +1,32 @@
+import { ContentProvenance } from './contentCache.ts';
+
+type Props = {
+    provenance?: ContentProvenance;
+    onRegenerate?: () => void; // Omitted when the content can't be regenerated (class content, submitted assignments)
+    busy: boolean;
+};
+
+// Where the module's generated content came from, with the option to generate it afresh
+export const ContentProvenanceNote = ({ provenance, onRegenerate, busy }: Props) => {
+    if (!provenance && !onRegenerate) return null;
+    const generatedOn = provenance ? new Date(provenance.generatedAt).toLocaleDateString() : '';
+    return (
+        <div className="flex flex-wrap items-center justify-center gap-3 text-sm text-gray-500">
+            {provenance && (
+                <span>
+                    {provenance.model ? `Generated by ${provenance.model}` : 'Fallback assignment'} with prompt version {provenance.promptVersion} on {generatedOn}
+                    {provenance.source === 'cache' && ', reused from an earlier generation of this topic'}
+                </span>
+            )}
+            {onRegenerate && (
+                <button
+                    onClick={onRegenerate}
+                    disabled={busy}
+                    className="text-blue-600 font-semibold hover:underline disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                    Regenerate content
+                </button>
+            )}
+        </div>
+    );
+};
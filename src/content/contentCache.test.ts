@@ -0,0 +1,43 @@
+import { createMockProvider } from '../llm/index.ts';
+import { cachedProvenance, contentCacheKey, isReusable, normalizeTopic } from './contentCache.ts';
+import { fallbackAssignment } from './moduleContent.ts';
+
+const proxy = { name: 'proxy', model: 'gemini-2.0-flash' };
+
+test('topics that differ only in case, spacing or punctuation share a key', () => {
+    expect(normalizeTopic('  Intro to  Python!  ')).toBe('intro to python');
+    expect(normalizeTopic('C++ templates')).not.toBe(normalizeTopic('C# templates'));
+
+    const key = contentCacheKey('Intro to Python', ['Write loops', 'Use functions'], proxy);
+    expect(contentCacheKey('intro to python.', ['use functions', 'Write loops '], proxy)).toEqual(key);
+    expect(key.id).toMatch(/^[0-9a-z]+-intro-to-python$/);
+});
+
+test('objectives, provider, model and prompt version are part of the key', () => {
+    const key = contentCacheKey('Sorting', [], proxy);
+
+    expect(contentCacheKey('Sorting', ['Compare sorts'], proxy).id).not.toBe(key.id);
+    expect(contentCacheKey('Sorting', [], createMockProvider()).id).not.toBe(key.id);
+    expect(contentCacheKey('Sorting', [], { ...proxy, model: 'gemini-2.5-pro' }).id).not.toBe(key.id);
+    expect(contentCacheKey('Sorting', [], proxy, key.promptVersion + 1).id).not.toBe(key.id);
+});
+
+test('only reuses entries made for the same key whose content still passes the checks', () => {
+    const key = contentCacheKey('Sorting', [], proxy);
+    const { id, ...fields } = key;
+    const entry = {
+        ...fields,
+        teacherPicks: [{ title: 'Sorting algorithms', url: 'https://example.com' }],
+        assignmentContent: fallbackAssignment('Sorting'),
+        model: 'gemini-2.0-flash-001',
+        generatedAt: '2026-03-04T15:00:00.000Z',
+        createdBy: 'user-1',
+    };
+
+    expect(isReusable(entry, key)).toBe(true);
+    expect(isReusable(entry, contentCacheKey('Sorting', [], proxy, key.promptVersion + 1))).toBe(false);
+    expect(isReusable({ ...entry, teacherPicks: [] }, key)).toBe(false);
+    expect(isReusable({ ...entry, assignmentContent: { ...entry.assignmentContent, total_marks: 90 } }, key)).toBe(false);
+    expect(isReusable(null, key)).toBe(false);
+    expect(cachedProvenance(entry)).toEqual({ model: 'gemini-2.0-flash-001', promptVersion: key.promptVersion, generatedAt: '2026-03-04T15:00:00.000Z', source: 'cache' });
+});
@@ -0,0 +1,76 @@
+import { LlmProvider, validateSchema } from '../llm/index.ts';
+import { AssignmentContent } from '../types.ts';
+import { assignmentSchema, checkAssignment, checkResources, CONTENT_PROMPT_VERSION, Resource, resourceSchema } from './moduleContent.ts';
+
+// Generated Teacher's Picks and assignments are shared between modules on the same topic, so a topic is
+// generated once rather than by every learner who picks it (entries are stored by contentCacheStore.ts).
+// An entry is keyed by the normalized topic plus everything else the generation depended on: the module's
+// learning objectives, the provider and model asked, and CONTENT_PROMPT_VERSION. The proxy provider's model is
+// chosen by the backend, so its key uses the model the backend reports rather than the provider's placeholder.
+
+export type ContentProvenance = {
+    model: string | null; // The model that wrote the assignment, as it reported itself; null for the fallback assignment
+    promptVersion: number;
+    generatedAt: string;
+    source: 'generated' | 'cache'; // 'cache' when the module reused an earlier generation
+};
+
+export type ContentCacheKey = {
+    id: string; // Firestore document ID
+    topic: string;
+    objectives: string[];
+    provider: string; // Provider name and requested model, e.g. proxy/gemini-2.0-flash
+    promptVersion: number;
+};
+
+export type CachedContent = Omit<ContentCacheKey, 'id'> & {
+    teacherPicks: Resource[];
+    assignmentContent: AssignmentContent;
+    model: string | null;
+    generatedAt: string;
+    createdBy: string;
+};
+
+// Case, Unicode compatibility forms, punctuation and spacing don't make a different topic ("C++" and "C#" stay apart)
+export const normalizeTopic = (topic: string) =>
+    topic.normalize('NFKC').toLowerCase().replace(/[^\p{L}\p{N}+#]+/gu, ' ').trim();
+
+// cyrb53: a fast 53-bit string hash. Collisions are harmless (entries are compared field by field) but unlikely.
+const hashString = (text: string) => {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < text.length; i++) {
+        const code = text.charCodeAt(i);
+        h1 = Math.imul(h1 ^ code, 2654435761);
+        h2 = Math.imul(h2 ^ code, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+};
+
+export const contentCacheKey = (topic: string, objectives: string[], provider: Pick<LlmProvider, 'name' | 'model'>, promptVersion = CONTENT_PROMPT_VERSION): ContentCacheKey => {
+    const key = {
+        topic: normalizeTopic(topic),
+        objectives: objectives.map(normalizeTopic).filter(Boolean).sort(),
+        provider: `${provider.name}/${provider.model}`,
+        promptVersion,
+    };
+    const slug = key.topic.replace(/ /g, '-').slice(0, 60);
+    return { id: `${hashString(JSON.stringify(key))}-${slug}`, ...key };
+};
+
+// Whether an entry was made for exactly this key and its content still passes today's checks
+export const isReusable = (entry: any, key: ContentCacheKey): entry is CachedContent => {
+    if (!entry || entry.topic !== key.topic || entry.provider !== key.provider || entry.promptVersion !== key.promptVersion) return false;
+    if (JSON.stringify(entry.objectives) !== JSON.stringify(key.objectives)) return false;
+    if (validateSchema(entry.teacherPicks, resourceSchema).length > 0 || checkResources(entry.teacherPicks).length > 0) return false;
+    return validateSchema(entry.assignmentContent, assignmentSchema).length === 0 && checkAssignment(entry.assignmentContent).length === 0;
+};
+
+export const cachedProvenance = (entry: CachedContent): ContentProvenance => ({
+    model: entry.model,
+    promptVersion: entry.promptVersion,
+    generatedAt: entry.generatedAt,
+    source: 'cache',
+});
@@ -0,0 +1,36 @@
+import { contentCacheKey } from './contentCache.ts';
+import { saveCachedContent } from './contentCacheStore.ts';
+import { fallbackAssignment } from './moduleContent.ts';
+import { mockDocs, resetMockDocs } from '../testing/fakeFirestore.ts';
+
+let mockClaims: { [claim: string]: unknown } = {};
+jest.mock('../firebase', () => ({
+    db: {},
+    appId: 'app',
+    auth: { currentUser: { getIdTokenResult: async () => ({ claims: mockClaims }) } },
+}));
+jest.mock('firebase/firestore', () => jest.requireActual('../testing/fakeFirestore.ts').fakeFirestore);
+
+const key = contentCacheKey('Sorting', [], { name: 'proxy', model: 'gemini-2.0-flash' });
+const content = (title: string) => ({ teacherPicks: [], assignmentContent: { ...fallbackAssignment('Sorting'), title } });
+const provenance = { model: 'gemini-2.0-flash-001', promptVersion: 1, generatedAt: '2026-03-01T00:00:00.000Z', source: 'generated' as const };
+
+beforeEach(() => {
+    resetMockDocs();
+    mockClaims = { instructor: true };
+});
+
+test('keeps the first entry saved for a key', async () => {
+    await saveCachedContent(key, content('First'), provenance, 'user-1');
+    await saveCachedContent(key, content('Second'), provenance, 'user-2');
+
+    const entry = mockDocs[`artifacts/app/public/data/contentCache/${key.id}`];
+    expect(entry).toMatchObject({ createdBy: 'user-1', assignmentContent: { title: 'First' } });
+});
+
+test('saves nothing for accounts without the instructor or admin claim', async () => {
+    mockClaims = {};
+    await saveCachedContent(key, content('First'), provenance, 'user-1');
+
+    expect(mockDocs[`artifacts/app/public/data/contentCache/${key.id}`]).toBeUndefined();
+});
@@ -0,0 +1,38 @@
+import { doc, getDoc, setDoc } from 'firebase/firestore';
+import { auth, db, appId } from '../firebase';
+import { AssignmentContent } from '../types.ts';
+import { CachedContent, ContentCacheKey, ContentProvenance, isReusable } from './contentCache.ts';
+import { Resource } from './moduleContent.ts';
+
+// Shared by every learner: artifacts/${appId}/public/data/contentCache/${key.id}
+const cacheDocRef = (id: string) => doc(db, `artifacts/${appId}/public/data/contentCache`, id);
+
+// The cached content for this key, or null when there is none that can be reused
+export const loadCachedContent = async (key: ContentCacheKey): Promise<CachedContent | null> => {
+    const snapshot = await getDoc(cacheDocRef(key.id));
+    const entry = snapshot.exists() ? snapshot.data() : null;
+    return isReusable(entry, key) ? entry : null;
+};
+
+// Only instructors and admins add entries (firestore.rules), so a learner or guest can't plant content that
+// everyone else on the topic would reuse; anyone else's generation stays on their own module
+const canWriteCache = async () => {
+    const result = await auth.currentUser?.getIdTokenResult();
+    return result?.claims.instructor === true || result?.claims.admin === true;
+};
+
+// Only content that passed every check on generation belongs here, never fallbacks.
+// Entries are write-once (firestore.rules), so the first one saved for a key is kept and later ones are dropped.
+export const saveCachedContent = async (key: ContentCacheKey, content: { teacherPicks: Resource[]; assignmentContent: AssignmentContent }, provenance: ContentProvenance, userId: string) => {
+    const { id, ...fields } = key;
+    if (!(await canWriteCache())) return;
+    if ((await getDoc(cacheDocRef(id))).exists()) return;
+    const entry: CachedContent = {
+        ...fields,
+        ...content,
+        model: provenance.model,
+        generatedAt: provenance.generatedAt,
+        createdBy: userId,
+    };
+    await setDoc(cacheDocRef(id), entry);
+};
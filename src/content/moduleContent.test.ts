@@ -0,0 +1,57 @@
+import { createMockProvider, generateJson } from '../llm/index.ts';
+import { assignmentSchema, checkAssignment, checkResources, checkSection, fallbackAssignment } from './moduleContent.ts';
+import { AssignmentContent } from '../types.ts';
+
+const assignment = (): AssignmentContent => ({
+    title: 'Sorting',
+    total_marks: 30,
+    scenario: { title: 'Library', description: 'Sort the catalogue.' },
+    sections: [
+        { section_id: 's1', section_title: 'Basics', marks: 10, sub_scenario: { title: 'Shelves', description: 'Order books.' }, tasks: [{ task_id: '1.1', task_description: 'Explain bubble sort.', marks: 10, type: 'text_input' }] },
+        { section_id: 's2', section_title: 'Code', marks: 20, sub_scenario: { title: 'Loans', description: 'Order loans.' }, tasks: [
+            { task_id: '2.1', task_description: 'Write insertion sort.', marks: 15, type: 'code_input', language: 'python' },
+            { task_id: '2.2', task_description: 'Compare the two.', marks: 5, type: 'text_input' },
+        ] },
+    ],
+});
+
+test('accepts an assignment whose marks add up', () => {
+    expect(checkAssignment(assignment())).toEqual([]);
+    expect(checkAssignment(fallbackAssignment('Sorting'))).toEqual([]);
+});
+
+test('reports marks that do not add up, empty sections and duplicate IDs', () => {
+    const broken = assignment();
+    broken.total_marks = 100;
+    broken.sections[1].tasks[1].marks = 10;
+    broken.sections[0].tasks = [];
+    broken.sections[1].section_id = 's1';
+
+    expect(checkAssignment(broken)).toEqual([
+        '$.sections[0].tasks: a section needs at least one task',
+        '$.sections[1].marks: the tasks add up to 25 marks but the section is worth 20',
+        '$.sections: section_id values must be unique',
+        '$.total_marks: the sections add up to 30 marks but total_marks is 100',
+    ]);
+    expect(checkAssignment({ ...assignment(), sections: [] })).toEqual(['$.sections: the assignment needs at least one section']);
+});
+
+test('checks sections and resources on their own', () => {
+    const section = { ...assignment().sections[0], tasks: [{ task_id: '1.1', task_description: ' ', marks: 0, type: 'text_input' as const }] };
+
+    expect(checkSection(section)).toEqual([
+        '$.tasks[0].task_description: empty',
+        '$.tasks[0].marks: must be more than 0',
+        '$.marks: the tasks add up to 0 marks but the section is worth 10',
+    ]);
+    expect(checkResources([])).toEqual(['$: at least one resource is needed']);
+    expect(checkResources([{ title: 'Docs', url: 'https://example.com' }])).toEqual([]);
+});
+
+test('assignments synthesized by the mock provider pass the checks', async () => {
+    const mock = createMockProvider();
+    const synthesized = await generateJson<AssignmentContent>(mock, { prompt: 'x', schema: assignmentSchema }, { check: checkAssignment, maxAttempts: 1 });
+
+    expect(synthesized.total_marks).toBe(90);
+    expect(synthesized.sections[0].marks).toBe(30);
+});
@@ -0,0 +1,221 @@
+import { generateJson, LlmProvider } from '../llm/index.ts';
+import { TEST_CASE_PROMPT, testCasesSchema } from '../sandbox/testCases.ts';
+import { AssignmentContent, AssignmentSection } from '../types.ts';
+
+// Prompts and schemas for the AI-generated parts of a module: Teacher's Picks and the assignment.
+// Used when a learner creates a module and when an instructor drafts or regenerates class content.
+
+export type Resource = { title: string; url: string };
+
+// Bump whenever the resource or assignment prompts, their schemas or their checks change in a way that
+// changes what is generated. Cached content made with another version is not reused (see contentCache.ts).
+export const CONTENT_PROMPT_VERSION = 1;
+
+export const buildResourcePrompt = (moduleName: string) =>
+    `Provide 3-5 highly recommended, reputable, and ideally open-access or widely available online resources (PDFs, websites, video series) for learning "${moduleName}". Format as a JSON array of objects with 'title' and 'url' properties. If a direct URL isn't common, provide a general description/search term.`;
+
+export const resourceSchema = {
+    type: "ARRAY",
+    items: {
+        type: "OBJECT",
+        properties: {
+            "title": { "type": "STRING" },
+            "url": { "type": "STRING" }
+        },
+        "required": ["title"]
+    }
+};
+
+const OBJECTIVE_TAG_PROMPT = 'Tag every task with the learning objectives it assesses in its "objectives" list, copied word for word from "learning_objectives".';
+
+// Asks for content based on moduleName while keeping the *structure* of the original health tracker example
+// `objectives` come from a course syllabus unit; without them the model writes its own.
+// Either way every task is tagged with the objectives it assesses.
+export const buildAssignmentPrompt = (moduleName: string, objectives: string[] = []) => `Generate a comprehensive assignment for a module on "${moduleName}".
+The assignment MUST strictly follow the structural layout (number of sections, number of tasks per section, marks per task, types of tasks like text_input/code_input) of a typical coding assignment, similar to the "Simple Health Tracker Application" example you were previously given.
+However, the ENTIRE CONTENT (scenario, question titles, task descriptions, and resources) must be ORIGINAL and RELEVANT to "${moduleName}", NOT about health tracking or Python unless "${moduleName}" is specifically a Python topic.
+For any coding tasks, assume Python is the default language unless a different language is strongly implied by the module name.
+Ensure all fields in the JSON schema are populated accurately and completely.
+${objectives.length
+        ? `Set "learning_objectives" to exactly these, and between them make the tasks assess all of them:\n${objectives.map(o => `- ${o}`).join('\n')}`
+        : `Set "learning_objectives" to 3-5 learning objectives for the module, each a single measurable statement starting with a verb.`}
+${OBJECTIVE_TAG_PROMPT}
+${TEST_CASE_PROMPT}
+
+Assignment Structure Example (DO NOT USE THIS CONTENT, ONLY THE STRUCTURE):
+Total Marks: 100
+Scenario: Your assignment will have a main scenario.
+
+Question 1: (20 Marks)
+Sub-Scenario: This question will have a sub-scenario.
+Task 1.1: (10 Marks) [text_input]
+Task 1.2: (10 Marks) [text_input]
+
+Question 2: (30 Marks)
+Sub-Scenario: This question will have a sub-scenario.
+Task 2.1: (15 Marks) [code_input, e.g., Python]
+Task 2.2: (15 Marks) [code_input, e.g., Python]
+
+Question 3: (20 Marks)
+Sub-Scenario: This question will have a sub-scenario.
+Task 3.1: (20 Marks) [text_input]
+
+Question 4: (30 Marks)
+Sub-Scenario: This question will have a sub-scenario.
+Task 4.1: (20 Marks) [text_input]
+Task 4.2: (10 Marks) [text_input]
+
+Provide the output as a JSON object strictly following this schema, including relevant resources for "${moduleName}":
+`;
+
+export const sectionSchema = {
+    type: "OBJECT",
+    properties: {
+        section_id: { type: "STRING" },
+        section_title: { type: "STRING" },
+        marks: { type: "NUMBER" },
+        sub_scenario: {
+            type: "OBJECT",
+            properties: {
+                title: { type: "STRING" },
+                description: { type: "STRING" }
+            },
+            required: ["title", "description"]
+        },
+        tasks: {
+            type: "ARRAY",
+            items: {
+                type: "OBJECT",
+                properties: {
+                    task_id: { type: "STRING" },
+                    task_description: { type: "STRING" },
+                    marks: { type: "NUMBER" },
+                    type: { type: "STRING", enum: ["text_input", "code_input"] },
+                    language: { type: "STRING" }, // Optional, for code_input
+                    test_cases: testCasesSchema, // Hidden tests, for code_input
+                    objectives: { type: "ARRAY", items: { type: "STRING" } } // Learning objectives the task assesses
+                },
+                required: ["task_id", "task_description", "marks", "type"]
+            }
+        }
+    },
+    required: ["section_id", "section_title", "marks", "sub_scenario", "tasks"]
+};
+
+export const assignmentSchema = {
+    type: "OBJECT",
+    properties: {
+        title: { type: "STRING" },
+        total_marks: { type: "NUMBER" },
+        learning_objectives: { type: "ARRAY", items: { type: "STRING" } },
+        scenario: {
+            type: "OBJECT",
+            properties: {
+                title: { type: "STRING" },
+                description: { type: "STRING" }
+            },
+            required: ["title", "description"]
+        },
+        sections: {
+            type: "ARRAY",
+            items: sectionSchema
+        },
+        resources: {
+            type: "ARRAY",
+            items: {
+                type: "OBJECT",
+                properties: {
+                    title: { type: "STRING" },
+                    url: { type: "STRING" },
+                    type: { type: "STRING", enum: ["website", "video", "pdf", "book"] },
+                    category: { type: "STRING" }
+                },
+                required: ["title", "url", "type", "category"]
+            }
+        }
+    },
+    required: ["title", "total_marks", "scenario", "sections"] // Removed resources from required for now, as AI might sometimes omit it
+};
+
+// --- Checks beyond the schema ---
+// Run on every generated assignment and section; any problem sends the reply back to the model for repair
+const sumMarks = (items: { marks: number }[]) => items.reduce((sum, item) => sum + (Number(item.marks) || 0), 0);
+const differs = (a: number, b: number) => Math.abs(a - b) > 0.001;
+
+export const checkResources = (resources: Resource[]): string[] =>
+    resources.length === 0 ? ['$: at least one resource is needed'] : resources.flatMap((r, i) => (r.title.trim() ? [] : [`$[${i}].title: empty`]));
+
+export const checkSection = (section: AssignmentSection, path = '$'): string[] => {
+    const issues: string[] = [];
+    if (section.tasks.length === 0) issues.push(`${path}.tasks: a section needs at least one task`);
+    section.tasks.forEach((task, i) => {
+        if (!task.task_description.trim()) issues.push(`${path}.tasks[${i}].task_description: empty`);
+        if (!(task.marks > 0)) issues.push(`${path}.tasks[${i}].marks: must be more than 0`);
+    });
+    const taskMarks = sumMarks(section.tasks);
+    if (section.tasks.length > 0 && differs(taskMarks, section.marks)) {
+        issues.push(`${path}.marks: the tasks add up to ${taskMarks} marks but the section is worth ${section.marks}`);
+    }
+    return issues;
+};
+
+export const checkAssignment = (assignment: AssignmentContent): string[] => {
+    const issues: string[] = [];
+    if (assignment.sections.length === 0) issues.push('$.sections: the assignment needs at least one section');
+    assignment.sections.forEach((section, i) => issues.push(...checkSection(section, `$.sections[${i}]`)));
+    const ids = assignment.sections.map(s => s.section_id);
+    if (new Set(ids).size !== ids.length) issues.push('$.sections: section_id values must be unique');
+    const sectionMarks = sumMarks(assignment.sections);
+    if (assignment.sections.length > 0 && differs(sectionMarks, assignment.total_marks)) {
+        issues.push(`$.total_marks: the sections add up to ${sectionMarks} marks but total_marks is ${assignment.total_marks}`);
+    }
+    return issues;
+};
+
+// A minimal assignment matching the structure, used when the model's output can't be used
+export const fallbackAssignment = (moduleName: string): AssignmentContent => ({
+    title: `Generic Assignment for ${moduleName}`,
+    total_marks: 100,
+    scenario: { title: "Generic Scenario", description: "This is a fallback assignment." },
+    sections: [{
+        section_id: "fallback1",
+        section_title: "Part 1: Fallback Tasks",
+        marks: 100,
+        sub_scenario: { title: "Fallback Sub-scenario", description: "Review basic concepts." },
+        tasks: [
+            { task_id: "F1.1", task_description: "Complete task A.", marks: 50, type: "text_input" },
+            { task_id: "F1.2", task_description: "Complete task B.", marks: 50, type: "text_input" }
+        ]
+    }],
+    resources: []
+});
+
+// Rewrites one section of an existing assignment, keeping its ID, marks and place in the scenario
+export const regenerateSection = async (provider: LlmProvider, moduleName: string, assignment: AssignmentContent, sectionIndex: number): Promise<AssignmentSection> => {
+    const current = assignment.sections[sectionIndex];
+    const section = await generateJson<AssignmentSection>(provider, {
+        prompt: `Rewrite one section of the assignment "${assignment.title}" for a module on "${moduleName}".
+Scenario: ${assignment.scenario.title} - ${assignment.scenario.description}
+Other sections (keep the new one distinct from these): ${assignment.sections.filter((_, i) => i !== sectionIndex).map(s => s.section_title).join('; ') || 'none'}
+
+The section being replaced is "${current.section_title}" worth ${current.marks} marks with ${current.tasks.length} task(s) of types ${current.tasks.map(t => t.type).join(', ')}.
+Write a fresh sub-scenario and tasks with the same number of tasks, task types and marks per task. Use task IDs ${current.tasks.map(t => t.task_id).join(', ')}.
+${assignment.learning_objectives?.length ? `Tag every task with the learning objectives it assesses in its "objectives" list, copied word for word from: ${assignment.learning_objectives.join('; ')}.\n` : ''}${TEST_CASE_PROMPT}`,
+        schema: sectionSchema,
+    }, {
+        check: (section) => [
+            ...checkSection({ ...section, marks: current.marks }),
+            ...(section.tasks.length === current.tasks.length ? [] : [`$.tasks: expected ${current.tasks.length} task(s), got ${section.tasks.length}`]),
+        ],
+    });
+    return { ...section, section_id: current.section_id, marks: current.marks };
+};
+
+// Shared context for quiz and final-test generation: the module's resources and what the assessment covers
+export const buildTestContext = (resources: string[], type: 'quiz' | 'finalTest') => {
+    const resourceList = resources.length > 0 ? `The questions must be directly based on the following types of resources: ${resources.join(', ')}.` : 'The questions must be directly based on standard academic textbooks and lectures.';
+    const focus = type === 'quiz' ?
+        'Focus on fundamental concepts and problem-solving applications. This is a practice quiz.' :
+        'This is a comprehensive final test, covering both theoretical derivations and complex problem-solving.';
+    return `${resourceList} ${focus}`;
+};
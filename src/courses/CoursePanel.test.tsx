@@ -0,0 +1,43 @@
+import { act, fireEvent, render, screen } from '@testing-library/react';
+import { startArtifacts } from '../generation/progress.ts';
+import { CoursePanel } from './CoursePanel.tsx';
+import { loadCourses } from './courseStore.ts';
+
+jest.mock('./courseStore.ts', () => ({ deleteCourse: jest.fn(), loadCourses: jest.fn(), saveCourse: jest.fn() }));
+jest.mock('../certificates/certificateStore.ts', () => ({ requestCertificate: jest.fn() }));
+jest.mock('../llm/appProvider.ts', () => ({ llm: {}, llmConfigError: '' }));
+
+const step = (stepId: string, title: string) => ({ stepId, title, summary: '', objectives: [], estimatedHours: 1, prerequisites: [] });
+const course = {
+    courseId: 'course-1',
+    title: 'Quantum Computing',
+    topic: 'Quantum computing',
+    description: 'From qubits to algorithms',
+    steps: [step('s1', 'Qubits'), step('s2', 'Gates')],
+    createdAt: '2026-03-01T00:00:00.000Z',
+};
+
+test('shows the module being generated with a Cancel button while the course modules are created', async () => {
+    (loadCourses as jest.Mock).mockResolvedValue([course]);
+    let finish = () => {};
+    const onCreateModules = jest.fn((created, onProgress) => {
+        onProgress(0, 2);
+        return new Promise<void>(resolve => { finish = resolve; });
+    });
+    const onCancelGeneration = jest.fn();
+    const props = {
+        userId: 'user-1', learnerName: 'Ada', modules: [], busy: false, generation: null,
+        onStartStep: jest.fn(), onCreateModules, onCancelGeneration, onOpenModule: jest.fn(),
+    };
+    const { rerender } = render(<CoursePanel {...props} />);
+
+    fireEvent.click(await screen.findByText('Create all remaining modules now'));
+    rerender(<CoursePanel {...props} generation={startArtifacts([{ id: 'teacherPicks', label: "Teacher's Picks" }])} />);
+
+    expect(screen.getByText('Generating module 1 of 2...')).toBeInTheDocument();
+    fireEvent.click(screen.getByText('Cancel'));
+    expect(onCancelGeneration).toHaveBeenCalled();
+
+    await act(async () => finish());
+    expect(screen.queryByText('Cancel')).not.toBeInTheDocument();
+});
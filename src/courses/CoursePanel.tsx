@@ -0,0 +1,272 @@
+import { useEffect, useState } from 'react';
+import { CertificateRecord, downloadCertificatePdf, downloadCertificatePng, formatIssueDate, getVerificationUrl } from '../certificates/certificate.ts';
+import { requestCertificate } from '../certificates/certificateStore.ts';
+import { GenerationProgress } from '../generation/GenerationProgress.tsx';
+import { Artifact } from '../generation/progress.ts';
+import { llm, llmConfigError } from '../llm/appProvider.ts';
+import { Module } from '../types.ts';
+import { Course, CourseStep, courseProgress, createCourse, StepStatus, stepModule, stepStatus, syllabusProblems, totalHours } from './courses.ts';
+import { deleteCourse, loadCourses, saveCourse } from './courseStore.ts';
+import { generateSyllabus } from './syllabus.ts';
+import { SyllabusEditor } from './SyllabusEditor.tsx';
+
+type Props = {
+    userId: string;
+    learnerName: string;
+    modules: Module[];
+    busy: boolean;
+    onStartStep: (course: Course, step: CourseStep) => void;
+    onCreateModules: (course: Course, onProgress: (done: number, total: number) => void) => Promise<void>; // One module per step that has none yet
+    generation: Artifact[] | null; // Progress of the module being generated, while onCreateModules runs
+    onCancelGeneration: () => void;
+    onOpenModule: (module: Module) => void;
+};
+
+type Syllabus = Pick<Course, 'title' | 'description' | 'steps'>;
+
+const STATUS_LABELS: { [status in StepStatus]: string } = {
+    locked: 'Locked',
+    available: 'Ready to start',
+    in_progress: 'In progress',
+    completed: 'Completed',
+    needs_revisit: 'Needs revisit',
+};
+
+const STATUS_CLASSES: { [status in StepStatus]: string } = {
+    locked: 'text-gray-500',
+    available: 'text-blue-600',
+    in_progress: 'text-blue-600',
+    completed: 'text-green-600',
+    needs_revisit: 'text-red-600',
+};
+
+const inputClass = 'w-full p-2 border border-gray-300 rounded-md bg-white text-sm';
+const buttonClass = 'bg-teal-600 text-white font-bold py-2 px-6 rounded-lg hover:bg-teal-700 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed';
+
+// Learning paths: plan a course from a broad topic, then work through its modules in prerequisite order.
+// Once every module is completed the learner can issue one certificate for the whole course.
+export const CoursePanel = ({ userId, learnerName, modules, busy, onStartStep, onCreateModules, generation, onCancelGeneration, onOpenModule }: Props) => {
+    const [courses, setCourses] = useState<Course[]>([]);
+    const [topic, setTopic] = useState('');
+    const [syllabus, setSyllabus] = useState<Syllabus | null>(null); // Generated syllabus being reviewed before saving
+    const [certificateName, setCertificateName] = useState(learnerName);
+    const [working, setWorking] = useState(false);
+    const [progress, setProgress] = useState(''); // e.g. "Generating module 2 of 5..." while modules are bulk-created
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        loadCourses(userId)
+            .then(setCourses)
+            .catch(e => console.error('Error loading courses:', e));
+    }, [userId]);
+
+    useEffect(() => setCertificateName(prev => prev || learnerName), [learnerName]);
+
+    const plan = async () => {
+        if (!llm) {
+            setError(llmConfigError || 'AI provider is not configured.');
+            return;
+        }
+        setWorking(true);
+        setError('');
+        try {
+            setSyllabus(await generateSyllabus(llm, topic.trim()));
+        } catch (e) {
+            console.error('Error generating syllabus:', e);
+            setError(`Failed to generate a syllabus: ${e.message}`);
+        } finally {
+            setWorking(false);
+        }
+    };
+
+    // Modules whose content fails to generate are still created; their content is generated when opened
+    const createModules = async (course: Course) => {
+        setWorking(true);
+        setError('');
+        try {
+            await onCreateModules(course, (done, total) => setProgress(done < total ? `Generating module ${done + 1} of ${total}...` : ''));
+        } catch (e) {
+            console.error('Error creating course modules:', e);
+            setError(`Failed to create the course modules: ${e.message}`);
+        } finally {
+            setProgress('');
+            setWorking(false);
+        }
+    };
+
+    const create = async (withModules: boolean) => {
+        if (!syllabus) return;
+        setWorking(true);
+        setError('');
+        let course: Course;
+        try {
+            course = createCourse(topic, syllabus);
+            await saveCourse(userId, course);
+            setCourses(prev => [...prev, course]);
+            setSyllabus(null);
+            setTopic('');
+        } catch (e) {
+            console.error('Error saving course:', e);
+            setError(`Failed to save the course: ${e.message}`);
+            setWorking(false);
+            return;
+        }
+        if (withModules) await createModules(course);
+        else setWorking(false);
+    };
+
+    const remove = async (course: Course) => {
+        if (!window.confirm(`Delete the course "${course.title}"? Its modules are kept.`)) return;
+        try {
+            const moduleIds = modules.filter(m => m.courseId === course.courseId).map(m => m.id);
+            await deleteCourse(userId, course.courseId, moduleIds);
+            setCourses(prev => prev.filter(c => c.courseId !== course.courseId));
+        } catch (e) {
+            console.error('Error deleting course:', e);
+            setError(`Failed to delete the course: ${e.message}`);
+        }
+    };
+
+    // The backend checks every module is completed, publishes the verifiable copy and stores it on the course
+    const issueCertificate = async (course: Course) => {
+        setWorking(true);
+        setError('');
+        try {
+            const certificate = await requestCertificate({ kind: 'course', id: course.courseId, learnerName: certificateName });
+            setCourses(prev => prev.map(c => (c.courseId === course.courseId ? { ...c, certificate } : c)));
+        } catch (e) {
+            console.error('Error issuing course certificate:', e);
+            setError(`Failed to issue the course certificate: ${e.message}`);
+        } finally {
+            setWorking(false);
+        }
+    };
+
+    const downloadCertificate = (certificate: CertificateRecord, format: 'pdf' | 'png') => {
+        try {
+            if (format === 'pdf') downloadCertificatePdf(certificate);
+            else downloadCertificatePng(certificate);
+        } catch (e) {
+            console.error('Error generating certificate:', e);
+            setError(`Failed to generate certificate: ${e.message}`);
+        }
+    };
+
+    const problems = syllabus ? syllabusProblems(syllabus.steps) : [];
+
+    return (
+        <div className="mt-8 pt-6 border-t border-gray-200 space-y-4">
+            <h3 className="text-2xl font-bold text-gray-800">Your Courses</h3>
+            {courses.map(course => {
+                const done = courseProgress(course, modules);
+                const missingModules = course.steps.some(step => !stepModule(course, step, modules));
+                return (
+                    <div key={course.courseId} className="p-4 bg-teal-50 rounded-lg border-l-4 border-teal-500 space-y-3">
+                        <div className="flex items-start justify-between gap-4">
+                            <div>
+                                <p className="font-semibold text-teal-800">{course.title}</p>
+                                {course.description && <p className="text-sm text-gray-600">{course.description}</p>}
+                                <p className="text-sm text-gray-600 mt-1">{done.completed} of {done.total} modules completed &middot; about {totalHours(course.steps)} hours</p>
+                            </div>
+                            <button onClick={() => remove(course)} disabled={working} className="shrink-0 text-sm text-red-600 font-semibold hover:underline disabled:opacity-50 disabled:cursor-not-allowed">Delete</button>
+                        </div>
+                        <ol className="space-y-2">
+                            {course.steps.map((step, i) => {
+                                const status = stepStatus(course, step, modules);
+                                const module = stepModule(course, step, modules);
+                                const missing = course.steps.filter(s => step.prerequisites.includes(s.stepId) && stepStatus(course, s, modules) !== 'completed');
+                                return (
+                                    <li key={step.stepId} className="flex items-center justify-between gap-4">
+                                        <div>
+                                            <p className="text-gray-800">{i + 1}. {step.title} <span className={`text-sm ml-2 ${STATUS_CLASSES[status]}`}>({STATUS_LABELS[status]})</span></p>
+                                            {step.summary && <p className="text-sm text-gray-600">{step.summary}</p>}
+                                            {step.objectives.length > 0 && (
+                                                <ul className="list-disc list-inside text-sm text-gray-600">
+                                                    {step.objectives.map(o => <li key={o}>{o}</li>)}
+                                                </ul>
+                                            )}
+                                            {status === 'locked' && <p className="text-sm text-gray-500">Complete {missing.map(s => `"${s.title}"`).join(' and ')} first.</p>}
+                                        </div>
+                                        {status !== 'locked' && (
+                                            <button
+                                                onClick={() => (module ? onOpenModule(module) : onStartStep(course, step))}
+                                                disabled={busy}
+                                                className="shrink-0 bg-teal-600 text-white py-1 px-4 rounded-md hover:bg-teal-700 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                                            >
+                                                {module ? 'Open' : 'Start'}
+                                            </button>
+                                        )}
+                                    </li>
+                                );
+                            })}
+                        </ol>
+                        {missingModules && (
+                            <button onClick={() => createModules(course)} disabled={working || busy} className="text-sm text-teal-700 font-semibold hover:underline disabled:opacity-50 disabled:cursor-not-allowed">
+                                Create all remaining modules now
+                            </button>
+                        )}
+                        {course.certificate ? (
+                            <div className="text-sm text-gray-700 space-y-1">
+                                <p>
+                                    Course certificate issued to <span className="font-semibold">{course.certificate.learnerName}</span> on {formatIssueDate(course.certificate.issuedAt)}
+                                    {' '}(average score {course.certificate.score.toFixed(2)}%).
+                                </p>
+                                <p>Verify at <a href={getVerificationUrl(course.certificate.certificateId)} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline break-words">{getVerificationUrl(course.certificate.certificateId)}</a></p>
+                                <div className="flex gap-4">
+                                    <button onClick={() => downloadCertificate(course.certificate, 'pdf')} className="text-blue-600 font-semibold hover:underline">Download PDF</button>
+                                    <button onClick={() => downloadCertificate(course.certificate, 'png')} className="text-blue-600 font-semibold hover:underline">Download PNG</button>
+                                </div>
+                            </div>
+                        ) : done.complete && (
+                            <div className="flex flex-col sm:flex-row gap-2">
+                                <input type="text" value={certificateName} onChange={(e) => setCertificateName(e.target.value)} placeholder="Your name for the certificate" className={inputClass} />
+                                <button onClick={() => issueCertificate(course)} disabled={working || !certificateName.trim()} className={`shrink-0 ${buttonClass}`}>
+                                    Issue Course Certificate
+                                </button>
+                            </div>
+                        )}
+                    </div>
+                );
+            })}
+
+            <div className="space-y-3">
+                <div className="flex flex-col sm:flex-row gap-4">
+                    <input
+                        type="text"
+                        value={topic}
+                        onChange={(e) => setTopic(e.target.value)}
+                        placeholder="Plan a course on a broad topic, e.g. 'Quantum Computing'"
+                        className="flex-grow p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-teal-500 outline-none text-lg"
+                    />
+                    <button onClick={plan} disabled={working || !topic.trim()} className={`text-lg ${buttonClass}`}>
+                        {working && !syllabus ? 'Planning...' : syllabus ? 'Plan Again' : 'Plan Course'}
+                    </button>
+                </div>
+                {syllabus && (
+                    <div className="p-4 bg-gray-50 rounded-lg space-y-3">
+                        <input type="text" value={syllabus.title} placeholder="Course title" onChange={(e) => setSyllabus({ ...syllabus, title: e.target.value })} className={inputClass} />
+                        <textarea rows={2} value={syllabus.description} placeholder="Description" onChange={(e) => setSyllabus({ ...syllabus, description: e.target.value })} className={inputClass} />
+                        <SyllabusEditor steps={syllabus.steps} busy={working} onChange={(steps) => setSyllabus({ ...syllabus, steps })} />
+                        {problems.length > 0 && (
+                            <ul className="list-disc list-inside text-sm text-red-700">
+                                {problems.map(p => <li key={p}>{p}</li>)}
+                            </ul>
+                        )}
+                        <div className="flex flex-wrap gap-4">
+                            <button onClick={() => create(true)} disabled={working || busy || problems.length > 0} className={buttonClass}>
+                                {working ? 'Saving...' : 'Create Course and All Modules'}
+                            </button>
+                            <button onClick={() => create(false)} disabled={working || problems.length > 0} className="text-teal-700 font-semibold hover:underline disabled:opacity-50 disabled:cursor-not-allowed">
+                                Create course only (start modules one at a time)
+                            </button>
+                            <button onClick={() => setSyllabus(null)} disabled={working} className="text-gray-600 font-semibold hover:underline">Discard</button>
+                        </div>
+                    </div>
+                )}
+            </div>
+            {progress && <p className="text-teal-700">{progress}</p>}
+            {progress && generation && <GenerationProgress artifacts={generation} onCancel={onCancelGeneration} />}
+            {error && <p className="text-red-600">{error}</p>}
+        </div>
+    );
+};
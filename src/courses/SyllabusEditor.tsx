@@ -0,0 +1,56 @@
+import { ListEditor } from '../authoring/QuestionEditor.tsx';
+import { blankStep, CourseStep, removeStep, totalHours } from './courses.ts';
+
+type Props = {
+    steps: CourseStep[];
+    busy: boolean;
+    onChange: (steps: CourseStep[]) => void;
+};
+
+const inputClass = 'w-full p-2 border border-gray-300 rounded-md bg-white text-sm';
+
+// Edits a course's modules (syllabus units) in order. Prerequisites can only be earlier modules.
+export const SyllabusEditor = ({ steps, busy, onChange }: Props) => {
+    const changeStep = (index: number, changes: Partial<CourseStep>) =>
+        onChange(steps.map((s, i) => (i === index ? { ...s, ...changes } : s)));
+    const togglePrerequisite = (index: number, stepId: string) => {
+        const { prerequisites } = steps[index];
+        changeStep(index, { prerequisites: prerequisites.includes(stepId) ? prerequisites.filter(p => p !== stepId) : [...prerequisites, stepId] });
+    };
+
+    return (
+        <div className="space-y-3">
+            <p className="text-sm text-gray-600">{steps.length} module{steps.length === 1 ? '' : 's'}, about {totalHours(steps)} hours in total</p>
+            {steps.map((step, index) => (
+                <div key={step.stepId} className="p-4 bg-white rounded-lg border border-gray-200 space-y-2">
+                    <div className="flex items-center justify-between gap-2">
+                        <p className="font-semibold text-gray-800">Module {index + 1}</p>
+                        <button onClick={() => onChange(removeStep(steps, step.stepId))} disabled={busy} className="text-sm text-red-600 font-semibold hover:underline disabled:opacity-50 disabled:cursor-not-allowed">Remove</button>
+                    </div>
+                    <input type="text" value={step.title} placeholder="Module topic" onChange={(e) => changeStep(index, { title: e.target.value })} className={inputClass} />
+                    <textarea rows={2} value={step.summary} placeholder="What it covers" onChange={(e) => changeStep(index, { summary: e.target.value })} className={inputClass} />
+                    <label className="flex items-center gap-2 text-sm text-gray-700">
+                        Estimated hours
+                        <input type="number" min={0} step={0.5} value={step.estimatedHours} onChange={(e) => changeStep(index, { estimatedHours: Math.max(Number(e.target.value) || 0, 0) })} className="w-20 p-1 border border-gray-300 rounded-md" />
+                    </label>
+                    <div className="text-sm text-gray-700">
+                        <p className="font-semibold mb-1">Learning objectives</p>
+                        <ListEditor values={step.objectives} onChange={(objectives) => changeStep(index, { objectives })} addLabel="Add objective" />
+                    </div>
+                    {index > 0 && (
+                        <div className="flex flex-wrap items-center gap-x-4 gap-y-1 text-sm text-gray-700">
+                            <span className="font-semibold">Requires:</span>
+                            {steps.slice(0, index).map((earlier, i) => (
+                                <label key={earlier.stepId} className="flex items-center gap-1">
+                                    <input type="checkbox" checked={step.prerequisites.includes(earlier.stepId)} onChange={() => togglePrerequisite(index, earlier.stepId)} />
+                                    {i + 1}. {earlier.title || 'Untitled'}
+                                </label>
+                            ))}
+                        </div>
+                    )}
+                </div>
+            ))}
+            <button onClick={() => onChange([...steps, blankStep(steps.length)])} disabled={busy} className="text-sm text-blue-600 font-semibold hover:underline disabled:opacity-50 disabled:cursor-not-allowed">Add module</button>
+        </div>
+    );
+};
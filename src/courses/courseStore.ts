@@ -0,0 +1,33 @@
+import { collection, deleteDoc, deleteField, doc, getDocs, setDoc, updateDoc } from 'firebase/firestore';
+import { db, appId } from '../firebase';
+import { Course, CourseStep } from './courses.ts';
+
+// artifacts/${appId}/users/${userId}/courses/${courseId}   one course and its syllabus
+// The modules started from a course stay in the user's modules collection, linked by courseId / courseStepId.
+
+const coursesPath = (userId: string) => `artifacts/${appId}/users/${userId}/courses`;
+
+export const loadCourses = async (userId: string): Promise<Course[]> => {
+    const snapshot = await getDocs(collection(db, coursesPath(userId)));
+    return snapshot.docs
+        .map(d => d.data() as Course)
+        // Courses saved before syllabus units had objectives and hours
+        .map(course => ({ ...course, steps: course.steps.map((s: CourseStep) => ({ ...s, objectives: s.objectives || [], estimatedHours: s.estimatedHours || 0 })) }))
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+};
+
+export const saveCourse = async (userId: string, course: Course) => {
+    await setDoc(doc(db, coursesPath(userId), course.courseId), course);
+};
+
+export const updateCourse = async (userId: string, courseId: string, changes: Partial<Course>) => {
+    await updateDoc(doc(db, coursesPath(userId), courseId), { ...changes, lastUpdated: new Date().toISOString() });
+};
+
+// Only the course goes; its modules are unlinked and stay as ordinary modules
+export const deleteCourse = async (userId: string, courseId: string, moduleIds: string[]) => {
+    for (const moduleId of moduleIds) {
+        await updateDoc(doc(db, `artifacts/${appId}/users/${userId}/modules`, moduleId), { courseId: deleteField(), courseStepId: deleteField() });
+    }
+    await deleteDoc(doc(db, coursesPath(userId), courseId));
+};
@@ -0,0 +1,68 @@
+import { Module } from '../types.ts';
+import { Course, courseProgress, removeStep, stepStatus, syllabusProblems, totalHours } from './courses.ts';
+import { toCourseSteps } from './syllabus.ts';
+
+const course: Course = {
+    courseId: 'course-1',
+    title: 'Quantum Computing',
+    topic: 'Quantum Computing',
+    description: '',
+    steps: toCourseSteps([
+        { title: 'Linear Algebra', summary: '', learning_objectives: ['Multiply matrices'], estimated_hours: 4, prerequisites: [] },
+        { title: 'Qubits', summary: '', learning_objectives: [], estimated_hours: 3, prerequisites: [1] },
+        { title: 'Quantum Gates', summary: '', learning_objectives: [], estimated_hours: 5, prerequisites: [1, 2] },
+    ], 'step'),
+    createdAt: '2024-01-01T00:00:00.000Z',
+};
+
+const moduleFor = (stepIndex: number, status: string, finalTestScore = 0): Module => ({
+    id: `module-${stepIndex}`,
+    name: course.steps[stepIndex].title,
+    status,
+    resources: [],
+    quizzes: [],
+    finalTestScore,
+    certificateIssued: status === 'completed',
+    courseId: course.courseId,
+    courseStepId: course.steps[stepIndex].stepId,
+});
+
+test('unlocks a step once all its prerequisite modules are completed', () => {
+    const [algebra, qubits, gates] = course.steps;
+    expect([algebra, qubits, gates].map(s => stepStatus(course, s, []))).toEqual(['available', 'locked', 'locked']);
+
+    const started = [moduleFor(0, 'resources_added')];
+    expect([algebra, qubits].map(s => stepStatus(course, s, started))).toEqual(['in_progress', 'locked']);
+
+    // Modules created up front for the whole course stay locked until their prerequisites are completed
+    const upFront = [moduleFor(0, 'started'), moduleFor(1, 'started')];
+    expect([algebra, qubits].map(s => stepStatus(course, s, upFront))).toEqual(['available', 'locked']);
+
+    const firstDone = [moduleFor(0, 'completed', 90), moduleFor(1, 'needs_revisit', 40)];
+    expect([algebra, qubits, gates].map(s => stepStatus(course, s, firstDone))).toEqual(['completed', 'needs_revisit', 'locked']);
+});
+
+test('the course is complete when every step module is completed', () => {
+    const partial = [moduleFor(0, 'completed', 90), moduleFor(1, 'completed', 80)];
+    expect(courseProgress(course, partial)).toEqual({ completed: 2, total: 3, complete: false, averageScore: 85 });
+    const all = [...partial, moduleFor(2, 'completed', 100)];
+    expect(courseProgress(course, all)).toMatchObject({ completed: 3, complete: true, averageScore: 90 });
+    // Modules outside the course don't count
+    expect(courseProgress(course, [{ ...moduleFor(0, 'completed'), courseId: 'other' }]).completed).toBe(0);
+});
+
+test('reads generated units and keeps prerequisites pointing at earlier steps only', () => {
+    const steps = toCourseSteps([
+        { title: ' A ', summary: '', learning_objectives: [' Define A ', ''], estimated_hours: -2, prerequisites: [2] },
+        { title: 'B', summary: '', learning_objectives: [], estimated_hours: 2.5, prerequisites: [1, 1, 2, 0] },
+    ], 's');
+    expect(steps[0]).toMatchObject({ title: 'A', objectives: ['Define A'], estimatedHours: 0 });
+    expect(steps.map(s => s.prerequisites)).toEqual([[], ['s-1']]);
+    expect(totalHours(steps)).toBe(2.5);
+    expect(syllabusProblems(steps)).toEqual([]);
+
+    const reordered = [steps[1], steps[0]];
+    expect(syllabusProblems(reordered)).toEqual(['Module 1 depends on a module that does not come before it.']);
+    expect(removeStep(steps, 's-1')).toEqual([{ ...steps[1], prerequisites: [] }]);
+    expect(syllabusProblems([{ ...steps[0], title: ' ' }])).toEqual(['Module 1 has no title.']);
+});
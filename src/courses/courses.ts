@@ -0,0 +1,85 @@
+import type { CertificateRecord } from '../certificates/certificate.ts';
+import { Module } from '../types.ts';
+
+// A course sequences modules into a learning path. Each step becomes one module when the learner starts it;
+// modules created for a step carry `courseId` and `courseStepId`. A step unlocks once every prerequisite
+// step's module is completed. Courses live in artifacts/${appId}/users/${userId}/courses (see courseStore.ts).
+
+export type CourseStep = {
+    stepId: string;
+    title: string; // Used as the module topic
+    summary: string;
+    objectives: string[]; // Learning objectives; the step's module is tagged with them
+    estimatedHours: number;
+    prerequisites: string[]; // stepIds of earlier steps
+};
+
+export type Course = {
+    courseId: string;
+    title: string;
+    topic: string; // The broad topic the syllabus was generated from
+    description: string;
+    steps: CourseStep[];
+    certificate?: CertificateRecord | null; // Set once the learner issues the course certificate
+    createdAt: string;
+    lastUpdated?: string;
+};
+
+export type StepStatus = 'locked' | 'available' | 'in_progress' | 'completed' | 'needs_revisit';
+
+export const createCourse = (topic: string, syllabus: Pick<Course, 'title' | 'description' | 'steps'>): Course => ({
+    courseId: `course-${Date.now()}`,
+    title: syllabus.title.trim() || topic.trim(),
+    topic: topic.trim(),
+    description: syllabus.description.trim(),
+    steps: syllabus.steps.map(s => ({ ...s, title: s.title.trim(), objectives: s.objectives.map(o => o.trim()).filter(Boolean) })),
+    certificate: null,
+    createdAt: new Date().toISOString(),
+});
+
+export const blankStep = (index: number): CourseStep => ({ stepId: `step-${Date.now()}-${index + 1}`, title: '', summary: '', objectives: [], estimatedHours: 0, prerequisites: [] });
+
+// Removing a step also drops it from the prerequisites of the steps after it
+export const removeStep = (steps: CourseStep[], stepId: string) =>
+    steps.filter(s => s.stepId !== stepId).map(s => ({ ...s, prerequisites: s.prerequisites.filter(p => p !== stepId) }));
+
+export const totalHours = (steps: CourseStep[]) => steps.reduce((sum, s) => sum + (s.estimatedHours || 0), 0);
+
+// Prerequisites must name earlier steps, which also rules out cycles
+export const syllabusProblems = (steps: CourseStep[]): string[] => {
+    const problems: string[] = [];
+    if (steps.length === 0) problems.push('The course has no modules.');
+    const earlier = new Set<string>();
+    steps.forEach((step, i) => {
+        if (!step.title.trim()) problems.push(`Module ${i + 1} has no title.`);
+        if (step.prerequisites.some(p => !earlier.has(p))) problems.push(`Module ${i + 1} depends on a module that does not come before it.`);
+        earlier.add(step.stepId);
+    });
+    return problems;
+};
+
+// --- Progress ---
+export const stepModule = (course: Course, step: CourseStep, modules: Module[]) =>
+    modules.find(m => m.courseId === course.courseId && m.courseStepId === step.stepId);
+
+// A step's module may exist before the step unlocks (modules can be created for the whole course up front)
+export const stepStatus = (course: Course, step: CourseStep, modules: Module[]): StepStatus => {
+    const module = stepModule(course, step, modules);
+    if (module?.status === 'completed' || module?.status === 'needs_revisit') return module.status;
+    const unlocked = step.prerequisites.every(id => {
+        const prerequisite = course.steps.find(s => s.stepId === id);
+        return !prerequisite || stepModule(course, prerequisite, modules)?.status === 'completed';
+    });
+    if (!unlocked) return 'locked';
+    return module && module.status !== 'started' ? 'in_progress' : 'available';
+};
+
+export const courseProgress = (course: Course, modules: Module[]) => {
+    const finished = course.steps.map(step => stepModule(course, step, modules)).filter((m): m is Module => m?.status === 'completed');
+    return {
+        completed: finished.length,
+        total: course.steps.length,
+        complete: course.steps.length > 0 && finished.length === course.steps.length,
+        averageScore: finished.length ? finished.reduce((sum, m) => sum + m.finalTestScore, 0) / finished.length : 0,
+    };
+};
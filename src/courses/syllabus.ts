@@ -0,0 +1,65 @@
+import { generateJson, LlmProvider } from '../llm/index.ts';
+import { Course, CourseStep } from './courses.ts';
+
+// Generates a course syllabus from a broad topic: an ordered list of units (one module each) with learning
+// objectives, estimated hours and prerequisites. The model names prerequisites by unit number; only earlier
+// units are kept so the path has no cycles.
+
+export const syllabusSchema = {
+    type: "OBJECT",
+    properties: {
+        "title": { "type": "STRING" },
+        "description": { "type": "STRING" },
+        "units": {
+            "type": "ARRAY",
+            "items": {
+                "type": "OBJECT",
+                "properties": {
+                    "title": { "type": "STRING" },
+                    "summary": { "type": "STRING" },
+                    "learning_objectives": { "type": "ARRAY", "items": { "type": "STRING" } },
+                    "estimated_hours": { "type": "NUMBER" },
+                    "prerequisites": { "type": "ARRAY", "items": { "type": "INTEGER" } }
+                },
+                "required": ["title", "summary", "learning_objectives", "estimated_hours", "prerequisites"]
+            }
+        }
+    },
+    "required": ["title", "description", "units"]
+};
+
+type GeneratedSyllabus = {
+    title: string;
+    description: string;
+    units: { title: string; summary: string; learning_objectives: string[]; estimated_hours: number; prerequisites: number[] }[];
+};
+
+export const buildSyllabusPrompt = (topic: string) => `Design a learning path (a course) for "${topic}".
+Split it into 3-8 units in the order a learner should take them. Each unit must be narrow enough to be a single module topic with its own assignment, quiz and final test.
+For each unit give:
+- a short title (used as the module topic) and a one or two sentence summary
+- 2-5 learning objectives, each a single measurable statement starting with a verb (e.g. "Explain superposition using the Bloch sphere")
+- the estimated study hours for a typical learner
+- the numbers (1-based) of the earlier units that must be completed before it. The first unit has no prerequisites.
+Also give the course a title and a short description.`;
+
+export const toCourseSteps = (units: GeneratedSyllabus['units'], idPrefix = `step-${Date.now()}`): CourseStep[] => {
+    const stepIds = units.map((_, i) => `${idPrefix}-${i + 1}`);
+    return units.map((u, i) => ({
+        stepId: stepIds[i],
+        title: (u.title || '').trim(),
+        summary: (u.summary || '').trim(),
+        objectives: (u.learning_objectives || []).map(o => o.trim()).filter(Boolean),
+        estimatedHours: Math.max(Number(u.estimated_hours) || 0, 0),
+        prerequisites: Array.from(new Set(u.prerequisites || []))
+            .filter(n => Number.isInteger(n) && n >= 1 && n <= i)
+            .map(n => stepIds[n - 1]),
+    }));
+};
+
+export const generateSyllabus = async (provider: LlmProvider, topic: string): Promise<Pick<Course, 'title' | 'description' | 'steps'>> => {
+    const syllabus = await generateJson<GeneratedSyllabus>(provider, { prompt: buildSyllabusPrompt(topic), schema: syllabusSchema }, {
+        check: (s) => (s.units.length === 0 ? ['$.units: the syllabus needs at least one unit'] : s.units.flatMap((u, i) => (u.title.trim() ? [] : [`$.units[${i}].title: empty`]))),
+    });
+    return { title: syllabus.title || topic, description: syllabus.description || '', steps: toCourseSteps(syllabus.units || []) };
+};
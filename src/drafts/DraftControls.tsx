@@ -0,0 +1,86 @@
+import { useState } from 'react';
+import { DraftVersion, loadDraftVersions } from './draftStore.ts';
+import { DraftStatus } from './useAssignmentDrafts.ts';
+
+const STATUS_LABELS: { [status in DraftStatus]: { text: string; className: string } } = {
+    idle: { text: '', className: '' },
+    loading: { text: 'Restoring your drafts...', className: 'text-gray-500' },
+    saving: { text: 'Saving...', className: 'text-blue-600' },
+    saved: { text: 'All changes saved', className: 'text-green-600' },
+    offline: { text: 'Offline - changes are kept on this device and will sync when you reconnect', className: 'text-yellow-700' },
+    error: { text: 'Could not save your latest changes. They are kept on this device; we will retry as you type.', className: 'text-red-600' },
+};
+
+export const DraftStatusBadge = ({ status, lastSavedAt }: { status: DraftStatus; lastSavedAt: string | null }) => {
+    const label = STATUS_LABELS[status];
+    if (!label.text) return null;
+    return (
+        <p className={`text-sm text-center ${label.className}`}>
+            {label.text}
+            {status === 'saved' && lastSavedAt && ` (${new Date(lastSavedAt).toLocaleTimeString()})`}
+        </p>
+    );
+};
+
+type HistoryProps = {
+    userId: string;
+    moduleId: string;
+    sectionId: string;
+    taskId: string;
+    onRestore: (value: string) => void;
+};
+
+// Per-task list of earlier draft versions with one-click restore
+export const DraftHistory = ({ userId, moduleId, sectionId, taskId, onRestore }: HistoryProps) => {
+    const [open, setOpen] = useState(false);
+    const [versions, setVersions] = useState<DraftVersion[] | null>(null);
+    const [error, setError] = useState('');
+
+    const toggle = async () => {
+        if (open) {
+            setOpen(false);
+            return;
+        }
+        setOpen(true);
+        setError('');
+        try {
+            setVersions(await loadDraftVersions(userId, moduleId, sectionId, taskId));
+        } catch (e) {
+            console.error('Error loading draft history:', e);
+            setError('Could not load the version history.');
+        }
+    };
+
+    return (
+        <div className="mt-2 text-sm">
+            <button onClick={toggle} className="text-blue-600 font-semibold hover:underline">
+                {open ? 'Hide version history' : 'Version history'}
+            </button>
+            {open && (
+                <div className="mt-2 p-3 bg-gray-50 rounded-md border border-gray-200">
+                    {error && <p className="text-red-600">{error}</p>}
+                    {!error && versions === null && <p className="text-gray-500">Loading...</p>}
+                    {versions && versions.length === 0 && <p className="text-gray-500">No earlier versions yet. A version is kept every few minutes while you work.</p>}
+                    {versions && versions.length > 0 && (
+                        <ul className="space-y-2">
+                            {versions.map(version => (
+                                <li key={version.id} className="flex items-start justify-between gap-4">
+                                    <div className="min-w-0">
+                                        <p className="font-medium text-gray-700">{new Date(version.savedAt).toLocaleString()}</p>
+                                        <p className="text-gray-500 truncate font-mono">{version.value.slice(0, 120) || '(empty)'}</p>
+                                    </div>
+                                    <button
+                                        onClick={() => onRestore(version.value)}
+                                        className="shrink-0 bg-blue-100 text-blue-800 py-1 px-3 rounded-md hover:bg-blue-200 transition-colors duration-200"
+                                    >
+                                        Restore
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
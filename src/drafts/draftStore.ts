@@ -0,0 +1,82 @@
+import { addDoc, collection, deleteDoc, doc, getDocs, limit, orderBy, query, setDoc } from 'firebase/firestore';
+import { db, appId } from '../firebase';
+import { draftKey, StoredDraft, TaskDraft } from './drafts.ts';
+
+// Drafts live next to the module they belong to:
+//   artifacts/${appId}/users/${userId}/modules/${moduleId}/drafts/${sectionId}__${taskId}
+//   .../drafts/${draftKey}/versions/${autoId}   (periodic snapshots for the version history)
+
+export type DraftVersion = {
+    id: string;
+    value: string;
+    savedAt: string;
+};
+
+const MAX_VERSIONS_SHOWN = 20;
+
+const draftsCollection = (userId: string, moduleId: string) =>
+    collection(db, `artifacts/${appId}/users/${userId}/modules/${moduleId}/drafts`);
+
+export const loadDrafts = async (userId: string, moduleId: string): Promise<StoredDraft[]> => {
+    const snapshot = await getDocs(draftsCollection(userId, moduleId));
+    return snapshot.docs.map(d => d.data() as StoredDraft);
+};
+
+// Saves the latest value of a task and, when `addVersion` is set, a history snapshot of it
+export const saveDraft = async (userId: string, moduleId: string, draft: TaskDraft, addVersion: boolean) => {
+    const draftRef = doc(draftsCollection(userId, moduleId), draftKey(draft.sectionId, draft.taskId));
+    const data: { [key: string]: any } = { ...draft };
+    if (addVersion) data.lastVersionAt = draft.updatedAt;
+    await setDoc(draftRef, data, { merge: true });
+    if (addVersion) {
+        await addDoc(collection(draftRef, 'versions'), { value: draft.value, savedAt: draft.updatedAt });
+    }
+};
+
+export const loadDraftVersions = async (userId: string, moduleId: string, sectionId: string, taskId: string): Promise<DraftVersion[]> => {
+    const versionsRef = collection(draftsCollection(userId, moduleId), draftKey(sectionId, taskId), 'versions');
+    const snapshot = await getDocs(query(versionsRef, orderBy('savedAt', 'desc'), limit(MAX_VERSIONS_SHOWN)));
+    return snapshot.docs.map(d => ({ id: d.id, ...(d.data() as { value: string; savedAt: string }) }));
+};
+
+// Deletes every draft of the module with its version history, e.g. once the tasks they answered are replaced.
+// Deleting a draft leaves its versions behind, so those go first.
+export const deleteDrafts = async (userId: string, moduleId: string) => {
+    const drafts = await getDocs(draftsCollection(userId, moduleId));
+    for (const draft of drafts.docs) {
+        const versions = await getDocs(collection(draftsCollection(userId, moduleId), draft.id, 'versions'));
+        for (const version of versions.docs) await deleteDoc(version.ref);
+        await deleteDoc(draft.ref);
+    }
+};
+
+// --- Local copy ---
+// Every keystroke is mirrored to localStorage so nothing is lost while offline or if the tab closes
+// before the debounced save reaches Firestore.
+const localKey = (userId: string, moduleId: string) => `qla-drafts:${userId}:${moduleId}`;
+
+export const readLocalDrafts = (userId: string, moduleId: string): { [key: string]: TaskDraft } => {
+    try {
+        return JSON.parse(localStorage.getItem(localKey(userId, moduleId)) || '{}');
+    } catch (e) {
+        return {};
+    }
+};
+
+export const clearLocalDrafts = (userId: string, moduleId: string) => {
+    try {
+        localStorage.removeItem(localKey(userId, moduleId));
+    } catch (e) {
+        // Storage disabled; there is nothing to clear
+    }
+};
+
+export const writeLocalDraft = (userId: string, moduleId: string, draft: TaskDraft) => {
+    try {
+        const drafts = readLocalDrafts(userId, moduleId);
+        drafts[draftKey(draft.sectionId, draft.taskId)] = draft;
+        localStorage.setItem(localKey(userId, moduleId), JSON.stringify(drafts));
+    } catch (e) {
+        // Storage full or disabled; the Firestore save still runs
+    }
+};
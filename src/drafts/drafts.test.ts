@@ -0,0 +1,52 @@
+import { draftKey, draftsToResponses, mergeDrafts, needsVersion, VERSION_INTERVAL_MS } from './drafts.ts';
+
+const draft = (sectionId: string, taskId: string, value: string, updatedAt: string) => ({ sectionId, taskId, value, updatedAt });
+
+test('turns drafts into assignment responses grouped by section', () => {
+    const responses = draftsToResponses([
+        draft('s1', '1.1', 'first', '2026-03-04T10:00:00.000Z'),
+        draft('s1', '1.2', 'second', '2026-03-04T10:00:00.000Z'),
+        draft('s2', '2.1', 'third', '2026-03-04T10:00:00.000Z'),
+    ]);
+
+    expect(responses).toEqual({ s1: { '1.1': 'first', '1.2': 'second' }, s2: { '2.1': 'third' } });
+    expect(draftKey('s1', '1.1')).toBe('s1__1.1');
+});
+
+test('merges local edits newer than Firestore and marks them for upload', () => {
+    const remote = [
+        { ...draft('s1', '1.1', 'saved online', '2026-03-04T10:05:00.000Z'), lastVersionAt: '2026-03-04T10:00:00.000Z' },
+        draft('s1', '1.2', 'newer online', '2026-03-04T10:10:00.000Z'),
+    ];
+    const local = {
+        's1__1.1': draft('s1', '1.1', 'typed offline', '2026-03-04T10:06:00.000Z'),
+        's1__1.2': draft('s1', '1.2', 'older local', '2026-03-04T10:01:00.000Z'),
+        's2__2.1': draft('s2', '2.1', 'never uploaded', '2026-03-04T09:00:00.000Z'),
+    };
+
+    const { drafts, versionTimes, upload } = mergeDrafts(remote, local);
+
+    expect(draftsToResponses(Object.values(drafts))).toEqual({
+        s1: { '1.1': 'typed offline', '1.2': 'newer online' },
+        s2: { '2.1': 'never uploaded' },
+    });
+    expect(Array.from(upload.keys())).toEqual(['s1__1.1', 's2__2.1']);
+    expect(versionTimes).toEqual(new Map([['s1__1.1', Date.parse('2026-03-04T10:00:00.000Z')]]));
+    expect(drafts['s1__1.2']).not.toHaveProperty('lastVersionAt');
+});
+
+test('keeps Firestore drafts when there is no local copy', () => {
+    const { drafts, upload } = mergeDrafts([draft('s1', '1.1', 'online', '2026-03-04T10:00:00.000Z')], {});
+
+    expect(drafts).toEqual({ 's1__1.1': draft('s1', '1.1', 'online', '2026-03-04T10:00:00.000Z') });
+    expect(upload.size).toBe(0);
+});
+
+test('adds a history version at most once per interval', () => {
+    const lastVersionAt = Date.parse('2026-03-04T10:00:00.000Z');
+    const after = (ms: number) => draft('s1', '1.1', 'x', new Date(lastVersionAt + ms).toISOString());
+
+    expect(needsVersion(after(0))).toBe(true); // No version taken yet
+    expect(needsVersion(after(VERSION_INTERVAL_MS - 1000), lastVersionAt)).toBe(false);
+    expect(needsVersion(after(VERSION_INTERVAL_MS), lastVersionAt)).toBe(true);
+});
@@ -0,0 +1,49 @@
+import { AssignmentResponses } from '../types.ts';
+
+// Assignment drafts: the latest value of each task plus a periodic version history.
+// Stored by draftStore.ts and kept in sync by useAssignmentDrafts.ts; the rules for merging and
+// versioning live here.
+
+export type TaskDraft = {
+    sectionId: string;
+    taskId: string;
+    value: string;
+    updatedAt: string;
+};
+
+// A draft as stored in Firestore, with the time its last history snapshot was taken
+export type StoredDraft = TaskDraft & { lastVersionAt?: string };
+
+// A new history entry is recorded at most this often per task while the learner keeps typing
+export const VERSION_INTERVAL_MS = 5 * 60 * 1000;
+
+export const draftKey = (sectionId: string, taskId: string) => `${sectionId}__${taskId}`;
+
+export const draftsToResponses = (drafts: TaskDraft[]): AssignmentResponses => drafts.reduce((responses, draft) => ({
+    ...responses,
+    [draft.sectionId]: { ...(responses[draft.sectionId] || {}), [draft.taskId]: draft.value }
+}), {} as AssignmentResponses);
+
+// Combines the Firestore drafts with the local copy, keyed by draftKey. Local edits newer than
+// Firestore (made offline or lost on tab close) win and are returned in `upload` to be saved again.
+export const mergeDrafts = (remote: StoredDraft[], local: { [key: string]: TaskDraft }) => {
+    const drafts: { [key: string]: TaskDraft } = {};
+    const versionTimes = new Map<string, number>();
+    remote.forEach(({ lastVersionAt, ...draft }) => {
+        const key = draftKey(draft.sectionId, draft.taskId);
+        drafts[key] = draft;
+        if (lastVersionAt) versionTimes.set(key, Date.parse(lastVersionAt));
+    });
+    const upload = new Map<string, TaskDraft>();
+    Object.entries(local).forEach(([key, draft]) => {
+        if (!drafts[key] || drafts[key].updatedAt < draft.updatedAt) {
+            drafts[key] = draft;
+            upload.set(key, draft);
+        }
+    });
+    return { drafts, versionTimes, upload };
+};
+
+// Whether saving this draft should also add a history entry, given when the task's last one was taken
+export const needsVersion = (draft: TaskDraft, lastVersionAt?: number) =>
+    Date.parse(draft.updatedAt) - (lastVersionAt ?? 0) >= VERSION_INTERVAL_MS;
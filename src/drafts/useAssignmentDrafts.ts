@@ -0,0 +1,128 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { AssignmentResponses } from '../types.ts';
+import { clearLocalDrafts, deleteDrafts, loadDrafts, readLocalDrafts, saveDraft, writeLocalDraft } from './draftStore.ts';
+import { draftKey, draftsToResponses, mergeDrafts, needsVersion, TaskDraft } from './drafts.ts';
+
+export type DraftStatus = 'idle' | 'loading' | 'saving' | 'saved' | 'offline' | 'error';
+
+const AUTOSAVE_DELAY_MS = 1500;
+
+const isOnline = () => typeof navigator === 'undefined' || navigator.onLine !== false;
+
+// Autosaving, resumable assignment answers for one module.
+// `fallbackResponses` seeds tasks that have no draft yet (e.g. a submission made before drafts existed).
+export const useAssignmentDrafts = (userId: string | null, moduleId: string | null, fallbackResponses?: AssignmentResponses) => {
+    const [responses, setResponses] = useState<AssignmentResponses>({});
+    const [status, setStatus] = useState<DraftStatus>('idle');
+    const [lastSavedAt, setLastSavedAt] = useState<string | null>(null);
+
+    const pending = useRef(new Map<string, TaskDraft>()); // Drafts not yet acknowledged by Firestore
+    const lastVersionAt = useRef(new Map<string, number>());
+    const timer = useRef<ReturnType<typeof setTimeout> | null>(null);
+    const fallbackRef = useRef(fallbackResponses);
+    fallbackRef.current = fallbackResponses;
+
+    const flush = useCallback(async (uid: string, mid: string) => {
+        if (timer.current) {
+            clearTimeout(timer.current);
+            timer.current = null;
+        }
+        if (pending.current.size === 0) return;
+        if (!isOnline()) {
+            setStatus('offline'); // Retried from the 'online' listener below
+            return;
+        }
+        setStatus('saving');
+        const drafts = Array.from(pending.current.values());
+        try {
+            for (const draft of drafts) {
+                const key = draftKey(draft.sectionId, draft.taskId);
+                const addVersion = needsVersion(draft, lastVersionAt.current.get(key));
+                await saveDraft(uid, mid, draft, addVersion);
+                if (addVersion) lastVersionAt.current.set(key, Date.parse(draft.updatedAt));
+                // Only clear it if the learner hasn't typed again while this save was in flight
+                if (pending.current.get(key) === draft) pending.current.delete(key);
+            }
+            setLastSavedAt(new Date().toISOString());
+            setStatus(pending.current.size > 0 ? 'saving' : 'saved');
+        } catch (error) {
+            console.error('Error saving assignment draft:', error);
+            setStatus(isOnline() ? 'error' : 'offline');
+        }
+    }, []);
+
+    // --- Restore drafts whenever the module changes ---
+    useEffect(() => {
+        pending.current = new Map();
+        lastVersionAt.current = new Map();
+        setResponses({});
+        setLastSavedAt(null);
+        if (!userId || !moduleId) {
+            setStatus('idle');
+            return;
+        }
+
+        let cancelled = false;
+        const local = readLocalDrafts(userId, moduleId);
+        setResponses({ ...(fallbackRef.current || {}), ...draftsToResponses(Object.values(local)) });
+        setStatus('loading');
+
+        loadDrafts(userId, moduleId)
+            .then(remote => {
+                if (cancelled) return;
+                const { drafts, versionTimes, upload } = mergeDrafts(remote, local);
+                versionTimes.forEach((time, key) => lastVersionAt.current.set(key, time));
+                upload.forEach((draft, key) => pending.current.set(key, draft)); // Newer local edits are re-uploaded
+                setResponses({ ...(fallbackRef.current || {}), ...draftsToResponses(Object.values(drafts)) });
+                setStatus('saved');
+                if (pending.current.size > 0) flush(userId, moduleId);
+            })
+            .catch(error => {
+                console.error('Error loading assignment drafts:', error);
+                if (!cancelled) setStatus(isOnline() ? 'error' : 'offline');
+            });
+
+        const handleOnline = () => flush(userId, moduleId);
+        window.addEventListener('online', handleOnline);
+        return () => {
+            cancelled = true;
+            window.removeEventListener('online', handleOnline);
+            flush(userId, moduleId); // Save anything still waiting on the debounce before switching modules
+        };
+    }, [userId, moduleId, flush]);
+
+    const updateResponse = useCallback((sectionId: string, taskId: string, value: string) => {
+        setResponses(prev => ({
+            ...prev,
+            [sectionId]: {
+                ...(prev[sectionId] || {}),
+                [taskId]: value
+            }
+        }));
+        if (!userId || !moduleId) return;
+        const draft: TaskDraft = { sectionId, taskId, value, updatedAt: new Date().toISOString() };
+        writeLocalDraft(userId, moduleId, draft);
+        pending.current.set(draftKey(sectionId, taskId), draft);
+        setStatus(isOnline() ? 'saving' : 'offline');
+        if (timer.current) clearTimeout(timer.current);
+        timer.current = setTimeout(() => flush(userId, moduleId), AUTOSAVE_DELAY_MS);
+    }, [userId, moduleId, flush]);
+
+    // Drops every draft of the module, saved or waiting, once the tasks they answered have been replaced
+    const clearDrafts = useCallback(async () => {
+        if (timer.current) {
+            clearTimeout(timer.current);
+            timer.current = null;
+        }
+        pending.current = new Map();
+        lastVersionAt.current = new Map();
+        setResponses({});
+        setLastSavedAt(null);
+        setStatus('idle');
+        if (!userId || !moduleId) return;
+        clearLocalDrafts(userId, moduleId);
+        await deleteDrafts(userId, moduleId);
+    }, [userId, moduleId]);
+
+    return { responses, updateResponse, clearDrafts, status, lastSavedAt };
+};
@@ -13,6 +13,9 @@ export const firebaseConfig = {
     measurementId: process.env.REACT_APP_FIREBASE_MEASUREMENT_ID // Optional
 }
 
+// Namespace for all Firestore data (artifacts/${appId}/...), same default as App.tsx
+export const appId = process.env.REACT_APP_CUSTOM_APP_ID || 'default-quantum-leap-app';
+
 const app = initializeApp(firebaseConfig);
 
 export const db = getFirestore(app);
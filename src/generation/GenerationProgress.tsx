@@ -0,0 +1,51 @@
+import { Artifact, artifactFraction } from './progress.ts';
+
+type Props = {
+    artifacts: Artifact[];
+    onCancel: () => void;
+};
+
+const statusText = (artifact: Artifact) => {
+    if (artifact.status === 'waiting') return 'Waiting';
+    if (artifact.status === 'done') return 'Done';
+    if (artifact.expected) return `${artifact.items.length} of ${artifact.expected}`;
+    return artifact.items.length > 0 ? `${artifact.items.length} so far` : 'Generating...';
+};
+
+// One bar per artifact being generated, the parts written so far, and a way to stop
+export const GenerationProgress = ({ artifacts, onCancel }: Props) => (
+    <div className="p-6 bg-blue-50 rounded-lg shadow-inner space-y-4 text-left">
+        {artifacts.map(artifact => {
+            const fraction = artifactFraction(artifact);
+            // Artifacts of unknown size get a pulsing full bar while they are written
+            const width = fraction ?? (artifact.status === 'generating' ? 1 : 0);
+            return (
+                <div key={artifact.id}>
+                    <div className="flex justify-between text-sm font-semibold text-gray-700">
+                        <span>{artifact.label}</span>
+                        <span>{statusText(artifact)}</span>
+                    </div>
+                    <div className="h-2 mt-1 bg-gray-200 rounded-full overflow-hidden">
+                        <div
+                            className={`h-full ${artifact.status === 'done' ? 'bg-green-500' : 'bg-blue-500'} ${fraction === null && artifact.status === 'generating' ? 'animate-pulse opacity-60' : ''}`}
+                            style={{ width: `${width * 100}%` }}
+                        />
+                    </div>
+                    {artifact.status === 'generating' && artifact.items.length > 0 && (
+                        <ul className="mt-2 list-disc list-inside text-sm text-gray-600 space-y-1">
+                            {artifact.items.map((item, i) => <li key={i} className="break-words">{item}</li>)}
+                        </ul>
+                    )}
+                </div>
+            );
+        })}
+        <div className="text-center">
+            <button
+                onClick={onCancel}
+                className="bg-gray-300 text-gray-800 font-bold py-2 px-6 rounded-lg shadow-md hover:bg-gray-400 transition-colors duration-200"
+            >
+                Cancel
+            </button>
+        </div>
+    </div>
+);
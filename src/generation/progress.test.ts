@@ -0,0 +1,20 @@
+import { parsePartialJson } from '../llm/index.ts';
+import { artifactFraction, questionHeadings, sectionHeadings, startArtifacts, updateArtifact } from './progress.ts';
+
+test('lists the sections and questions finished so far', () => {
+    const assignment = parsePartialJson('{"sections":[{"marks":40,"section_title":"Data model","tasks":[{"task_id":"1.1"},{"task_id":"1.2"}]},{"marks":60,"section_title":"Repor');
+    const questions = parsePartialJson('[{"question":"What is a stable sort?","correctAnswer":"A"},{"correctAnswer":"C","question":"Which sort is');
+
+    expect(sectionHeadings(assignment)).toEqual(['Data model (2 tasks)']);
+    expect(questionHeadings(questions)).toEqual(['What is a stable sort?']);
+    expect(sectionHeadings(undefined)).toEqual([]);
+});
+
+test('progress is known only for artifacts of a known size', () => {
+    let artifacts = startArtifacts([{ id: 'assignment', label: 'Assignment sections' }, { id: 'questions', label: 'Quiz questions', expected: 4 }]);
+    artifacts = updateArtifact(artifacts, 'questions', { status: 'generating', items: ['Q1'] });
+    artifacts = updateArtifact(artifacts, 'assignment', { status: 'generating', items: ['Data model'] });
+
+    expect(artifacts.map(artifactFraction)).toEqual([null, 0.25]);
+    expect(artifactFraction({ ...artifacts[0], status: 'done' })).toBe(1);
+});
@@ -0,0 +1,41 @@
+// Progress of one generation run (a module's content, a quiz...), artifact by artifact, for GenerationProgress.
+// Replies stream in as partial JSON (see parsePartialJson); the headings of the parts finished so far are
+// listed under each artifact so learners see sections and questions as they are written.
+
+export type ArtifactStatus = 'waiting' | 'generating' | 'done';
+
+export type Artifact = {
+    id: string;
+    label: string;
+    status: ArtifactStatus;
+    items: string[]; // Headings of the parts streamed so far
+    expected?: number; // How many parts there will be, when that is known up front (e.g. a quiz's question count)
+};
+
+export const startArtifacts = (artifacts: { id: string; label: string; expected?: number }[]): Artifact[] =>
+    artifacts.map(artifact => ({ ...artifact, status: 'waiting', items: [] }));
+
+export const updateArtifact = (artifacts: Artifact[], id: string, changes: Partial<Artifact>) =>
+    artifacts.map(artifact => (artifact.id === id ? { ...artifact, ...changes } : artifact));
+
+// Share of the artifact written, or null while its size is unknown
+export const artifactFraction = (artifact: Artifact): number | null => {
+    if (artifact.status === 'done') return 1;
+    if (!artifact.expected) return null;
+    return Math.min(artifact.items.length / artifact.expected, 1);
+};
+
+// --- Headings from partial replies; parts whose heading has not arrived yet are left out ---
+const listOf = (value: any): any[] => (Array.isArray(value) ? value : []);
+
+export const resourceHeadings = (partial: any): string[] =>
+    listOf(partial).filter(pick => typeof pick?.title === 'string').map(pick => pick.title);
+
+export const sectionHeadings = (partial: any): string[] =>
+    listOf(partial?.sections).filter(section => typeof section?.section_title === 'string').map(section => {
+        const tasks = listOf(section.tasks).length;
+        return tasks > 0 ? `${section.section_title} (${tasks} task${tasks === 1 ? '' : 's'})` : section.section_title;
+    });
+
+export const questionHeadings = (partial: any): string[] =>
+    listOf(partial).filter(question => typeof question?.question === 'string').map(question => question.question);
@@ -0,0 +1,42 @@
+import { AssignmentGrade } from './grading.ts';
+import { AssignmentContent } from '../types.ts';
+
+type Props = {
+    grading: AssignmentGrade;
+    assignment: AssignmentContent;
+};
+
+// Graded breakdown shown in the assignment phase once a submission has been marked
+export const GradingBreakdown = ({ grading, assignment }: Props) => (
+    <div className="p-6 bg-green-50 rounded-lg shadow-inner space-y-4">
+        <h3 className="text-2xl font-bold text-green-800 text-center">
+            Graded: {grading.total.toFixed(1)} / {grading.total_marks} ({grading.percentage.toFixed(0)}%)
+        </h3>
+        <p className="text-xs text-gray-500 text-center">Marked by {grading.gradedBy} on {new Date(grading.gradedAt).toLocaleString()}</p>
+        {grading.sections.map(section => {
+            const sectionContent = assignment.sections.find(s => s.section_id === section.section_id);
+            return (
+                <div key={section.section_id} className="p-4 bg-white rounded-lg border border-green-200 shadow-sm">
+                    <p className="text-lg font-semibold text-gray-900 mb-2">
+                        {section.section_title}: {section.score.toFixed(1)} / {section.max_marks} Marks
+                    </p>
+                    <ul className="space-y-2">
+                        {grading.tasks.filter(t => t.section_id === section.section_id).map(task => (
+                            <li key={task.task_id} className="text-gray-700">
+                                <span className="font-semibold">Task {task.task_id}</span>
+                                {sectionContent && (
+                                    <span className="text-gray-500"> ({sectionContent.tasks.find(t => t.task_id === task.task_id)?.task_description.slice(0, 60)}...)</span>
+                                )}
+                                : <span className={`font-medium ${task.score >= task.max_marks * 0.5 ? 'text-green-700' : 'text-red-600'}`}>{task.score.toFixed(1)} / {task.max_marks}</span>
+                                {task.tests && (
+                                    <span className="text-sm text-gray-500"> - hidden tests {task.tests.passed}/{task.tests.total} passed</span>
+                                )}
+                                <p className="text-sm text-gray-600 mt-1">{task.feedback}</p>
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            );
+        })}
+    </div>
+);
@@ -0,0 +1,69 @@
+import { createMockProvider } from '../llm/index.ts';
+import { gradeAssignment } from './grading.ts';
+
+const assignment = {
+    title: 'Qubits',
+    total_marks: 100,
+    scenario: { title: 'Lab', description: 'A quantum lab.' },
+    sections: [
+        {
+            section_id: 's1',
+            section_title: 'Part 1',
+            marks: 40,
+            sub_scenario: { title: 'Basics', description: 'Qubit basics.' },
+            tasks: [
+                { task_id: '1.1', task_description: 'Define a qubit.', marks: 20, type: 'text_input' },
+                { task_id: '1.2', task_description: 'Explain superposition.', marks: 20, type: 'text_input' },
+            ]
+        },
+        {
+            section_id: 's2',
+            section_title: 'Part 2',
+            marks: 60,
+            sub_scenario: { title: 'Code', description: 'Simulate.' },
+            tasks: [{ task_id: '2.1', task_description: 'Simulate a Hadamard gate.', marks: 60, type: 'code_input', language: 'Python' }]
+        }
+    ],
+    resources: []
+};
+
+test('grades each answered task, clamps scores and rolls up totals', async () => {
+    const respond = jest.fn(({ prompt }) => (prompt.includes('Task 1.1') ? { score: 15, feedback: 'Good definition.' } : { score: 99, feedback: 'Excellent.' }));
+    const responses = { s1: { '1.1': 'A two-level quantum system.', '1.2': '   ' }, s2: { '2.1': 'import numpy as np' } };
+
+    const grading = await gradeAssignment(createMockProvider({ respond }), assignment, responses);
+
+    expect(respond).toHaveBeenCalledTimes(2); // the blank task is not sent to the model
+    expect(grading.tasks).toEqual([
+        { section_id: 's1', task_id: '1.1', score: 15, max_marks: 20, feedback: 'Good definition.' },
+        { section_id: 's1', task_id: '1.2', score: 0, max_marks: 20, feedback: 'No response was submitted for this task.' },
+        { section_id: 's2', task_id: '2.1', score: 60, max_marks: 60, feedback: 'Excellent.' },
+    ]);
+    expect(grading.sections.map(s => [s.section_id, s.score, s.max_marks])).toEqual([['s1', 15, 40], ['s2', 60, 60]]);
+    expect(grading.total).toBe(75);
+    expect(grading.percentage).toBe(75);
+    expect(grading.gradedBy).toBe('mock/mock');
+});
+
+test('sends the task description, marks and rubric to the model', async () => {
+    const respond = jest.fn(() => ({ score: 10, feedback: 'ok' }));
+
+    await gradeAssignment(createMockProvider({ respond }), assignment, { s2: { '2.1': 'print(1)' } });
+
+    const { prompt } = (respond.mock.calls[0] as any[])[0];
+    expect(prompt).toContain('Simulate a Hadamard gate.');
+    expect(prompt).toContain('60 marks, Python code');
+    expect(prompt).toContain('Marking rubric');
+});
+
+test('blends the hidden test pass rate into code task marks', async () => {
+    const respond = jest.fn(() => ({ score: 40, feedback: 'Readable but incomplete.' }));
+    const testResults = {
+        s2: { '2.1': { passed: 1, total: 2, results: [{ description: 'H|0> is |+>', passed: true }, { description: 'H is unitary', passed: false, error: 'AssertionError' }] } }
+    };
+
+    const grading = await gradeAssignment(createMockProvider({ respond }), assignment, { s2: { '2.1': 'def hadamard(): ...' } }, testResults);
+
+    expect(grading.tasks[2]).toMatchObject({ task_id: '2.1', score: 35, tests: { passed: 1, total: 2 } }); // 40 * 0.5 + 60 * 0.5 * 0.5
+    expect((respond.mock.calls[0] as any[])[0].prompt).toContain('H is unitary (AssertionError)');
+});
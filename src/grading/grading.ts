@@ -0,0 +1,133 @@
+import { generateJson, LlmProvider } from '../llm/index.ts';
+import { AssignmentContent, AssignmentResponses, AssignmentSection, AssignmentTask } from '../types.ts';
+import { blendWithTestScore, TestResultsBySection, TestSummary } from '../sandbox/testCases.ts';
+
+export type TaskGrade = {
+    section_id: string;
+    task_id: string;
+    score: number;
+    max_marks: number;
+    feedback: string;
+    tests?: { passed: number; total: number }; // Hidden test pass count for code tasks
+};
+
+export type SectionGrade = {
+    section_id: string;
+    section_title: string;
+    score: number;
+    max_marks: number;
+};
+
+// Stored on the module document as assignments.grading
+export type AssignmentGrade = {
+    tasks: TaskGrade[];
+    sections: SectionGrade[];
+    total: number;
+    total_marks: number;
+    percentage: number;
+    gradedAt: string;
+    gradedBy: string; // provider/model that produced the marks
+};
+
+// Shared rubric so every task is marked against the same criteria
+export const GRADING_RUBRIC = `Marking rubric (apply proportionally to the marks available):
+- Correctness (50%): statements, reasoning and any code are technically accurate and actually solve the task.
+- Completeness (30%): every part of the task description is addressed.
+- Clarity (20%): the answer is well organised, justified and, for code, readable and idiomatic.
+Award 0 for blank, off-topic or copied-task answers. Never award more than the marks available.`;
+
+const taskGradeSchema = {
+    type: "OBJECT",
+    properties: {
+        score: { type: "NUMBER" },
+        feedback: { type: "STRING" }
+    },
+    required: ["score", "feedback"]
+};
+
+const describeTests = (tests?: TestSummary | null) => {
+    if (!tests || tests.total === 0) return '';
+    const failed = tests.results.filter(r => !r.passed).map(r => `- ${r.description}${r.error ? ` (${r.error})` : ''}`);
+    return `\nHidden test results: ${tests.passed} of ${tests.total} passed.${failed.length ? `\nFailed tests:\n${failed.join('\n')}` : ''}\nThe test pass rate is scored separately, so grade the code on the rubric and use the failures to inform your feedback.\n`;
+};
+
+const buildGradingPrompt = (assignment: AssignmentContent, section: AssignmentSection, task: AssignmentTask, response: string, tests?: TestSummary | null) => `You are a strict but fair university examiner grading one task of the assignment "${assignment.title}".
+
+Scenario: ${assignment.scenario.description}
+Section: ${section.section_title} - ${section.sub_scenario.title}: ${section.sub_scenario.description}
+
+Task ${task.task_id} (${task.marks} marks, ${task.type === 'code_input' ? `${task.language || 'Python'} code` : 'written answer'}):
+${task.task_description}
+
+${GRADING_RUBRIC}
+
+Learner's response:
+"""
+${response}
+"""
+${describeTests(tests)}
+Return a JSON object with "score" (a number from 0 to ${task.marks}) and "feedback" (2-4 sentences explaining the mark and how to improve).`;
+
+const clampScore = (score: any, maxMarks: number) => {
+    const value = Number(score);
+    if (!Number.isFinite(value)) return 0;
+    return Math.min(Math.max(value, 0), maxMarks);
+};
+
+// Rolls task grades up into section and assignment totals.
+export const summarizeGrades = (assignment: AssignmentContent, tasks: TaskGrade[], gradedBy: string): AssignmentGrade => {
+    const sections = assignment.sections.map(section => {
+        const sectionTasks = tasks.filter(t => t.section_id === section.section_id);
+        return {
+            section_id: section.section_id,
+            section_title: section.section_title,
+            score: sectionTasks.reduce((sum, t) => sum + t.score, 0),
+            max_marks: section.tasks.reduce((sum, t) => sum + (Number(t.marks) || 0), 0),
+        };
+    });
+    const total = sections.reduce((sum, s) => sum + s.score, 0);
+    const maxTotal = sections.reduce((sum, s) => sum + s.max_marks, 0);
+    // Report against the assignment's declared total, scaling if the task marks don't add up to it
+    const totalMarks = Number(assignment.total_marks) || maxTotal;
+    const percentage = maxTotal > 0 ? (total / maxTotal) * 100 : 0;
+    return {
+        tasks,
+        sections,
+        total: maxTotal > 0 ? (total / maxTotal) * totalMarks : 0,
+        total_marks: totalMarks,
+        percentage,
+        gradedAt: new Date().toISOString(),
+        gradedBy,
+    };
+};
+
+// Grades every task of an assignment with the model. Blank responses score 0 without a model call.
+// Code tasks with hidden test results get the test pass rate blended into their mark.
+export const gradeAssignment = async (provider: LlmProvider, assignment: AssignmentContent, responses: AssignmentResponses, testResults: TestResultsBySection = {}): Promise<AssignmentGrade> => {
+    const taskGrades: TaskGrade[] = [];
+    for (const section of assignment.sections) {
+        for (const task of section.tasks) {
+            const maxMarks = Number(task.marks) || 0;
+            const response = (responses[section.section_id]?.[task.task_id] || '').trim();
+            if (!response) {
+                taskGrades.push({ section_id: section.section_id, task_id: task.task_id, score: 0, max_marks: maxMarks, feedback: 'No response was submitted for this task.' });
+                continue;
+            }
+            const tests = testResults[section.section_id]?.[task.task_id];
+            const result = await generateJson<{ score: number; feedback: string }>(provider, {
+                prompt: buildGradingPrompt(assignment, section, task, response, tests),
+                schema: taskGradeSchema,
+            });
+            const grade: TaskGrade = {
+                section_id: section.section_id,
+                task_id: task.task_id,
+                score: blendWithTestScore(clampScore(result.score, maxMarks), maxMarks, tests),
+                max_marks: maxMarks,
+                feedback: result.feedback || '',
+            };
+            if (tests && tests.total > 0) grade.tests = { passed: tests.passed, total: tests.total };
+            taskGrades.push(grade);
+        }
+    }
+    return summarizeGrades(assignment, taskGrades, `${provider.name}/${provider.model}`);
+};
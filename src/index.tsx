@@ -1,15 +1,41 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
+import { BrowserRouter, Route, Routes, useParams } from 'react-router-dom';
 import './index.css';
 import { App } from './App.tsx';
+import { CertificateVerification } from './certificates/CertificateVerification.tsx';
+import { TeacherDashboard } from './classes/TeacherDashboard.tsx';
+import { UsageAdmin } from './usage/UsageAdmin.tsx';
 import reportWebVitals from './reportWebVitals';
 
+// Public certificate verification links: /verify/:certificateId
+const VerifyCertificateRoute = () => {
+  const { certificateId = '' } = useParams();
+  return <CertificateVerification certificateId={certificateId} />;
+};
+
+// Teacher dashboard: /teach, /teach/:classId and /teach/:classId/topics/:topicId
+const TeacherDashboardRoute = () => {
+  const { classId, topicId } = useParams();
+  return <TeacherDashboard classId={classId} topicId={topicId} />;
+};
+
 const rootElement = document.getElementById('root');
 if (rootElement) {
   const root = ReactDOM.createRoot(rootElement);
   root.render(
     <React.StrictMode>
-      <App />
+      <BrowserRouter>
+        <Routes>
+          <Route path="/verify/:certificateId" element={<VerifyCertificateRoute />} />
+          <Route path="/teach" element={<TeacherDashboardRoute />} />
+          <Route path="/teach/:classId" element={<TeacherDashboardRoute />} />
+          <Route path="/teach/:classId/topics/:topicId" element={<TeacherDashboardRoute />} />
+          <Route path="/admin/usage" element={<UsageAdmin />} />
+          {/* Everything else, including /modules/:id/:phase, is routed inside App (see routes.ts) */}
+          <Route path="*" element={<App />} />
+        </Routes>
+      </BrowserRouter>
     </React.StrictMode>
   );
 } else {
@@ -0,0 +1,13 @@
+import { auth } from '../firebase';
+import { createProvider, getLlmConfig, getLlmConfigError } from './index.ts';
+import { PROXY_DEFAULT_URL } from './proxy.ts';
+
+// --- The app's LLM Provider: selected by REACT_APP_LLM_PROVIDER (see index.ts) ---
+// Null when the configuration can't work; llmConfigError then says why.
+// The default proxy provider authenticates each request with the current user's ID token.
+const llmConfig = getLlmConfig();
+export const llmConfigError = getLlmConfigError(llmConfig);
+export const llm = llmConfigError ? null : createProvider(llmConfig, { getIdToken: async () => auth.currentUser?.getIdToken() });
+
+// Where the usage meter asks the backend for the user's allowance; null unless generation goes through it
+export const llmProxyUrl = llm?.name === 'proxy' ? llmConfig.baseUrl || PROXY_DEFAULT_URL : null;
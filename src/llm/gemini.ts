@@ -0,0 +1,60 @@
+import { LlmProvider, LlmRequest } from './provider.ts';
+
+export const GEMINI_DEFAULT_MODEL = 'gemini-2.0-flash';
+export const GEMINI_DEFAULT_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta';
+
+type GeminiOptions = {
+    apiKey: string;
+    model?: string;
+    baseUrl?: string;
+};
+
+const requestInit = ({ prompt, schema }: LlmRequest): RequestInit => {
+    const payload: { [key: string]: any } = {
+        contents: [{ role: "user", parts: [{ text: prompt }] }],
+    };
+    if (schema) {
+        payload.generationConfig = {
+            responseMimeType: "application/json",
+            responseSchema: schema
+        };
+    }
+    return {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+    };
+};
+
+const usageOf = (body: any) => (body?.usageMetadata ? {
+    inputTokens: body.usageMetadata.promptTokenCount ?? 0,
+    outputTokens: body.usageMetadata.candidatesTokenCount ?? 0,
+} : undefined);
+
+// Google Gemini via the generateContent REST endpoint, or streamGenerateContent when streaming.
+// Schemas are passed through as-is because the app's schemas are already written in Gemini's dialect.
+export const createGeminiProvider = ({ apiKey, model = GEMINI_DEFAULT_MODEL, baseUrl = GEMINI_DEFAULT_BASE_URL }: GeminiOptions): LlmProvider => ({
+    name: 'gemini',
+    model,
+    buildRequest: (request) => ({
+        url: `${baseUrl}/models/${model}:generateContent?key=${apiKey}`,
+        init: requestInit(request)
+    }),
+    parseResponse: (body) => {
+        const text = body?.candidates?.[0]?.content?.parts?.[0]?.text;
+        if (!text) return null;
+        return { text, usage: usageOf(body), model: body.modelVersion || model };
+    },
+    parseError: (body) => body?.error?.message,
+    // Each event is a partial GenerateContentResponse carrying the next piece of text
+    buildStreamRequest: (request) => ({
+        url: `${baseUrl}/models/${model}:streamGenerateContent?alt=sse&key=${apiKey}`,
+        init: requestInit(request)
+    }),
+    parseStreamEvent: (event) => ({
+        text: event?.candidates?.[0]?.content?.parts?.[0]?.text,
+        usage: usageOf(event),
+        model: event?.modelVersion,
+        error: event?.error?.message,
+    }),
+});
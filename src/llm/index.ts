@@ -0,0 +1,72 @@
+import { LlmError, LlmProvider } from './provider.ts';
+import { createGeminiProvider } from './gemini.ts';
+import { createOpenAiProvider } from './openai.ts';
+import { createMockProvider } from './mock.ts';
+import { createProxyProvider } from './proxy.ts';
+
+export { LlmError, buildRepairPrompt, forModule, generateJson, generateText, isAborted, isUnusableReply } from './provider.ts';
+export { parsePartialJson } from './partialJson.ts';
+export { validateSchema } from './validate.ts';
+export type { JsonOptions, LlmProvider, LlmRequest, LlmResult, LlmStreamEvent, ResponseSchema, TextOptions } from './provider.ts';
+export { createGeminiProvider, createOpenAiProvider, createMockProvider, createProxyProvider };
+
+export type LlmProviderName = 'proxy' | 'gemini' | 'openai' | 'mock';
+
+export type LlmConfig = {
+    provider: LlmProviderName;
+    apiKey?: string;
+    model?: string;
+    baseUrl?: string;
+};
+
+// --- Configuration from Environment Variables ---
+// REACT_APP_LLM_PROVIDER   proxy (default) | gemini | openai | mock
+// REACT_APP_LLM_API_KEY    falls back to REACT_APP_GEMINI_API_KEY for gemini; unused by proxy
+// REACT_APP_LLM_MODEL      optional model override (the proxy's model is set on the server)
+// REACT_APP_LLM_BASE_URL   optional endpoint override (e.g. the functions emulator or a local OpenAI-compatible server)
+// Any key given to gemini or openai ships in the browser bundle, so those are for local development only.
+export const getLlmConfig = (env: { [key: string]: string | undefined } = process.env): LlmConfig => {
+    const provider = (env.REACT_APP_LLM_PROVIDER || 'proxy').toLowerCase() as LlmProviderName;
+    return {
+        provider,
+        apiKey: env.REACT_APP_LLM_API_KEY || (provider === 'gemini' ? env.REACT_APP_GEMINI_API_KEY : undefined),
+        model: env.REACT_APP_LLM_MODEL || undefined,
+        baseUrl: env.REACT_APP_LLM_BASE_URL || undefined,
+    };
+};
+
+// Returns a user-facing message when the configuration cannot work, or null when it can.
+export const getLlmConfigError = (config: LlmConfig): string | null => {
+    switch (config.provider) {
+        case 'proxy':
+            return null;
+        case 'gemini':
+            return config.apiKey ? null : "Gemini API Key is not set. Please set REACT_APP_GEMINI_API_KEY in your .env file.";
+        case 'openai':
+            // Local OpenAI-compatible servers usually run without a key, the hosted API does not
+            return config.apiKey || config.baseUrl ? null : "OpenAI API Key is not set. Please set REACT_APP_LLM_API_KEY in your .env file.";
+        case 'mock':
+            return null;
+        default:
+            return `Unknown LLM provider "${config.provider}". Set REACT_APP_LLM_PROVIDER to proxy, gemini, openai or mock.`;
+    }
+};
+
+// getIdToken supplies the signed-in user's Firebase ID token for the proxy
+export const createProvider = (config: LlmConfig, { getIdToken }: { getIdToken?: () => Promise<string | null | undefined> } = {}): LlmProvider => {
+    const configError = getLlmConfigError(config);
+    if (configError) {
+        throw new LlmError('config', configError, { provider: config.provider });
+    }
+    switch (config.provider) {
+        case 'openai':
+            return createOpenAiProvider({ apiKey: config.apiKey, model: config.model, baseUrl: config.baseUrl });
+        case 'mock':
+            return createMockProvider();
+        case 'gemini':
+            return createGeminiProvider({ apiKey: config.apiKey as string, model: config.model, baseUrl: config.baseUrl });
+        case 'proxy':
+        default:
+            return createProxyProvider({ url: config.baseUrl, getIdToken: getIdToken || (async () => null) });
+    }
+};
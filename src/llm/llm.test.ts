@@ -0,0 +1,281 @@
+import { createProvider, createGeminiProvider, createMockProvider, createOpenAiProvider, createProxyProvider, generateJson, getLlmConfig, getLlmConfigError, LlmError, parsePartialJson } from './index.ts';
+import { toJsonSchema } from './openai.ts';
+import { sseData } from './sse.ts';
+import { validateSchema } from './validate.ts';
+
+const questionSchema = {
+    type: "ARRAY",
+    items: {
+        type: "OBJECT",
+        properties: {
+            question: { type: "STRING" },
+            correctAnswer: { type: "STRING", enum: ["A", "B", "C", "D"] }
+        },
+        required: ["question", "correctAnswer"]
+    }
+};
+
+const jsonResponse = (status: number, body: any) => Promise.resolve({ ok: status >= 200 && status < 300, status, statusText: 'Status', json: async () => body });
+
+describe('configuration', () => {
+    test('defaults to the server proxy, which needs no key in the browser', () => {
+        const config = getLlmConfig({ REACT_APP_GEMINI_API_KEY: 'legacy-key' });
+        expect(config).toEqual({ provider: 'proxy', apiKey: undefined, model: undefined, baseUrl: undefined });
+        expect(getLlmConfigError(config)).toBeNull();
+        expect(createProvider(config).name).toBe('proxy');
+    });
+
+    test('gemini still falls back to the legacy Gemini key', () => {
+        const config = getLlmConfig({ REACT_APP_LLM_PROVIDER: 'gemini', REACT_APP_GEMINI_API_KEY: 'legacy-key' });
+        expect(config).toEqual({ provider: 'gemini', apiKey: 'legacy-key', model: undefined, baseUrl: undefined });
+        expect(getLlmConfigError(config)).toBeNull();
+    });
+
+    test('reports a missing key instead of creating a provider', () => {
+        const config = getLlmConfig({ REACT_APP_LLM_PROVIDER: 'gemini' });
+        expect(getLlmConfigError(config)).toMatch(/REACT_APP_GEMINI_API_KEY/);
+        expect(() => createProvider(config)).toThrow(LlmError);
+    });
+
+    test('allows a keyless OpenAI-compatible server when a base URL is set', () => {
+        const config = getLlmConfig({ REACT_APP_LLM_PROVIDER: 'openai', REACT_APP_LLM_BASE_URL: 'http://localhost:11434/v1' });
+        expect(createProvider(config).name).toBe('openai');
+    });
+});
+
+describe('proxy provider', () => {
+    const originalFetch = global.fetch;
+    afterEach(() => { global.fetch = originalFetch; });
+
+    test('posts the request with the ID token and no API key', async () => {
+        const fetchMock = jest.fn(() => jsonResponse(200, { text: '[{"question":"Q1","correctAnswer":"B"}]', usage: { inputTokens: 4, outputTokens: 2 } }));
+        global.fetch = fetchMock as any;
+        const provider = createProxyProvider({ getIdToken: async () => 'id-token' });
+
+        const result = await generateJson(provider, { prompt: 'Quiz me', schema: questionSchema });
+
+        expect(result).toEqual([{ question: 'Q1', correctAnswer: 'B' }]);
+        const [url, init] = (fetchMock.mock.calls[0] as any[]);
+        expect(url).toBe('/api/llm');
+        expect(init.headers.Authorization).toBe('Bearer id-token');
+        expect(JSON.parse(init.body)).toEqual({ prompt: 'Quiz me', schema: questionSchema });
+    });
+
+    test('fails without a signed-in user and reports a used-up quota as it is', async () => {
+        global.fetch = jest.fn(() => jsonResponse(429, { error: { message: 'You have used all 200 AI generations for today.' } })) as any;
+        const signedOut = createProxyProvider({ getIdToken: async () => null });
+        const signedIn = createProxyProvider({ getIdToken: async () => 'id-token' });
+
+        await expect(generateJson(signedOut, { prompt: 'x' })).rejects.toMatchObject({ code: 'http', message: expect.stringMatching(/signed in/) });
+        await expect(generateJson(signedIn, { prompt: 'x' })).rejects.toMatchObject({ code: 'quota', status: 429, message: 'You have used all 200 AI generations for today.' });
+    });
+});
+
+describe('gemini provider', () => {
+    test('sends the schema as generationConfig and reads the first candidate', async () => {
+        const transport = jest.fn(() => jsonResponse(200, {
+            candidates: [{ content: { parts: [{ text: '[{"question":"Q1","correctAnswer":"B"}]' }] } }]
+        }));
+        const provider = { ...createGeminiProvider({ apiKey: 'abc' }), transport };
+
+        const questions = await generateJson(provider, { prompt: 'Quiz me', schema: questionSchema });
+
+        expect(questions).toEqual([{ question: 'Q1', correctAnswer: 'B' }]);
+        const [url, init] = (transport.mock.calls[0] as any[]);
+        expect(url).toContain('gemini-2.0-flash:generateContent?key=abc');
+        expect(JSON.parse(init.body).generationConfig.responseSchema).toEqual(questionSchema);
+    });
+
+    test('surfaces API error messages as http errors', async () => {
+        const provider = { ...createGeminiProvider({ apiKey: 'bad' }), transport: () => jsonResponse(400, { error: { message: 'API key not valid' } }) };
+
+        await expect(generateJson(provider, { prompt: 'x' })).rejects.toMatchObject({ code: 'http', status: 400, message: 'API error: 400 - API key not valid' });
+    });
+
+    test('distinguishes empty and malformed replies', async () => {
+        const empty = { ...createGeminiProvider({ apiKey: 'k' }), transport: () => jsonResponse(200, { candidates: [] }) };
+        const malformed = { ...createGeminiProvider({ apiKey: 'k' }), transport: () => jsonResponse(200, { candidates: [{ content: { parts: [{ text: '{oops' }] } }] }) };
+
+        const noWait = { sleep: async () => {} };
+
+        await expect(generateJson(empty, { prompt: 'x' }, noWait)).rejects.toMatchObject({ code: 'empty' });
+        await expect(generateJson(malformed, { prompt: 'x' }, noWait)).rejects.toMatchObject({ code: 'parse', rawText: '{oops' });
+    });
+});
+
+describe('structured output', () => {
+    const replies = (...texts: string[]) => {
+        const transport = jest.fn();
+        texts.forEach(text => transport.mockImplementationOnce(() => jsonResponse(200, { text })));
+        return { ...createProxyProvider({ getIdToken: async () => 'token' }), transport };
+    };
+
+    test('reports schema violations with their paths', () => {
+        expect(validateSchema([{ question: 'Q1', correctAnswer: 'E' }, { correctAnswer: 'A' }, 'Q3'], questionSchema)).toEqual([
+            '$[0].correctAnswer: "E" is not one of A, B, C, D',
+            '$[1].question: required',
+            '$[2]: expected OBJECT, got string',
+        ]);
+        expect(validateSchema([{ question: 'Q1', correctAnswer: 'A' }], questionSchema)).toEqual([]);
+    });
+
+    test('retries with a repair prompt and exponential backoff until the reply passes', async () => {
+        const provider = replies('{oops', '[{"question":"Q1","correctAnswer":"E"}]', '[{"question":"Q1","correctAnswer":"A"}]');
+        const sleep = jest.fn(async () => {});
+
+        const questions = await generateJson(provider, { prompt: 'Quiz me', schema: questionSchema }, { sleep });
+
+        expect(questions).toEqual([{ question: 'Q1', correctAnswer: 'A' }]);
+        expect(sleep.mock.calls).toEqual([[1000], [2000]]);
+        const prompts = provider.transport.mock.calls.map(([, init]) => JSON.parse(init.body).prompt);
+        expect(prompts[0]).toBe('Quiz me');
+        expect(prompts[1]).toMatch(/^Quiz me\n\nYour previous reply could not be used:\n- The model returned malformed JSON/);
+        expect(prompts[2]).toContain('- $[0].correctAnswer: "E" is not one of A, B, C, D');
+        expect(prompts[2]).toContain('Previous reply:\n[{"question":"Q1","correctAnswer":"E"}]');
+    });
+
+    test('takes its backoff listener off the caller\'s signal once each wait is over', async () => {
+        const provider = replies('{oops', '{oops', '[]');
+        const { signal } = new AbortController();
+        const added = jest.spyOn(signal, 'addEventListener');
+        const removed = jest.spyOn(signal, 'removeEventListener');
+
+        await generateJson(provider, { prompt: 'x', schema: questionSchema }, { baseDelayMs: 1, signal });
+
+        expect(added).toHaveBeenCalledTimes(2);
+        expect(removed.mock.calls).toEqual(added.mock.calls.map(([type, listener]) => [type, listener]));
+    });
+
+    test('runs the caller\'s checks and gives up after the last attempt', async () => {
+        const provider = replies('[]', '[]');
+        const check = (questions: any[]) => (questions.length ? [] : ['no questions were generated']);
+
+        await expect(generateJson(provider, { prompt: 'x', schema: questionSchema }, { check, maxAttempts: 2, sleep: async () => {} }))
+            .rejects.toMatchObject({ code: 'invalid', issues: ['no questions were generated'], rawText: '[]' });
+        expect(provider.transport).toHaveBeenCalledTimes(2);
+    });
+
+    test('does not retry errors that would fail the same way again', async () => {
+        const transport = jest.fn(() => jsonResponse(429, { error: { message: 'You have used all 200 AI generations for today.' } }));
+        const provider = { ...createProxyProvider({ getIdToken: async () => 'token' }), transport };
+
+        await expect(generateJson(provider, { prompt: 'x' }, { sleep: async () => {} })).rejects.toMatchObject({ code: 'quota' });
+        expect(transport).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('streaming', () => {
+    const streamResponse = (...chunks: string[]) => Promise.resolve({
+        ok: true,
+        status: 200,
+        json: async () => { throw new Error('streamed replies have no JSON body'); },
+        chunks: async function* () { yield* chunks; },
+    });
+    const geminiEvent = (text: string) => `data: ${JSON.stringify({ candidates: [{ content: { parts: [{ text }] } }] })}\r\n\r\n`;
+
+    test('reads only the finished parts of JSON that is still arriving', () => {
+        expect(parsePartialJson('[{"question":"Q1","correctAnswer":"A"},{"question":"Q2, wi')).toEqual([{ question: 'Q1', correctAnswer: 'A' }, {}]);
+        expect(parsePartialJson('{"title":"Sorting","sections":[{"tasks":[{"marks":1')).toEqual({ title: 'Sorting', sections: [{ tasks: [{}] }] });
+        expect(parsePartialJson('{"title":"Sort')).toEqual({});
+        expect(parsePartialJson('  ')).toBeUndefined();
+    });
+
+    test('splits events however the stream is chunked', async () => {
+        const events: string[] = [];
+        for await (const data of sseData((async function* () { yield* ['data: {"a":', '1}\r', '\n\r\n: keep-alive\n\ndata: 2\n', '\n']; })())) {
+            events.push(data);
+        }
+        expect(events).toEqual(['{"a":1}', '2']);
+    });
+
+    test('streams gemini replies and reports each finished question', async () => {
+        const transport = jest.fn(() => streamResponse(
+            geminiEvent('[{"question":"Q1","corr'),
+            geminiEvent('ectAnswer":"B"},{"quest'),
+            geminiEvent('ion":"Q2","correctAnswer":"C"}]'),
+        ));
+        const provider = { ...createGeminiProvider({ apiKey: 'abc' }), transport };
+        const partials: any[] = [];
+
+        const questions = await generateJson(provider, { prompt: 'Quiz me', schema: questionSchema }, { onPartial: (value) => partials.push(value) });
+
+        expect(questions).toEqual([{ question: 'Q1', correctAnswer: 'B' }, { question: 'Q2', correctAnswer: 'C' }]);
+        expect(partials.map(p => p.length)).toEqual([1, 2, 2]);
+        expect((transport.mock.calls[0] as any[])[0]).toContain('gemini-2.0-flash:streamGenerateContent?alt=sse&key=abc');
+    });
+
+    test('cancelling stops the stream and is not retried', async () => {
+        const controller = new AbortController();
+        const transport = jest.fn(() => Promise.resolve({
+            ok: true,
+            status: 200,
+            json: async () => ({}),
+            chunks: async function* () {
+                yield 'data: {"text":"[{\\"question\\":\\"Q1\\","}\n\n';
+                controller.abort();
+                yield 'data: {"text":"\\"correctAnswer\\":\\"A\\"}]"}\n\n';
+            },
+        }));
+        const provider = { ...createProxyProvider({ getIdToken: async () => 'token' }), transport };
+
+        await expect(generateJson(provider, { prompt: 'x', schema: questionSchema }, { signal: controller.signal, onPartial: () => {} }))
+            .rejects.toMatchObject({ code: 'aborted' });
+        expect(transport).toHaveBeenCalledTimes(1);
+        expect(JSON.parse((transport.mock.calls[0] as any[])[1].body).stream).toBe(true);
+    });
+
+    test('providers that cannot stream report the whole reply at once', async () => {
+        const transport = jest.fn(() => jsonResponse(200, { choices: [{ message: { content: '{"items":[{"question":"Q1","correctAnswer":"A"}]}' } }] }));
+        const provider = { ...createOpenAiProvider({ apiKey: 'sk' }), transport };
+        const onPartial = jest.fn();
+
+        await generateJson(provider, { prompt: 'Quiz me', schema: questionSchema }, { onPartial });
+
+        expect(onPartial.mock.calls).toEqual([[[{ question: 'Q1', correctAnswer: 'A' }]]]);
+    });
+});
+
+describe('openai provider', () => {
+    test('converts schemas to JSON Schema and unwraps top-level arrays', async () => {
+        const transport = jest.fn(() => jsonResponse(200, {
+            choices: [{ message: { content: '{"items":[{"question":"Q1","correctAnswer":"A"}]}' } }],
+            usage: { prompt_tokens: 12, completion_tokens: 8 }
+        }));
+        const provider = { ...createOpenAiProvider({ apiKey: 'sk', baseUrl: 'http://local/v1' }), transport };
+
+        const questions = await generateJson(provider, { prompt: 'Quiz me', schema: questionSchema });
+
+        expect(questions).toEqual([{ question: 'Q1', correctAnswer: 'A' }]);
+        const [url, init] = (transport.mock.calls[0] as any[]);
+        expect(url).toBe('http://local/v1/chat/completions');
+        expect(init.headers.Authorization).toBe('Bearer sk');
+        expect(JSON.parse(init.body).response_format.json_schema.schema.properties.items).toEqual(toJsonSchema(questionSchema));
+    });
+
+    test('lower-cases nested schema types', () => {
+        expect(toJsonSchema(questionSchema).items.properties.question).toEqual({ type: 'string' });
+    });
+});
+
+describe('mock provider', () => {
+    test('synthesizes data that follows the schema', async () => {
+        const questions = await generateJson(createMockProvider(), { prompt: 'Quiz me', schema: questionSchema });
+
+        expect(questions).toHaveLength(3);
+        expect(questions[0]).toEqual({ question: 'Mock question', correctAnswer: 'A' });
+    });
+
+    test('reports the model that wrote the accepted reply', async () => {
+        const onReply = jest.fn();
+
+        await generateJson(createMockProvider(), { prompt: 'Quiz me', schema: questionSchema }, { onReply });
+
+        expect(onReply.mock.calls[0][0].model).toBe('mock');
+    });
+
+    test('returns canned replies when given a responder', async () => {
+        const provider = createMockProvider({ respond: ({ prompt }) => ({ echoed: prompt }) });
+
+        await expect(generateJson(provider, { prompt: 'hello' })).resolves.toEqual({ echoed: 'hello' });
+    });
+});
@@ -0,0 +1,85 @@
+import { LlmProvider, LlmRequest, ResponseSchema } from './provider.ts';
+
+type MockOptions = {
+    // Returns the reply for a request: a string is sent verbatim, anything else is JSON-encoded.
+    // When omitted (or when it returns undefined) a value is synthesized from the request schema.
+    respond?: (request: LlmRequest) => any;
+    latencyMs?: number;
+};
+
+// Builds a deterministic placeholder value that satisfies a Gemini-style schema.
+export const sampleFromSchema = (schema: ResponseSchema | undefined, path = 'value'): any => {
+    if (!schema) return `Mock response for ${path}`;
+    if (Array.isArray(schema.enum) && schema.enum.length > 0) return schema.enum[0];
+    switch (String(schema.type).toUpperCase()) {
+        case 'OBJECT':
+            return Object.fromEntries(
+                Object.entries(schema.properties || {}).map(([name, child]) => [name, sampleFromSchema(child as ResponseSchema, name)])
+            );
+        case 'ARRAY':
+            return Array.from({ length: Math.max(3, Number(schema.minItems) || 0) }, (_, index) => sampleFromSchema(schema.items, `${path} ${index + 1}`));
+        case 'NUMBER':
+        case 'INTEGER':
+            return 10;
+        case 'BOOLEAN':
+            return true;
+        default:
+            return path === 'url' ? '#' : `Mock ${path}`;
+    }
+};
+
+// Sampled sections get distinct IDs and the sum of their tasks' marks, and assignments the sum of their
+// sections', so synthesized assignments pass the same checks as generated ones (see checkAssignment)
+const balanceMarks = (value: any): any => {
+    if (Array.isArray(value)) return value.map(balanceMarks);
+    if (!value || typeof value !== 'object') return value;
+    const sumMarks = (items: any[]) => items.reduce((sum, item) => sum + (Number(item?.marks) || 0), 0);
+    if (Array.isArray(value.sections)) {
+        value.sections.forEach((section: any, i: number) => {
+            if (section && 'section_id' in section) section.section_id = `${section.section_id} ${i + 1}`;
+            balanceMarks(section);
+        });
+        if ('total_marks' in value) value.total_marks = sumMarks(value.sections);
+    }
+    if (Array.isArray(value.tasks) && 'marks' in value) value.marks = sumMarks(value.tasks);
+    return value;
+};
+
+const STREAM_CHUNK_CHARS = 40;
+
+// In-process provider for tests and fully offline development. It goes through the same
+// pipeline as the network providers by supplying its own transport instead of fetch.
+// Streamed replies are sent as the backend sends them: { text } events, a few characters at a time.
+export const createMockProvider = ({ respond, latencyMs = 0 }: MockOptions = {}): LlmProvider => ({
+    name: 'mock',
+    model: 'mock',
+    buildRequest: (request) => ({
+        url: 'mock://generate',
+        init: { method: 'POST', body: JSON.stringify(request) }
+    }),
+    parseResponse: (body) => (body?.text ? { text: body.text, usage: { inputTokens: 0, outputTokens: 0 }, model: 'mock' } : null),
+    buildStreamRequest: (request) => ({
+        url: 'mock://stream',
+        init: { method: 'POST', body: JSON.stringify(request) }
+    }),
+    parseStreamEvent: (event) => ({ text: event?.text, model: 'mock' }),
+    transport: async (url, init) => {
+        const request: LlmRequest = JSON.parse(String(init.body));
+        if (latencyMs > 0) await new Promise(resolve => setTimeout(resolve, latencyMs));
+        let reply = respond ? respond(request) : undefined;
+        if (reply === undefined) {
+            reply = request.schema ? balanceMarks(sampleFromSchema(request.schema)) : `Mock response to: ${request.prompt.slice(0, 80)}`;
+        }
+        const text = typeof reply === 'string' ? reply : JSON.stringify(reply);
+        return {
+            ok: true,
+            status: 200,
+            json: async () => ({ text }),
+            chunks: async function* () {
+                for (let i = 0; i < text.length; i += STREAM_CHUNK_CHARS) {
+                    yield `data: ${JSON.stringify({ text: text.slice(i, i + STREAM_CHUNK_CHARS) })}\n\n`;
+                }
+            },
+        };
+    },
+});
@@ -0,0 +1,79 @@
+import { LlmProvider, ResponseSchema } from './provider.ts';
+
+export const OPENAI_DEFAULT_MODEL = 'gpt-4o-mini';
+export const OPENAI_DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+
+type OpenAiOptions = {
+    apiKey?: string; // Optional for local OpenAI-compatible servers (Ollama, vLLM, LM Studio...)
+    model?: string;
+    baseUrl?: string;
+};
+
+// Converts the app's Gemini-style schema (type: "OBJECT") into standard JSON Schema (type: "object").
+export const toJsonSchema = (schema: ResponseSchema): ResponseSchema => {
+    const converted: ResponseSchema = {};
+    Object.entries(schema).forEach(([key, value]) => {
+        if (key === 'type' && typeof value === 'string') {
+            converted.type = value.toLowerCase();
+        } else if (key === 'properties') {
+            converted.properties = Object.fromEntries(
+                Object.entries(value as ResponseSchema).map(([name, child]) => [name, toJsonSchema(child)])
+            );
+        } else if (key === 'items') {
+            converted.items = toJsonSchema(value);
+        } else {
+            converted[key] = value;
+        }
+    });
+    return converted;
+};
+
+// Any endpoint implementing the OpenAI chat completions API.
+export const createOpenAiProvider = ({ apiKey, model = OPENAI_DEFAULT_MODEL, baseUrl = OPENAI_DEFAULT_BASE_URL }: OpenAiOptions): LlmProvider => ({
+    name: 'openai',
+    model,
+    buildRequest: ({ prompt, schema }) => {
+        const payload: { [key: string]: any } = {
+            model,
+            messages: [{ role: 'user', content: prompt }],
+        };
+        if (schema) {
+            // Chat completions only accept an object at the top level, so arrays are wrapped
+            const isArray = String(schema.type).toUpperCase() === 'ARRAY';
+            const jsonSchema = isArray
+                ? { type: 'object', properties: { items: toJsonSchema(schema) }, required: ['items'] }
+                : toJsonSchema(schema);
+            payload.response_format = {
+                type: 'json_schema',
+                json_schema: { name: isArray ? 'wrapped_array' : 'response', schema: jsonSchema }
+            };
+        }
+        const headers: { [key: string]: string } = { 'Content-Type': 'application/json' };
+        if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+        return {
+            url: `${baseUrl}/chat/completions`,
+            init: { method: 'POST', headers, body: JSON.stringify(payload) }
+        };
+    },
+    parseResponse: (body, { schema }) => {
+        let text: string | undefined = body?.choices?.[0]?.message?.content;
+        if (!text) return null;
+        if (schema && String(schema.type).toUpperCase() === 'ARRAY') {
+            // Unwrap the array wrapper added in buildRequest
+            try {
+                text = JSON.stringify(JSON.parse(text).items);
+            } catch (e) {
+                // Leave malformed output for the pipeline to report as a parse error
+            }
+        }
+        return {
+            text: text as string,
+            model: body.model || model,
+            usage: body.usage ? {
+                inputTokens: body.usage.prompt_tokens ?? 0,
+                outputTokens: body.usage.completion_tokens ?? 0,
+            } : undefined
+        };
+    },
+    parseError: (body) => body?.error?.message,
+});
@@ -0,0 +1,48 @@
+// Best-effort parse of JSON that is still being streamed. The text is cut back to the last point where
+// everything before it is complete (just after an opening or closing bracket, or just before a comma)
+// and the brackets still open there are closed. Unfinished strings, numbers and keys are left out, so
+// every value returned is one the model has finished writing; only arrays and objects may be incomplete.
+// Returns undefined while nothing usable has arrived.
+export const parsePartialJson = (text: string): any => {
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        // Still streaming; fall through
+    }
+
+    const open: string[] = []; // Closing brackets for the containers open at the current position
+    let cut = -1;
+    let closersAtCut = '';
+    let inString = false;
+    let escaped = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inString) {
+            if (escaped) escaped = false;
+            else if (char === '\\') escaped = true;
+            else if (char === '"') inString = false;
+            continue;
+        }
+        if (char === '"') {
+            inString = true;
+        } else if (char === '{' || char === '[') {
+            open.push(char === '{' ? '}' : ']');
+            cut = i + 1;
+            closersAtCut = [...open].reverse().join('');
+        } else if (char === '}' || char === ']') {
+            open.pop();
+            cut = i + 1;
+            closersAtCut = [...open].reverse().join('');
+        } else if (char === ',') {
+            cut = i;
+            closersAtCut = [...open].reverse().join('');
+        }
+    }
+    if (cut < 0) return undefined;
+
+    try {
+        return JSON.parse(text.slice(0, cut) + closersAtCut);
+    } catch (e) {
+        return undefined;
+    }
+};
@@ -0,0 +1,318 @@
+import { parsePartialJson } from './partialJson.ts';
+import { sseData } from './sse.ts';
+import { validateSchema } from './validate.ts';
+
+// Shared request/response/error pipeline for every LLM provider.
+// Providers only describe how to build an HTTP request and how to read the reply;
+// sending, status checks, streaming, JSON parsing, validation, retries and error wrapping all happen here.
+
+// Schemas use the Gemini/OpenAPI dialect already used throughout the app
+// (type: "OBJECT" | "ARRAY" | "STRING" | "NUMBER" | ...). Providers convert as needed.
+export type ResponseSchema = { [key: string]: any };
+
+export type LlmRequest = {
+    prompt: string;
+    schema?: ResponseSchema; // When set, the provider is asked for JSON matching this schema
+    moduleId?: string; // The module it is generated for; the proxy meters usage per module, others ignore it
+};
+
+export type LlmUsage = {
+    inputTokens: number;
+    outputTokens: number;
+};
+
+export type LlmResult = {
+    text: string;
+    usage?: LlmUsage;
+    model?: string; // The model that wrote the reply, when the provider reports it (recorded as content provenance)
+};
+
+// One event of a streamed reply: the next piece of text, the usage so far, or an error reported mid-stream
+export type LlmStreamEvent = {
+    text?: string;
+    usage?: LlmUsage;
+    model?: string;
+    error?: string;
+};
+
+// Minimal Response shape so in-process providers (e.g. the mock) can stand in for fetch.
+// Streamed replies are read from `body` (fetch) or `chunks` (in-process providers).
+export type TransportResponse = {
+    ok: boolean;
+    status: number;
+    statusText?: string;
+    json: () => Promise<any>;
+    body?: ReadableStream<Uint8Array> | null;
+    chunks?: () => AsyncIterable<string>;
+};
+
+export type Transport = (url: string, init: RequestInit) => Promise<TransportResponse>;
+
+export interface LlmProvider {
+    name: string;
+    model: string;
+    buildRequest: (request: LlmRequest) => { url: string; init: RequestInit };
+    parseResponse: (body: any, request: LlmRequest) => LlmResult | null; // null when the model returned no content
+    parseError?: (body: any) => string | undefined;
+    // Providers that can stream build a request for a Server-Sent Events reply and read its events;
+    // the others are sent the usual request and their reply arrives in one piece
+    buildStreamRequest?: (request: LlmRequest) => { url: string; init: RequestInit };
+    parseStreamEvent?: (event: any) => LlmStreamEvent;
+    transport?: Transport; // Defaults to window.fetch
+}
+
+// 'config': provider is not configured, 'http': non-2xx reply or network failure,
+// 'quota': a 429 reply (daily allowance used up, or the provider's rate limit),
+// 'empty': the model returned no content, 'parse': content was not valid JSON,
+// 'invalid': valid JSON that breaks the schema or the caller's checks (see `issues`),
+// 'aborted': the caller cancelled the request through its AbortSignal
+export type LlmErrorCode = 'config' | 'http' | 'quota' | 'empty' | 'parse' | 'invalid' | 'aborted';
+
+export class LlmError extends Error {
+    code: LlmErrorCode;
+    provider: string;
+    status?: number;
+    rawText?: string;
+    issues?: string[];
+
+    constructor(code: LlmErrorCode, message: string, options: { provider: string; status?: number; rawText?: string; issues?: string[] }) {
+        super(message);
+        this.name = 'LlmError';
+        this.code = code;
+        this.provider = options.provider;
+        this.status = options.status;
+        this.rawText = options.rawText;
+        this.issues = options.issues;
+    }
+}
+
+export type TextOptions = {
+    signal?: AbortSignal; // Aborting it cancels the request; the call then fails with an 'aborted' error
+    onText?: (textSoFar: string) => void; // Asks for a streamed reply and is called as it grows
+};
+
+const abortedError = (provider: LlmProvider) => new LlmError('aborted', 'Generation was cancelled.', { provider: provider.name });
+
+export const isAborted = (error: unknown): error is LlmError => error instanceof LlmError && error.code === 'aborted';
+
+async function* responseChunks(response: TransportResponse): AsyncGenerator<string> {
+    if (response.chunks) {
+        yield* response.chunks();
+        return;
+    }
+    if (!response.body) return;
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    try {
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) return;
+            yield decoder.decode(value, { stream: true });
+        }
+    } finally {
+        reader.releaseLock();
+    }
+}
+
+const readStream = async (provider: LlmProvider, response: TransportResponse, { signal, onText }: TextOptions): Promise<LlmResult> => {
+    let text = '';
+    let usage: LlmUsage | undefined;
+    let model: string | undefined;
+    try {
+        for await (const data of sseData(responseChunks(response))) {
+            if (signal?.aborted) throw abortedError(provider);
+            let event: any;
+            try {
+                event = JSON.parse(data);
+            } catch (e) {
+                continue; // Not one of the provider's events (e.g. a keep-alive)
+            }
+            const parsed = (provider.parseStreamEvent as NonNullable<LlmProvider['parseStreamEvent']>)(event);
+            if (parsed.error) {
+                throw new LlmError('http', `API error: ${parsed.error}`, { provider: provider.name, status: response.status });
+            }
+            if (parsed.usage) usage = parsed.usage;
+            if (parsed.model) model = parsed.model;
+            if (parsed.text) {
+                text += parsed.text;
+                onText?.(text);
+            }
+        }
+    } catch (error) {
+        if (error instanceof LlmError) throw error;
+        if (signal?.aborted) throw abortedError(provider);
+        throw new LlmError('http', `Network error: ${(error as Error).message}`, { provider: provider.name });
+    }
+    if (signal?.aborted) throw abortedError(provider);
+    if (!text) {
+        throw new LlmError('empty', 'The model returned no content.', { provider: provider.name, status: response.status });
+    }
+    return { text, usage, model };
+};
+
+// Sends a request through the provider and returns the raw text of the first candidate.
+// With `onText` the reply is streamed when the provider supports it; otherwise `onText` sees the whole reply at once.
+export const generateText = async (provider: LlmProvider, request: LlmRequest, { signal, onText }: TextOptions = {}): Promise<LlmResult> => {
+    const streaming = !!onText && !!provider.buildStreamRequest && !!provider.parseStreamEvent;
+    const { url, init } = streaming ? (provider.buildStreamRequest as NonNullable<LlmProvider['buildStreamRequest']>)(request) : provider.buildRequest(request);
+    const transport: Transport = provider.transport || ((input, options) => fetch(input, options));
+
+    if (signal?.aborted) throw abortedError(provider);
+    let response: TransportResponse;
+    try {
+        response = await transport(url, signal ? { ...init, signal } : init);
+    } catch (error) {
+        if (signal?.aborted) throw abortedError(provider);
+        throw new LlmError('http', `Network error: ${(error as Error).message}`, { provider: provider.name });
+    }
+
+    if (!response.ok) {
+        let detail: string | undefined;
+        try {
+            const errorBody = await response.json();
+            detail = provider.parseError ? provider.parseError(errorBody) : undefined;
+        } catch (e) {
+            // Error body was not JSON; fall back to the status text below
+        }
+        // Quota replies explain themselves (what ran out and when it resets), so they are shown as they are
+        if (response.status === 429) {
+            throw new LlmError('quota', detail || 'Too many AI requests. Please wait a moment and try again.', { provider: provider.name, status: 429 });
+        }
+        throw new LlmError('http', `API error: ${response.status} - ${detail || response.statusText || 'Request failed'}`, {
+            provider: provider.name,
+            status: response.status,
+        });
+    }
+
+    if (streaming) return readStream(provider, response, { signal, onText });
+
+    let body: any;
+    try {
+        body = await response.json();
+    } catch (error) {
+        if (signal?.aborted) throw abortedError(provider);
+        throw error;
+    }
+    const result = provider.parseResponse(body, request);
+    if (!result || !result.text) {
+        throw new LlmError('empty', 'The model returned no content.', { provider: provider.name, status: response.status });
+    }
+    onText?.(result.text);
+    return result;
+};
+
+// Tags every request with the module it is generated for
+export const forModule = (provider: LlmProvider, moduleId: string): LlmProvider => {
+    const { buildStreamRequest } = provider;
+    return {
+        ...provider,
+        buildRequest: (request) => provider.buildRequest({ ...request, moduleId }),
+        buildStreamRequest: buildStreamRequest && ((request) => buildStreamRequest({ ...request, moduleId })),
+    };
+};
+
+// --- Structured Output ---
+export type JsonOptions<T> = {
+    check?: (value: T) => string[]; // Problems the schema can't express (e.g. marks that don't add up); empty when fine
+    maxAttempts?: number; // Including the first; default 3
+    baseDelayMs?: number; // Wait before the first retry, doubled before each further one; default 1000
+    sleep?: (ms: number) => Promise<void>;
+    signal?: AbortSignal; // Cancels the request in flight and any retries still to come
+    onPartial?: (value: any) => void; // Streams the reply, called with what can be parsed of it so far (see parsePartialJson)
+    onReply?: (result: LlmResult) => void; // The accepted reply's text, usage and model
+};
+
+const MAX_REPAIR_REPLY_CHARS = 6000;
+
+// The model answered, but nothing usable came back even after the retries; callers fall back on these
+export const isUnusableReply = (error: unknown): error is LlmError =>
+    error instanceof LlmError && (error.code === 'empty' || error.code === 'parse' || error.code === 'invalid');
+
+// Worth another try: network failures, server errors and empty or unusable replies.
+// Configuration, quota and other client errors would fail the same way again.
+const isRetryable = (error: LlmError) =>
+    isUnusableReply(error) || (error.code === 'http' && (error.status === undefined || error.status >= 500));
+
+// The original request plus what was wrong with the last reply, so the model can correct it
+export const buildRepairPrompt = (prompt: string, error: LlmError) => {
+    if (!error.rawText) return prompt;
+    const problems = error.code === 'parse' ? [error.message] : error.issues || [error.message];
+    return `${prompt}
+
+Your previous reply could not be used:
+${problems.map(p => `- ${p}`).join('\n')}
+
+Previous reply:
+${error.rawText.slice(0, MAX_REPAIR_REPLY_CHARS)}
+
+Reply again with the complete, corrected JSON only.`;
+};
+
+const parseAndValidate = <T>(provider: LlmProvider, request: LlmRequest, text: string, check?: (value: T) => string[]): T => {
+    let value: T;
+    try {
+        value = JSON.parse(text) as T;
+    } catch (e) {
+        throw new LlmError('parse', `The model returned malformed JSON: ${(e as Error).message}`, {
+            provider: provider.name,
+            rawText: text,
+        });
+    }
+    const issues = request.schema ? validateSchema(value, request.schema) : [];
+    // Semantic checks assume the shape is right, so they only run on schema-valid replies
+    if (issues.length === 0 && check) issues.push(...check(value));
+    if (issues.length > 0) {
+        throw new LlmError('invalid', `The model's reply did not match what was asked for: ${issues.slice(0, 3).join('; ')}${issues.length > 3 ? ` (and ${issues.length - 3} more)` : ''}`, {
+            provider: provider.name,
+            rawText: text,
+            issues,
+        });
+    }
+    return value;
+};
+
+// Same as generateText, but parses the reply as JSON and checks it against the request's schema and the
+// caller's `check`. Unusable replies and transient failures are retried with exponential backoff, each
+// retry asking the model to repair its previous reply. When every attempt fails the last error is thrown
+// ('parse' / 'invalid' carry the raw text) so callers can log it or fall back. Cancelling through `signal`
+// fails with 'aborted', which is never retried.
+export const generateJson = async <T = any>(provider: LlmProvider, request: LlmRequest, options: JsonOptions<T> = {}): Promise<T> => {
+    const { check, maxAttempts = 3, baseDelayMs = 1000, signal, onPartial, onReply } = options;
+    // Cancelling also ends the wait before a retry
+    const sleep = options.sleep || ((ms: number) => new Promise<void>(resolve => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            resolve();
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort); // The caller's signal outlives every retry
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    }));
+    let shown: string | undefined;
+    const onText = onPartial ? (text: string) => {
+        const value = parsePartialJson(text);
+        const serialized = JSON.stringify(value);
+        // Most pieces only extend a string that is not finished yet; those change nothing worth showing
+        if (value === undefined || serialized === shown) return;
+        shown = serialized;
+        onPartial(value);
+    } : undefined;
+    let attemptRequest = request;
+    for (let attempt = 1; ; attempt++) {
+        try {
+            shown = undefined;
+            const result = await generateText(provider, attemptRequest, { signal, onText });
+            const value = parseAndValidate(provider, request, result.text, check);
+            onReply?.(result);
+            return value;
+        } catch (error) {
+            if (!(error instanceof LlmError) || !isRetryable(error) || attempt >= maxAttempts) throw error;
+            console.warn(`Retrying ${provider.name} generation (attempt ${attempt + 1} of ${maxAttempts}):`, error.message);
+            attemptRequest = { ...request, prompt: buildRepairPrompt(request.prompt, error) };
+            await sleep(baseDelayMs * 2 ** (attempt - 1));
+            if (signal?.aborted) throw abortedError(provider);
+        }
+    }
+};
@@ -0,0 +1,41 @@
+import { LlmProvider } from './provider.ts';
+
+export const PROXY_DEFAULT_URL = '/api/llm';
+
+type ProxyOptions = {
+    url?: string;
+    getIdToken: () => Promise<string | null | undefined>;
+};
+
+// The app's backend (functions/): it holds the Gemini key, checks the signed-in user's ID token and
+// daily quota, then relays the request. The model is chosen server-side.
+export const createProxyProvider = ({ url = PROXY_DEFAULT_URL, getIdToken }: ProxyOptions): LlmProvider => ({
+    name: 'proxy',
+    model: 'server',
+    buildRequest: (request) => ({
+        url,
+        init: {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(request)
+        }
+    }),
+    parseResponse: (body) => (body?.text ? { text: body.text, usage: body.usage, model: body.model } : null),
+    parseError: (body) => body?.error?.message,
+    // Streamed replies are Server-Sent Events of { text }, then { usage, model } or { error } (see functions/handler.js)
+    buildStreamRequest: (request) => ({
+        url,
+        init: {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ...request, stream: true })
+        }
+    }),
+    parseStreamEvent: (event) => ({ text: event?.text, usage: event?.usage, model: event?.model, error: event?.error?.message }),
+    // Adds the ID token per request, since tokens expire and are refreshed by the Firebase SDK
+    transport: async (input, init) => {
+        const token = await getIdToken();
+        if (!token) throw new Error('You must be signed in to generate content.');
+        return fetch(input, { ...init, headers: { ...(init.headers as Record<string, string>), Authorization: `Bearer ${token}` } });
+    },
+});
@@ -0,0 +1,24 @@
+// Server-Sent Events, as sent by Gemini's streamGenerateContent (`alt=sse`) and the app's backend:
+// events are separated by a blank line and carry their payload on `data:` lines.
+
+const eventData = (block: string): string | null => {
+    const lines = block.split('\n').filter(line => line.startsWith('data:')).map(line => line.slice(5).replace(/^ /, ''));
+    return lines.length > 0 ? lines.join('\n') : null;
+};
+
+// Yields the data of each event as soon as it is complete, however the stream was cut into chunks
+export async function* sseData(chunks: AsyncIterable<string>): AsyncGenerator<string> {
+    let buffer = '';
+    for await (const chunk of chunks) {
+        buffer = (buffer + chunk).replace(/\r\n/g, '\n');
+        let end = buffer.indexOf('\n\n');
+        while (end >= 0) {
+            const data = eventData(buffer.slice(0, end));
+            buffer = buffer.slice(end + 2);
+            if (data !== null) yield data;
+            end = buffer.indexOf('\n\n');
+        }
+    }
+    const data = eventData(buffer.trim());
+    if (data !== null) yield data;
+}
@@ -0,0 +1,60 @@
+import type { ResponseSchema } from './provider.ts';
+
+// Runtime check of a parsed reply against the app's schemas (Gemini/OpenAPI dialect: type, properties,
+// required, items, enum, nullable). Models don't always honour the schema they were given, and the
+// OpenAI-compatible and mock providers only approximate it, so every structured reply goes through this.
+// Returns readable problems with JSON paths (e.g. `$.sections[1].tasks: expected ARRAY`); empty when valid.
+
+const MAX_ISSUES = 20;
+
+const typeName = (value: unknown) => (value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value);
+
+const matchesType = (value: unknown, type: string) => {
+    switch (type) {
+        case 'OBJECT':
+            return typeof value === 'object' && value !== null && !Array.isArray(value);
+        case 'ARRAY':
+            return Array.isArray(value);
+        case 'STRING':
+            return typeof value === 'string';
+        case 'NUMBER':
+            return typeof value === 'number' && Number.isFinite(value);
+        case 'INTEGER':
+            return typeof value === 'number' && Number.isInteger(value);
+        case 'BOOLEAN':
+            return typeof value === 'boolean';
+        default:
+            return true; // Types the app doesn't use are not checked
+    }
+};
+
+const collect = (value: any, schema: ResponseSchema, path: string, issues: string[]) => {
+    if (issues.length >= MAX_ISSUES || !schema) return;
+    if (value === null && schema.nullable) return;
+
+    const type = String(schema.type || '').toUpperCase();
+    if (type && !matchesType(value, type)) {
+        issues.push(`${path}: expected ${type}, got ${typeName(value)}`);
+        return;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        issues.push(`${path}: ${JSON.stringify(value)} is not one of ${schema.enum.join(', ')}`);
+    }
+    if (type === 'OBJECT') {
+        (schema.required || []).forEach((key: string) => {
+            if (value[key] === undefined || value[key] === null) issues.push(`${path}.${key}: required`);
+        });
+        Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+            if (value[key] !== undefined) collect(value[key], propertySchema as ResponseSchema, `${path}.${key}`, issues);
+        });
+    }
+    if (type === 'ARRAY' && schema.items) {
+        value.forEach((item: any, i: number) => collect(item, schema.items, `${path}[${i}]`, issues));
+    }
+};
+
+export const validateSchema = (value: any, schema: ResponseSchema): string[] => {
+    const issues: string[] = [];
+    collect(value, schema, '$', issues);
+    return issues;
+};
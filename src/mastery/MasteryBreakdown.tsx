@@ -0,0 +1,48 @@
+import { MasteryLevel, ObjectiveMastery } from './mastery.ts';
+
+type Props = {
+    mastery: ObjectiveMastery[];
+    compact?: boolean; // One line of counts, for module cards
+};
+
+const LEVELS: { [level in MasteryLevel]: { label: string; text: string; bar: string } } = {
+    mastered: { label: 'Mastered', text: 'text-green-700', bar: 'bg-green-500' },
+    developing: { label: 'Developing', text: 'text-yellow-700', bar: 'bg-yellow-500' },
+    needs_work: { label: 'Needs work', text: 'text-red-700', bar: 'bg-red-500' },
+    not_assessed: { label: 'Not assessed yet', text: 'text-gray-500', bar: 'bg-gray-300' },
+};
+
+// How well each learning objective has been met across the assignment, quizzes and final test
+export const MasteryBreakdown = ({ mastery, compact }: Props) => {
+    if (compact) {
+        const counts = (Object.keys(LEVELS) as MasteryLevel[])
+            .map(level => ({ level, count: mastery.filter(m => m.level === level).length }))
+            .filter(c => c.count > 0 && c.level !== 'not_assessed');
+        if (counts.length === 0) return null;
+        return (
+            <p className="text-sm text-gray-600">
+                Objectives: {counts.map((c, i) => (
+                    <span key={c.level} className={`font-medium ${LEVELS[c.level].text}`}>{i > 0 && ' · '}{c.count} {LEVELS[c.level].label.toLowerCase()}</span>
+                ))}
+            </p>
+        );
+    }
+    return (
+        <ul className="space-y-3 text-left">
+            {mastery.map(m => (
+                <li key={m.objective}>
+                    <div className="flex items-baseline justify-between gap-4">
+                        <span className="text-gray-800">{m.objective}</span>
+                        <span className={`shrink-0 text-sm font-semibold ${LEVELS[m.level].text}`}>
+                            {LEVELS[m.level].label}{m.percent !== null && ` (${m.percent.toFixed(0)}%)`}
+                        </span>
+                    </div>
+                    <div className="h-2 bg-gray-200 rounded-full mt-1">
+                        <div className={`h-2 rounded-full ${LEVELS[m.level].bar}`} style={{ width: `${m.percent ?? 0}%` }} />
+                    </div>
+                    {m.items > 0 && <p className="text-xs text-gray-500 mt-1">Based on {m.items} graded task{m.items === 1 ? '' : 's'} or question{m.items === 1 ? '' : 's'}</p>}
+                </li>
+            ))}
+        </ul>
+    );
+};
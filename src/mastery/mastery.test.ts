@@ -0,0 +1,62 @@
+import { Attempt } from '../attempts/attempts.ts';
+import { AssignmentGrade } from '../grading/grading.ts';
+import { AssignmentContent } from '../types.ts';
+import { computeMastery, matchObjectives, moduleObjectives } from './mastery.ts';
+
+const objectives = ['Explain superposition', 'Apply quantum gates', 'Describe entanglement'];
+
+const assignment: AssignmentContent = {
+    title: 'Lab',
+    total_marks: 30,
+    learning_objectives: objectives,
+    scenario: { title: '', description: '' },
+    sections: [{
+        section_id: 's1',
+        section_title: 'Gates',
+        marks: 30,
+        sub_scenario: { title: '', description: '' },
+        tasks: [
+            { task_id: '1.1', task_description: '', marks: 10, type: 'text_input', objectives: ['explain superposition.'] },
+            { task_id: '1.2', task_description: '', marks: 20, type: 'code_input', objectives: ['Apply quantum gates', 'Explain superposition'] },
+        ],
+    }],
+    resources: [],
+};
+
+const grading = {
+    tasks: [
+        { section_id: 's1', task_id: '1.1', score: 10, max_marks: 10, feedback: '' },
+        { section_id: 's1', task_id: '1.2', score: 5, max_marks: 20, feedback: '' },
+    ],
+} as AssignmentGrade;
+
+const attempt = {
+    questions: [
+        { question: 'q1', options: {}, correctAnswer: 'A', objectives: ['Apply quantum gates'] },
+        { question: 'q2', options: {}, correctAnswer: 'A', objectives: ['Something else'] },
+        { question: 'q3', options: {}, correctAnswer: 'A' },
+    ],
+    results: [{ credit: 0.5 }, { credit: 1 }, { credit: 1 }],
+} as Attempt;
+
+test('matches generated tags to objectives loosely', () => {
+    expect(matchObjectives([' EXPLAIN  superposition. ', 'Explain superposition', 'Unknown'], objectives)).toEqual(['Explain superposition']);
+    expect(matchObjectives(undefined, objectives)).toEqual([]);
+});
+
+test('computes mastery per objective from graded tasks and questions', () => {
+    const mastery = computeMastery(objectives, { assignment, grading, attempts: [attempt] });
+    expect(mastery.map(m => [m.objective, m.items, m.percent, m.level])).toEqual([
+        ['Explain superposition', 2, 62.5, 'developing'], // (1 + 0.25) / 2
+        ['Apply quantum gates', 2, 37.5, 'needs_work'], // (0.25 + 0.5) / 2
+        ['Describe entanglement', 0, null, 'not_assessed'],
+    ]);
+    // Ungraded assignments don't count
+    expect(computeMastery(objectives, { assignment, grading: null })[0].level).toBe('not_assessed');
+});
+
+test('uses course objectives before the assignment ones', () => {
+    expect(moduleObjectives({ objectives: ['Course objective'], assignmentContent: assignment })).toEqual(['Course objective']);
+    expect(moduleObjectives({ objectives: [], assignmentContent: assignment })).toEqual(objectives);
+    expect(moduleObjectives({ assignmentContent: null })).toEqual([]);
+});
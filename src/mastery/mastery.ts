@@ -0,0 +1,73 @@
+import type { Attempt } from '../attempts/attempts.ts';
+import type { AssignmentGrade } from '../grading/grading.ts';
+import type { AssignmentContent, Module } from '../types.ts';
+
+// Per-objective mastery. Assignment tasks and test questions are tagged with the module's learning objectives
+// at generation; every graded item counts once towards each objective it is tagged with, as a 0-1 credit
+// (task marks awarded / available, or the question's credit). Stored on the module as `mastery`.
+
+export type MasteryLevel = 'mastered' | 'developing' | 'needs_work' | 'not_assessed';
+
+export type ObjectiveMastery = {
+    objective: string;
+    credit: number; // Sum of the credit of the graded items tagged with it
+    items: number;
+    percent: number | null; // null when nothing tagged with it has been graded
+    level: MasteryLevel;
+};
+
+export const MASTERED_PERCENT = 80;
+export const DEVELOPING_PERCENT = 50;
+
+const normalize = (text: string) => text.trim().toLowerCase().replace(/\s+/g, ' ').replace(/[.;]$/, '');
+
+// Maps generated tags onto the module's objectives, ignoring case, spacing and a trailing full stop
+export const matchObjectives = (tags: string[] | undefined, objectives: string[]): string[] => {
+    const byKey = new Map(objectives.map(o => [normalize(o), o]));
+    return Array.from(new Set((tags || []).map(t => byKey.get(normalize(String(t)))).filter(Boolean)));
+};
+
+// Course modules carry their unit's objectives; other modules use the ones generated with the assignment
+export const moduleObjectives = (module: Pick<Module, 'objectives' | 'assignmentContent'>): string[] =>
+    module.objectives?.length ? module.objectives : module.assignmentContent?.learning_objectives || [];
+
+const levelFor = (percent: number | null): MasteryLevel => {
+    if (percent === null) return 'not_assessed';
+    if (percent >= MASTERED_PERCENT) return 'mastered';
+    if (percent >= DEVELOPING_PERCENT) return 'developing';
+    return 'needs_work';
+};
+
+type GradedWork = {
+    assignment?: AssignmentContent | null;
+    grading?: AssignmentGrade | null;
+    attempts?: Attempt[];
+};
+
+export const computeMastery = (objectives: string[], { assignment, grading, attempts = [] }: GradedWork): ObjectiveMastery[] => {
+    const totals = new Map(objectives.map(o => [o, { credit: 0, items: 0 }]));
+    const count = (tags: string[] | undefined, credit: number) => {
+        matchObjectives(tags, objectives).forEach(o => {
+            const total = totals.get(o);
+            total.credit += credit;
+            total.items += 1;
+        });
+    };
+
+    if (assignment && grading) {
+        assignment.sections.forEach(section => section.tasks.forEach(task => {
+            const grade = grading.tasks.find(g => g.section_id === section.section_id && g.task_id === task.task_id);
+            if (grade && grade.max_marks > 0) count(task.objectives, grade.score / grade.max_marks);
+        }));
+    }
+    attempts.forEach(attempt => attempt.questions.forEach((question, i) => {
+        const result = attempt.results[i];
+        if (result) count(question.objectives, result.credit);
+    }));
+
+    return objectives.map(objective => {
+        const { credit, items } = totals.get(objective);
+        const percent = items ? (credit / items) * 100 : null;
+        return { objective, credit, items, percent, level: levelFor(percent) };
+    });
+};
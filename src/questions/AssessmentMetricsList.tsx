@@ -0,0 +1,30 @@
+import { AssessmentMetrics } from './adaptive.ts';
+
+type Props = {
+    metrics: AssessmentMetrics;
+};
+
+const percent = (share: number) => `${Math.round(share * 100)}%`;
+
+// Facts about the generated questions, read from their tags (see computeMetrics)
+export const AssessmentMetricsList = ({ metrics }: Props) => {
+    const { questionCount, difficultyCounts, overallDifficulty, theoryShare, estimatedMinutes, resourceAligned, typeCounts, concepts } = metrics;
+    return (
+        <ul className="list-disc list-inside space-y-2 text-gray-700">
+            <li><span className="font-semibold">Questions:</span> {questionCount} ({typeCounts.map(t => `${t.count} ${t.label.toLowerCase()}`).join(', ')})</li>
+            <li>
+                <span className="font-semibold">Difficulty:</span>{' '}
+                {overallDifficulty
+                    ? <>Mostly {overallDifficulty} ({difficultyCounts.foundational} foundational, {difficultyCounts.intermediate} intermediate, {difficultyCounts.advanced} advanced)</>
+                    : 'Not rated'}
+            </li>
+            <li>
+                <span className="font-semibold">Theory / practice:</span>{' '}
+                {theoryShare === null ? 'Not rated' : `${percent(theoryShare)} theoretical / ${percent(1 - theoryShare)} practical`}
+            </li>
+            <li><span className="font-semibold">Alignment:</span> {resourceAligned} of {questionCount} questions cite one of this module's resources</li>
+            <li><span className="font-semibold">Estimated time:</span> {estimatedMinutes === null ? 'Not estimated' : `About ${estimatedMinutes} minute${estimatedMinutes === 1 ? '' : 's'}`}</li>
+            {concepts.length > 0 && <li><span className="font-semibold">Concepts covered:</span> {concepts.join(', ')}</li>}
+        </ul>
+    );
+};
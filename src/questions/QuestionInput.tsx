@@ -0,0 +1,161 @@
+import { MatchingQuestion, MultipleChoiceQuestion, MultiSelectQuestion, NumericQuestion, OrderingQuestion, Question, QuestionAnswer } from './questionTypes.ts';
+
+type InputProps<Q> = {
+    question: Q;
+    name: string; // Unique per question, groups radio buttons
+    value: QuestionAnswer | undefined;
+    onChange: (value: QuestionAnswer) => void;
+};
+
+const optionRowClass = 'flex items-center text-gray-700 cursor-pointer hover:bg-blue-50 p-2 rounded-md transition-colors duration-150';
+const textInputClass = 'w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none';
+
+const MultipleChoiceInput = ({ question, name, value, onChange }: InputProps<MultipleChoiceQuestion>) => (
+    <div className="space-y-2">
+        {Object.entries(question.options).map(([optionKey, optionValue]) => (
+            <label key={optionKey} className={optionRowClass}>
+                <input
+                    type="radio"
+                    name={name}
+                    value={optionKey}
+                    checked={value === optionKey}
+                    onChange={() => onChange(optionKey)}
+                    className="form-radio h-5 w-5 text-blue-600 border-gray-300 focus:ring-blue-500"
+                />
+                <span className="ml-3 text-base">{optionKey}. {optionValue}</span>
+            </label>
+        ))}
+    </div>
+);
+
+const MultiSelectInput = ({ question, value, onChange }: InputProps<MultiSelectQuestion>) => {
+    const selected = Array.isArray(value) ? (value as string[]) : [];
+    const toggle = (key: string) => onChange(selected.includes(key) ? selected.filter(k => k !== key) : [...selected, key].sort());
+    return (
+        <div className="space-y-2">
+            <p className="text-sm text-gray-500">Select all that apply.</p>
+            {Object.entries(question.options).map(([optionKey, optionValue]) => (
+                <label key={optionKey} className={optionRowClass}>
+                    <input
+                        type="checkbox"
+                        checked={selected.includes(optionKey)}
+                        onChange={() => toggle(optionKey)}
+                        className="form-checkbox h-5 w-5 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                    />
+                    <span className="ml-3 text-base">{optionKey}. {optionValue}</span>
+                </label>
+            ))}
+        </div>
+    );
+};
+
+const TrueFalseInput = ({ name, value, onChange }: InputProps<Question>) => (
+    <div className="flex gap-4">
+        {['true', 'false'].map(option => (
+            <label key={option} className={optionRowClass}>
+                <input
+                    type="radio"
+                    name={name}
+                    value={option}
+                    checked={value === option}
+                    onChange={() => onChange(option)}
+                    className="form-radio h-5 w-5 text-blue-600 border-gray-300 focus:ring-blue-500"
+                />
+                <span className="ml-3 text-base capitalize">{option}</span>
+            </label>
+        ))}
+    </div>
+);
+
+const NumericInput = ({ question, value, onChange }: InputProps<NumericQuestion>) => (
+    <div className="flex items-center gap-3">
+        <input
+            type="text"
+            inputMode="decimal"
+            value={typeof value === 'string' ? value : ''}
+            onChange={(e) => onChange(e.target.value)}
+            placeholder="Your answer"
+            className={`${textInputClass} max-w-xs`}
+        />
+        {question.unit && <span className="text-gray-700">{question.unit}</span>}
+    </div>
+);
+
+const ShortTextInput = ({ value, onChange }: InputProps<Question>) => (
+    <textarea
+        value={typeof value === 'string' ? value : ''}
+        onChange={(e) => onChange(e.target.value)}
+        placeholder="Answer in 1-3 sentences"
+        rows={3}
+        className={textInputClass}
+    />
+);
+
+const OrderingInput = ({ question, value, onChange }: InputProps<OrderingQuestion>) => {
+    const order = Array.isArray(value) && value.length ? (value as number[]) : question.displayOrder;
+    const move = (position: number, offset: number) => {
+        const next = [...order];
+        [next[position], next[position + offset]] = [next[position + offset], next[position]];
+        onChange(next);
+    };
+    return (
+        <ol className="space-y-2">
+            {order.map((itemIndex, position) => (
+                <li key={itemIndex} className="flex items-center justify-between gap-3 p-2 bg-white border border-gray-200 rounded-md">
+                    <span className="text-gray-700">{position + 1}. {question.items[itemIndex]}</span>
+                    <span className="flex gap-1 shrink-0">
+                        <button onClick={() => move(position, -1)} disabled={position === 0} aria-label="Move up" className="px-2 py-1 bg-gray-100 rounded hover:bg-gray-200 disabled:opacity-50 disabled:cursor-not-allowed">↑</button>
+                        <button onClick={() => move(position, 1)} disabled={position === order.length - 1} aria-label="Move down" className="px-2 py-1 bg-gray-100 rounded hover:bg-gray-200 disabled:opacity-50 disabled:cursor-not-allowed">↓</button>
+                    </span>
+                </li>
+            ))}
+        </ol>
+    );
+};
+
+const MatchingInput = ({ question, value, onChange }: InputProps<MatchingQuestion>) => {
+    const matches = value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+    return (
+        <div className="space-y-2">
+            {question.pairs.map((pair, leftIndex) => (
+                <div key={leftIndex} className="flex flex-col md:flex-row md:items-center gap-2">
+                    <span className="md:w-1/3 font-medium text-gray-800">{pair.left}</span>
+                    <select
+                        value={matches[leftIndex] ?? ''}
+                        onChange={(e) => {
+                            const { [leftIndex]: _previous, ...rest } = matches;
+                            onChange(e.target.value === '' ? rest : { ...rest, [leftIndex]: Number(e.target.value) });
+                        }}
+                        className="md:flex-1 p-2 border border-gray-300 rounded-md bg-white"
+                    >
+                        <option value="">Choose a match...</option>
+                        {question.rightOrder.map(rightIndex => (
+                            <option key={rightIndex} value={rightIndex}>{question.pairs[rightIndex].right}</option>
+                        ))}
+                    </select>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+// Answer input for any question type
+export const QuestionInput = (props: InputProps<Question>) => {
+    const { question } = props;
+    switch (question.type) {
+        case 'multi_select':
+            return <MultiSelectInput {...props} question={question} />;
+        case 'true_false':
+            return <TrueFalseInput {...props} />;
+        case 'numeric':
+            return <NumericInput {...props} question={question} />;
+        case 'short_text':
+            return <ShortTextInput {...props} />;
+        case 'ordering':
+            return <OrderingInput {...props} question={question} />;
+        case 'matching':
+            return <MatchingInput {...props} question={question} />;
+        default:
+            return <MultipleChoiceInput {...props} question={question} />;
+    }
+};
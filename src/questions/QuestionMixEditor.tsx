@@ -0,0 +1,38 @@
+import { MAX_QUESTIONS, mixTotal, QUESTION_TYPES, QuestionMix, QuestionType } from './questionTypes.ts';
+
+type Props = {
+    mix: QuestionMix;
+    onChange: (mix: QuestionMix) => void;
+    disabled?: boolean;
+};
+
+// Question count per type for the next generated quiz or final test
+export const QuestionMixEditor = ({ mix, onChange, disabled }: Props) => {
+    const total = mixTotal(mix);
+    const setCount = (type: QuestionType, value: string) => {
+        const others = total - (mix[type] || 0);
+        const count = Math.min(Math.max(Math.floor(Number(value) || 0), 0), MAX_QUESTIONS - others);
+        onChange({ ...mix, [type]: count });
+    };
+    return (
+        <div className="mt-4">
+            <p className="font-semibold text-gray-800 mb-2">Questions ({total} total, up to {MAX_QUESTIONS})</p>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                {(Object.keys(QUESTION_TYPES) as QuestionType[]).map(type => (
+                    <label key={type} className="flex flex-col text-sm text-gray-700">
+                        {QUESTION_TYPES[type].label}
+                        <input
+                            type="number"
+                            min={0}
+                            max={MAX_QUESTIONS}
+                            value={mix[type] || 0}
+                            disabled={disabled}
+                            onChange={(e) => setCount(type, e.target.value)}
+                            className="mt-1 p-2 border border-gray-300 rounded-md bg-white disabled:opacity-50"
+                        />
+                    </label>
+                ))}
+            </div>
+        </div>
+    );
+};
@@ -0,0 +1,112 @@
+import { MatchingQuestion, MultipleChoiceQuestion, MultiSelectQuestion, OrderingQuestion, Question, QuestionAnswer } from './questionTypes.ts';
+
+type ReviewProps<Q> = {
+    question: Q;
+    answer: QuestionAnswer | null;
+};
+
+const rowClass = (isCorrect: boolean, isChosen: boolean) =>
+    `px-3 py-1 rounded-md ${isCorrect ? 'bg-green-200 text-green-900 font-semibold' : isChosen ? 'bg-red-200 text-red-900' : 'text-gray-700'}`;
+
+// Multiple choice and multi-select: every option, the learner's picks against the correct ones, with rationales
+const OptionsReview = ({ question, correctKeys, chosenKeys }: { question: MultipleChoiceQuestion | MultiSelectQuestion; correctKeys: string[]; chosenKeys: string[] }) => (
+    <ul className="space-y-1">
+        {Object.entries(question.options).map(([key, value]) => {
+            const isCorrect = correctKeys.includes(key);
+            const isChosen = chosenKeys.includes(key);
+            const rationale = question.distractorRationales?.[key];
+            return (
+                <li key={key} className={rowClass(isCorrect, isChosen)}>
+                    {key}. {value}
+                    {isChosen && ' (your answer)'}
+                    {isCorrect && !isChosen && ' (correct answer)'}
+                    {rationale && <span className="block text-sm font-normal text-gray-600">{rationale}</span>}
+                </li>
+            );
+        })}
+    </ul>
+);
+
+const AnswerLine = ({ label, value, correct }: { label: string; value: string; correct?: boolean }) => (
+    <p className={`px-3 py-1 rounded-md ${correct === undefined ? 'text-gray-700' : correct ? 'bg-green-200 text-green-900' : 'bg-red-200 text-red-900'}`}>
+        <span className="font-semibold">{label}:</span> {value}
+    </p>
+);
+
+const OrderingReview = ({ question, answer }: ReviewProps<OrderingQuestion>) => {
+    const order = Array.isArray(answer) && answer.length ? (answer as number[]) : question.displayOrder;
+    return (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            <div>
+                <p className="font-semibold text-gray-700 mb-1">Your order</p>
+                <ol className="space-y-1">
+                    {order.map((itemIndex, position) => (
+                        <li key={itemIndex} className={rowClass(itemIndex === position, itemIndex !== position)}>{position + 1}. {question.items[itemIndex]}</li>
+                    ))}
+                </ol>
+            </div>
+            <div>
+                <p className="font-semibold text-gray-700 mb-1">Correct order</p>
+                <ol className="space-y-1">
+                    {question.items.map((item, position) => (
+                        <li key={position} className="px-3 py-1 text-gray-700">{position + 1}. {item}</li>
+                    ))}
+                </ol>
+            </div>
+        </div>
+    );
+};
+
+const MatchingReview = ({ question, answer }: ReviewProps<MatchingQuestion>) => {
+    const matches = answer && typeof answer === 'object' && !Array.isArray(answer) ? answer : {};
+    return (
+        <ul className="space-y-1">
+            {question.pairs.map((pair, leftIndex) => {
+                const chosen = matches[leftIndex];
+                const isCorrect = Number(chosen) === leftIndex;
+                return (
+                    <li key={leftIndex} className={rowClass(isCorrect, !isCorrect)}>
+                        <span className="font-semibold">{pair.left}</span> → {chosen !== undefined ? question.pairs[Number(chosen)]?.right : '(no match)'}
+                        {!isCorrect && <span className="block text-sm font-normal text-gray-700">Correct: {pair.right}</span>}
+                    </li>
+                );
+            })}
+        </ul>
+    );
+};
+
+// The learner's answer against the correct one, for any question type
+export const QuestionReview = ({ question, answer }: ReviewProps<Question>) => {
+    const given = typeof answer === 'string' && answer.trim() ? answer : '(no answer)';
+    switch (question.type) {
+        case 'multi_select':
+            return <OptionsReview question={question} correctKeys={question.correctAnswers} chosenKeys={Array.isArray(answer) ? (answer as string[]) : []} />;
+        case 'true_false':
+            return (
+                <>
+                    <AnswerLine label="Your answer" value={given} correct={answer === String(question.isTrue)} />
+                    <AnswerLine label="Correct answer" value={String(question.isTrue)} />
+                </>
+            );
+        case 'numeric':
+            return (
+                <>
+                    <AnswerLine label="Your answer" value={`${given}${question.unit && typeof answer === 'string' && answer.trim() ? ` ${question.unit}` : ''}`} />
+                    <AnswerLine label="Correct answer" value={`${question.correctValue}${question.unit ? ` ${question.unit}` : ''}${question.tolerance ? ` (±${question.tolerance})` : ''}`} />
+                </>
+            );
+        case 'short_text':
+            return (
+                <>
+                    <AnswerLine label="Your answer" value={given} />
+                    <AnswerLine label="Model answer" value={question.modelAnswer} />
+                </>
+            );
+        case 'ordering':
+            return <OrderingReview question={question} answer={answer} />;
+        case 'matching':
+            return <MatchingReview question={question} answer={answer} />;
+        default:
+            return <OptionsReview question={question} correctKeys={[question.correctAnswer]} chosenKeys={typeof answer === 'string' ? [answer] : []} />;
+    }
+};
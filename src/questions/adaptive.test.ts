@@ -0,0 +1,56 @@
+import { buildQuizGuidance, computeMetrics, missedConcepts, planNextQuiz } from './adaptive.ts';
+import { Question } from './questionTypes.ts';
+
+const question = (concept: string, tags: Partial<Question> = {}): Question => ({
+    question: `About ${concept}?`,
+    options: { A: 'a', B: 'b', C: 'c', D: 'd' },
+    correctAnswer: 'A',
+    concept,
+    ...tags,
+} as Question);
+
+test('records the concepts of questions answered wrongly', () => {
+    const attempt = {
+        questions: [question('Superposition'), question('Entanglement'), question('Superposition'), question(' ')],
+        results: [false, false, false, false].map((correct, i) => ({ userAnswer: null, credit: 0, correct: i === 1 ? true : correct })),
+    };
+    expect(missedConcepts(attempt)).toEqual(['Superposition']);
+});
+
+test('steps quiz difficulty with the last score and revisits recently missed concepts', () => {
+    expect(planNextQuiz([])).toMatchObject({ difficulty: 'intermediate', focusConcepts: [] });
+    expect(planNextQuiz([{ score: 90, date: '' }]).difficulty).toBe('advanced');
+    expect(planNextQuiz([{ score: 90, date: '', difficulty: 'advanced' }]).difficulty).toBe('advanced');
+    expect(planNextQuiz([{ score: 40, date: '', difficulty: 'intermediate' }]).difficulty).toBe('foundational');
+    expect(planNextQuiz([{ score: 70, date: '', difficulty: 'foundational' }]).difficulty).toBe('foundational');
+
+    const plan = planNextQuiz([
+        { score: 50, date: '', missedConcepts: ['Old'] },
+        { score: 50, date: '', missedConcepts: ['Gates', 'Qubits'] },
+        { score: 60, date: '', missedConcepts: ['Measurement'] },
+        { score: 70, date: '', missedConcepts: ['Qubits', 'Noise'] },
+    ]);
+    // 'Old' is outside the last three quizzes; ties go to the more recently missed
+    expect(plan.focusConcepts).toEqual(['Qubits', 'Noise', 'Measurement', 'Gates']);
+    expect(buildQuizGuidance(plan)).toContain('Qubits; Noise; Measurement; Gates');
+});
+
+test('derives metrics from question tags', () => {
+    const metrics = computeMetrics([
+        question('A', { difficulty: 'advanced', focus: 'theory', estimatedSeconds: 90, sourceResource: 'Nielsen & Chuang' }),
+        question('B', { difficulty: 'advanced', focus: 'practice', estimatedSeconds: 60, sourceResource: 'https://example.com/qc' }),
+        question('B', { difficulty: 'foundational', focus: 'theory', sourceResource: 'Something else' }),
+        { type: 'true_false', question: 'Untagged', isTrue: true },
+    ], ['Nielsen & Chuang: Quantum Computation', 'https://example.com/qc']);
+    expect(metrics).toMatchObject({
+        questionCount: 4,
+        difficultyCounts: { foundational: 1, intermediate: 0, advanced: 2 },
+        overallDifficulty: 'intermediate',
+        resourceAligned: 2,
+        estimatedMinutes: 3,
+        concepts: ['A', 'B'],
+        typeCounts: [{ label: 'Multiple choice', count: 3 }, { label: 'True / false', count: 1 }],
+    });
+    expect(metrics.theoryShare).toBeCloseTo(2 / 3);
+    expect(computeMetrics([{ type: 'true_false', question: 'x', isTrue: false }], [])).toMatchObject({ overallDifficulty: null, theoryShare: null, estimatedMinutes: null });
+});
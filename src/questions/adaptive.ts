@@ -0,0 +1,109 @@
+import { Attempt } from '../attempts/attempts.ts';
+import { Difficulty, DIFFICULTIES, Question, QUESTION_TYPES, questionTypeOf } from './questionTypes.ts';
+
+// Adaptive quizzes: each quiz entry on the module records the difficulty it was generated at and the concepts
+// the learner missed. The next quiz steps the difficulty up or down from the last score and revisits the
+// concepts missed most often in recent quizzes.
+
+export type QuizRecord = {
+    score: number;
+    date: string;
+    attemptId?: string;
+    difficulty?: Difficulty; // Absent on quizzes taken before adaptive quizzes
+    missedConcepts?: string[];
+};
+
+export type QuizPlan = {
+    difficulty: Difficulty;
+    focusConcepts: string[];
+    reason: string; // Shown to the learner
+};
+
+const STEP_UP_SCORE = 85;
+const STEP_DOWN_SCORE = 60;
+const RECENT_QUIZZES = 3;
+const MAX_FOCUS_CONCEPTS = 5;
+
+// Concepts of the questions not answered fully correctly, without repeats
+export const missedConcepts = (attempt: Pick<Attempt, 'questions' | 'results'>): string[] =>
+    Array.from(new Set(attempt.questions
+        .filter((q, i) => !attempt.results[i]?.correct && q.concept?.trim())
+        .map(q => q.concept.trim())));
+
+export const planNextQuiz = (quizzes: QuizRecord[]): QuizPlan => {
+    const last = quizzes[quizzes.length - 1];
+    if (!last) return { difficulty: 'intermediate', focusConcepts: [], reason: 'First quiz: pitched at an intermediate level.' };
+
+    const current = DIFFICULTIES.indexOf(last.difficulty || 'intermediate');
+    let level = current;
+    let reason = `Your last quiz scored ${last.score.toFixed(0)}%, so the level stays the same.`;
+    if (last.score >= STEP_UP_SCORE && current < DIFFICULTIES.length - 1) {
+        level = current + 1;
+        reason = `Your last quiz scored ${last.score.toFixed(0)}%, so this one is harder.`;
+    } else if (last.score < STEP_DOWN_SCORE && current > 0) {
+        level = current - 1;
+        reason = `Your last quiz scored ${last.score.toFixed(0)}%, so this one is gentler.`;
+    }
+
+    // Most often missed first; on a tie the more recently missed concept wins
+    const counts = new Map<string, number>();
+    quizzes.slice(-RECENT_QUIZZES).reverse().forEach(quiz => {
+        (quiz.missedConcepts || []).forEach(concept => counts.set(concept, (counts.get(concept) || 0) + 1));
+    });
+    const focusConcepts = Array.from(counts.keys())
+        .sort((a, b) => counts.get(b) - counts.get(a))
+        .slice(0, MAX_FOCUS_CONCEPTS);
+    return { difficulty: DIFFICULTIES[level], focusConcepts, reason };
+};
+
+// Appended to the generation prompt
+export const buildQuizGuidance = (plan: QuizPlan) => {
+    const level = `Pitch the questions at a mostly ${plan.difficulty} difficulty.`;
+    if (plan.focusConcepts.length === 0) return level;
+    return `${level} The learner recently missed questions on these concepts; make about half of the questions revisit them from a new angle: ${plan.focusConcepts.join('; ')}.`;
+};
+
+// --- Metrics ---
+// Derived from the questions' own tags; counts only cover tagged questions
+export type AssessmentMetrics = {
+    questionCount: number;
+    difficultyCounts: { [difficulty in Difficulty]: number };
+    overallDifficulty: Difficulty | null;
+    theoryShare: number | null; // 0-1 of tagged questions
+    estimatedMinutes: number | null;
+    resourceAligned: number; // Questions citing one of the module's resources
+    typeCounts: { label: string; count: number }[];
+    concepts: string[];
+};
+
+const resourceMatches = (source: string, resources: string[]) => {
+    const cited = source.trim().toLowerCase();
+    return !!cited && resources.some(r => {
+        const resource = r.trim().toLowerCase();
+        return !!resource && (resource.includes(cited) || cited.includes(resource));
+    });
+};
+
+export const computeMetrics = (questions: Question[], resources: string[]): AssessmentMetrics => {
+    const difficultyCounts = { foundational: 0, intermediate: 0, advanced: 0 };
+    questions.forEach(q => { if (q.difficulty && q.difficulty in difficultyCounts) difficultyCounts[q.difficulty] += 1; });
+    const rated = DIFFICULTIES.reduce((sum, d) => sum + difficultyCounts[d], 0);
+    const meanLevel = rated ? DIFFICULTIES.reduce((sum, d, i) => sum + i * difficultyCounts[d], 0) / rated : null;
+
+    const focused = questions.filter(q => q.focus === 'theory' || q.focus === 'practice');
+    const timed = questions.filter(q => typeof q.estimatedSeconds === 'number' && q.estimatedSeconds > 0);
+    const typeCounts = Object.keys(QUESTION_TYPES)
+        .map(type => ({ label: QUESTION_TYPES[type].label, count: questions.filter(q => questionTypeOf(q) === type).length }))
+        .filter(t => t.count > 0);
+
+    return {
+        questionCount: questions.length,
+        difficultyCounts,
+        overallDifficulty: meanLevel === null ? null : DIFFICULTIES[Math.round(meanLevel)],
+        theoryShare: focused.length ? focused.filter(q => q.focus === 'theory').length / focused.length : null,
+        estimatedMinutes: timed.length ? Math.max(1, Math.round(timed.reduce((sum, q) => sum + q.estimatedSeconds, 0) / 60)) : null,
+        resourceAligned: questions.filter(q => q.sourceResource && resourceMatches(q.sourceResource, resources)).length,
+        typeCounts,
+        concepts: Array.from(new Set(questions.map(q => q.concept?.trim()).filter(Boolean))),
+    };
+};
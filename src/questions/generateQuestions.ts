@@ -0,0 +1,47 @@
+import { generateJson, LlmProvider } from '../llm/index.ts';
+import { matchObjectives } from '../mastery/mastery.ts';
+import { checkQuestions, prepareQuestion, Question, QUESTION_TYPES, QuestionMix, QuestionType } from './questionTypes.ts';
+
+type GenerateOptions = {
+    topic: string;
+    context: string; // Resource list and quiz/final-test focus, shared by every type
+    mix: QuestionMix;
+    guidance?: string; // Target difficulty and concepts to revisit (see adaptive.ts)
+    objectives?: string[]; // The module's learning objectives, which every question is tagged with
+    signal?: AbortSignal; // Cancels the generation
+    onProgress?: (drafts: any[]) => void; // Every question written so far, as the replies stream in; not yet checked
+};
+
+const TAG_INSTRUCTIONS = 'Tag every question with the one key "concept" it tests (a short noun phrase), its "difficulty" (foundational, intermediate or advanced), its "focus" (theory or practice) and "estimatedSeconds", the time a prepared learner needs to answer it.';
+
+// Keeps only tags that name one of the module's objectives
+const withKnownObjectives = (item: any, objectives: string[]) => {
+    const { objectives: tagged, ...rest } = item;
+    const known = matchObjectives(Array.isArray(tagged) ? tagged : [], objectives);
+    return known.length ? { ...rest, objectives: known } : rest;
+};
+
+// One model call per question type in the mix, each with that type's own schema.
+// Types come back in QUESTION_TYPES order. Replies are checked (see checkQuestions) and repaired by the model;
+// a type that still fails after the retries throws, so no half-checked questions reach a learner.
+export const generateQuestions = async (provider: LlmProvider, { topic, context, mix, guidance, objectives = [], signal, onProgress }: GenerateOptions): Promise<Question[]> => {
+    const questions: Question[] = [];
+    const objectiveTags = objectives.length
+        ? ` Tag every question with the learning objectives it assesses in "objectives", copied word for word from: ${objectives.join('; ')}.`
+        : '';
+    for (const type of Object.keys(QUESTION_TYPES) as QuestionType[]) {
+        const count = mix[type] || 0;
+        if (count <= 0) continue;
+        const definition = QUESTION_TYPES[type];
+        const generated = await generateJson<any[]>(provider, {
+            prompt: `Generate ${count} ${definition.label.toLowerCase()} question${count === 1 ? '' : 's'} about "${topic}". ${definition.instructions} For every question also give an "explanation" of the correct answer and the title or URL of the resource it was drawn from in "sourceResource", exactly as listed. ${TAG_INSTRUCTIONS}${objectiveTags} ${context}${guidance ? ` ${guidance}` : ''}`,
+            schema: { type: "ARRAY", items: definition.schema, minItems: count },
+        }, {
+            check: (items) => checkQuestions(type, items, count),
+            signal,
+            onPartial: onProgress && ((items) => onProgress([...questions, ...(Array.isArray(items) ? items.slice(0, count) : [])])),
+        });
+        generated.slice(0, count).forEach(item => questions.push(prepareQuestion(type, withKnownObjectives(item, objectives))));
+    }
+    return questions;
+};
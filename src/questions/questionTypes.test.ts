@@ -0,0 +1,55 @@
+import { createMockProvider } from '../llm/index.ts';
+import { generateQuestions } from './generateQuestions.ts';
+import { checkQuestions } from './questionTypes.ts';
+
+test('checks answer keys and the size of each generated question', () => {
+    expect(checkQuestions('multiple_choice', [
+        { question: 'Which?', correctAnswer: 'B' },
+        { question: 'Which else?', correctAnswer: 'E' },
+        { question: ' ', correctAnswer: 'A' },
+    ], 3)).toEqual([
+        '$[1].correctAnswer: "E" is not one of A, B, C, D',
+        '$[2].question: empty',
+    ]);
+    expect(checkQuestions('multi_select', [{ question: 'Pick', correctAnswers: [] }], 1)).toEqual(['$[0].correctAnswers: needs at least 1, got 0']);
+    expect(checkQuestions('numeric', [{ question: 'How many?', tolerance: -1 }], 1)).toEqual(['$[0].tolerance: must not be negative']);
+    expect(checkQuestions('matching', [{ question: 'Match', pairs: [{ left: 'a', right: 'b' }] }], 1)).toEqual(['$[0].pairs: needs at least 2, got 1']);
+    expect(checkQuestions('true_false', [{ question: 'Sky is blue', isTrue: true }], 1)).toEqual([]);
+});
+
+test('an empty batch is a failure', () => {
+    expect(checkQuestions('short_text', [], 1)).toEqual(['$: no questions were generated']);
+});
+
+test('a batch short of the questions asked for is a failure', () => {
+    expect(checkQuestions('true_false', [{ question: 'Sky is blue', isTrue: true }], 3)).toEqual(['$: 3 questions were asked for, got 1']);
+});
+
+test('the repair retry asks for the questions missing from a short reply', async () => {
+    const question = { question: 'Sky is blue', isTrue: true, explanation: '', sourceResource: '', concept: 'sky', difficulty: 'foundational', focus: 'theory', estimatedSeconds: 10 };
+    const prompts: string[] = [];
+    const replies = [[question], [question, question]];
+    const provider = createMockProvider({
+        respond: (request) => {
+            prompts.push(request.prompt);
+            return JSON.stringify(replies.shift());
+        },
+    });
+
+    const questions = await generateQuestions(provider, { topic: 'Sky', context: '', mix: { true_false: 2 } });
+
+    expect(questions).toHaveLength(2);
+    expect(prompts[1]).toContain('2 questions were asked for, got 1');
+});
+
+test('questions synthesized by the mock provider pass the checks', async () => {
+    const questions = await generateQuestions(createMockProvider(), { topic: 'Sorting', context: '', mix: { multiple_choice: 2, multi_select: 1 } });
+
+    expect(questions.map(q => q.type)).toEqual(['multiple_choice', 'multiple_choice', 'multi_select']);
+});
+
+test('the mock provider synthesizes as many questions as were asked for', async () => {
+    const questions = await generateQuestions(createMockProvider(), { topic: 'Sorting', context: '', mix: { true_false: 5 } });
+
+    expect(questions).toHaveLength(5);
+});
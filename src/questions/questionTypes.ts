@@ -0,0 +1,210 @@
+import { ResponseSchema } from '../llm/index.ts';
+
+export type QuestionType = 'multiple_choice' | 'multi_select' | 'true_false' | 'numeric' | 'short_text' | 'ordering' | 'matching';
+
+export type Difficulty = 'foundational' | 'intermediate' | 'advanced';
+export const DIFFICULTIES: Difficulty[] = ['foundational', 'intermediate', 'advanced'];
+
+// Fields every question carries, whatever its type
+type QuestionBase = {
+    question: string;
+    explanation?: string; // Why the correct answer is right
+    sourceResource?: string; // Title or URL of the module resource the question was drawn from
+    // Tags set at generation; absent on questions written by hand or stored before adaptive quizzes
+    concept?: string; // The one key concept the question tests
+    difficulty?: Difficulty;
+    focus?: 'theory' | 'practice';
+    estimatedSeconds?: number; // Time a prepared learner needs to answer
+    objectives?: string[]; // Module learning objectives the question assesses
+};
+
+export type MultipleChoiceQuestion = QuestionBase & {
+    type?: 'multiple_choice'; // Absent on questions stored before question types existed
+    options: { [key: string]: string };
+    correctAnswer: string;
+    distractorRationales?: { [key: string]: string }; // Per option: why it is wrong (or, for the answer, why it is right)
+};
+
+export type MultiSelectQuestion = QuestionBase & {
+    type: 'multi_select';
+    options: { [key: string]: string };
+    correctAnswers: string[];
+    distractorRationales?: { [key: string]: string };
+};
+
+export type TrueFalseQuestion = QuestionBase & {
+    type: 'true_false';
+    isTrue: boolean;
+};
+
+export type NumericQuestion = QuestionBase & {
+    type: 'numeric';
+    correctValue: number;
+    tolerance: number; // Absolute; answers within ±tolerance are accepted
+    unit?: string;
+};
+
+export type ShortTextQuestion = QuestionBase & {
+    type: 'short_text';
+    modelAnswer: string;
+    keyPoints: string[]; // What the AI grader looks for
+};
+
+export type OrderingQuestion = QuestionBase & {
+    type: 'ordering';
+    items: string[]; // In the correct order
+    displayOrder: number[]; // Shuffled indices into items, fixed at generation so every render agrees
+};
+
+export type MatchingQuestion = QuestionBase & {
+    type: 'matching';
+    pairs: { left: string; right: string }[];
+    rightOrder: number[]; // Shuffled indices into pairs for the right-hand choices
+};
+
+export type Question = MultipleChoiceQuestion | MultiSelectQuestion | TrueFalseQuestion | NumericQuestion | ShortTextQuestion | OrderingQuestion | MatchingQuestion;
+
+// What a learner submits for one question:
+//   multiple_choice / true_false ('true' | 'false') / numeric / short_text -> string
+//   multi_select -> option keys; ordering -> indices into items, in the learner's order
+//   matching -> left index -> right index
+export type QuestionAnswer = string | string[] | number[] | { [leftIndex: string]: number };
+
+export type UserAnswers = { [questionIndex: number]: QuestionAnswer };
+
+export const questionTypeOf = (question: Question): QuestionType => question.type || 'multiple_choice';
+
+// --- Per-type generation schemas ---
+const OPTION_KEYS = ['A', 'B', 'C', 'D'];
+
+const optionsSchema = {
+    type: "OBJECT",
+    properties: Object.fromEntries(OPTION_KEYS.map(key => [key, { type: "STRING" }])),
+    required: OPTION_KEYS
+};
+
+const baseProperties = {
+    question: { type: "STRING" },
+    explanation: { type: "STRING" },
+    sourceResource: { type: "STRING" },
+    concept: { type: "STRING" },
+    difficulty: { type: "STRING", enum: DIFFICULTIES },
+    focus: { type: "STRING", enum: ['theory', 'practice'] },
+    estimatedSeconds: { type: "INTEGER" },
+    objectives: { type: "ARRAY", items: { type: "STRING" } } // Only asked for when the module has objectives
+};
+const baseRequired = ['question', 'explanation', 'sourceResource', 'concept', 'difficulty', 'focus', 'estimatedSeconds'];
+
+const itemSchema = (properties: ResponseSchema, required: string[]): ResponseSchema => ({
+    type: "OBJECT",
+    properties: { ...baseProperties, ...properties },
+    required: [...baseRequired, ...required]
+});
+
+type QuestionTypeDefinition = {
+    label: string;
+    instructions: string; // Appended to the generation prompt
+    schema: ResponseSchema; // Schema of one generated question (without the "type" field)
+    check?: (question: any) => string[]; // What the schema can't express; paths are relative to the question
+};
+
+const checkOptionKeys = (keys: string[], field: string) =>
+    keys.filter(key => !OPTION_KEYS.includes(key)).map(key => `.${field}: "${key}" is not one of ${OPTION_KEYS.join(', ')}`);
+
+const atLeast = (list: any[], count: number, field: string) =>
+    list.length >= count ? [] : [`.${field}: needs at least ${count}, got ${list.length}`];
+
+export const QUESTION_TYPES: { [type in QuestionType]: QuestionTypeDefinition } = {
+    multiple_choice: {
+        label: 'Multiple choice',
+        instructions: 'Each question has 4 options (A, B, C, D) and exactly one correct answer in "correctAnswer". Give a short rationale for every option in "distractorRationales" saying why it is wrong or, for the correct one, why it is right.',
+        schema: itemSchema({ options: optionsSchema, correctAnswer: { type: "STRING", enum: OPTION_KEYS }, distractorRationales: optionsSchema }, ['options', 'correctAnswer', 'distractorRationales']),
+        check: (q) => checkOptionKeys([q.correctAnswer], 'correctAnswer'),
+    },
+    multi_select: {
+        label: 'Multi-select',
+        instructions: 'Each question has 4 options (A, B, C, D) of which one or more are correct; list every correct key in "correctAnswers". Give a short rationale for every option in "distractorRationales".',
+        schema: itemSchema({ options: optionsSchema, correctAnswers: { type: "ARRAY", items: { type: "STRING", enum: OPTION_KEYS } }, distractorRationales: optionsSchema }, ['options', 'correctAnswers', 'distractorRationales']),
+        check: (q) => [...atLeast(q.correctAnswers, 1, 'correctAnswers'), ...checkOptionKeys(q.correctAnswers, 'correctAnswers')],
+    },
+    true_false: {
+        label: 'True / false',
+        instructions: 'Each "question" is a single statement; set "isTrue" to whether it is true.',
+        schema: itemSchema({ isTrue: { type: "BOOLEAN" } }, ['isTrue']),
+    },
+    numeric: {
+        label: 'Numeric',
+        instructions: 'Each question has a single numeric answer in "correctValue", an absolute "tolerance" for accepted answers (e.g. rounding error) and the "unit" the answer is given in (empty if none).',
+        schema: itemSchema({ correctValue: { type: "NUMBER" }, tolerance: { type: "NUMBER" }, unit: { type: "STRING" } }, ['correctValue', 'tolerance', 'unit']),
+        check: (q) => (q.tolerance >= 0 ? [] : ['.tolerance: must not be negative']),
+    },
+    short_text: {
+        label: 'Short answer',
+        instructions: 'Each question is answered in 1-3 sentences. Give a "modelAnswer" and the 2-4 "keyPoints" a full-credit answer must contain.',
+        schema: itemSchema({ modelAnswer: { type: "STRING" }, keyPoints: { type: "ARRAY", items: { type: "STRING" } } }, ['modelAnswer', 'keyPoints']),
+        check: (q) => atLeast(q.keyPoints, 1, 'keyPoints'),
+    },
+    ordering: {
+        label: 'Ordering',
+        instructions: 'Each question asks the learner to put 3-6 steps or items in order; list them in "items" in the correct order.',
+        schema: itemSchema({ items: { type: "ARRAY", items: { type: "STRING" } } }, ['items']),
+        check: (q) => atLeast(q.items, 2, 'items'),
+    },
+    matching: {
+        label: 'Matching',
+        instructions: 'Each question asks the learner to match 3-6 terms to their descriptions; list them as "pairs" of "left" (term) and "right" (matching description).',
+        schema: itemSchema({
+            pairs: {
+                type: "ARRAY",
+                items: { type: "OBJECT", properties: { left: { type: "STRING" }, right: { type: "STRING" } }, required: ['left', 'right'] }
+            }
+        }, ['pairs']),
+        check: (q) => atLeast(q.pairs, 2, 'pairs'),
+    },
+};
+
+// Semantic checks on a generated batch of one type; the schema is validated separately.
+// A batch short of `count` fails too, so the repair retry asks for the missing questions.
+export const checkQuestions = (type: QuestionType, questions: any[], count: number): string[] => {
+    if (questions.length === 0) return ['$: no questions were generated'];
+    const check = QUESTION_TYPES[type].check;
+    return [
+        ...(questions.length < count ? [`$: ${count} questions were asked for, got ${questions.length}`] : []),
+        ...questions.flatMap((q, i) => [
+            ...(q.question?.trim() ? [] : [`$[${i}].question: empty`]),
+            ...(check ? check(q).map(issue => `$[${i}]${issue}`) : []),
+        ]),
+    ];
+};
+
+// --- Question mix per assessment ---
+// How many questions of each type to generate; the total is the question count
+export type QuestionMix = { [type in QuestionType]?: number };
+
+export const MAX_QUESTIONS = 20;
+
+export const DEFAULT_QUESTION_MIX: { quiz: QuestionMix; finalTest: QuestionMix } = {
+    quiz: { multiple_choice: 5 },
+    finalTest: { multiple_choice: 5 },
+};
+
+export const mixTotal = (mix: QuestionMix) => Object.values(mix).reduce((sum: number, count) => sum + (count || 0), 0);
+
+const shuffledIndices = (length: number, random = Math.random) => {
+    const indices = Array.from({ length }, (_, i) => i);
+    for (let i = indices.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [indices[i], indices[j]] = [indices[j], indices[i]];
+    }
+    // Never present an ordering question already solved
+    if (length > 1 && indices.every((value, i) => value === i)) indices.push(indices.shift() as number);
+    return indices;
+};
+
+// Tags a generated question with its type and fixes the shuffled presentation of ordering and matching items
+export const prepareQuestion = (type: QuestionType, generated: any, random = Math.random): Question => {
+    const question = { ...generated, type };
+    if (type === 'ordering') question.displayOrder = shuffledIndices(question.items.length, random);
+    if (type === 'matching') question.rightOrder = shuffledIndices(question.pairs.length, random);
+    return question;
+};
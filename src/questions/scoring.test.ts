@@ -0,0 +1,44 @@
+import { prepareQuestion } from './questionTypes.ts';
+import { parseNumericAnswer, scoreQuestion } from './scoring.ts';
+
+const base = { question: 'Q' };
+
+test('gives partial credit on multi-select and penalises wrong picks', () => {
+    const q = { ...base, type: 'multi_select' as const, options: { A: 'a', B: 'b', C: 'c', D: 'd' }, correctAnswers: ['A', 'C'] };
+    expect(scoreQuestion(q, ['A', 'C'])).toEqual({ credit: 1, correct: true });
+    expect(scoreQuestion(q, ['A'])).toEqual({ credit: 0.5, correct: false });
+    expect(scoreQuestion(q, ['A', 'B'])).toEqual({ credit: 0, correct: false });
+    expect(scoreQuestion(q, null).credit).toBe(0);
+});
+
+test('accepts numeric answers within the tolerance', () => {
+    const q = { ...base, type: 'numeric' as const, correctValue: 0.707, tolerance: 0.01 };
+    expect(scoreQuestion(q, '0.71').correct).toBe(true);
+    expect(scoreQuestion(q, '0,7').correct).toBe(true);
+    expect(scoreQuestion(q, '0.75').correct).toBe(false);
+    expect(scoreQuestion(q, 'about 0.7').correct).toBe(false);
+    expect(parseNumericAnswer('3e8')).toBe(3e8);
+    expect(parseNumericAnswer('  ')).toBeNull();
+});
+
+test('scores true/false, ordering and matching', () => {
+    expect(scoreQuestion({ ...base, type: 'true_false', isTrue: false }, 'false').correct).toBe(true);
+    expect(scoreQuestion({ ...base, type: 'true_false', isTrue: false }, 'true').correct).toBe(false);
+
+    const ordering = { ...base, type: 'ordering' as const, items: ['prepare', 'evolve', 'measure', 'repeat'], displayOrder: [3, 2, 1, 0] };
+    expect(scoreQuestion(ordering, [0, 1, 2, 3]).correct).toBe(true);
+    expect(scoreQuestion(ordering, [0, 2, 1, 3]).credit).toBe(0.5);
+    expect(scoreQuestion(ordering, null).credit).toBe(0); // untouched lists are marked as shown
+
+    const matching = { ...base, type: 'matching' as const, pairs: [{ left: 'H', right: 'Hadamard' }, { left: 'X', right: 'NOT' }], rightOrder: [1, 0] };
+    expect(scoreQuestion(matching, { 0: 0, 1: 1 }).correct).toBe(true);
+    expect(scoreQuestion(matching, { 0: 1 }).credit).toBe(0);
+    expect(scoreQuestion(matching, { 1: 1 }).credit).toBe(0.5);
+});
+
+test('never shows an ordering question already in the correct order', () => {
+    const q = prepareQuestion('ordering', { question: 'Q', items: ['a', 'b', 'c'] }, () => 0.999);
+    expect(q.type).toBe('ordering');
+    expect((q as any).displayOrder).not.toEqual([0, 1, 2]);
+    expect([...(q as any).displayOrder].sort()).toEqual([0, 1, 2]);
+});
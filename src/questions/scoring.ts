@@ -0,0 +1,98 @@
+import { generateJson, LlmProvider } from '../llm/index.ts';
+import { Question, QuestionAnswer, questionTypeOf, ShortTextQuestion } from './questionTypes.ts';
+
+export type QuestionScore = {
+    credit: number; // 0-1; partial credit for multi-select, ordering and matching
+    correct: boolean; // Full credit
+    feedback?: string; // AI feedback for short answers
+};
+
+const full = (correct: boolean): QuestionScore => ({ credit: correct ? 1 : 0, correct });
+
+const partial = (credit: number): QuestionScore => {
+    const clamped = Math.min(Math.max(credit, 0), 1);
+    return { credit: clamped, correct: clamped === 1 };
+};
+
+const isBlank = (answer: QuestionAnswer | null | undefined) =>
+    answer === null || answer === undefined || (typeof answer === 'string' && !answer.trim()) || (Array.isArray(answer) && answer.length === 0);
+
+// Parses "1.5", "1,5" and "3e8"; anything else is not a number
+export const parseNumericAnswer = (answer: string): number | null => {
+    const value = Number(answer.trim().replace(',', '.'));
+    return answer.trim() && Number.isFinite(value) ? value : null;
+};
+
+// Scores every type that can be marked locally. Short answers need the model; see scoreShortAnswer.
+export const scoreQuestion = (question: Question, answer: QuestionAnswer | null | undefined): QuestionScore => {
+    switch (question.type) {
+        case 'multi_select': {
+            // Each correct pick earns a share, each wrong pick takes one away
+            const picked = Array.isArray(answer) ? (answer as string[]) : [];
+            const hits = picked.filter(key => question.correctAnswers.includes(key)).length;
+            const misses = picked.length - hits;
+            if (question.correctAnswers.length === 0) return full(picked.length === 0);
+            return partial((hits - misses) / question.correctAnswers.length);
+        }
+        case 'true_false':
+            return full(answer === String(question.isTrue));
+        case 'numeric': {
+            const value = typeof answer === 'string' ? parseNumericAnswer(answer) : null;
+            const tolerance = Math.abs(Number(question.tolerance) || 0);
+            return full(value !== null && Math.abs(value - question.correctValue) <= tolerance + 1e-9);
+        }
+        case 'ordering': {
+            // Untouched lists are submitted in the order they were shown
+            const order = Array.isArray(answer) && answer.length ? (answer as number[]) : question.displayOrder;
+            const inPlace = question.items.filter((_, position) => order[position] === position).length;
+            return partial(question.items.length ? inPlace / question.items.length : 0);
+        }
+        case 'matching': {
+            const matches = answer && typeof answer === 'object' && !Array.isArray(answer) ? answer : {};
+            const right = question.pairs.filter((_, index) => Number(matches[index]) === index).length;
+            return partial(question.pairs.length ? right / question.pairs.length : 0);
+        }
+        case 'short_text':
+            return full(false); // Only reached without a model; scoreShortAnswer does the real marking
+        default:
+            return full(answer === question.correctAnswer);
+    }
+};
+
+const shortAnswerSchema = {
+    type: "OBJECT",
+    properties: {
+        credit: { type: "NUMBER" },
+        feedback: { type: "STRING" }
+    },
+    required: ["credit", "feedback"]
+};
+
+export const scoreShortAnswer = async (provider: LlmProvider, question: ShortTextQuestion, answer: string): Promise<QuestionScore> => {
+    const result = await generateJson<{ credit: number; feedback: string }>(provider, {
+        prompt: `You are marking a short written answer.
+
+Question: ${question.question}
+Model answer: ${question.modelAnswer}
+Key points a full-credit answer must contain:
+${question.keyPoints.map(point => `- ${point}`).join('\n')}
+
+Learner's answer:
+"""
+${answer}
+"""
+
+Return a JSON object with "credit" (a number from 0 to 1: the share of key points the answer gets right, ignoring spelling and wording) and "feedback" (1-2 sentences on what was missing or wrong).`,
+        schema: shortAnswerSchema,
+    });
+    const credit = Number(result.credit);
+    return { ...partial(Number.isFinite(credit) ? credit : 0), feedback: result.feedback || '' };
+};
+
+// Scores any question. Blank answers score 0 without a model call.
+export const scoreAnyQuestion = async (provider: LlmProvider | null, question: Question, answer: QuestionAnswer | null | undefined): Promise<QuestionScore> => {
+    if (questionTypeOf(question) !== 'short_text') return scoreQuestion(question, answer);
+    if (isBlank(answer)) return { ...full(false), feedback: 'No answer was given.' };
+    if (!provider) return { ...full(false), feedback: 'This answer could not be marked because no AI provider is configured.' };
+    return scoreShortAnswer(provider, question as ShortTextQuestion, String(answer));
+};
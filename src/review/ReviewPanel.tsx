@@ -0,0 +1,110 @@
+import { useCallback, useEffect, useState } from 'react';
+import { Module } from '../types.ts';
+import { dueCards, Flashcard, RATINGS, reviewCard } from './flashcards.ts';
+import { addModuleFlashcards, loadFlashcards, saveFlashcard } from './flashcardStore.ts';
+
+type Props = {
+    userId: string;
+    modules: Module[];
+};
+
+const isFinished = (module: Module) => module.status === 'completed' || module.status === 'needs_revisit';
+
+// "Due for review" on the module list: flashcards from finished modules, one at a time, rated after the answer is shown
+export const ReviewPanel = ({ userId, modules }: Props) => {
+    const [cards, setCards] = useState<Flashcard[]>([]);
+    const [revealed, setRevealed] = useState(false);
+    const [working, setWorking] = useState(false);
+    const [error, setError] = useState('');
+
+    const reload = useCallback(() => loadFlashcards(userId)
+        .then(setCards)
+        .catch(e => console.error('Error loading flashcards:', e)), [userId]);
+
+    useEffect(() => { reload(); }, [reload]);
+
+    // Modules finished before flashcards existed, or whose cards could not be built at the time
+    const unbuilt = modules.filter(m => isFinished(m) && !m.flashcardsAddedAt);
+
+    const build = async () => {
+        setWorking(true);
+        setError('');
+        try {
+            for (const module of unbuilt) await addModuleFlashcards(userId, module);
+            await reload();
+        } catch (e) {
+            console.error('Error creating flashcards:', e);
+            setError(`Failed to create flashcards: ${e.message}`);
+        } finally {
+            setWorking(false);
+        }
+    };
+
+    const due = dueCards(cards);
+    const card = due[0];
+
+    const rate = async (quality: number) => {
+        const reviewed = reviewCard(card, quality);
+        setWorking(true);
+        setError('');
+        try {
+            await saveFlashcard(userId, reviewed);
+            setCards(prev => prev.map(c => (c.cardId === reviewed.cardId ? reviewed : c)));
+            setRevealed(false);
+        } catch (e) {
+            console.error('Error saving review:', e);
+            setError(`Failed to save your review: ${e.message}`);
+        } finally {
+            setWorking(false);
+        }
+    };
+
+    if (cards.length === 0 && unbuilt.length === 0) return null;
+
+    const nextDue = cards.filter(c => !due.includes(c)).map(c => c.dueAt).sort()[0];
+
+    return (
+        <div className="mt-8 pt-6 border-t border-gray-200 space-y-4">
+            <h3 className="text-2xl font-bold text-gray-800">Due for Review {due.length > 0 && <span className="text-lg text-orange-600">({due.length})</span>}</h3>
+            {card ? (
+                <div className="p-6 bg-orange-50 rounded-lg border-l-4 border-orange-500 space-y-4">
+                    <p className="text-sm text-gray-500">{card.moduleName} &middot; {card.source === 'question' ? 'Missed question' : 'Key concept'}</p>
+                    <p className="text-lg text-gray-800 whitespace-pre-line">{card.front}</p>
+                    {revealed ? (
+                        <>
+                            <p className="p-4 bg-white rounded-md text-gray-800 whitespace-pre-line">{card.back}</p>
+                            <div className="flex flex-wrap gap-2">
+                                <span className="text-sm text-gray-600 self-center mr-2">How well did you remember it?</span>
+                                {RATINGS.map(({ quality, label }) => (
+                                    <button
+                                        key={quality}
+                                        onClick={() => rate(quality)}
+                                        disabled={working}
+                                        className="bg-orange-600 text-white py-1 px-4 rounded-md hover:bg-orange-700 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                                    >
+                                        {label}
+                                    </button>
+                                ))}
+                            </div>
+                        </>
+                    ) : (
+                        <button onClick={() => setRevealed(true)} className="bg-orange-600 text-white font-bold py-2 px-6 rounded-lg hover:bg-orange-700 transition-colors duration-200">
+                            Show Answer
+                        </button>
+                    )}
+                </div>
+            ) : cards.length > 0 && (
+                <p className="text-gray-600">
+                    Nothing due right now. {cards.length} card{cards.length === 1 ? '' : 's'} in your deck
+                    {nextDue && `; the next is due ${new Date(nextDue).toLocaleDateString()}`}.
+                </p>
+            )}
+            {unbuilt.length > 0 && (
+                <button onClick={build} disabled={working} className="text-orange-700 font-semibold hover:underline disabled:opacity-50 disabled:cursor-not-allowed">
+                    {working ? 'Creating flashcards...' : `Create flashcards for ${unbuilt.length} finished module${unbuilt.length === 1 ? '' : 's'}`}
+                </button>
+            )}
+            {error && <p className="text-red-600">{error}</p>}
+        </div>
+    );
+};
@@ -0,0 +1,36 @@
+import { collection, doc, getDocs, query, setDoc, updateDoc, where } from 'firebase/firestore';
+import { db, appId } from '../firebase';
+import { loadAttempts } from '../attempts/attemptStore.ts';
+import { Module } from '../types.ts';
+import { cardsFromAssignment, cardsFromAttempts, Flashcard } from './flashcards.ts';
+
+// artifacts/${appId}/users/${userId}/flashcards/${cardId}   one card and its review schedule
+// A module gets `flashcardsAddedAt` once its cards have been built.
+
+const flashcardsPath = (userId: string) => `artifacts/${appId}/users/${userId}/flashcards`;
+
+export const loadFlashcards = async (userId: string): Promise<Flashcard[]> => {
+    const snapshot = await getDocs(collection(db, flashcardsPath(userId)));
+    return snapshot.docs.map(d => d.data() as Flashcard);
+};
+
+export const saveFlashcard = async (userId: string, card: Flashcard) => {
+    await setDoc(doc(db, flashcardsPath(userId), card.cardId), card);
+};
+
+// Builds a finished module's cards from its attempts and assignment. Cards that already exist keep their
+// schedule, so this can run again after a retake; returns how many cards were added.
+export const addModuleFlashcards = async (userId: string, module: Module): Promise<number> => {
+    const existing = await getDocs(query(collection(db, flashcardsPath(userId)), where('moduleId', '==', module.id)));
+    const known = new Set(existing.docs.map(d => d.id));
+    const attempts = await loadAttempts(userId, module.id);
+    let added = 0;
+    for (const card of [...cardsFromAttempts(module.id, module.name, attempts), ...cardsFromAssignment(module.id, module.name, module.assignmentContent)]) {
+        if (known.has(card.cardId)) continue;
+        known.add(card.cardId);
+        await saveFlashcard(userId, card);
+        added++;
+    }
+    await updateDoc(doc(db, `artifacts/${appId}/users/${userId}/modules`, module.id), { flashcardsAddedAt: new Date().toISOString() });
+    return added;
+};
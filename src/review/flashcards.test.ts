@@ -0,0 +1,73 @@
+import { Attempt } from '../attempts/attempts.ts';
+import { cardsFromAssignment, cardsFromAttempts, dueCards, reviewCard } from './flashcards.ts';
+
+const now = new Date('2024-03-01T12:00:00.000Z');
+const daysLater = (iso: string) => Math.round((new Date(iso).getTime() - now.getTime()) / (24 * 60 * 60 * 1000));
+
+const attempt = (correct: boolean[]): Attempt => ({
+    attemptId: 'quiz-1',
+    type: 'quiz',
+    questions: [
+        { question: 'Which gate flips a qubit?', options: { A: 'X', B: 'Z', C: 'H', D: 'S' }, correctAnswer: 'A', explanation: 'X is the bit flip.' },
+        { type: 'numeric', question: 'How many basis states do 2 qubits have?', correctValue: 4, tolerance: 0 },
+    ],
+    userAnswers: {},
+    results: correct.map(c => ({ userAnswer: null, credit: c ? 1 : 0, correct: c })),
+    correctCount: correct.filter(Boolean).length,
+    score: 0,
+    submittedAt: now.toISOString(),
+});
+
+test('makes one card per missed question across attempts', () => {
+    const cards = cardsFromAttempts('module-1', 'Qubits', [attempt([false, true]), attempt([false, false])], now);
+    expect(cards).toHaveLength(2);
+    expect(cards[0]).toMatchObject({
+        moduleId: 'module-1',
+        source: 'question',
+        front: 'Which gate flips a qubit?\nA. X\nB. Z\nC. H\nD. S',
+        back: 'A. X\n\nX is the bit flip.',
+        dueAt: now.toISOString(),
+    });
+    expect(cards[1].back).toBe('4');
+    // The ID only depends on the module and front, so rebuilding finds the existing card
+    expect(cardsFromAttempts('module-1', 'Qubits', [attempt([false, true])])[0].cardId).toBe(cards[0].cardId);
+});
+
+test('makes concept cards from the assignment scenario and sections', () => {
+    const cards = cardsFromAssignment('module-1', 'Qubits', {
+        title: 'Lab',
+        total_marks: 10,
+        scenario: { title: 'Quantum lab', description: 'Build a small simulator.' },
+        sections: [
+            { section_id: 's1', section_title: 'Bloch sphere', marks: 10, sub_scenario: { title: 'Visualise', description: 'Map states to the sphere.' }, tasks: [] },
+            { section_id: 's2', section_title: 'Empty', marks: 0, sub_scenario: { title: '', description: '' }, tasks: [] },
+        ],
+        resources: [],
+    }, now);
+    expect(cards.map(c => [c.front, c.back])).toEqual([
+        ['Key concept in "Qubits": Quantum lab', 'Build a small simulator.'],
+        ['Key concept in "Qubits": Bloch sphere', 'Map states to the sphere.'],
+    ]);
+    expect(cardsFromAssignment('module-1', 'Qubits', null)).toEqual([]);
+});
+
+test('schedules reviews with SM-2', () => {
+    let card = cardsFromAttempts('module-1', 'Qubits', [attempt([false, true])], now)[0];
+    card = reviewCard(card, 4, now);
+    expect([card.repetitions, card.interval, daysLater(card.dueAt)]).toEqual([1, 1, 1]);
+    card = reviewCard(card, 4, now);
+    expect([card.repetitions, card.interval]).toEqual([2, 6]);
+    card = reviewCard(card, 5, now);
+    expect(card.interval).toBe(15); // 6 × 2.5
+    expect(card.easeFactor).toBeCloseTo(2.6);
+
+    const lapsed = reviewCard(card, 1, now);
+    expect([lapsed.repetitions, lapsed.interval]).toEqual([0, 1]);
+    expect(lapsed.easeFactor).toBeCloseTo(2.06);
+
+    let hard = card;
+    for (let i = 0; i < 10; i++) hard = reviewCard(hard, 0, now);
+    expect(hard.easeFactor).toBe(1.3);
+
+    expect(dueCards([card, lapsed], new Date(now.getTime() + 2 * 24 * 60 * 60 * 1000))).toEqual([lapsed]);
+});
@@ -0,0 +1,139 @@
+import { Attempt } from '../attempts/attempts.ts';
+import { Question, questionTypeOf } from '../questions/questionTypes.ts';
+import { AssignmentContent } from '../types.ts';
+
+// Flashcards for practice after a module is finished: one per missed quiz / final-test question and one per
+// key concept of the assignment (its scenario and section sub-scenarios). Reviews are scheduled with SM-2:
+// each review is rated 0-5 and sets the next interval and the card's ease factor.
+// Cards live in artifacts/${appId}/users/${userId}/flashcards (see flashcardStore.ts).
+
+export type Flashcard = {
+    cardId: string; // Derived from the module and the card's front, so rebuilding a module's cards adds no duplicates
+    moduleId: string;
+    moduleName: string;
+    source: 'question' | 'concept';
+    front: string;
+    back: string;
+    easeFactor: number;
+    interval: number; // Days until the next review
+    repetitions: number; // Successful reviews in a row
+    dueAt: string;
+    lastReviewedAt: string | null;
+    createdAt: string;
+};
+
+// Ratings offered after revealing the answer, as SM-2 quality scores
+export const RATINGS = [
+    { quality: 1, label: 'Again' },
+    { quality: 3, label: 'Hard' },
+    { quality: 4, label: 'Good' },
+    { quality: 5, label: 'Easy' },
+];
+
+const INITIAL_EASE = 2.5;
+const MIN_EASE = 1.3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Small non-cryptographic string hash (FNV-1a) for stable card IDs
+const hash = (text: string) => {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        h ^= text.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return (h >>> 0).toString(36);
+};
+
+const createCard = (moduleId: string, moduleName: string, source: Flashcard['source'], front: string, back: string, now: Date): Flashcard => ({
+    cardId: `${moduleId}-${hash(front)}`,
+    moduleId,
+    moduleName,
+    source,
+    front,
+    back,
+    easeFactor: INITIAL_EASE,
+    interval: 0,
+    repetitions: 0,
+    dueAt: now.toISOString(), // New cards are due straight away
+    lastReviewedAt: null,
+    createdAt: now.toISOString(),
+});
+
+const questionFront = (question: Question) => {
+    const type = questionTypeOf(question);
+    if ((type === 'multiple_choice' || type === 'multi_select') && 'options' in question) {
+        return `${question.question}\n${Object.entries(question.options).map(([key, value]) => `${key}. ${value}`).join('\n')}`;
+    }
+    if (type === 'true_false') return `True or false: ${question.question}`;
+    return question.question;
+};
+
+const answerText = (question: Question) => {
+    switch (question.type) {
+        case 'multi_select':
+            return question.correctAnswers.map(key => `${key}. ${question.options[key]}`).join('\n');
+        case 'true_false':
+            return question.isTrue ? 'True' : 'False';
+        case 'numeric':
+            return `${question.correctValue}${question.unit ? ` ${question.unit}` : ''}`;
+        case 'short_text':
+            return question.modelAnswer;
+        case 'ordering':
+            return question.items.map((item, i) => `${i + 1}. ${item}`).join('\n');
+        case 'matching':
+            return question.pairs.map(p => `${p.left} → ${p.right}`).join('\n');
+        default:
+            return `${question.correctAnswer}. ${question.options[question.correctAnswer] ?? ''}`.trim();
+    }
+};
+
+// Cards for every question the learner did not get fully right, once per question across attempts
+export const cardsFromAttempts = (moduleId: string, moduleName: string, attempts: Attempt[], now = new Date()): Flashcard[] => {
+    const cards = new Map<string, Flashcard>();
+    attempts.forEach(attempt => attempt.questions.forEach((question, i) => {
+        if (attempt.results[i]?.correct) return;
+        const back = question.explanation ? `${answerText(question)}\n\n${question.explanation}` : answerText(question);
+        const card = createCard(moduleId, moduleName, 'question', questionFront(question), back, now);
+        cards.set(card.cardId, card);
+    }));
+    return Array.from(cards.values());
+};
+
+export const cardsFromAssignment = (moduleId: string, moduleName: string, assignment: AssignmentContent | null, now = new Date()): Flashcard[] => {
+    if (!assignment) return [];
+    const concepts = [
+        assignment.scenario,
+        ...assignment.sections.map(s => ({ title: s.section_title || s.sub_scenario.title, description: s.sub_scenario.description })),
+    ].filter(c => c?.title?.trim() && c.description?.trim());
+    return concepts.map(c => createCard(moduleId, moduleName, 'concept', `Key concept in "${moduleName}": ${c.title.trim()}`, c.description.trim(), now));
+};
+
+// --- Scheduling ---
+// SM-2: a rating below 3 restarts the card at one day; otherwise intervals go 1, 6, then interval × ease
+export const reviewCard = (card: Flashcard, quality: number, now = new Date()): Flashcard => {
+    const easeFactor = Math.max(MIN_EASE, card.easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
+    let repetitions = card.repetitions + 1;
+    let interval: number;
+    if (quality < 3) {
+        repetitions = 0;
+        interval = 1;
+    } else if (repetitions === 1) {
+        interval = 1;
+    } else if (repetitions === 2) {
+        interval = 6;
+    } else {
+        interval = Math.round(card.interval * card.easeFactor);
+    }
+    return {
+        ...card,
+        easeFactor,
+        repetitions,
+        interval,
+        dueAt: new Date(now.getTime() + interval * DAY_MS).toISOString(),
+        lastReviewedAt: now.toISOString(),
+    };
+};
+
+// Earliest due first
+export const dueCards = (cards: Flashcard[], now = new Date()) =>
+    cards.filter(c => new Date(c.dueAt) <= now).sort((a, b) => a.dueAt.localeCompare(b.dueAt));
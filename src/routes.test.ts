@@ -0,0 +1,41 @@
+import { defaultPhaseFor, guardPhase, parseAppPath, pathForPhase } from './routes.ts';
+
+const moduleWith = (overrides = {}) => ({
+    id: 'module-1',
+    name: 'Qubits',
+    status: 'started',
+    resources: [],
+    quizzes: [] as { score: number }[],
+    finalTestScore: 0,
+    certificateIssued: false,
+    ...overrides,
+});
+
+test('round-trips every phase through its URL', () => {
+    (['resources', 'assignment', 'quiz', 'finalTest', 'results', 'history'] as const).forEach(phase => {
+        expect(parseAppPath(pathForPhase(phase, 'module-1'))).toEqual({ phase, moduleId: 'module-1' });
+    });
+    expect(pathForPhase('finalTest', 'module-1')).toBe('/modules/module-1/final');
+    expect(parseAppPath('/modules/')).toEqual({ phase: 'moduleSelect', moduleId: null });
+});
+
+test('rejects paths outside the app', () => {
+    expect(parseAppPath('/')).toBeNull();
+    expect(parseAppPath('/modules/module-1')).toBeNull();
+    expect(parseAppPath('/modules/module-1/unknown')).toBeNull();
+});
+
+test('opens modules where selectModule used to', () => {
+    expect(defaultPhaseFor(moduleWith())).toBe('assignment');
+    expect(defaultPhaseFor(moduleWith({ status: 'assignment_done' }))).toBe('quiz');
+    expect(defaultPhaseFor(moduleWith({ quizzes: [{ score: 90 }, { score: 85 }] }))).toBe('finalTest');
+    expect(defaultPhaseFor(moduleWith({ status: 'needs_revisit' }))).toBe('results');
+});
+
+test('guards the final test and results', () => {
+    expect(guardPhase(moduleWith({ quizzes: [{ score: 60 }] }), 'finalTest')).toBe('quiz');
+    expect(guardPhase(moduleWith({ quizzes: [{ score: 60 }, { score: 80 }] }), 'finalTest')).toBe('finalTest');
+    expect(guardPhase(moduleWith(), 'results')).toBe('assignment');
+    expect(guardPhase(moduleWith({ status: 'completed' }), 'quiz')).toBe('results');
+    expect(guardPhase(moduleWith({ status: 'completed' }), 'history')).toBe('history');
+});
@@ -0,0 +1,63 @@
+import { Module } from './types.ts';
+
+// --- URL Routing for App Phases ---
+// /modules                      -> moduleSelect
+// /modules/:id/resources        -> resources
+// /modules/:id/assignment       -> assignment
+// /modules/:id/quiz             -> quiz
+// /modules/:id/final            -> finalTest
+// /modules/:id/results          -> results
+// /modules/:id/history          -> history (past quiz and final-test attempts)
+
+export type AppPhase = 'moduleSelect' | 'resources' | 'assignment' | 'quiz' | 'finalTest' | 'results' | 'history';
+
+const PHASE_SEGMENTS: { [phase in Exclude<AppPhase, 'moduleSelect'>]: string } = {
+    resources: 'resources',
+    assignment: 'assignment',
+    quiz: 'quiz',
+    finalTest: 'final',
+    results: 'results',
+    history: 'history',
+};
+
+export const MODULES_PATH = '/modules';
+export const TEACH_PATH = '/teach'; // Teacher dashboard, routed in index.tsx
+export const ADMIN_USAGE_PATH = '/admin/usage'; // AI usage for all users, routed in index.tsx
+
+export const pathForPhase = (phase: AppPhase, moduleId?: string | null) => {
+    if (phase === 'moduleSelect' || !moduleId) return MODULES_PATH;
+    return `${MODULES_PATH}/${encodeURIComponent(moduleId)}/${PHASE_SEGMENTS[phase]}`;
+};
+
+// Returns null for paths that don't belong to the app so the caller can redirect
+export const parseAppPath = (pathname: string): { phase: AppPhase; moduleId: string | null } | null => {
+    const match = pathname.replace(/\/+$/, '').match(/^\/modules(?:\/([^/]+)(?:\/([^/]+))?)?$/);
+    if (!match) return null;
+    const [, moduleId, segment] = match;
+    if (!moduleId) return { phase: 'moduleSelect', moduleId: null };
+    if (!segment) return null;
+    const phase = (Object.keys(PHASE_SEGMENTS) as AppPhase[]).find(p => PHASE_SEGMENTS[p] === segment);
+    return phase ? { phase, moduleId: decodeURIComponent(moduleId) } : null;
+};
+
+const isFinished = (module: Module) => module.status === 'completed' || module.status === 'needs_revisit';
+
+// The final test unlocks once any practice quiz scores 80 or more
+export const hasPassedQuiz = (module: Module) => module.quizzes.some(q => q.score >= 80);
+
+// Where opening a module lands, based on its status (the old selectModule logic)
+export const defaultPhaseFor = (module: Module): AppPhase => {
+    if (isFinished(module)) return 'results';
+    if (module.status === 'assignment_done') return 'quiz';
+    if (module.quizzes.length > 0 && module.quizzes.every(q => q.score >= 80)) return 'finalTest';
+    return 'assignment';
+};
+
+// Guards a requested phase for a module, returning the phase that should actually be shown
+export const guardPhase = (module: Module, requested: AppPhase): AppPhase => {
+    if (requested === 'moduleSelect' || requested === 'history') return requested; // Attempts stay reviewable after the module is finished
+    if (isFinished(module)) return 'results';
+    if (requested === 'results') return defaultPhaseFor(module);
+    if (requested === 'finalTest' && !hasPassedQuiz(module)) return 'quiz';
+    return requested;
+};
@@ -0,0 +1,59 @@
+import { fireEvent, render, screen } from '@testing-library/react';
+import { CodeTask } from './CodeTask.tsx';
+import { runCode } from './runner.ts';
+
+jest.mock('./runner.ts', () => ({ runCode: jest.fn() }));
+
+const task: any = {
+    task_id: '1.1',
+    task_description: 'Write add(a, b).',
+    marks: 10,
+    type: 'code_input',
+    language: 'Python',
+    test_cases: [
+        { description: 'adds', test_code: 'assert add(2, 3) == 5' },
+        { description: 'negatives', test_code: 'assert add(-2, -3) == -5' },
+    ],
+};
+
+test('runs the code with its hidden tests and shows the pass rate', async () => {
+    (runCode as jest.Mock).mockResolvedValue({
+        stdout: '5\n',
+        stderr: '',
+        error: null,
+        timedOut: false,
+        durationMs: 12,
+        tests: [{ description: 'adds', passed: true }, { description: 'negatives', passed: false, error: 'AssertionError' }],
+    });
+    render(<CodeTask task={task} value="def add(a, b): return a + b" onChange={() => {}} />);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Run' }));
+
+    expect(await screen.findByText('Hidden tests: 1 / 2 passed')).toBeInTheDocument();
+    expect(runCode).toHaveBeenCalledWith({ language: 'python', code: 'def add(a, b): return a + b', tests: task.test_cases });
+    expect(screen.getByText('5')).toBeInTheDocument();
+});
+
+test('shows a time-limit error from the sandbox', async () => {
+    (runCode as jest.Mock).mockResolvedValue({
+        stdout: '',
+        stderr: '',
+        error: 'Time limit exceeded (5s). Check for infinite loops.',
+        timedOut: true,
+        durationMs: 5000,
+        tests: [{ description: 'adds', passed: false }, { description: 'negatives', passed: false }],
+    });
+    render(<CodeTask task={task} value="while True: pass" onChange={() => {}} />);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Run' }));
+
+    expect(await screen.findByText(/Time limit exceeded/)).toBeInTheDocument();
+    expect(screen.getByText('Hidden tests: 0 / 2 passed')).toBeInTheDocument();
+});
+
+test('does not offer to run languages the sandbox cannot execute', () => {
+    render(<CodeTask task={{ ...task, language: 'Rust' }} value="fn main() {}" onChange={() => {}} />);
+
+    expect(screen.getByRole('button', { name: 'Run' })).toBeDisabled();
+    expect(screen.getByText('Running Rust code in the browser is not supported yet.')).toBeInTheDocument();
+});
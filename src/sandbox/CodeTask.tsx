@@ -0,0 +1,78 @@
+import { useState } from 'react';
+import { AssignmentTask } from '../types.ts';
+import { runCode, RunResult } from './runner.ts';
+import { normalizeLanguage, summarizeTestResults } from './testCases.ts';
+
+type Props = {
+    task: AssignmentTask;
+    value: string;
+    onChange: (value: string) => void;
+};
+
+// Code editor for code_input tasks with a Run button that executes in the sandbox worker
+export const CodeTask = ({ task, value, onChange }: Props) => {
+    const [running, setRunning] = useState(false);
+    const [result, setResult] = useState<RunResult | null>(null);
+    const language = normalizeLanguage(task.language);
+    const testCases = task.test_cases || [];
+
+    const handleRun = async () => {
+        if (!language) return;
+        setRunning(true);
+        try {
+            setResult(await runCode({ language, code: value, tests: testCases }));
+        } finally {
+            setRunning(false);
+        }
+    };
+
+    const summary = result && result.tests.length > 0 ? summarizeTestResults(result.tests) : null;
+
+    return (
+        <div className="space-y-2">
+            <textarea
+                className="w-full p-3 border border-gray-300 rounded-md focus:ring-2 focus:ring-green-500 outline-none text-base font-mono bg-gray-900 text-green-400"
+                rows={10}
+                placeholder={`Write your ${task.language || 'Python'} code for Task ${task.task_id} here...`}
+                value={value}
+                onChange={(e) => onChange(e.target.value)}
+            ></textarea>
+            <div className="flex items-center gap-3">
+                <button
+                    onClick={handleRun}
+                    disabled={running || !language || !value.trim()}
+                    className="bg-green-600 text-white font-bold py-2 px-4 rounded-md shadow-md hover:bg-green-700 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                    {running ? 'Running...' : 'Run'}
+                </button>
+                {!language && (
+                    <span className="text-sm text-gray-500">Running {task.language} code in the browser is not supported yet.</span>
+                )}
+                {language && testCases.length > 0 && (
+                    <span className="text-sm text-gray-500">{testCases.length} hidden test{testCases.length === 1 ? '' : 's'} run with your code.</span>
+                )}
+            </div>
+            {result && (
+                <div className="p-3 rounded-md bg-gray-800 text-sm font-mono space-y-2">
+                    {result.stdout && <pre className="text-gray-100 whitespace-pre-wrap">{result.stdout}</pre>}
+                    {result.stderr && <pre className="text-yellow-300 whitespace-pre-wrap">{result.stderr}</pre>}
+                    {result.error && <pre className="text-red-400 whitespace-pre-wrap">{result.error}</pre>}
+                    {!result.stdout && !result.stderr && !result.error && <p className="text-gray-400">(no output)</p>}
+                    <p className="text-gray-400">Finished in {result.durationMs} ms</p>
+                    {summary && (
+                        <div className="pt-2 border-t border-gray-600">
+                            <p className={summary.passed === summary.total ? 'text-green-400' : 'text-yellow-300'}>
+                                Hidden tests: {summary.passed} / {summary.total} passed
+                            </p>
+                            <ul className="text-gray-300">
+                                {summary.results.map((test, index) => (
+                                    <li key={index}>{test.passed ? '✔' : '✘'} {test.description}</li>
+                                ))}
+                            </ul>
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
@@ -0,0 +1,105 @@
+// Isolation for the code sandbox. Learner code runs in a worker started by a hidden iframe that
+// has `sandbox="allow-scripts"` and no `allow-same-origin`, so both get an opaque origin: they
+// cannot read the app's IndexedDB (where Firebase keeps the auth token), cookies or DOM. The
+// frame's CSP also applies to the blob worker and limits network access to the Pyodide files.
+
+// Worker-like handle on one sandbox frame, as used by runner.ts
+export type Sandbox = {
+    send: (message: object) => void;
+    // Returns a function that removes both listeners
+    listen: (onMessage: (data: any) => void, onCrash: (message: string) => void) => () => void;
+    destroy: () => void;
+};
+
+export type SandboxUrls = {
+    origin: string; // The app's origin, the only one the frame talks to
+    workerUrl: string;
+    indexURL: string; // Pyodide runtime directory, copied there by scripts/copy-pyodide.js
+};
+
+export const sandboxUrls = (base: string = window.location.href): SandboxUrls => {
+    const publicUrl = process.env.PUBLIC_URL || '';
+    return {
+        origin: new URL(base).origin,
+        workerUrl: new URL(`${publicUrl}/sandbox/sandbox.worker.js`, base).href,
+        indexURL: new URL(`${publicUrl}/pyodide/`, base).href,
+    };
+};
+
+export const sandboxPolicy = ({ origin, indexURL }: SandboxUrls) => [
+    "default-src 'none'",
+    // Inline for the bridge below, eval for learner JavaScript and Pyodide, blob: for the worker
+    `script-src 'unsafe-inline' 'unsafe-eval' 'wasm-unsafe-eval' blob: ${origin}`,
+    'worker-src blob:',
+    `connect-src ${indexURL}`,
+].join('; ');
+
+// The frame only relays messages between the app and its worker. The worker is loaded through a
+// blob so it inherits the frame's opaque origin and CSP instead of the app's.
+export const sandboxFrameHtml = (urls: SandboxUrls) => {
+    const origin = JSON.stringify(urls.origin);
+    const bootstrap = JSON.stringify(`importScripts(${JSON.stringify(urls.workerUrl)});`);
+    return `<!DOCTYPE html>
+<html><head>
+<meta http-equiv="Content-Security-Policy" content="${sandboxPolicy(urls)}">
+<script>
+const worker = new Worker(URL.createObjectURL(new Blob([${bootstrap}], { type: 'text/javascript' })));
+worker.onmessage = (event) => parent.postMessage(event.data, ${origin});
+worker.onerror = (event) => {
+    event.preventDefault();
+    parent.postMessage({ type: 'crash', message: event.message }, ${origin});
+};
+addEventListener('message', (event) => {
+    if (event.source === parent) worker.postMessage(event.data);
+});
+parent.postMessage({ type: 'ready' }, ${origin});
+</script>
+</head></html>`;
+};
+
+export const createFrameSandbox = (): Sandbox => {
+    const iframe = document.createElement('iframe');
+    iframe.setAttribute('sandbox', 'allow-scripts');
+    iframe.style.display = 'none';
+    iframe.srcdoc = sandboxFrameHtml(sandboxUrls());
+
+    let ready = false;
+    const pending: object[] = []; // Messages sent before the frame's bridge is listening
+    const messageListeners = new Set<(data: any) => void>();
+    const crashListeners = new Set<(message: string) => void>();
+
+    // An opaque origin posts as "null", so the frame is recognised by its window instead
+    const onWindowMessage = (event: MessageEvent) => {
+        if (event.source !== iframe.contentWindow || !event.data) return;
+        if (event.data.type === 'ready') {
+            ready = true;
+            pending.splice(0).forEach(message => iframe.contentWindow?.postMessage(message, '*'));
+        } else if (event.data.type === 'crash') {
+            crashListeners.forEach(listener => listener(event.data.message || 'unknown error'));
+        } else {
+            messageListeners.forEach(listener => listener(event.data));
+        }
+    };
+    window.addEventListener('message', onWindowMessage);
+    document.body.appendChild(iframe);
+
+    return {
+        send: (message) => {
+            if (ready) iframe.contentWindow?.postMessage(message, '*');
+            else pending.push(message);
+        },
+        listen: (onMessage, onCrash) => {
+            messageListeners.add(onMessage);
+            crashListeners.add(onCrash);
+            return () => {
+                messageListeners.delete(onMessage);
+                crashListeners.delete(onCrash);
+            };
+        },
+        // Removing the frame also ends its worker, however busy it is
+        destroy: () => {
+            window.removeEventListener('message', onWindowMessage);
+            iframe.remove();
+        },
+    };
+};
@@ -0,0 +1,127 @@
+import { AssignmentContent, AssignmentResponses } from '../types.ts';
+import { createFrameSandbox, Sandbox, sandboxUrls } from './frame.ts';
+import { normalizeLanguage, SandboxLanguage, summarizeTestResults, TestCase, TestCaseResult, TestResultsBySection } from './testCases.ts';
+
+export type RunRequest = {
+    language: SandboxLanguage;
+    code: string;
+    tests?: TestCase[];
+    timeoutMs?: number; // Wall-clock limit for the code plus all of its tests
+    memoryLimitMb?: number;
+};
+
+export type RunResult = {
+    stdout: string;
+    stderr: string;
+    error: string | null;
+    timedOut: boolean;
+    tests: TestCaseResult[];
+    durationMs: number;
+};
+
+export const DEFAULT_TIMEOUT_MS = 5000;
+export const STARTUP_TIMEOUT_MS = 30000; // Loading the frame and, for Python, the Pyodide runtime
+export const DEFAULT_MEMORY_LIMIT_MB = 256;
+export const MAX_OUTPUT_CHARS = 20000;
+
+const failedRun = (tests: TestCase[], error: string, timedOut: boolean, testError: string): Omit<RunResult, 'durationMs'> => ({
+    stdout: '',
+    stderr: '',
+    error,
+    timedOut,
+    tests: tests.map(t => ({ description: t.description, passed: false, error: testError })),
+});
+
+// Runs code in sandboxes made by createSandbox (frame.ts in the app, fakes in tests).
+export const createRunner = (createSandbox: () => Sandbox = createFrameSandbox) => {
+    // Pyodide takes seconds to boot, so one Python sandbox is kept warm and only replaced after a
+    // timeout, crash or memory overrun. JavaScript gets a fresh sandbox for every run.
+    let pythonSandbox: Sandbox | null = null;
+    let pythonQueue: Promise<unknown> = Promise.resolve(); // Python runs share a sandbox, so they go one at a time
+    let nextRunId = 0;
+
+    const execute = ({ language, code, tests = [], timeoutMs = DEFAULT_TIMEOUT_MS, memoryLimitMb = DEFAULT_MEMORY_LIMIT_MB }: RunRequest): Promise<RunResult> => {
+        const sandbox = language === 'python' ? (pythonSandbox = pythonSandbox || createSandbox()) : createSandbox();
+        const id = ++nextRunId;
+
+        const discardSandbox = () => {
+            sandbox.destroy();
+            if (sandbox === pythonSandbox) pythonSandbox = null;
+        };
+
+        return new Promise(resolve => {
+            let startedAt = Date.now();
+            let unlisten = () => {};
+            let timer: ReturnType<typeof setTimeout>;
+
+            const finish = (result: Omit<RunResult, 'durationMs'>, keepSandbox: boolean) => {
+                clearTimeout(timer);
+                unlisten();
+                if (!keepSandbox || language !== 'python') discardSandbox();
+                resolve({ ...result, durationMs: Date.now() - startedAt });
+            };
+
+            // The clock runs from dispatch, so a runtime that never finishes loading is stopped too
+            timer = setTimeout(() => finish(
+                failedRun(tests, `The ${language} sandbox did not start within ${STARTUP_TIMEOUT_MS / 1000}s. Try again.`, true, 'Sandbox did not start'),
+                false,
+            ), STARTUP_TIMEOUT_MS);
+
+            const onMessage = (data: any) => {
+                if (data.id !== id) return;
+                if (data.type === 'started') {
+                    startedAt = Date.now();
+                    clearTimeout(timer);
+                    timer = setTimeout(() => finish(
+                        failedRun(tests, `Time limit exceeded (${timeoutMs / 1000}s). Check for infinite loops.`, true, 'Time limit exceeded'),
+                        false,
+                    ), timeoutMs);
+                    return;
+                }
+                const memoryError = data.memoryExceeded ? `Memory limit exceeded (${memoryLimitMb} MB).` : null;
+                finish({
+                    stdout: data.stdout,
+                    stderr: data.stderr,
+                    error: memoryError || data.error,
+                    timedOut: false,
+                    tests: memoryError ? data.tests.map((t: TestCaseResult) => ({ ...t, passed: false, error: memoryError })) : data.tests,
+                }, !memoryError);
+            };
+
+            // Uncaught worker errors (including the browser killing it for memory) end the run
+            const onCrash = (message: string) => finish(failedRun(tests, `Sandbox crashed: ${message}`, false, 'Sandbox crashed'), false);
+
+            unlisten = sandbox.listen(onMessage, onCrash);
+            sandbox.send({ id, language, code, tests, indexURL: sandboxUrls().indexURL, memoryLimitMb, maxOutput: MAX_OUTPUT_CHARS });
+        });
+    };
+
+    const runCode = (request: RunRequest): Promise<RunResult> => {
+        if (request.language !== 'python') return execute(request);
+        const run = pythonQueue.then(() => execute(request));
+        pythonQueue = run.catch(() => undefined);
+        return run;
+    };
+
+    // Runs the hidden tests of every answered, runnable code task ahead of grading.
+    const runHiddenTests = async (assignment: AssignmentContent, responses: AssignmentResponses): Promise<TestResultsBySection> => {
+        const resultsBySection: TestResultsBySection = {};
+        for (const section of assignment.sections) {
+            for (const task of section.tasks) {
+                const language = normalizeLanguage(task.language);
+                const code = responses[section.section_id]?.[task.task_id] || '';
+                if (task.type !== 'code_input' || !language || !task.test_cases?.length || !code.trim()) continue;
+                const result = await runCode({ language, code, tests: task.test_cases });
+                resultsBySection[section.section_id] = {
+                    ...(resultsBySection[section.section_id] || {}),
+                    [task.task_id]: summarizeTestResults(result.tests),
+                };
+            }
+        }
+        return resultsBySection;
+    };
+
+    return { runCode, runHiddenTests };
+};
+
+export const { runCode, runHiddenTests } = createRunner();
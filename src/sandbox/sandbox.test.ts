@@ -0,0 +1,200 @@
+import fs from 'fs';
+import path from 'path';
+import { Sandbox, sandboxFrameHtml, sandboxPolicy, sandboxUrls } from './frame.ts';
+import { createRunner, DEFAULT_TIMEOUT_MS, STARTUP_TIMEOUT_MS } from './runner.ts';
+import { summarizeTestResults } from './testCases.ts';
+
+const tests = [
+    { description: 'adds', test_code: 'check(1)' },
+    { description: 'subtracts', test_code: 'check(2)' },
+];
+
+// Sandbox whose worker is played by `reply`, which gets each message and a way to answer it
+const fakeSandboxes = (reply: (message: any, post: (data: object) => void) => void) => {
+    const created: { sandbox: Sandbox; destroyed: boolean }[] = [];
+    const createSandbox = () => {
+        let onMessage = (data: any) => {};
+        const entry = {
+            destroyed: false,
+            sandbox: {
+                send: (message: any) => reply(message, data => onMessage(data)),
+                listen: (listener: (data: any) => void) => {
+                    onMessage = listener;
+                    return () => { onMessage = () => {}; };
+                },
+                destroy: () => { entry.destroyed = true; },
+            } as Sandbox,
+        };
+        created.push(entry);
+        return entry.sandbox;
+    };
+    return { created, createSandbox };
+};
+
+const result = (id: number, overrides = {}) => ({ id, type: 'result', stdout: 'ok\n', stderr: '', error: null, tests: [], memoryExceeded: false, ...overrides });
+
+const flushQueue = () => Promise.resolve(); // Python runs start after the previous one settles
+
+afterEach(() => jest.useRealTimers());
+
+test('reports output and test results, keeping the Python sandbox warm between runs', async () => {
+    const fake = fakeSandboxes((message, post) => {
+        post({ id: message.id, type: 'started' });
+        post(result(message.id, { tests: [{ description: 'adds', passed: true }, { description: 'subtracts', passed: false, error: 'AssertionError' }] }));
+    });
+    const { runCode } = createRunner(fake.createSandbox);
+
+    const first = await runCode({ language: 'python', code: 'print("ok")', tests });
+    await runCode({ language: 'python', code: 'print("ok")' });
+
+    expect(first).toMatchObject({ stdout: 'ok\n', error: null, timedOut: false });
+    expect(summarizeTestResults(first.tests)).toMatchObject({ passed: 1, total: 2 });
+    expect(fake.created).toHaveLength(1);
+    expect(fake.created[0].destroyed).toBe(false);
+});
+
+test('gives every JavaScript run a fresh sandbox', async () => {
+    const fake = fakeSandboxes((message, post) => {
+        post({ id: message.id, type: 'started' });
+        post(result(message.id));
+    });
+    const { runCode } = createRunner(fake.createSandbox);
+
+    await runCode({ language: 'javascript', code: 'console.log("ok")' });
+    await runCode({ language: 'javascript', code: 'console.log("ok")' });
+
+    expect(fake.created.map(entry => entry.destroyed)).toEqual([true, true]);
+});
+
+test('stops a run that exceeds the time limit and fails its tests', async () => {
+    jest.useFakeTimers();
+    const fake = fakeSandboxes((message, post) => post({ id: message.id, type: 'started' })); // never finishes
+    const { runCode } = createRunner(fake.createSandbox);
+
+    const run = runCode({ language: 'python', code: 'while True: pass', tests });
+    await flushQueue();
+    jest.advanceTimersByTime(DEFAULT_TIMEOUT_MS);
+    const timedOut = await run;
+
+    expect(timedOut.timedOut).toBe(true);
+    expect(timedOut.error).toMatch(/Time limit exceeded/);
+    expect(timedOut.tests.every(t => !t.passed)).toBe(true);
+    expect(fake.created[0].destroyed).toBe(true);
+});
+
+test('stops a sandbox whose runtime never finishes loading', async () => {
+    jest.useFakeTimers();
+    const fake = fakeSandboxes(() => {}); // never reports started
+    const { runCode } = createRunner(fake.createSandbox);
+
+    const run = runCode({ language: 'python', code: 'print(1)' });
+    await flushQueue();
+    jest.advanceTimersByTime(STARTUP_TIMEOUT_MS);
+    const stalled = await run;
+
+    expect(stalled).toMatchObject({ timedOut: true, error: expect.stringMatching(/did not start/) });
+    expect(fake.created[0].destroyed).toBe(true);
+});
+
+test('fails every test and replaces the sandbox after a memory overrun', async () => {
+    const fake = fakeSandboxes((message, post) => {
+        post({ id: message.id, type: 'started' });
+        post(result(message.id, { memoryExceeded: true, tests: [{ description: 'adds', passed: true }] }));
+    });
+    const { runCode } = createRunner(fake.createSandbox);
+
+    const overrun = await runCode({ language: 'python', code: 'x = [0] * 10**9', memoryLimitMb: 64 });
+
+    expect(overrun.error).toBe('Memory limit exceeded (64 MB).');
+    expect(overrun.tests).toEqual([{ description: 'adds', passed: false, error: 'Memory limit exceeded (64 MB).' }]);
+    expect(fake.created[0].destroyed).toBe(true);
+});
+
+test('runs hidden tests only for answered, runnable code tasks', async () => {
+    const fake = fakeSandboxes((message, post) => {
+        post({ id: message.id, type: 'started' });
+        post(result(message.id, { tests: message.tests.map((t: any, i: number) => ({ description: t.description, passed: i === 0 })) }));
+    });
+    const { runHiddenTests } = createRunner(fake.createSandbox);
+    const assignment: any = {
+        sections: [{
+            section_id: 's1',
+            tasks: [
+                { task_id: '1.1', type: 'code_input', language: 'Python', test_cases: tests },
+                { task_id: '1.2', type: 'code_input', language: 'Rust', test_cases: tests },
+                { task_id: '1.3', type: 'code_input', language: 'js', test_cases: tests },
+                { task_id: '1.4', type: 'text_input' },
+            ],
+        }],
+    };
+
+    const results = await runHiddenTests(assignment, { s1: { '1.1': 'def f(): pass', '1.2': 'fn main() {}', '1.3': '  ', '1.4': 'text' } });
+
+    expect(Object.keys(results.s1)).toEqual(['1.1']);
+    expect(results.s1['1.1']).toMatchObject({ passed: 1, total: 2 });
+});
+
+// --- Frame ---
+test('isolates the frame in an opaque origin whose network access ends at the Pyodide files', () => {
+    const urls = sandboxUrls('https://academy.example/modules/1');
+    const html = sandboxFrameHtml(urls);
+
+    expect(urls).toEqual({
+        origin: 'https://academy.example',
+        workerUrl: 'https://academy.example/sandbox/sandbox.worker.js',
+        indexURL: 'https://academy.example/pyodide/',
+    });
+    expect(sandboxPolicy(urls)).toContain("default-src 'none'");
+    expect(sandboxPolicy(urls)).toContain('connect-src https://academy.example/pyodide/');
+    expect(html).toContain(`content="${sandboxPolicy(urls)}"`);
+    expect(html).toContain('parent.postMessage({ type: \'ready\' }, "https://academy.example")');
+});
+
+// --- Worker ---
+// The worker is a plain script in public/, run here against a stand-in worker scope
+const workerSource = fs.readFileSync(path.join(__dirname, '../../public/sandbox/sandbox.worker.js'), 'utf8');
+
+const runWorker = async (message: object, heapMb = 10) => {
+    const posted: any[] = [];
+    const scope: any = {
+        postMessage: (data: any) => posted.push(data),
+        performance: { memory: { usedJSHeapSize: heapMb * 1024 * 1024 } },
+    };
+    // eslint-disable-next-line no-new-func
+    new Function('self', workerSource)(scope);
+    await scope.onmessage({ data: { id: 1, language: 'javascript', tests: [], memoryLimitMb: 256, maxOutput: 1000, ...message } });
+    return posted;
+};
+
+test('worker runs JavaScript with its console captured and reports each hidden test', async () => {
+    const posted = await runWorker({
+        code: 'const add = (a, b) => a + b;\nconsole.log("sum", add(2, 3));\nconsole.error("careful");',
+        tests: [
+            { description: 'adds', test_code: 'if (add(2, 3) !== 5) throw new Error("wrong sum")' },
+            { description: 'negatives', test_code: 'if (add(-2, -3) !== 0) throw new Error("expected 0")' },
+        ],
+    });
+
+    expect(posted[0]).toEqual({ id: 1, type: 'started' });
+    expect(posted[1]).toMatchObject({
+        stdout: 'sum 5\n',
+        stderr: 'careful\n',
+        error: null,
+        memoryExceeded: false,
+        tests: [{ description: 'adds', passed: true }, { description: 'negatives', passed: false, error: 'expected 0' }],
+    });
+});
+
+test('worker truncates output at the character limit', async () => {
+    const [, reply] = await runWorker({ code: 'for (let i = 0; i < 1000; i++) console.log("line " + i);', maxOutput: 50 });
+
+    expect(reply.stdout).toHaveLength(50);
+    expect(reply.stderr).toBe('\n[output truncated]');
+});
+
+test('worker flags a heap over the memory limit and skips the remaining tests', async () => {
+    const [, reply] = await runWorker({ code: 'let x = 1;', memoryLimitMb: 64, tests: [{ description: 'runs', test_code: 'x++' }] }, 128);
+
+    expect(reply.memoryExceeded).toBe(true);
+    expect(reply.tests).toEqual([{ description: 'runs', passed: false }]);
+});
@@ -0,0 +1,65 @@
+// Hidden test cases for code_input tasks and how their results feed into marks.
+// Test cases are generated with the assignment and stored on each task as `test_cases`.
+
+export type TestCase = {
+    description: string;
+    test_code: string; // Appended after the learner's code; passes when it runs without raising
+};
+
+export type TestCaseResult = {
+    description: string;
+    passed: boolean;
+    error?: string;
+};
+
+export type TestSummary = {
+    passed: number;
+    total: number;
+    results: TestCaseResult[];
+};
+
+// Per task, keyed like assignment responses: section_id -> task_id -> summary
+export type TestResultsBySection = { [sectionId: string]: { [taskId: string]: TestSummary } };
+
+export type SandboxLanguage = 'python' | 'javascript';
+
+// Share of a code task's marks decided by the hidden tests; the rest comes from the rubric grade
+export const TEST_CASE_WEIGHT = 0.5;
+
+// Maps the free-form `language` on a task to a runtime we can execute, or null when unsupported.
+export const normalizeLanguage = (language?: string): SandboxLanguage | null => {
+    const value = (language || 'python').trim().toLowerCase();
+    if (['python', 'python3', 'py'].includes(value)) return 'python';
+    if (['javascript', 'js', 'node', 'node.js', 'nodejs', 'ecmascript'].includes(value)) return 'javascript';
+    return null;
+};
+
+export const summarizeTestResults = (results: TestCaseResult[]): TestSummary => ({
+    passed: results.filter(r => r.passed).length,
+    total: results.length,
+    results,
+});
+
+// Blends the rubric score with the hidden-test pass rate for a code task.
+export const blendWithTestScore = (rubricScore: number, maxMarks: number, summary?: TestSummary | null) => {
+    if (!summary || summary.total === 0) return rubricScore;
+    const passRate = summary.passed / summary.total;
+    return rubricScore * (1 - TEST_CASE_WEIGHT) + maxMarks * passRate * TEST_CASE_WEIGHT;
+};
+
+// Schema fragment added to code_input tasks in the assignment generation schema
+export const testCasesSchema = {
+    type: "ARRAY",
+    items: {
+        type: "OBJECT",
+        properties: {
+            description: { type: "STRING" },
+            test_code: { type: "STRING" }
+        },
+        required: ["description", "test_code"]
+    }
+};
+
+export const TEST_CASE_PROMPT = `For every code_input task also provide 3-5 hidden "test_cases". Each test case has a short "description" and "test_code": a snippet that is appended after the learner's code and raises an error when the behaviour is wrong.
+            Use assert statements for Python (e.g. "assert add(2, 3) == 5") and statements that throw for JavaScript (e.g. "if (add(2, 3) !== 5) throw new Error('add(2, 3) should be 5')").
+            Name any functions or classes the tests call explicitly in the task_description so learners know the required interface. Leave test_cases empty for text_input tasks.`;
@@ -0,0 +1,8 @@
+// Development server hook (picked up by react-scripts). The code sandbox runs in an opaque
+// origin, so its Pyodide downloads are cross-origin and need CORS, as firebase.json sets in hosting.
+module.exports = (app) => {
+    app.use('/pyodide', (req, res, next) => {
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        next();
+    });
+};
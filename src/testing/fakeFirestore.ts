@@ -0,0 +1,59 @@
+// In-memory stand-in for the firebase/firestore calls the stores make, keyed by document path. Shared by
+// the store tests, which mock the SDK with it and seed or inspect `mockDocs`:
+//   jest.mock('firebase/firestore', () => jest.requireActual('../testing/fakeFirestore.ts').fakeFirestore);
+
+export const mockDocs: { [path: string]: any } = {};
+
+// Empties the store, then fills it with `docs`; call it from beforeEach
+export const resetMockDocs = (docs: { [path: string]: any } = {}) => {
+    Object.keys(mockDocs).forEach(path => delete mockDocs[path]);
+    Object.assign(mockDocs, docs);
+};
+
+type Ref = { path: string };
+type Filter = { field: string; value: unknown };
+
+const DELETE_FIELD = { deleteField: true };
+
+// Merges like setDoc with { merge: true }: nested maps field by field, plus the arrayUnion and deleteField sentinels
+const merge = (target: any, source: any): any => Object.entries(source).reduce((merged: any, [key, value]: [string, any]) => {
+    if (value === DELETE_FIELD) {
+        const { [key]: removed, ...rest } = merged;
+        return rest;
+    }
+    return {
+        ...merged,
+        [key]: value?.arrayUnion ? [...new Set([...(merged[key] || []), ...value.arrayUnion])]
+            : value && typeof value === 'object' && !Array.isArray(value) ? merge(merged[key] || {}, value) : value,
+    };
+}, { ...target });
+
+// collection(db, path), doc(db, path, id) and doc(collectionRef, id) all join onto the parent's path
+const ref = (parent: { path?: string }, ...segments: string[]): Ref => ({ path: [parent.path, ...segments].filter(Boolean).join('/') });
+
+const inCollection = (path: string) =>
+    Object.keys(mockDocs).filter(p => p.startsWith(`${path}/`) && !p.slice(path.length + 1).includes('/'));
+
+export const fakeFirestore = {
+    arrayUnion: (...items: unknown[]) => ({ arrayUnion: items }),
+    deleteField: () => DELETE_FIELD,
+    collection: ref,
+    doc: ref,
+    query: (collectionRef: Ref, filter?: Filter) => ({ ...collectionRef, filter }),
+    where: (field: string, op: string, value: unknown): Filter => ({ field, value }),
+    getDoc: async ({ path }: Ref) => ({ id: path.split('/').pop(), exists: () => path in mockDocs, data: () => mockDocs[path] }),
+    getDocs: async ({ path, filter }: Ref & { filter?: Filter }) => ({
+        docs: inCollection(path)
+            .filter(p => !filter || mockDocs[p][filter.field] === filter.value)
+            .map(p => ({ id: p.slice(path.length + 1), ref: { path: p }, data: () => mockDocs[p] })),
+    }),
+    setDoc: async ({ path }: Ref, data: any, options?: { merge?: boolean }) => {
+        mockDocs[path] = options?.merge ? merge(mockDocs[path] || {}, data) : data;
+    },
+    updateDoc: async ({ path }: Ref, data: any) => {
+        mockDocs[path] = merge(mockDocs[path], data);
+    },
+    deleteDoc: async ({ path }: Ref) => {
+        delete mockDocs[path];
+    },
+};
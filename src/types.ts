@@ -0,0 +1,69 @@
+// Shared data shapes for module documents stored under artifacts/${appId}/users/${userId}/modules
+import { TestCase } from './sandbox/testCases.ts';
+import { CertificateRecord } from './certificates/certificate.ts';
+import { Question, QuestionMix } from './questions/questionTypes.ts';
+import type { QuestionBanks } from './authoring/classContent.ts';
+import type { QuizRecord } from './questions/adaptive.ts';
+import type { ObjectiveMastery } from './mastery/mastery.ts';
+import type { ContentProvenance } from './content/contentCache.ts';
+
+export type { Question };
+
+export type AssignmentTask = {
+    task_id: string;
+    task_description: string;
+    marks: number;
+    type: string; // 'text_input' | 'code_input'
+    language?: string;
+    test_cases?: TestCase[]; // Hidden tests for code_input tasks
+    objectives?: string[]; // Learning objectives the task assesses, as listed in learning_objectives
+};
+
+export type AssignmentSection = {
+    section_id: string;
+    section_title: string;
+    marks: number;
+    sub_scenario: { title: string; description: string };
+    tasks: AssignmentTask[];
+};
+
+export type AssignmentContent = {
+    title: string;
+    total_marks: number;
+    learning_objectives?: string[]; // Absent on assignments generated before objectives were tagged
+    scenario: { title: string; description: string };
+    sections: AssignmentSection[];
+    resources: { title: string; url: string; type: string; category: string }[];
+};
+
+// Learner answers keyed by section_id, then task_id
+export type AssignmentResponses = { [sectionId: string]: { [taskId: string]: string } };
+
+export type Module = {
+    id: string;
+    name: string;
+    status: string;
+    resources: any[];
+    teacherPicks?: any[];
+    assignmentContent?: any;
+    assignments?: any;
+    quizzes: QuizRecord[];
+    finalTestScore: number;
+    certificateIssued: boolean;
+    certificate?: CertificateRecord | null; // Set once the learner issues their certificate
+    classId?: string; // Set when started from a topic an instructor assigned to a class
+    classTopicId?: string;
+    courseId?: string; // Set when started from a step of one of the learner's courses
+    courseStepId?: string;
+    objectives?: string[]; // Learning objectives of the course step the module covers
+    contentLocked?: boolean; // Started from a class release or a module file: the content is used as is, never regenerated
+    contentVersion?: number; // Release version the module was started from
+    contentProvenance?: ContentProvenance; // Which model and prompt version wrote the generated content, and when
+    questionBanks?: QuestionBanks; // Published quiz and final-test questions, used instead of generating them
+    mastery?: ObjectiveMastery[]; // Per learning objective, recomputed whenever work is graded
+    flashcardsAddedAt?: string; // Set once the module's review flashcards have been built
+    questionMix?: { quiz?: QuestionMix; finalTest?: QuestionMix }; // Question count and type mix per assessment
+    createdAt?: string;
+    lastUpdated?: string;
+    [key: string]: any;
+};
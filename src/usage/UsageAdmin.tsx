@@ -0,0 +1,192 @@
+import { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuthUser } from '../auth/useAuthUser.ts';
+import { MODULES_PATH } from '../routes.ts';
+import { addTotals, DailyUsage, dateRange, EMPTY_TOTALS, fillDays, formatCost, ModuleUsage, totalTokens, usageByUser, UsageTotals } from './usage.ts';
+import { isUsageAdmin, loadDailyUsage, loadModuleUsage } from './usageStore.ts';
+
+const RANGES = [7, 30, 90];
+
+const Totals = ({ totals }: { totals: UsageTotals }) => (
+    <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-center">
+        {[
+            ['Requests', totals.requests.toLocaleString()],
+            ['Input tokens', totals.inputTokens.toLocaleString()],
+            ['Output tokens', totals.outputTokens.toLocaleString()],
+            ['Estimated cost', formatCost(totals.costUsd)],
+        ].map(([label, value]) => (
+            <div key={label} className="p-4 bg-blue-50 rounded-lg">
+                <p className="text-sm text-gray-600">{label}</p>
+                <p className="text-2xl font-bold text-blue-800">{value}</p>
+            </div>
+        ))}
+    </div>
+);
+
+// --- One user's usage by module ---
+const UserModules = ({ uid }: { uid: string }) => {
+    const [modules, setModules] = useState<ModuleUsage[] | null>(null);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        setModules(null);
+        loadModuleUsage(uid)
+            .then(setModules)
+            .catch(e => {
+                console.error('Error loading module usage:', e);
+                setError(`Failed to load module usage: ${e.message}`);
+            });
+    }, [uid]);
+
+    if (error) return <p className="text-red-600">{error}</p>;
+    if (!modules) return <p className="text-gray-500">Loading modules...</p>;
+    if (modules.length === 0) return <p className="text-gray-600">No usage recorded by module.</p>;
+    return (
+        <table className="w-full text-sm">
+            <thead>
+                <tr className="text-left text-gray-600"><th className="py-1">Module</th><th>Requests</th><th>Tokens</th><th>Cost</th><th>Last used</th></tr>
+            </thead>
+            <tbody>
+                {modules.map(m => (
+                    <tr key={m.moduleId} className="border-t border-gray-200">
+                        <td className="py-1 font-mono">{m.moduleId}</td>
+                        <td>{m.requests}</td>
+                        <td>{totalTokens(m).toLocaleString()}</td>
+                        <td>{formatCost(m.costUsd)}</td>
+                        <td>{m.lastUsedAt ? new Date(m.lastUsedAt).toLocaleString() : ''}</td>
+                    </tr>
+                ))}
+            </tbody>
+        </table>
+    );
+};
+
+// --- Usage over time, for accounts with the `admin` claim ---
+const UsageReport = () => {
+    const [range, setRange] = useState(30);
+    const [records, setRecords] = useState<DailyUsage[] | null>(null);
+    const [openUser, setOpenUser] = useState<string | null>(null);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        setRecords(null);
+        setError('');
+        loadDailyUsage(range)
+            .then(setRecords)
+            .catch(e => {
+                console.error('Error loading usage:', e);
+                setError(`Failed to load usage: ${e.message}`);
+            });
+    }, [range]);
+
+    if (error) return <p className="text-red-600 text-center">{error}</p>;
+    if (!records) return <p className="text-gray-500 text-center">Loading usage...</p>;
+
+    const days = fillDays(records, dateRange(range));
+    const totals = days.reduce((sum: UsageTotals, day) => addTotals(sum, day), EMPTY_TOTALS);
+    const busiest = Math.max(1, ...days.map(d => d.requests));
+    const users = usageByUser(days);
+
+    return (
+        <div className="space-y-8">
+            <div className="flex justify-center gap-2">
+                {RANGES.map(r => (
+                    <button
+                        key={r}
+                        onClick={() => setRange(r)}
+                        className={`py-1 px-4 rounded-md font-semibold ${r === range ? 'bg-blue-600 text-white' : 'bg-blue-100 text-blue-800 hover:bg-blue-200'}`}
+                    >
+                        {r} days
+                    </button>
+                ))}
+            </div>
+
+            <Totals totals={totals} />
+
+            <div>
+                <h3 className="text-xl font-bold text-gray-800 mb-2">Requests per day (UTC)</h3>
+                <div className="flex items-end gap-px h-40 bg-gray-50 p-2 rounded-lg">
+                    {days.map(day => (
+                        <div
+                            key={day.date}
+                            title={`${day.date}: ${day.requests} requests, ${totalTokens(day).toLocaleString()} tokens, ${formatCost(day.costUsd)}`}
+                            className="flex-1 bg-blue-500 hover:bg-blue-700 rounded-t"
+                            style={{ height: `${(day.requests / busiest) * 100}%` }}
+                        />
+                    ))}
+                </div>
+                <div className="flex justify-between text-xs text-gray-500 mt-1">
+                    <span>{days[0].date}</span>
+                    <span>{days[days.length - 1].date}</span>
+                </div>
+            </div>
+
+            <div>
+                <h3 className="text-xl font-bold text-gray-800 mb-2">Users</h3>
+                {users.length === 0 ? <p className="text-gray-600">No usage in this period.</p> : (
+                    <table className="w-full text-sm">
+                        <thead>
+                            <tr className="text-left text-gray-600"><th className="py-1">User ID</th><th>Requests</th><th>Input tokens</th><th>Output tokens</th><th>Cost</th></tr>
+                        </thead>
+                        <tbody>
+                            {users.map(u => (
+                                <tr key={u.uid} onClick={() => setOpenUser(openUser === u.uid ? null : u.uid)} className="border-t border-gray-200 cursor-pointer hover:bg-blue-50">
+                                    <td className="py-1 font-mono text-blue-700">{u.uid}</td>
+                                    <td>{u.requests}</td>
+                                    <td>{u.inputTokens.toLocaleString()}</td>
+                                    <td>{u.outputTokens.toLocaleString()}</td>
+                                    <td>{formatCost(u.costUsd)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+            </div>
+
+            {openUser && (
+                <div>
+                    <h3 className="text-xl font-bold text-gray-800 mb-2">All-time usage by module for <span className="font-mono">{openUser}</span></h3>
+                    <UserModules uid={openUser} />
+                </div>
+            )}
+        </div>
+    );
+};
+
+export const UsageAdmin = () => {
+    const { user, ready } = useAuthUser();
+    const [admin, setAdmin] = useState<boolean | null>(null);
+
+    useEffect(() => {
+        if (!ready) return;
+        if (!user) {
+            setAdmin(false);
+            return;
+        }
+        isUsageAdmin()
+            .then(setAdmin)
+            .catch(e => {
+                console.error('Error checking admin access:', e);
+                setAdmin(false);
+            });
+    }, [user, ready]);
+
+    return (
+        <div className="min-h-screen bg-gradient-to-br from-blue-100 to-purple-200 flex items-center justify-center p-4 font-sans">
+            <div className="bg-white rounded-xl shadow-2xl p-8 md:p-12 w-full max-w-5xl">
+                <h1 className="text-3xl font-extrabold text-center text-gray-800 mb-2">
+                    <span className="bg-clip-text text-transparent bg-gradient-to-r from-blue-600 to-purple-600">
+                        Quantum Leap AI Education Academy
+                    </span>
+                </h1>
+                <h2 className="text-xl font-semibold text-center text-gray-600 mb-8">AI Usage</h2>
+                {admin === null && <p className="text-gray-500 text-center">Loading...</p>}
+                {admin === false && <p className="text-gray-700 text-center">AI usage is only shown to administrator accounts.</p>}
+                {admin && <UsageReport />}
+                <p className="text-center mt-8">
+                    <Link to={MODULES_PATH} className="text-blue-600 font-semibold hover:underline">Back to my modules</Link>
+                </p>
+            </div>
+        </div>
+    );
+};
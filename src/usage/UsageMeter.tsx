@@ -0,0 +1,56 @@
+import { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { ADMIN_USAGE_PATH } from '../routes.ts';
+import { allowanceUsed, isExhausted, totalTokens, UsageStatus } from './usage.ts';
+import { isUsageAdmin, loadUsageStatus } from './usageStore.ts';
+
+type Props = {
+    proxyUrl: string;
+    busy: boolean; // Reloads whenever a generation finishes
+};
+
+// Today's AI allowance above "Create New Module"; says plainly what still works once it is used up
+export const UsageMeter = ({ proxyUrl, busy }: Props) => {
+    const [status, setStatus] = useState<UsageStatus | null>(null);
+    const [admin, setAdmin] = useState(false);
+
+    useEffect(() => {
+        if (busy) return;
+        loadUsageStatus(proxyUrl)
+            .then(setStatus)
+            .catch(e => console.error('Error loading usage:', e));
+    }, [proxyUrl, busy]);
+
+    useEffect(() => {
+        isUsageAdmin()
+            .then(setAdmin)
+            .catch(e => console.error('Error checking admin access:', e));
+    }, []);
+
+    if (!status) return null;
+
+    const used = Math.min(allowanceUsed(status), 1);
+    const resetsAt = new Date(status.resetsAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    const barClass = used >= 1 ? 'bg-red-500' : used >= 0.8 ? 'bg-orange-500' : 'bg-green-500';
+
+    return (
+        <div className="mb-4 space-y-2">
+            <div className="flex flex-wrap items-center justify-between gap-2 text-sm text-gray-600">
+                <span>
+                    AI generations today: {status.used.requests} of {status.limits.requests}
+                    {status.limits.tokens > 0 && ` · ${totalTokens(status.used).toLocaleString()} of ${status.limits.tokens.toLocaleString()} tokens`}
+                </span>
+                {admin && <Link to={ADMIN_USAGE_PATH} className="text-blue-600 font-semibold hover:underline">Usage for all users</Link>}
+            </div>
+            <div className="h-2 bg-gray-200 rounded-full overflow-hidden">
+                <div className={`h-full ${barClass}`} style={{ width: `${used * 100}%` }} />
+            </div>
+            {isExhausted(status) && (
+                <p className="p-3 bg-red-50 border-l-4 border-red-500 rounded-md text-red-700">
+                    You have used today's AI allowance. Creating modules, generating tests and grading resume at {resetsAt}.
+                    Your existing modules, their content and your flashcards are still available.
+                </p>
+            )}
+        </div>
+    );
+};
@@ -0,0 +1,42 @@
+import { LlmError } from '../llm/provider.ts';
+import { allowanceUsed, dateRange, fillDays, generationErrorMessage, isExhausted, usageByUser } from './usage.ts';
+
+const status = (requests: number, tokens: number) => ({
+    used: { requests, inputTokens: tokens, outputTokens: 0, costUsd: 0 },
+    limits: { requests: 10, tokens: 1000 },
+    resetsAt: '2026-03-05T00:00:00.000Z',
+    model: 'gemini-2.0-flash',
+});
+
+test('the allowance is used up by whichever limit is reached first', () => {
+    expect(allowanceUsed(status(5, 100))).toBe(0.5);
+    expect(allowanceUsed(status(1, 900))).toBe(0.9);
+    expect(isExhausted(status(10, 0))).toBe(true);
+    expect(isExhausted(status(2, 1000))).toBe(true);
+    expect(isExhausted({ ...status(2, 5000), limits: { requests: 10, tokens: 0 } })).toBe(false);
+});
+
+test('fills the range with empty days and totals users across it', () => {
+    const dates = dateRange(3, '2026-03-01');
+    expect(dates).toEqual(['2026-02-27', '2026-02-28', '2026-03-01']);
+
+    const days = fillDays([
+        { date: '2026-02-27', requests: 3, inputTokens: 30, outputTokens: 3, costUsd: 0.01, users: { a: { requests: 3, inputTokens: 30, outputTokens: 3, costUsd: 0.01 } } },
+        { date: '2026-03-01', requests: 2, inputTokens: 200, outputTokens: 20, costUsd: 0.05, users: { a: { requests: 1, inputTokens: 10, outputTokens: 1, costUsd: 0.01 }, b: { requests: 1, inputTokens: 190, outputTokens: 19, costUsd: 0.04 } } },
+        { date: '2026-01-01', requests: 9, inputTokens: 0, outputTokens: 0, costUsd: 0, users: {} },
+    ], dates);
+
+    expect(days.map(d => d.requests)).toEqual([3, 0, 2]);
+    expect(usageByUser(days)).toEqual([
+        { uid: 'b', requests: 1, inputTokens: 190, outputTokens: 19, costUsd: 0.04 },
+        { uid: 'a', requests: 4, inputTokens: 40, outputTokens: 4, costUsd: 0.02 },
+    ]);
+});
+
+test('quota errors replace the usual failure message', () => {
+    const quota = new LlmError('quota', 'You have used all 200 AI generations for today. It resets at midnight UTC.', { provider: 'proxy', status: 429 });
+    const http = new LlmError('http', 'API error: 500 - Internal', { provider: 'proxy', status: 500 });
+
+    expect(generationErrorMessage(quota, 'Failed to generate module content.')).toBe(quota.message);
+    expect(generationErrorMessage(http, 'Failed to generate module content.')).toBe('Failed to generate module content.');
+});
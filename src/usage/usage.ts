@@ -0,0 +1,89 @@
+import { LlmError } from '../llm/provider.ts';
+
+// AI usage as metered by the generation backend (functions/usage.js). Days are UTC dates (YYYY-MM-DD).
+// Learners see their own allowance; accounts with the `admin` claim see everyone's usage over time.
+
+export type UsageTotals = {
+    requests: number;
+    inputTokens: number;
+    outputTokens: number;
+    costUsd: number; // Estimated from the server's configured token prices
+};
+
+// What the backend reports to a signed-in user (GET /api/llm)
+export type UsageStatus = {
+    used: UsageTotals;
+    limits: { requests: number; tokens: number }; // tokens 0 means no token limit
+    resetsAt: string;
+    model: string; // The model the backend generates with
+};
+
+// llmUsageDaily/{date}
+export type DailyUsage = UsageTotals & {
+    date: string;
+    guestRequests?: number; // All guests' requests, checked against the shared guest budget
+    users: { [uid: string]: UsageTotals };
+};
+
+// llmUsage/{uid}/modules/{moduleId}
+export type ModuleUsage = UsageTotals & {
+    moduleId: string; // 'unassigned' for generation outside a module (class content, course plans)
+    lastUsedAt: string;
+};
+
+export const EMPTY_TOTALS: UsageTotals = { requests: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 };
+
+export const totalTokens = (totals: UsageTotals) => totals.inputTokens + totals.outputTokens;
+
+export const addTotals = (a: UsageTotals, b: Partial<UsageTotals> = {}): UsageTotals => ({
+    requests: a.requests + (b.requests || 0),
+    inputTokens: a.inputTokens + (b.inputTokens || 0),
+    outputTokens: a.outputTokens + (b.outputTokens || 0),
+    costUsd: a.costUsd + (b.costUsd || 0),
+});
+
+// Share of today's allowance used (0-1), by whichever limit is closer
+export const allowanceUsed = ({ used, limits }: UsageStatus) => Math.max(
+    limits.requests > 0 ? used.requests / limits.requests : 0,
+    limits.tokens > 0 ? totalTokens(used) / limits.tokens : 0,
+);
+
+export const isExhausted = (status: UsageStatus) => allowanceUsed(status) >= 1;
+
+// Quota errors already say what ran out and when it resets, so they replace the caller's usual message
+export const generationErrorMessage = (error: any, fallback: string) =>
+    error instanceof LlmError && error.code === 'quota' ? error.message : fallback;
+
+const dateOffset = (today: string, days: number) => {
+    const date = new Date(`${today}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() - days);
+    return date.toISOString().slice(0, 10);
+};
+
+// The last `days` dates up to and including `today`, oldest first
+export const dateRange = (days: number, today = new Date().toISOString().slice(0, 10)) =>
+    Array.from({ length: days }, (_, i) => dateOffset(today, days - 1 - i));
+
+// One entry per date in the range, with zeros for days nobody generated anything
+export const fillDays = (records: DailyUsage[], dates: string[]): DailyUsage[] => {
+    const byDate = new Map(records.map(r => [r.date, r]));
+    return dates.map(date => {
+        const record = byDate.get(date);
+        return record
+            ? { ...addTotals(EMPTY_TOTALS, record), date, users: record.users || {} }
+            : { ...EMPTY_TOTALS, date, users: {} };
+    });
+};
+
+// Users' totals over the days given, most expensive first
+export const usageByUser = (days: DailyUsage[]): ({ uid: string } & UsageTotals)[] => {
+    const totals = new Map<string, UsageTotals>();
+    days.forEach(day => Object.entries(day.users).forEach(([uid, usage]) => {
+        totals.set(uid, addTotals(totals.get(uid) || EMPTY_TOTALS, usage));
+    }));
+    return Array.from(totals.entries())
+        .map(([uid, usage]) => ({ uid, ...usage }))
+        .sort((a, b) => b.costUsd - a.costUsd || totalTokens(b) - totalTokens(a) || b.requests - a.requests);
+};
+
+export const formatCost = (costUsd: number) => `$${costUsd < 1 ? costUsd.toFixed(4) : costUsd.toFixed(2)}`;
@@ -0,0 +1,39 @@
+import { collection, documentId, getDocs, query, where } from 'firebase/firestore';
+import { auth, db } from '../firebase';
+import { DailyUsage, dateRange, ModuleUsage, UsageStatus } from './usage.ts';
+
+// Usage records are written only by the generation backend (functions/usage.js):
+// llmUsageDaily/{date}                everyone's totals for a day, readable by admins
+// llmUsage/{uid}/modules/{moduleId}   a user's running totals per module, readable by the user and admins
+
+// The signed-in user's allowance, from the backend that enforces it
+export const loadUsageStatus = async (proxyUrl: string): Promise<UsageStatus> => {
+    const token = await auth.currentUser?.getIdToken();
+    if (!token) throw new Error('You must be signed in to see your usage.');
+    const response = await fetch(proxyUrl, { headers: { Authorization: `Bearer ${token}` } });
+    const body = await response.json().catch(() => null);
+    if (!response.ok) throw new Error(body?.error?.message || `Request failed (${response.status})`);
+    return body as UsageStatus;
+};
+
+// Admin only: whether the signed-in account carries the `admin` claim (see functions/scripts/set-claim.js)
+export const isUsageAdmin = async () => {
+    const result = await auth.currentUser?.getIdTokenResult();
+    return result?.claims.admin === true;
+};
+
+// Admin only: the last `days` days, oldest first; days without records are left out
+export const loadDailyUsage = async (days: number): Promise<DailyUsage[]> => {
+    const [since] = dateRange(days);
+    const snapshot = await getDocs(query(collection(db, 'llmUsageDaily'), where(documentId(), '>=', since)));
+    return snapshot.docs
+        .map(d => ({ date: d.id, users: {}, ...d.data() }) as DailyUsage)
+        .sort((a, b) => a.date.localeCompare(b.date));
+};
+
+export const loadModuleUsage = async (uid: string): Promise<ModuleUsage[]> => {
+    const snapshot = await getDocs(collection(db, `llmUsage/${uid}/modules`));
+    return snapshot.docs
+        .map(d => ({ moduleId: d.id, ...d.data() }) as ModuleUsage)
+        .sort((a, b) => (b.costUsd || 0) - (a.costUsd || 0));
+};